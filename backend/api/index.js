@@ -5,6 +5,7 @@
 
 import app from '../src/app.js';
 import cacheService from '../src/services/cache.service.js';
+import repository from '../src/services/repository.service.js';
 import musicAnalysisService from '../src/services/music-analysis.service.js';
 
 // Initialize services on cold start (only runs once per serverless instance)
@@ -14,6 +15,7 @@ async function initializeServices() {
   if (!initialized) {
     console.log('🚀 Initializing services for serverless...');
     await cacheService.initialize();
+    await repository.initialize();
     await musicAnalysisService.initialize();
     initialized = true;
     console.log('✅ Services initialized');
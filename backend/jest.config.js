@@ -15,6 +15,7 @@ export default {
   collectCoverageFrom: [
     'src/**/*.js',
     '!src/server.js',
+    '!src/cli/**/*.js',
     '!src/tests/**/*.js',
     '!**/node_modules/**'
   ],
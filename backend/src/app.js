@@ -8,6 +8,9 @@ import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
 import { apiLimiter } from './middleware/rateLimiter.js';
 import playlistRoutes from './routes/playlist.routes.js';
 import analyzeRoutes from './routes/analyze.routes.js';
+import jobsRoutes from './routes/jobs.routes.js';
+import videosRoutes from './routes/videos.routes.js';
+import adminRoutes from './routes/admin.routes.js';
 
 const app = express();
 
@@ -31,6 +34,9 @@ app.get('/health', (req, res) => {
 // API Routes
 app.use('/api/playlist', playlistRoutes);
 app.use('/api/analyze', analyzeRoutes);
+app.use('/api/jobs', jobsRoutes);
+app.use('/api/videos', videosRoutes);
+app.use('/api/admin', adminRoutes);
 
 // 404 handler
 app.use(notFoundHandler);
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/**
+ * Analyze local audio files from the command line
+ *
+ * Usage:
+ *   npm run analyze-audio -- <file...> [--profile <name>] [--json]
+ */
+
+import path from 'path';
+import localAudioAnalyzer from '../services/local-audio-analyzer.service.js';
+import { calculateFeelsScore, calculatePositivityScore } from '../services/feels.calculator.js';
+import { hasProfile } from '../services/feels.profiles.js';
+
+function parseArgs(argv) {
+  const options = { files: [], profile: 'default', json: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--profile') {
+      options.profile = argv[++i];
+    } else {
+      options.files.push(arg);
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  const { files, profile, json } = parseArgs(process.argv.slice(2));
+
+  if (files.length === 0) {
+    console.error('Usage: npm run analyze-audio -- <file...> [--profile <name>] [--json]');
+    process.exit(1);
+  }
+
+  if (!hasProfile(profile)) {
+    console.error(`Unknown feels profile "${profile}"`);
+    process.exit(1);
+  }
+
+  const results = [];
+  let failed = false;
+
+  for (const file of files) {
+    try {
+      const audioFeatures = await localAudioAnalyzer.analyzeFile(file);
+      results.push({
+        file,
+        feelsScore: calculateFeelsScore(audioFeatures, profile),
+        positivityScore: calculatePositivityScore(audioFeatures),
+        audioFeatures
+      });
+    } catch (error) {
+      failed = true;
+      results.push({ file, error: error.message });
+    }
+  }
+
+  if (json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    for (const result of results) {
+      if (result.error) {
+        console.error(`❌ ${path.basename(result.file)}: ${result.error}`);
+        continue;
+      }
+
+      const f = result.audioFeatures;
+      console.log(`🎵 ${path.basename(result.file)}`);
+      console.log(`   Feels score:       ${result.feelsScore} (${profile})`);
+      console.log(`   Tempo:             ${f.tempo} BPM (beat strength ${f.beatStrength})`);
+      console.log(`   Loudness:          ${f.loudness} dB`);
+      console.log(`   Spectral centroid: ${f.spectralCentroid} Hz`);
+      console.log(`   Energy:            ${f.energy}`);
+      console.log(`   Danceability:      ${f.danceability}`);
+      console.log(`   Acousticness:      ${f.acousticness}`);
+      console.log(`   Duration:          ${f.duration}s`);
+    }
+  }
+
+  process.exit(failed ? 1 : 0);
+}
+
+main();
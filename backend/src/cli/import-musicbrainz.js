@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * Import a MusicBrainz data dump for local lookups
+ * Use the result with MUSICBRAINZ_SOURCE=local
+ *
+ * Usage:
+ *   npm run import-musicbrainz -- <dump-dir> [--out <index.json>]
+ */
+
+import { fileURLToPath } from 'url';
+import { importDump, writeIndex } from '../services/musicbrainz.import.js';
+
+const DEFAULT_OUT = process.env.MUSICBRAINZ_INDEX_PATH ||
+  fileURLToPath(new URL('../../data/musicbrainz-index.json', import.meta.url));
+
+function parseArgs(argv) {
+  const options = { dir: null, out: DEFAULT_OUT };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--out') {
+      options.out = argv[++i];
+    } else {
+      options.dir = arg;
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  const { dir, out } = parseArgs(process.argv.slice(2));
+
+  if (!dir || !out) {
+    console.error('Usage: npm run import-musicbrainz -- <dump-dir> [--out <index.json>]');
+    process.exit(1);
+  }
+
+  try {
+    const started = Date.now();
+    const index = await importDump(dir);
+    await writeIndex(index, out);
+
+    console.log(`📦 Imported ${index.format.toUpperCase()} dump from ${index.source}`);
+    console.log(`   Recordings: ${index.counts.recordings}`);
+    console.log(`   Artists:    ${index.counts.artists}`);
+    console.log(`   Index:      ${out}`);
+    console.log(`   Took:       ${((Date.now() - started) / 1000).toFixed(1)}s`);
+  } catch (error) {
+    console.error(`❌ Import failed: ${error.message}`);
+    process.exit(1);
+  }
+
+  process.exit(0);
+}
+
+main();
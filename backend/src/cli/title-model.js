@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * Train or evaluate the learned title tagger
+ * A trained model is used for title parsing from the next server start
+ *
+ * Usage:
+ *   npm run title-model -- train [--corpus <file>] [--no-corrections] [--epochs <n>] [--out <model.json>]
+ *   npm run title-model -- eval [--corpus <file>] [--no-corrections] [--epochs <n>] [--folds <n>]
+ */
+
+import repository from '../services/repository.service.js';
+import { DEFAULT_MODEL_PATH } from '../services/title-model.service.js';
+import {
+  DEFAULT_CORPUS_PATH,
+  loadCorpus,
+  correctionExamples,
+  trainModel,
+  crossValidate,
+  writeModel
+} from '../services/title-model.training.js';
+
+const USAGE = 'Usage: npm run title-model -- <train|eval> [--corpus <file>] [--no-corrections] [--epochs <n>] [--folds <n>] [--out <model.json>]';
+
+function parseArgs(argv) {
+  const options = {
+    command: null,
+    corpus: DEFAULT_CORPUS_PATH,
+    corrections: true,
+    epochs: 10,
+    folds: 5,
+    out: process.env.TITLE_MODEL_PATH || DEFAULT_MODEL_PATH
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--corpus') {
+      options.corpus = argv[++i];
+    } else if (arg === '--no-corrections') {
+      options.corrections = false;
+    } else if (arg === '--epochs') {
+      options.epochs = Number(argv[++i]);
+    } else if (arg === '--folds') {
+      options.folds = Number(argv[++i]);
+    } else if (arg === '--out') {
+      options.out = argv[++i];
+    } else {
+      options.command = arg;
+    }
+  }
+
+  return options;
+}
+
+function formatScores(name, scores) {
+  const percent = value => `${(value * 100).toFixed(1)}%`.padStart(6);
+  return `   ${name.padEnd(6)} exact ${percent(scores.exact)}  ` +
+    `artist P ${percent(scores.artist.precision)} R ${percent(scores.artist.recall)}  ` +
+    `song P ${percent(scores.song.precision)} R ${percent(scores.song.recall)}`;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!['train', 'eval'].includes(options.command) || !(options.epochs > 0) || !(options.folds >= 2)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  try {
+    const corpus = await loadCorpus(options.corpus);
+    const corrections = options.corrections ? await correctionExamples(repository) : [];
+    const examples = [...corpus, ...corrections];
+    console.log(`📚 ${corpus.length} corpus examples, ${corrections.length} from corrections`);
+
+    if (options.command === 'train') {
+      const { model, used, skipped } = trainModel(examples, { epochs: options.epochs });
+      await writeModel(model, options.out);
+
+      console.log(`🏷️  Trained on ${used} examples (${skipped} skipped: artist and song not found in the title)`);
+      console.log(`   Model: ${options.out}`);
+    } else {
+      const { folds, regex, model } = crossValidate(examples, { folds: options.folds, epochs: options.epochs });
+
+      console.log(`📏 ${folds}-fold cross-validation`);
+      console.log(formatScores('regex', regex));
+      console.log(formatScores('model', model));
+    }
+  } catch (error) {
+    console.error(`❌ ${options.command} failed: ${error.message}`);
+    process.exit(1);
+  }
+
+  process.exit(0);
+}
+
+main();
@@ -0,0 +1,38 @@
+/**
+ * Admin authentication middleware
+ * Admin endpoints need `Authorization: Bearer <ADMIN_TOKEN>` and are
+ * disabled entirely when ADMIN_TOKEN isn't set
+ */
+
+import { timingSafeEqual } from 'crypto';
+
+export function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+
+  if (!token) {
+    return res.status(403).json({
+      error: true,
+      message: 'Admin endpoints are disabled (ADMIN_TOKEN not set)'
+    });
+  }
+
+  const [scheme, provided] = (req.get('Authorization') || '').split(' ');
+
+  if (scheme !== 'Bearer' || !provided || !tokensMatch(provided, token)) {
+    return res.status(401).json({
+      error: true,
+      message: 'Unauthorized'
+    });
+  }
+
+  next();
+}
+
+/**
+ * Compare tokens in constant time
+ */
+function tokensMatch(provided, expected) {
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
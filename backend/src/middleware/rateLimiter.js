@@ -48,3 +48,18 @@ export const playlistRateLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false
 });
+
+/**
+ * Manual override rate limiter (setting and removing overrides)
+ * 30 requests per 15 minutes
+ */
+export const overrideRateLimiter = rateLimit({
+  windowMs: 900000, // 15 minutes
+  max: 30,
+  message: {
+    error: true,
+    message: 'Override rate limit exceeded. Please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
@@ -0,0 +1,139 @@
+/**
+ * Admin routes - Cache metrics and maintenance
+ * All routes require the admin token (see middleware/adminAuth.js)
+ */
+
+import express from 'express';
+import cacheService from '../services/cache.service.js';
+import invalidationService from '../services/invalidation.service.js';
+import musicBrainzService from '../services/musicbrainz.service.js';
+import musicAnalysisService from '../services/music-analysis.service.js';
+import { ANALYZER_VERSION } from '../services/genre-audio-analyzer.service.js';
+import { requireAdmin } from '../middleware/adminAuth.js';
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+/**
+ * GET /api/admin/cache/stats
+ * Cache counters since this instance started
+ *
+ * Returns: {
+ *   type, size, bytes, maxEntries, maxBytes,
+ *   totals: { hits, misses, sets, evictions, expirations, hitRate },
+ *   namespaces: { [namespace]: { hits, misses, sets, evictions, expirations, hitRate } }
+ * }
+ */
+router.get('/cache/stats', (req, res) => {
+  res.json({
+    success: true,
+    data: cacheService.getStats()
+  });
+});
+
+/**
+ * GET /api/admin/coalescing/stats
+ * How many lookups since this instance started joined an identical one
+ * already in flight instead of repeating it
+ *
+ * Returns: {
+ *   [operation]: { calls, executions, coalesced, inFlight }
+ * } for searchRecording, searchArtist and matchVideo
+ */
+router.get('/coalescing/stats', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      ...musicBrainzService.getCoalescingStats(),
+      ...musicAnalysisService.getCoalescingStats()
+    }
+  });
+});
+
+/**
+ * GET /api/admin/musicbrainz/stats
+ * MusicBrainz request queue: what's waiting and how often MusicBrainz throttled us
+ *
+ * Returns: {
+ *   source: 'web' | 'local', local: { indexPath, loaded, importedAt, recordings, artists } | null,
+ *   coordination, ratePerSecond, queued: { interactive, bulk }, pausedForMs,
+ *   started, retried, throttled, failed
+ * }
+ */
+router.get('/musicbrainz/stats', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      source: musicBrainzService.local ? 'local' : 'web',
+      local: musicBrainzService.local?.getStats() || null,
+      ...musicBrainzService.scheduler.getStats()
+    }
+  });
+});
+
+/**
+ * POST /api/admin/cache/invalidate
+ * Forget cached and stored analyses so they're recomputed on next request
+ *
+ * Body (exactly one of):
+ *   { videoId: string }         - A video's automatic match
+ *   { playlistId: string }      - A playlist's analysis
+ *   { analyzerVersion: number } - Every match and playlist analysis scored
+ *                                 by that genre analyzer version
+ *
+ * Returns: { target, cacheEntries, records } - what was removed
+ */
+router.post('/cache/invalidate', async (req, res, next) => {
+  try {
+    const { videoId, playlistId, analyzerVersion } = req.body || {};
+    const targets = Object.entries({ videoId, playlistId, analyzerVersion })
+      .filter(([, value]) => value !== undefined);
+
+    if (targets.length !== 1) {
+      return res.status(400).json({
+        error: true,
+        message: 'Exactly one of videoId, playlistId or analyzerVersion is required'
+      });
+    }
+
+    const [[target, value]] = targets;
+
+    const valid = target === 'analyzerVersion'
+      ? Number.isInteger(value) && value > 0
+      : typeof value === 'string' && value.length > 0;
+
+    if (!valid) {
+      return res.status(400).json({
+        error: true,
+        message: target === 'analyzerVersion'
+          ? 'analyzerVersion must be a positive integer'
+          : `${target} must be a non-empty string`
+      });
+    }
+
+    let removed;
+    if (target === 'videoId') {
+      removed = await invalidationService.invalidateVideo(value);
+    } else if (target === 'playlistId') {
+      removed = await invalidationService.invalidatePlaylist(value);
+    } else {
+      removed = await invalidationService.invalidateAnalyzerVersion(value);
+    }
+
+    console.log(`🧹 Invalidated ${target} ${value}: ${removed.cacheEntries} cache entries, ${removed.records} records`);
+
+    res.json({
+      success: true,
+      data: {
+        target: { [target]: value },
+        currentAnalyzerVersion: ANALYZER_VERSION,
+        ...removed
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -5,19 +5,40 @@
 
 import express from 'express';
 import musicAnalysisService from '../services/music-analysis.service.js';
-import { calculateFeelsScore } from '../services/feels.calculator.js';
+import { scoreMatch, scoreChapters } from '../services/feels.calculator.js';
+import { buildResult, buildErrorResult } from '../services/analysis.results.js';
+import { DEFAULT_PROFILE, hasProfile, listProfiles } from '../services/feels.profiles.js';
+import { ANALYZER_VERSION } from '../services/genre-audio-analyzer.service.js';
 import cacheService from '../services/cache.service.js';
+import { cacheKey as buildCacheKey } from '../services/cache.keys.js';
+import repository from '../services/repository.service.js';
+import overrideService from '../services/override.service.js';
 import { analyzeRateLimiter } from '../middleware/rateLimiter.js';
 
 const router = express.Router();
 
+/**
+ * GET /api/analyze/profiles
+ * List available feels weight profiles
+ */
+router.get('/profiles', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      default: DEFAULT_PROFILE,
+      profiles: listProfiles()
+    }
+  });
+});
+
 /**
  * POST /api/analyze/batch
  * Analyze multiple videos and calculate feels scores
  *
  * Body: {
- *   videos: Array<{ id, title, channelTitle }>,
- *   playlistId: string (optional, for caching)
+ *   videos: Array<{ id, title, channelTitle, musicMetadata (optional) }>,
+ *   playlistId: string (optional, for caching),
+ *   profile: string (optional, feels weight profile, default 'default')
  * }
  *
  * Returns: {
@@ -30,7 +51,7 @@ const router = express.Router();
  */
 router.post('/batch', analyzeRateLimiter, async (req, res, next) => {
   try {
-    const { videos, playlistId } = req.body;
+    const { videos, playlistId, profile = DEFAULT_PROFILE } = req.body;
 
     if (!videos || !Array.isArray(videos) || videos.length === 0) {
       return res.status(400).json({
@@ -39,120 +60,130 @@ router.post('/batch', analyzeRateLimiter, async (req, res, next) => {
       });
     }
 
-    console.log(`🔍 Analyzing ${videos.length} videos...`);
+    if (!hasProfile(profile)) {
+      return unknownProfile(res, profile);
+    }
 
-    const results = [];
-    const errors = [];
-    let matchedCount = 0;
-    let cachedCount = 0;
+    console.log(`🔍 Analyzing ${videos.length} videos...`);
 
     // Check for cached playlist analysis
-    if (playlistId) {
-      const cacheKey = `playlist:analysis:${playlistId}`;
-      const cached = await cacheService.get(cacheKey);
-
-      if (cached) {
-        console.log(`✅ Using cached analysis for playlist ${playlistId}`);
-        return res.json({
-          success: true,
-          data: {
-            results: cached.results,
-            errors: [],
-            stats: cached.stats,
-            cached: true
-          }
-        });
-      }
+    const cached = await loadPlaylistAnalysis(playlistId, videos);
+    if (cached) {
+      const results = await applyCurrentOverrides(cached.results, videos, profile);
+      return res.json({
+        success: true,
+        data: {
+          results: rescoreResults(results, profile),
+          errors: [],
+          stats: cached.stats,
+          profile,
+          cached: true
+        }
+      });
     }
 
-    // Process each video
-    for (let i = 0; i < videos.length; i++) {
-      const video = videos[i];
+    const { results, errors, stats } = await analyzeVideos(videos, { profile });
 
-      try {
-        // Match video to MusicBrainz + LLM and get audio features
-        const matchResult = await musicAnalysisService.matchVideo(video);
+    await savePlaylistAnalysis(playlistId, results, stats);
 
-        if (matchResult.cached) {
-          cachedCount++;
-        }
+    res.json({
+      success: true,
+      data: {
+        results,
+        errors,
+        stats,
+        profile,
+        cached: false
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-        let feelsScore = 50; // Default neutral score
+/**
+ * POST /api/analyze/batch/stream
+ * Same as /batch, but streams progress as Server-Sent Events
+ *
+ * Body: same as /batch
+ *
+ * Events:
+ *   result   - { index, result, stats } after each video is analyzed
+ *   complete - { errors, stats, profile, cached } once every video is done
+ *   error    - { message } if the analysis fails part way through
+ */
+router.post('/batch/stream', analyzeRateLimiter, async (req, res, next) => {
+  try {
+    const { videos, playlistId, profile = DEFAULT_PROFILE } = req.body;
 
-        if (matchResult.matched && matchResult.audioFeatures) {
-          feelsScore = calculateFeelsScore(matchResult.audioFeatures);
-          matchedCount++;
-        }
+    if (!videos || !Array.isArray(videos) || videos.length === 0) {
+      return res.status(400).json({
+        error: true,
+        message: 'videos array is required and must not be empty'
+      });
+    }
 
-        results.push({
-          videoId: video.id,
-          title: video.title,
-          channelTitle: video.channelTitle,
-          thumbnails: video.thumbnails,
-          feelsScore,
-          matched: matchResult.matched,
-          spotifyMatch: matchResult.spotifyMatch || null,
-          audioFeatures: matchResult.audioFeatures || null,
-          parseConfidence: matchResult.parseConfidence,
-          cached: matchResult.cached
-        });
+    if (!hasProfile(profile)) {
+      return unknownProfile(res, profile);
+    }
 
-        // Log progress
-        if ((i + 1) % 10 === 0 || i === videos.length - 1) {
-          console.log(`  Progress: ${i + 1}/${videos.length} (${matchedCount} matched, ${cachedCount} cached)`);
-        }
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx, Vercel)
+    });
+    res.flushHeaders();
 
-        // Small delay to avoid overwhelming APIs (skip if cached)
-        if (!matchResult.cached) {
-          await sleep(50);
-        }
-      } catch (error) {
-        console.error(`Error analyzing video ${video.id}:`, error.message);
-        errors.push({
-          videoId: video.id,
-          error: error.message
-        });
+    // Stop working on the batch if the client goes away
+    let aborted = false;
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        aborted = true;
+      }
+    });
+
+    console.log(`🔍 Streaming analysis of ${videos.length} videos...`);
 
-        // Add video with default score
-        results.push({
-          videoId: video.id,
-          title: video.title,
-          channelTitle: video.channelTitle,
-          thumbnails: video.thumbnails,
-          feelsScore: 50,
-          matched: false,
-          error: error.message
+    try {
+      const cached = await loadPlaylistAnalysis(playlistId, videos);
+      if (cached) {
+        const total = cached.results.length;
+        const results = await applyCurrentOverrides(cached.results, videos, profile);
+        rescoreResults(results, profile).forEach((result, index) => {
+          sendEvent(res, 'result', {
+            index,
+            result,
+            stats: { ...cached.stats, processed: index + 1, total }
+          });
         });
+        sendEvent(res, 'complete', { errors: [], stats: cached.stats, profile, cached: true });
+        return res.end();
       }
-    }
 
-    const stats = {
-      total: videos.length,
-      matched: matchedCount,
-      unmatched: videos.length - matchedCount,
-      cached: cachedCount,
-      matchRate: ((matchedCount / videos.length) * 100).toFixed(1) + '%'
-    };
+      const { results, errors, stats } = await analyzeVideos(videos, {
+        profile,
+        onResult: (result, index, runningStats) => {
+          sendEvent(res, 'result', { index, result, stats: runningStats });
+        },
+        isAborted: () => aborted
+      });
 
-    console.log(`✅ Analysis complete: ${stats.matched}/${stats.total} matched (${stats.matchRate})`);
+      if (aborted) {
+        console.log(`⚠️  Client disconnected, stopped after ${results.length}/${videos.length} videos`);
+        return;
+      }
 
-    // Cache playlist analysis result
-    if (playlistId) {
-      const cacheKey = `playlist:analysis:${playlistId}`;
-      const ttl = parseInt(process.env.CACHE_TTL || '2592000'); // 30 days
-      await cacheService.set(cacheKey, { results, stats }, ttl);
-      console.log(`💾 Cached analysis for playlist ${playlistId}`);
-    }
+      await savePlaylistAnalysis(playlistId, results, stats);
 
-    res.json({
-      success: true,
-      data: {
-        results,
-        errors,
-        stats,
-        cached: false
-      }
-    });
+      sendEvent(res, 'complete', { errors, stats, profile, cached: false });
+      res.end();
+    } catch (error) {
+      // Headers are already sent, so report the failure in-band
+      console.error('Streaming analysis error:', error.message);
+      sendEvent(res, 'error', { message: error.message || 'Analysis failed' });
+      res.end();
+    }
   } catch (error) {
     next(error);
   }
@@ -162,42 +193,247 @@ router.post('/batch', analyzeRateLimiter, async (req, res, next) => {
  * POST /api/analyze/single
  * Analyze a single video
  *
- * Body: { id, title, channelTitle }
+ * Body: { id, title, channelTitle, profile (optional) }
  */
 router.post('/single', async (req, res, next) => {
   try {
-    const video = req.body;
+    const { profile = DEFAULT_PROFILE, ...video } = req.body || {};
 
-    if (!video || !video.id || !video.title) {
+    if (!video.id || !video.title) {
       return res.status(400).json({
         error: true,
         message: 'Video object with id and title is required'
       });
     }
 
-    const matchResult = await musicAnalysisService.matchVideo(video);
-
-    let feelsScore = 50;
-    if (matchResult.matched && matchResult.audioFeatures) {
-      feelsScore = calculateFeelsScore(matchResult.audioFeatures);
+    if (!hasProfile(profile)) {
+      return unknownProfile(res, profile);
     }
 
+    const matchResult = await musicAnalysisService.matchVideo(video);
+
     res.json({
       success: true,
-      data: {
-        videoId: video.id,
-        feelsScore,
-        matched: matchResult.matched,
-        spotifyMatch: matchResult.spotifyMatch || null,
-        audioFeatures: matchResult.audioFeatures || null,
-        cached: matchResult.cached
-      }
+      data: { ...buildResult(video, matchResult, profile), profile }
     });
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * Analyze videos one by one, reporting each result as it completes
+ *
+ * @param {Array} videos - Array of { id, title, channelTitle, thumbnails }
+ * @param {Object} options
+ * @param {string} options.profile - Feels weight profile name
+ * @param {Function} options.onResult - Called with (result, index, stats) after each video
+ * @param {Function} options.isAborted - Returns true to stop before the next video
+ * @returns {Object} { results, errors, stats }
+ */
+async function analyzeVideos(videos, { profile = DEFAULT_PROFILE, onResult = null, isAborted = () => false } = {}) {
+  const results = [];
+  const errors = [];
+  let matchedCount = 0;
+  let cachedCount = 0;
+
+  // Process each video
+  for (let i = 0; i < videos.length; i++) {
+    if (isAborted()) {
+      break;
+    }
+
+    const video = videos[i];
+    let result;
+    let wasCached = false;
+
+    try {
+      // Match video to MusicBrainz + LLM and get audio features
+      const matchResult = await musicAnalysisService.matchVideo(video, { priority: 'bulk' });
+      wasCached = Boolean(matchResult.cached);
+
+      if (matchResult.cached) {
+        cachedCount++;
+      }
+
+      if (matchResult.matched && matchResult.audioFeatures) {
+        matchedCount++;
+      }
+
+      result = buildResult(video, matchResult, profile);
+    } catch (error) {
+      console.error(`Error analyzing video ${video.id}:`, error.message);
+      errors.push({
+        videoId: video.id,
+        error: error.message
+      });
+
+      // Add video with default score
+      result = buildErrorResult(video, error);
+    }
+
+    results.push(result);
+
+    if (onResult) {
+      onResult(result, i, {
+        ...buildStats(videos.length, matchedCount, cachedCount),
+        processed: i + 1
+      });
+    }
+
+    // Log progress
+    if ((i + 1) % 10 === 0 || i === videos.length - 1) {
+      console.log(`  Progress: ${i + 1}/${videos.length} (${matchedCount} matched, ${cachedCount} cached)`);
+    }
+
+    // Small delay to avoid overwhelming APIs (skip if cached)
+    if (!wasCached && !result.error) {
+      await sleep(50);
+    }
+  }
+
+  const stats = buildStats(videos.length, matchedCount, cachedCount);
+
+  console.log(`✅ Analysis complete: ${stats.matched}/${stats.total} matched (${stats.matchRate})`);
+
+  return { results, errors, stats };
+}
+
+/**
+ * Helper: Build batch stats summary
+ */
+function buildStats(total, matched, cached) {
+  return {
+    total,
+    matched,
+    unmatched: total - matched,
+    cached,
+    matchRate: ((matched / total) * 100).toFixed(1) + '%'
+  };
+}
+
+/**
+ * Helper: Recompute scores from stored audio features
+ * (cached analyses may have been scored with a different profile)
+ */
+function rescoreResults(results, profile) {
+  return results.map(result => ({
+    ...result,
+    ...scoreMatch(result, profile),
+    chapters: scoreChapters(result.chapters, profile)
+  }));
+}
+
+/**
+ * Helper: Re-match cached results whose override was added, changed or removed
+ * since the analysis was cached
+ * videos are the submitted videos, one per result (see loadPlaylistAnalysis).
+ * Results don't keep the details matching needs, so they come from there.
+ */
+async function applyCurrentOverrides(results, videos, profile) {
+  const overrides = await overrideService.getMany(results.map(result => result.videoId));
+
+  return Promise.all(results.map(async (result, index) => {
+    const current = overrides[index];
+    if ((current?.updatedAt || null) === (result.override?.updatedAt || null)) {
+      return result;
+    }
+
+    const video = {
+      id: result.videoId,
+      title: result.title,
+      channelTitle: result.channelTitle,
+      thumbnails: result.thumbnails,
+      durationSeconds: videos[index].durationSeconds ?? null,
+      musicMetadata: videos[index].musicMetadata || null,
+      chapters: videos[index].chapters || []
+    };
+    try {
+      return buildResult(video, await musicAnalysisService.matchVideo(video, { priority: 'bulk' }), profile);
+    } catch (error) {
+      console.error(`Error re-analyzing edited video ${video.id}:`, error.message);
+      return result;
+    }
+  }));
+}
+
+/**
+ * Helper: Reject an unknown feels profile
+ */
+function unknownProfile(res, profile) {
+  return res.status(400).json({
+    error: true,
+    message: `Unknown profile "${profile}". Available: ${listProfiles().map(p => p.name).join(', ')}`
+  });
+}
+
+/**
+ * Helper: Load a previous playlist analysis (cache first, then the repository)
+ * Only an analysis of exactly the submitted videos counts. Once the playlist
+ * gains, loses or reorders videos it's analyzed again, which stays cheap
+ * because each video's match is cached on its own.
+ */
+async function loadPlaylistAnalysis(playlistId, videos) {
+  if (!playlistId) {
+    return null;
+  }
+
+  const cacheKey = buildCacheKey('playlist:analysis', playlistId);
+  let analysis = await cacheService.get(cacheKey);
+
+  if (!analysis) {
+    const stored = await repository.get('playlists', playlistId);
+    if (stored?.analyzerVersion === ANALYZER_VERSION) {
+      analysis = { results: stored.results, stats: stored.stats };
+      await cacheService.set(cacheKey, analysis, getPlaylistCacheTTL());
+    }
+  }
+
+  if (analysis && !isSameVideos(analysis.results, videos)) {
+    console.log(`🔄 Playlist ${playlistId} changed since it was analyzed`);
+    return null;
+  }
+
+  if (analysis) {
+    console.log(`✅ Using cached analysis for playlist ${playlistId}`);
+  }
+  return analysis;
+}
+
+/**
+ * Helper: Whether an analysis covers exactly these videos, in order
+ */
+function isSameVideos(results, videos) {
+  return results.length === videos.length && results.every((result, i) => result.videoId === videos[i].id);
+}
+
+/**
+ * Helper: Store a completed playlist analysis and cache it
+ */
+async function savePlaylistAnalysis(playlistId, results, stats) {
+  if (!playlistId) {
+    return;
+  }
+
+  await repository.put('playlists', { id: playlistId, results, stats, analyzerVersion: ANALYZER_VERSION });
+  await cacheService.set(buildCacheKey('playlist:analysis', playlistId), { results, stats }, getPlaylistCacheTTL());
+  console.log(`💾 Saved analysis for playlist ${playlistId}`);
+}
+
+/**
+ * Helper: How long playlist analyses stay cached
+ */
+function getPlaylistCacheTTL() {
+  return parseInt(process.env.CACHE_TTL || '2592000'); // 30 days
+}
+
+/**
+ * Helper: Write a single Server-Sent Event
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
 /**
  * Helper: Sleep for ms milliseconds
  */
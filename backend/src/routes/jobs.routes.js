@@ -0,0 +1,84 @@
+/**
+ * Job routes - Background playlist analysis for playlists too long
+ * to analyze within a single request
+ */
+
+import express from 'express';
+import jobService from '../services/job.service.js';
+import { DEFAULT_PROFILE, hasProfile, listProfiles } from '../services/feels.profiles.js';
+import { playlistRateLimiter } from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/jobs
+ * Enqueue a playlist analysis job
+ *
+ * Body: { playlistUrl: string, profile: string (optional, feels weight profile, default 'default') }
+ * Returns: { jobId, status, profile, ... } (202 Accepted)
+ */
+router.post('/', playlistRateLimiter, async (req, res, next) => {
+  try {
+    const { playlistUrl, profile = DEFAULT_PROFILE } = req.body;
+
+    if (!playlistUrl) {
+      return res.status(400).json({
+        error: true,
+        message: 'playlistUrl is required'
+      });
+    }
+
+    if (!hasProfile(profile)) {
+      return res.status(400).json({
+        error: true,
+        message: `Unknown profile "${profile}". Available: ${listProfiles().map(p => p.name).join(', ')}`
+      });
+    }
+
+    const job = await jobService.createJob(playlistUrl, { profile });
+    console.log(`🗂️  Created analysis job ${job.id} for ${playlistUrl}`);
+
+    jobService.startWorker(job);
+
+    res.status(202).json({
+      success: true,
+      data: jobService.toResponse(job)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/jobs/:jobId
+ * Get job status, progress, partial results and errors
+ * Polling also resumes jobs whose previous worker was interrupted
+ *
+ * Query: { offset: number } (optional, skip results the client already has)
+ */
+router.get('/:jobId', async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    const offset = Math.max(0, parseInt(req.query.offset || '0') || 0);
+
+    const job = await jobService.getJob(jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: true,
+        message: 'Job not found or expired'
+      });
+    }
+
+    jobService.startWorker(job);
+
+    res.json({
+      success: true,
+      data: jobService.toResponse(job, offset)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
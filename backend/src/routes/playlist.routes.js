@@ -5,7 +5,8 @@
 import express from 'express';
 import youtubeService from '../services/youtube.service.js';
 import musicAnalysisService from '../services/music-analysis.service.js';
-import { calculateFeelsScore } from '../services/feels.calculator.js';
+import { calculateFeelsScore, scoreMatch, scoreChapters } from '../services/feels.calculator.js';
+import { DEFAULT_PROFILE, hasProfile, listProfiles } from '../services/feels.profiles.js';
 import { playlistRateLimiter } from '../middleware/rateLimiter.js';
 
 const router = express.Router();
@@ -47,12 +48,12 @@ router.post('/info', playlistRateLimiter, async (req, res, next) => {
  * POST /api/playlist/analyze
  * Fetch playlist and analyze all videos for feels scores
  *
- * Body: { playlistUrl: string }
+ * Body: { playlistUrl: string, profile: string (optional) }
  * Returns: { playlist, analysis }
  */
 router.post('/analyze', playlistRateLimiter, async (req, res, next) => {
   try {
-    const { playlistUrl } = req.body;
+    const { playlistUrl, profile = DEFAULT_PROFILE } = req.body;
 
     if (!playlistUrl) {
       return res.status(400).json({
@@ -61,6 +62,13 @@ router.post('/analyze', playlistRateLimiter, async (req, res, next) => {
       });
     }
 
+    if (!hasProfile(profile)) {
+      return res.status(400).json({
+        error: true,
+        message: `Unknown profile "${profile}". Available: ${listProfiles().map(p => p.name).join(', ')}`
+      });
+    }
+
     console.log(`📋 Analyzing playlist: ${playlistUrl}`);
 
     // Fetch playlist
@@ -83,16 +91,23 @@ router.post('/analyze', playlistRateLimiter, async (req, res, next) => {
       const batch = videosToAnalyze.slice(i, i + BATCH_SIZE);
 
       const batchResults = await Promise.all(
-        batch.map(video => musicAnalysisService.matchVideo(video))
+        batch.map(video => musicAnalysisService.matchVideo(video, { priority: 'bulk' }))
       );
 
       batchResults.forEach((result, index) => {
         const video = batch[index];
         const analyzedVideo = {
           ...video,
-          feelsScore: result.feelsScore,
+          ...scoreMatch(result, profile),
           matched: result.matched,
-          audioFeatures: result.audioFeatures
+          audioFeatures: result.audioFeatures,
+          featureProviders: result.featureProviders || null,
+          featureDisagreement: result.featureDisagreement || null,
+          year: result.year ?? null,
+          alternatives: result.alternatives || [],
+          override: result.override || null,
+          compilation: result.compilation || null,
+          chapters: scoreChapters(result.chapters, profile)
         };
 
         analyzedVideos.push(analyzedVideo);
@@ -0,0 +1,144 @@
+/**
+ * Video routes - Manual corrections for individual videos
+ */
+
+import express from 'express';
+import overrideService from '../services/override.service.js';
+import musicBrainzService from '../services/musicbrainz.service.js';
+import youtubeService from '../services/youtube.service.js';
+import { requireAdmin } from '../middleware/adminAuth.js';
+import { overrideRateLimiter } from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+// YouTube video IDs: 11 URL-safe base64 characters
+const VIDEO_ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+
+router.param('videoId', (req, res, next, videoId) => {
+  if (!VIDEO_ID_PATTERN.test(videoId)) {
+    return res.status(400).json({
+      error: true,
+      message: 'Invalid YouTube video ID'
+    });
+  }
+  next();
+});
+
+/**
+ * GET /api/videos/:videoId/override
+ * Get the manual override for a video
+ */
+router.get('/:videoId/override', async (req, res, next) => {
+  try {
+    const override = await overrideService.get(req.params.videoId);
+
+    if (!override) {
+      return res.status(404).json({
+        error: true,
+        message: 'No override for this video'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: override
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/videos/:videoId/override
+ * Set a manual override, replacing any previous one
+ * Takes precedence over automatic matching from the next analysis on
+ *
+ * Body: {
+ *   feelsScore: number (0-100, optional),
+ *   positivityScore: number (0-100, optional),
+ *   recordingId: string (MusicBrainz recording ID to pin, optional),
+ *   note: string (optional)
+ * }
+ * At least one of feelsScore, positivityScore or recordingId is required.
+ * A pinned recording becomes a training example for the title model, with
+ * the video's title and channel fetched from YouTube rather than trusted
+ * from the request.
+ * Requires `Authorization: Bearer <ADMIN_TOKEN>`.
+ */
+router.put('/:videoId/override', overrideRateLimiter, requireAdmin, async (req, res, next) => {
+  try {
+    const { videoId } = req.params;
+    const { feelsScore, positivityScore, recordingId, note } = req.body || {};
+    const input = { feelsScore, positivityScore, recordingId, note };
+
+    const errors = overrideService.validate(input);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: true,
+        message: errors.join('; ')
+      });
+    }
+
+    if (recordingId !== undefined) {
+      const recording = await musicBrainzService.getRecordingById(recordingId);
+      if (!recording) {
+        return res.status(404).json({
+          error: true,
+          message: `MusicBrainz recording ${recordingId} not found`
+        });
+      }
+      input.artist = recording.artist;
+      input.song = recording.title;
+
+      const [video] = await youtubeService.getVideoDetails(videoId);
+      if (!video) {
+        return res.status(404).json({
+          error: true,
+          message: `YouTube video ${videoId} not found`
+        });
+      }
+      input.videoTitle = video.title;
+      input.channelTitle = video.channelTitle;
+    }
+
+    const override = await overrideService.set(videoId, input);
+    console.log(`✏️  Override set for video ${videoId}`);
+
+    res.json({
+      success: true,
+      data: override
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/videos/:videoId/override
+ * Remove a manual override, reverting to automatic matching
+ * Requires `Authorization: Bearer <ADMIN_TOKEN>`.
+ */
+router.delete('/:videoId/override', overrideRateLimiter, requireAdmin, async (req, res, next) => {
+  try {
+    const { videoId } = req.params;
+    const removed = await overrideService.remove(videoId);
+
+    if (!removed) {
+      return res.status(404).json({
+        error: true,
+        message: 'No override for this video'
+      });
+    }
+
+    console.log(`↩️  Override removed for video ${videoId}`);
+
+    res.json({
+      success: true,
+      data: { videoId, removed: true }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
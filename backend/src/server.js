@@ -5,6 +5,7 @@
 import dotenv from 'dotenv';
 import app from './app.js';
 import cacheService from './services/cache.service.js';
+import repository from './services/repository.service.js';
 import musicAnalysisService from './services/music-analysis.service.js';
 
 // Load environment variables
@@ -25,6 +26,7 @@ const PORT = process.env.PORT || 3001;
 
 // Initialize services
 await cacheService.initialize();
+await repository.initialize();
 await musicAnalysisService.initialize();
 
 // Start server
@@ -34,6 +36,7 @@ const server = app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`💾 Cache: ${cacheService.getStats().type}`);
+  console.log(`🗄️  Storage: ${repository.getStatus().driver}`);
   console.log(`🎵 Music Analysis: MusicBrainz + Genre Heuristics`);
   console.log(`💰 Cost: 100% FREE - No API costs!`);
   console.log('\n✨ Ready to analyze playlists!\n');
@@ -44,6 +47,7 @@ process.on('SIGTERM', async () => {
   console.log('\n👋 SIGTERM received, shutting down gracefully...');
   server.close(async () => {
     await cacheService.disconnect();
+    await repository.disconnect();
     console.log('✅ Server closed');
     process.exit(0);
   });
@@ -53,6 +57,7 @@ process.on('SIGINT', async () => {
   console.log('\n👋 SIGINT received, shutting down gracefully...');
   server.close(async () => {
     await cacheService.disconnect();
+    await repository.disconnect();
     console.log('✅ Server closed');
     process.exit(0);
   });
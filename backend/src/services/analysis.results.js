@@ -0,0 +1,57 @@
+/**
+ * Analysis Results - The per-video result shape shared by the analyze
+ * routes and background jobs
+ */
+
+import { scoreMatch, scoreChapters } from './feels.calculator.js';
+import { DEFAULT_PROFILE } from './feels.profiles.js';
+
+/**
+ * Build the analysis result for one video
+ *
+ * @param {Object} video - YouTube video object ({ id, title, channelTitle, thumbnails })
+ * @param {Object} matchResult - From musicAnalysisService.matchVideo
+ * @param {string|Object} profile - Feels profile name or object (default: 'default')
+ * @returns {Object} Result with feels and positivity scores
+ */
+export function buildResult(video, matchResult, profile = DEFAULT_PROFILE) {
+  return {
+    videoId: video.id,
+    title: video.title,
+    channelTitle: video.channelTitle,
+    thumbnails: video.thumbnails,
+    ...scoreMatch(matchResult, profile),
+    matched: matchResult.matched,
+    spotifyMatch: matchResult.spotifyMatch || null,
+    audioFeatures: matchResult.audioFeatures || null,
+    featureProviders: matchResult.featureProviders || null,
+    featureDisagreement: matchResult.featureDisagreement || null,
+    year: matchResult.year ?? null,
+    alternatives: matchResult.alternatives || [],
+    override: matchResult.override || null,
+    compilation: matchResult.compilation || null,
+    chapters: scoreChapters(matchResult.chapters, profile),
+    parseConfidence: matchResult.parseConfidence,
+    cached: matchResult.cached
+  };
+}
+
+/**
+ * Build the result for a video whose analysis failed: unmatched, neutral scores
+ *
+ * @param {Object} video - YouTube video object
+ * @param {Error} error - Why the analysis failed
+ * @returns {Object} Result with the error message
+ */
+export function buildErrorResult(video, error) {
+  return {
+    videoId: video.id,
+    title: video.title,
+    channelTitle: video.channelTitle,
+    thumbnails: video.thumbnails,
+    feelsScore: 50,
+    positivityScore: 50,
+    matched: false,
+    error: error.message
+  };
+}
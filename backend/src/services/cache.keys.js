@@ -0,0 +1,136 @@
+/**
+ * Cache Keys - Namespaced, versioned cache key schemas
+ *
+ * Every cache key is built here, as
+ *   <namespace>:v<version>[:a<analyzer version>]:<part>:<part>...
+ *
+ * - Bump a namespace's version when the shape of its cached values changes;
+ *   old entries are then never read again and expire on their own.
+ * - Derived namespaces hold results computed by the genre analyzer and also
+ *   carry ANALYZER_VERSION, so changing the genre map invalidates only them
+ *   (and they can be dropped per analyzer version, see invalidation.service.js).
+ * - Parts are escaped, so IDs and free text can't collide with the separator
+ *   or with SCAN glob characters. Free text should go through
+ *   normalizeKeyText() first so "Daft Punk" and "daft  punk" share an entry.
+ *
+ * Namespaces marked `l1: false` hold state that instances share and update
+ * (e.g. job leases); cacheService never serves them from its in-process tier
+ * while Redis is up.
+ *
+ * cacheService adds a global prefix (CACHE_PREFIX) on top of these keys.
+ */
+
+import { ANALYZER_VERSION } from './genre-audio-analyzer.service.js';
+
+export const CACHE_NAMESPACES = {
+  'musicbrainz:recording': { version: 4 },     // Search results by artist + title
+  'musicbrainz:recording-id': { version: 3 },  // Recordings by MBID
+  'musicbrainz:release-group': { version: 1 }, // Release groups by MBID (fallback genres)
+  'musicbrainz:artist': { version: 1 },        // Artist search results by name
+  'llm:audio': { version: 1 },                 // LLM-estimated audio features
+  'spotify:audio-features': { version: 1 },
+  'spotify:match': { version: 1 },
+  'music:match': { version: 1, derived: true },       // Video -> recording matches
+  'playlist:analysis': { version: 1, derived: true }, // Whole playlist analyses
+  'job': { version: 1, l1: false }                    // Background job state
+};
+
+/**
+ * Get a namespace's definition
+ *
+ * @param {string} namespace - Namespace name
+ * @returns {Object} { version, derived }
+ * @throws {Error} If the namespace is unknown
+ */
+export function getNamespace(namespace) {
+  const definition = CACHE_NAMESPACES[namespace];
+  if (!definition) {
+    throw new Error(`Unknown cache namespace "${namespace}"`);
+  }
+  return definition;
+}
+
+/**
+ * Build a cache key
+ *
+ * @param {string} namespace - Namespace name (see CACHE_NAMESPACES)
+ * @param {...string} parts - Identifying parts (IDs, normalized text)
+ * @returns {string} Cache key
+ */
+export function cacheKey(namespace, ...parts) {
+  return versionPrefix(namespace) + parts.map(encodeKeyPart).join(':');
+}
+
+/**
+ * Prefix shared by every key in a namespace, across all versions
+ *
+ * @param {string} namespace - Namespace name
+ * @returns {string} Key prefix
+ */
+export function namespacePrefix(namespace) {
+  getNamespace(namespace);
+  return `${namespace}:`;
+}
+
+/**
+ * Prefix shared by a namespace's keys of the current version
+ *
+ * @param {string} namespace - Namespace name
+ * @param {number} analyzerVersion - Analyzer version for derived namespaces (default: current)
+ * @returns {string} Key prefix
+ */
+export function versionPrefix(namespace, analyzerVersion = ANALYZER_VERSION) {
+  const { version, derived } = getNamespace(namespace);
+  return derived
+    ? `${namespace}:v${version}:a${analyzerVersion}:`
+    : `${namespace}:v${version}:`;
+}
+
+/**
+ * Find the namespace a key belongs to
+ *
+ * @param {string} key - Cache key built by cacheKey()
+ * @returns {string} Namespace name, or 'other' for keys built elsewhere
+ */
+export function getKeyNamespace(key) {
+  return Object.keys(CACHE_NAMESPACES).find(namespace => key.startsWith(`${namespace}:`)) || 'other';
+}
+
+/**
+ * Whether a key's value may be kept in an instance's in-process cache
+ *
+ * @param {string} key - Cache key
+ * @returns {boolean} False for namespaces marked `l1: false`
+ */
+export function allowsLocalCaching(key) {
+  return CACHE_NAMESPACES[getKeyNamespace(key)]?.l1 !== false;
+}
+
+/**
+ * Names of the namespaces whose values depend on the analyzer version
+ */
+export function getDerivedNamespaces() {
+  return Object.keys(CACHE_NAMESPACES).filter(namespace => CACHE_NAMESPACES[namespace].derived);
+}
+
+/**
+ * Normalize free text for use in a key: Unicode-normalized, lowercase,
+ * trimmed, with runs of whitespace collapsed
+ *
+ * @param {string} text - Text such as an artist name or song title
+ * @returns {string} Normalized text
+ */
+export function normalizeKeyText(text) {
+  return String(text ?? '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .trim()
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Escape a key part so it can't contain ':' or SCAN glob characters
+ */
+function encodeKeyPart(part) {
+  return encodeURIComponent(String(part)).replace(/\*/g, '%2A');
+}
@@ -1,21 +1,75 @@
 /**
- * Cache Service - Handles caching with Redis or in-memory fallback
+ * Cache Service - Two-tier cache: in-process memory (L1) in front of Redis (L2)
+ *
+ * Keys are built with cache.keys.js. In Redis every key is stored under a
+ * global prefix (CACHE_PREFIX, default 'feels'), so the cache can share a
+ * Redis instance with other apps and clear() only removes our own keys.
+ *
+ * Without REDIS_URL the memory cache is the only tier and keeps entries for
+ * their full TTL. With Redis up, reads try memory first and fall through to
+ * Redis, and writes go to both; memory copies live at most CACHE_L1_TTL
+ * seconds so instances don't serve each other stale data for long.
+ * Namespaces marked `l1: false` (shared job state) always read from Redis.
+ *
+ * While Redis is down memory takes over as the only tier. Writes, deletes
+ * and invalidations made meanwhile are replayed to Redis when it reconnects.
+ *
+ * The in-memory cache is a bounded LRU (CACHE_MAX_ENTRIES, CACHE_MAX_BYTES).
+ * Hits, misses and evictions are counted per key namespace; see getStats().
  */
 
 import { createClient } from 'redis';
+import { LruCache } from '../utils/lruCache.js';
+import { getKeyNamespace, allowsLocalCaching } from './cache.keys.js';
+
+const DEFAULT_MAX_ENTRIES = 10000;
+const DEFAULT_MAX_BYTES = 64 * 1024 * 1024; // 64 MB
+const MAX_PENDING_WRITES = 10000; // Outage writes kept for replay; oldest dropped first
 
 class CacheService {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxEntries - Memory cache entry limit (default: CACHE_MAX_ENTRIES)
+   * @param {number} options.maxBytes - Memory cache size limit (default: CACHE_MAX_BYTES)
+   * @param {number} options.l1TtlSeconds - Lifetime of memory copies of Redis entries (default: CACHE_L1_TTL)
+   */
+  constructor({
+    maxEntries = parseInt(process.env.CACHE_MAX_ENTRIES || String(DEFAULT_MAX_ENTRIES)),
+    maxBytes = parseInt(process.env.CACHE_MAX_BYTES || String(DEFAULT_MAX_BYTES)),
+    l1TtlSeconds = parseInt(process.env.CACHE_L1_TTL || '60')
+  } = {}) {
     this.client = null;
     this.isRedisAvailable = false;
-    this.memoryCache = new Map();
-    this.ttlMap = new Map(); // Track TTL for memory cache
+    this.l1TtlSeconds = l1TtlSeconds;
+    this.memoryCache = new LruCache({
+      maxEntries,
+      maxBytes,
+      onEvict: (key, reason) => this.count(key, reason === 'size' ? 'evictions' : 'expirations')
+    });
+    this.metrics = new Map(); // namespace -> { hits, l1Hits, misses, sets, evictions, expirations }
+    this.pendingWrites = new Map(); // key -> { value, expiresAt } | { deleted: true }
+    this.pendingPrefixes = new Set();
+    this.cleanupTimer = null;
+  }
+
+  /**
+   * Prefix for every key stored in Redis
+   */
+  get prefix() {
+    return `${process.env.CACHE_PREFIX || 'feels'}:`;
   }
 
   /**
    * Initialize Redis client (optional)
+   *
+   * Startup waits at most CACHE_CONNECT_TIMEOUT_MS for Redis; after that the
+   * memory tier serves requests while the client keeps reconnecting in the
+   * background with exponential backoff (capped at 30s).
    */
   async initialize() {
+    // Start TTL cleanup for memory cache
+    this.startMemoryCacheTTLCleanup();
+
     const redisUrl = process.env.REDIS_URL;
 
     if (!redisUrl) {
@@ -23,46 +77,79 @@ class CacheService {
       return;
     }
 
-    try {
-      this.client = createClient({ url: redisUrl });
+    this.client = createClient({
+      url: redisUrl,
+      // Fail commands while disconnected instead of queueing them until reconnect
+      disableOfflineQueue: true,
+      socket: {
+        reconnectStrategy: (retries) => Math.min(100 * 2 ** retries, 30000)
+      }
+    });
 
-      this.client.on('error', (err) => {
-        console.error('Redis client error:', err);
-        this.isRedisAvailable = false;
-      });
+    this.client.on('ready', () => {
+      console.log('📦 Cache: Connected to Redis');
+      return this.onRedisReady();
+    });
 
-      this.client.on('connect', () => {
-        console.log('📦 Cache: Connected to Redis');
-        this.isRedisAvailable = true;
-      });
+    this.client.on('error', (err) => {
+      // Reconnect attempts fail repeatedly during an outage; log the transition only
+      if (this.isRedisAvailable) {
+        console.error('Redis client error, falling back to in-memory cache:', err.message);
+      }
+      this.isRedisAvailable = false;
+    });
 
-      await this.client.connect();
-    } catch (error) {
-      console.warn('Failed to connect to Redis, falling back to in-memory cache:', error.message);
+    this.client.on('end', () => {
       this.isRedisAvailable = false;
-      this.client = null;
-    }
+    });
 
-    // Start TTL cleanup for memory cache
-    this.startMemoryCacheTTLCleanup();
+    const connecting = this.client.connect().catch((error) => {
+      console.warn('Failed to connect to Redis, falling back to in-memory cache:', error.message);
+    });
+    const timeoutMs = parseInt(process.env.CACHE_CONNECT_TIMEOUT_MS || '5000');
+    await Promise.race([connecting, sleep(timeoutMs)]);
+
+    if (!this.isRedisAvailable) {
+      console.warn('📦 Cache: Redis not reachable yet, using in-memory cache until it connects');
+    }
   }
 
   /**
    * Get value from cache
    */
   async get(key) {
+    const { value, tier } = await this.read(key);
+    this.countLookup(key, value, tier);
+    return value;
+  }
+
+  /**
+   * Read a value without counting the lookup
+   *
+   * @returns {Object} { value, tier } - tier is 'l1', 'l2' or null on a miss
+   */
+  async read(key) {
+    if (this.readsFromMemory(key)) {
+      const value = this.memoryCache.get(key);
+      if (value !== undefined) {
+        return { value, tier: 'l1' };
+      }
+    }
+
     if (this.isRedisAvailable && this.client) {
       try {
-        const value = await this.client.get(key);
-        return value ? JSON.parse(value) : null;
+        const raw = await this.client.get(this.redisKey(key));
+        if (raw !== null) {
+          const value = JSON.parse(raw);
+          this.setLocalCopy(key, value);
+          return { value, tier: 'l2' };
+        }
       } catch (error) {
-        console.error('Redis GET error:', error);
-        // Fallback to memory cache
-        return this.getFromMemory(key);
+        this.onRedisError('GET', error);
       }
     }
 
-    return this.getFromMemory(key);
+    return { value: null, tier: null };
   }
 
   /**
@@ -70,15 +157,15 @@ class CacheService {
    */
   async set(key, value, ttlSeconds = null) {
     const ttl = ttlSeconds || parseInt(process.env.CACHE_TTL || '2592000');
+    this.count(key, 'sets');
 
     if (this.isRedisAvailable && this.client) {
       try {
-        await this.client.setEx(key, ttl, JSON.stringify(value));
+        await this.client.setEx(this.redisKey(key), ttl, JSON.stringify(value));
+        this.setLocalCopy(key, value, ttl);
         return true;
       } catch (error) {
-        console.error('Redis SET error:', error);
-        // Fallback to memory cache
-        return this.setInMemory(key, value, ttl);
+        this.onRedisError('SET', error);
       }
     }
 
@@ -89,49 +176,75 @@ class CacheService {
    * Delete value from cache
    */
   async del(key) {
+    this.memoryCache.delete(key);
+
     if (this.isRedisAvailable && this.client) {
       try {
-        await this.client.del(key);
+        await this.client.del(this.redisKey(key));
+        return;
       } catch (error) {
-        console.error('Redis DEL error:', error);
+        this.onRedisError('DEL', error);
       }
     }
 
-    this.memoryCache.delete(key);
-    this.ttlMap.delete(key);
+    this.queueReplay(key, { deleted: true });
   }
 
   /**
    * Check if key exists in cache
    */
   async exists(key) {
-    if (this.isRedisAvailable && this.client) {
-      try {
-        return await this.client.exists(key) === 1;
-      } catch (error) {
-        console.error('Redis EXISTS error:', error);
-        return this.memoryCache.has(key);
-      }
-    }
-
-    return this.memoryCache.has(key);
+    const { value } = await this.read(key);
+    return value !== null;
   }
 
   /**
    * Get multiple values at once
    */
   async mget(keys) {
-    if (this.isRedisAvailable && this.client) {
+    const { values, tiers } = await this.readMany(keys);
+    keys.forEach((key, i) => this.countLookup(key, values[i], tiers[i]));
+    return values;
+  }
+
+  /**
+   * Read several values without counting the lookups
+   * Memory first, then a single MGET for the keys it didn't have
+   *
+   * @returns {Object} { values, tiers } in the order of keys
+   */
+  async readMany(keys) {
+    const values = keys.map(() => null);
+    const tiers = keys.map(() => null);
+    const missing = [];
+
+    keys.forEach((key, i) => {
+      const value = this.readsFromMemory(key) ? this.memoryCache.get(key) : undefined;
+      if (value !== undefined) {
+        values[i] = value;
+        tiers[i] = 'l1';
+      } else {
+        missing.push(i);
+      }
+    });
+
+    if (missing.length > 0 && this.isRedisAvailable && this.client) {
       try {
-        const values = await this.client.mGet(keys);
-        return values.map(v => v ? JSON.parse(v) : null);
+        const raw = await this.client.mGet(missing.map(i => this.redisKey(keys[i])));
+        raw.forEach((item, j) => {
+          if (item !== null) {
+            const i = missing[j];
+            values[i] = JSON.parse(item);
+            tiers[i] = 'l2';
+            this.setLocalCopy(keys[i], values[i]);
+          }
+        });
       } catch (error) {
-        console.error('Redis MGET error:', error);
-        return keys.map(key => this.getFromMemory(key));
+        this.onRedisError('MGET', error);
       }
     }
 
-    return keys.map(key => this.getFromMemory(key));
+    return { values, tiers };
   }
 
   /**
@@ -139,73 +252,221 @@ class CacheService {
    */
   async mset(keyValuePairs, ttlSeconds = null) {
     const ttl = ttlSeconds || parseInt(process.env.CACHE_TTL || '2592000');
+    const entries = Object.entries(keyValuePairs);
+    entries.forEach(([key]) => this.count(key, 'sets'));
 
     if (this.isRedisAvailable && this.client) {
       try {
         const pipeline = this.client.multi();
-        for (const [key, value] of Object.entries(keyValuePairs)) {
-          pipeline.setEx(key, ttl, JSON.stringify(value));
+        for (const [key, value] of entries) {
+          pipeline.setEx(this.redisKey(key), ttl, JSON.stringify(value));
         }
         await pipeline.exec();
-        return true;
-      } catch (error) {
-        console.error('Redis MSET error:', error);
-        for (const [key, value] of Object.entries(keyValuePairs)) {
-          this.setInMemory(key, value, ttl);
+        for (const [key, value] of entries) {
+          this.setLocalCopy(key, value, ttl);
         }
         return true;
+      } catch (error) {
+        this.onRedisError('MSET', error);
       }
     }
 
-    for (const [key, value] of Object.entries(keyValuePairs)) {
+    for (const [key, value] of entries) {
       this.setInMemory(key, value, ttl);
     }
     return true;
   }
 
   /**
-   * Clear all cache
+   * Delete every key starting with a prefix
+   * Uses SCAN in Redis (never KEYS, which blocks the server) and a prefix
+   * scan of the memory cache
+   *
+   * @param {string} prefix - Key prefix, e.g. from namespacePrefix()
+   * @returns {number} Number of keys deleted
    */
-  async clear() {
+  async invalidatePrefix(prefix) {
+    let deleted = 0;
+    for (const key of this.memoryCache.keys()) {
+      if (key.startsWith(prefix)) {
+        this.memoryCache.delete(key);
+        deleted++;
+      }
+    }
+
     if (this.isRedisAvailable && this.client) {
       try {
-        await this.client.flushAll();
+        // Memory only held copies of Redis entries; count the originals
+        return await this.scanAndDelete(prefix);
       } catch (error) {
-        console.error('Redis FLUSH error:', error);
+        this.onRedisError('SCAN', error);
       }
     }
 
-    this.memoryCache.clear();
-    this.ttlMap.clear();
+    if (this.client) {
+      // Replay the invalidation on reconnect; queued writes under it are moot
+      for (const key of Array.from(this.pendingWrites.keys())) {
+        if (key.startsWith(prefix)) {
+          this.pendingWrites.delete(key);
+        }
+      }
+      this.pendingPrefixes.add(prefix);
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Clear all cache
+   * Only removes this app's keys (see CACHE_PREFIX), never the whole Redis
+   */
+  async clear() {
+    return this.invalidatePrefix('');
   }
 
   /**
    * Disconnect from Redis
    */
   async disconnect() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+
     if (this.client) {
-      await this.client.disconnect();
+      try {
+        await this.client.disconnect();
+      } catch (error) {
+        // Already closed, e.g. never managed to connect
+      }
+      this.client = null;
       this.isRedisAvailable = false;
+      this.pendingWrites.clear();
+      this.pendingPrefixes.clear();
     }
   }
 
-  // Private methods for in-memory cache
+  // Private methods
+
+  redisKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  /**
+   * Whether a read may be answered from memory: always when memory is the
+   * only tier, otherwise unless the key's namespace opted out of L1
+   */
+  readsFromMemory(key) {
+    return !this.isRedisAvailable || allowsLocalCaching(key);
+  }
 
-  getFromMemory(key) {
-    const ttlEntry = this.ttlMap.get(key);
-    if (ttlEntry && Date.now() > ttlEntry) {
-      // Expired
+  /**
+   * Keep a short-lived memory copy of a value that is in Redis
+   */
+  setLocalCopy(key, value, ttlSeconds = this.l1TtlSeconds) {
+    if (allowsLocalCaching(key)) {
+      this.memoryCache.set(key, value, Math.min(ttlSeconds, this.l1TtlSeconds));
+    } else {
       this.memoryCache.delete(key);
-      this.ttlMap.delete(key);
-      return null;
+    }
+  }
+
+  onRedisError(operation, error) {
+    console.error(`Redis ${operation} error:`, error.message);
+    // A failed command on a live connection (e.g. bad data) doesn't mean Redis is gone
+    if (!this.client?.isReady) {
+      this.isRedisAvailable = false;
+    }
+  }
+
+  /**
+   * Remember a change made while Redis was down, to replay on reconnect
+   */
+  queueReplay(key, change) {
+    if (!this.client) {
+      return;
+    }
+
+    this.pendingWrites.delete(key); // Move to the back so the newest changes are kept
+    if (this.pendingWrites.size >= MAX_PENDING_WRITES) {
+      this.pendingWrites.delete(this.pendingWrites.keys().next().value);
+    }
+    this.pendingWrites.set(key, change);
+  }
+
+  /**
+   * Redis (re)connected: replay what changed during the outage, then drop
+   * the memory entries so reads go back to Redis
+   */
+  async onRedisReady() {
+    this.isRedisAvailable = true;
+
+    const prefixes = Array.from(this.pendingPrefixes);
+    const writes = Array.from(this.pendingWrites);
+    this.pendingPrefixes.clear();
+    this.pendingWrites.clear();
+
+    try {
+      for (const prefix of prefixes) {
+        await this.scanAndDelete(prefix);
+      }
+
+      for (const [key, change] of writes) {
+        if (change.deleted) {
+          await this.client.del(this.redisKey(key));
+          continue;
+        }
+        const ttl = Math.ceil((change.expiresAt - Date.now()) / 1000);
+        if (ttl > 0) {
+          await this.client.setEx(this.redisKey(key), ttl, JSON.stringify(change.value));
+        }
+      }
+    } catch (error) {
+      // Dropped again mid-replay: keep everything for the next reconnect,
+      // without overwriting changes made since
+      prefixes.forEach(prefix => this.pendingPrefixes.add(prefix));
+      for (const [key, change] of writes) {
+        if (!this.pendingWrites.has(key)) {
+          this.pendingWrites.set(key, change);
+        }
+      }
+      this.onRedisError('replay', error);
+      return;
+    }
+
+    if (prefixes.length > 0 || writes.length > 0) {
+      console.log(`📦 Cache: Replayed ${writes.length} writes and ${prefixes.length} invalidations to Redis`);
+    }
+    this.memoryCache.clear();
+  }
+
+  /**
+   * Delete the Redis keys under a prefix in batches of 100
+   */
+  async scanAndDelete(prefix) {
+    const pattern = `${escapeGlob(this.redisKey(prefix))}*`;
+    let deleted = 0;
+    let batch = [];
+
+    for await (const key of this.client.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+      batch.push(key);
+      if (batch.length >= 100) {
+        deleted += await this.client.del(batch);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      deleted += await this.client.del(batch);
     }
 
-    return this.memoryCache.get(key) || null;
+    return deleted;
   }
 
+  // Private methods for in-memory cache
+
   setInMemory(key, value, ttlSeconds) {
-    this.memoryCache.set(key, value);
-    this.ttlMap.set(key, Date.now() + (ttlSeconds * 1000));
+    this.memoryCache.set(key, value, ttlSeconds);
+    this.queueReplay(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
     return true;
   }
 
@@ -213,30 +474,99 @@ class CacheService {
    * Periodically clean up expired entries from memory cache
    */
   startMemoryCacheTTLCleanup() {
-    setInterval(() => {
-      const now = Date.now();
-      for (const [key, expiry] of this.ttlMap.entries()) {
-        if (now > expiry) {
-          this.memoryCache.delete(key);
-          this.ttlMap.delete(key);
-        }
-      }
+    if (this.cleanupTimer) {
+      return;
+    }
+
+    this.cleanupTimer = setInterval(() => {
+      this.memoryCache.purgeExpired();
     }, 60000); // Clean up every minute
+    this.cleanupTimer.unref();
+  }
+
+  countLookup(key, value, tier) {
+    this.count(key, value === null ? 'misses' : 'hits');
+    if (value !== null && tier === 'l1') {
+      this.count(key, 'l1Hits');
+    }
+  }
+
+  /**
+   * Count a cache event for the key's namespace
+   */
+  count(key, event) {
+    const namespace = getKeyNamespace(key);
+    if (!this.metrics.has(namespace)) {
+      this.metrics.set(namespace, { hits: 0, l1Hits: 0, misses: 0, sets: 0, evictions: 0, expirations: 0 });
+    }
+    this.metrics.get(namespace)[event]++;
   }
 
   /**
-   * Get cache stats
+   * Get cache stats: tier state, memory usage and per-namespace counters
+   * (counters are per process and reset on restart)
    */
   getStats() {
+    const namespaces = {};
+    const totals = { hits: 0, l1Hits: 0, misses: 0, sets: 0, evictions: 0, expirations: 0 };
+
+    for (const [namespace, counters] of this.metrics) {
+      namespaces[namespace] = { ...counters, hitRate: hitRate(counters) };
+      for (const event of Object.keys(totals)) {
+        totals[event] += counters[event];
+      }
+    }
+
     return {
       type: this.isRedisAvailable ? 'redis' : 'memory',
+      redis: {
+        configured: Boolean(this.client),
+        available: this.isRedisAvailable,
+        pendingWrites: this.pendingWrites.size,
+        pendingInvalidations: this.pendingPrefixes.size
+      },
+      l1TtlSeconds: this.l1TtlSeconds,
       size: this.memoryCache.size,
-      keys: Array.from(this.memoryCache.keys())
+      bytes: this.memoryCache.bytes,
+      maxEntries: this.memoryCache.maxEntries,
+      maxBytes: this.memoryCache.maxBytes,
+      totals: { ...totals, hitRate: hitRate(totals) },
+      namespaces
     };
   }
+
+  /**
+   * Reset the hit/miss/eviction counters
+   */
+  resetStats() {
+    this.metrics.clear();
+  }
+}
+
+/**
+ * Share of lookups that were hits (null before any lookup)
+ */
+function hitRate({ hits, misses }) {
+  const lookups = hits + misses;
+  return lookups > 0 ? Math.round((hits / lookups) * 1000) / 1000 : null;
+}
+
+/**
+ * Escape Redis glob characters so a prefix matches literally
+ */
+function escapeGlob(text) {
+  return text.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+/**
+ * Resolve after ms without keeping the process alive
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms).unref());
 }
 
 // Singleton instance
 const cacheService = new CacheService();
 
+export { CacheService };
 export default cacheService;
@@ -0,0 +1,235 @@
+/**
+ * Feature Provider Registry
+ * Chooses which sources produce audio features for a track
+ *
+ * Every provider implements the same interface:
+ *   name          - Unique provider name used in config
+ *   initialize()  - Async setup (load clients, check credentials)
+ *   isAvailable() - Whether the provider can be used right now
+ *   getFeatures({ artist, song, genres, genreSource, year })
+ *                 - Audio features with a 0-1 `confidence`, or null
+ *
+ * Configuration (environment):
+ *   FEATURE_PROVIDERS     - Comma-separated provider names in priority order (default: genre)
+ *   FEATURE_PROVIDER_MODE - 'priority' (first provider with a result wins)
+ *                           or 'blend' (ensemble: confidence-weighted average of
+ *                           all results, plus how much the providers disagree)
+ */
+
+import genreProvider from './feature-providers/genre.provider.js';
+import llmProvider from './feature-providers/llm.provider.js';
+import localAudioProvider from './feature-providers/local-audio.provider.js';
+import spotifyProvider from './feature-providers/spotify.provider.js';
+
+const MODES = ['priority', 'blend'];
+
+// Numeric features averaged in blend mode, with the span of values each
+// can take (used to put disagreement on a common 0-1 scale)
+const FEATURE_RANGES = {
+  energy: 1,
+  tempo: 140,       // ~60-200 BPM
+  danceability: 1,
+  loudness: 25,     // ~-30 to -5 dB
+  valence: 1,
+  acousticness: 1
+};
+
+// A feature counts as disputed when providers are this far apart (0-1 scale)
+const DISAGREEMENT_THRESHOLD = 0.5;
+
+class FeatureProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.order = ['genre'];
+    this.mode = 'priority';
+  }
+
+  /**
+   * Register a feature provider
+   *
+   * @param {Object} provider - Provider implementing the interface above
+   */
+  register(provider) {
+    if (!provider?.name || typeof provider.getFeatures !== 'function') {
+      throw new Error('Feature provider must have a name and a getFeatures() method');
+    }
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Set provider order and mode
+   * Unknown provider names are ignored with a warning
+   *
+   * @param {Object} config
+   * @param {Array<string>} config.order - Provider names in priority order
+   * @param {string} config.mode - 'priority' or 'blend'
+   */
+  configure({ order = this.order, mode = this.mode } = {}) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown feature provider mode "${mode}" (expected ${MODES.join(' or ')})`);
+    }
+
+    const known = order.filter(name => this.providers.has(name));
+    const unknown = order.filter(name => !this.providers.has(name));
+    if (unknown.length > 0) {
+      console.warn(`⚠️  Ignoring unknown feature providers: ${unknown.join(', ')}`);
+    }
+
+    this.order = known;
+    this.mode = mode;
+  }
+
+  /**
+   * Read config from the environment and initialize enabled providers
+   */
+  async initialize() {
+    const order = (process.env.FEATURE_PROVIDERS || 'genre')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+
+    this.configure({
+      order,
+      mode: process.env.FEATURE_PROVIDER_MODE || 'priority'
+    });
+
+    for (const name of this.order) {
+      await this.providers.get(name).initialize();
+    }
+
+    const enabled = this.getEnabledProviders().map(p => p.name);
+    console.log(`🎛️  Feature providers (${this.mode}): ${enabled.join(', ') || 'none'}`);
+  }
+
+  /**
+   * Providers that are configured and currently available, in priority order
+   */
+  getEnabledProviders() {
+    return this.order
+      .map(name => this.providers.get(name))
+      .filter(provider => provider.isAvailable());
+  }
+
+  /**
+   * Get audio features for a track from the configured providers
+   *
+   * @param {Object} track - { artist, song, genres, genreSource, year }
+   * @returns {Object|null} { features, providers: [{ name, confidence }], disagreement } or null
+   *   (disagreement is only set in blend mode with two or more results)
+   */
+  async getFeatures(track) {
+    const providers = this.getEnabledProviders();
+
+    if (this.mode === 'blend') {
+      const results = await Promise.all(providers.map(p => this.runProvider(p, track)));
+      return this.blend(results.filter(Boolean));
+    }
+
+    for (const provider of providers) {
+      const result = await this.runProvider(provider, track);
+      if (result) {
+        return {
+          features: result.features,
+          providers: [{ name: result.name, confidence: result.features.confidence }],
+          disagreement: null
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Combine provider results, weighting each feature by provider confidence
+   *
+   * @param {Array} results - Array of { name, features }
+   * @returns {Object|null} { features, providers, disagreement }
+   */
+  blend(results) {
+    if (results.length === 0) {
+      return null;
+    }
+
+    const providers = results.map(({ name, features }) => ({
+      name,
+      confidence: features.confidence
+    }));
+
+    if (results.length === 1) {
+      return { features: results[0].features, providers, disagreement: null };
+    }
+
+    const weights = results.map(({ features }) => Math.max(0.01, features.confidence ?? 0.5));
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+    const features = {};
+    const variance = {};
+    const perFeature = {};
+
+    for (const [key, range] of Object.entries(FEATURE_RANGES)) {
+      const values = [];
+      results.forEach(({ features: f }, i) => {
+        if (typeof f[key] === 'number') {
+          values.push({ value: f[key], weight: weights[i] });
+        }
+      });
+
+      if (values.length === 0) {
+        continue;
+      }
+
+      const weight = values.reduce((sum, v) => sum + v.weight, 0);
+      const mean = values.reduce((sum, v) => sum + v.value * v.weight, 0) / weight;
+      const featureVariance = values.reduce((sum, v) => sum + v.weight * (v.value - mean) ** 2, 0) / weight;
+
+      features[key] = mean;
+      variance[key] = featureVariance;
+      // Std dev is at most half the range, so double it to land on 0-1
+      perFeature[key] = Math.min(1, (2 * Math.sqrt(featureVariance)) / range);
+    }
+
+    if (features.tempo !== undefined) {
+      features.tempo = Math.round(features.tempo);
+    }
+
+    // Confident providers dominate the combined confidence too
+    features.confidence = weights.reduce((sum, w) => sum + w * w, 0) / totalWeight;
+    features.source = 'blend';
+
+    const scores = Object.values(perFeature);
+    const disputed = Object.keys(perFeature).filter(key => perFeature[key] >= DISAGREEMENT_THRESHOLD);
+
+    const disagreement = {
+      variance,
+      perFeature,
+      overall: scores.length > 0 ? scores.reduce((sum, d) => sum + d, 0) / scores.length : 0,
+      disputed,
+      flagged: disputed.length > 0
+    };
+
+    return { features, providers, disagreement };
+  }
+
+  /**
+   * Run one provider, treating errors as "no result"
+   */
+  async runProvider(provider, track) {
+    try {
+      const features = await provider.getFeatures(track);
+      return features ? { name: provider.name, features } : null;
+    } catch (error) {
+      console.error(`Feature provider "${provider.name}" error:`, error.message);
+      return null;
+    }
+  }
+}
+
+// Singleton instance with built-in providers
+const featureProviderRegistry = new FeatureProviderRegistry();
+featureProviderRegistry.register(genreProvider);
+featureProviderRegistry.register(llmProvider);
+featureProviderRegistry.register(spotifyProvider);
+featureProviderRegistry.register(localAudioProvider);
+
+export { FeatureProviderRegistry };
+export default featureProviderRegistry;
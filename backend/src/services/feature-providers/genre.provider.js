@@ -0,0 +1,26 @@
+/**
+ * Genre Feature Provider
+ * Infers audio features from MusicBrainz genre tags and title keywords
+ */
+
+import genreAudioAnalyzer from '../genre-audio-analyzer.service.js';
+
+const genreProvider = {
+  name: 'genre',
+
+  async initialize() {},
+
+  isAvailable() {
+    return true;
+  },
+
+  /**
+   * @param {Object} track - { artist, song, genres, genreSource, year }
+   * @returns {Object} Audio features with confidence
+   */
+  async getFeatures({ artist, song, genres = [], genreSource, year = null }) {
+    return genreAudioAnalyzer.inferAudioFeatures({ artist, song, genres, genreSource, year });
+  }
+};
+
+export default genreProvider;
@@ -0,0 +1,45 @@
+/**
+ * LLM Feature Provider
+ * Asks Claude to estimate audio features from song metadata
+ *
+ * The analyzer is imported lazily so the Anthropic SDK is only needed
+ * when this provider is enabled
+ */
+
+let llmAudioAnalyzer = null;
+
+const llmProvider = {
+  name: 'llm',
+
+  async initialize() {
+    try {
+      const module = await import('../llm-audio-analyzer.service.js');
+      llmAudioAnalyzer = module.default;
+      llmAudioAnalyzer.initialize();
+    } catch (error) {
+      console.warn('⚠️  LLM feature provider disabled:', error.message);
+      llmAudioAnalyzer = null;
+    }
+  },
+
+  isAvailable() {
+    return Boolean(llmAudioAnalyzer?.client);
+  },
+
+  /**
+   * @param {Object} track - { artist, song, genres, year }
+   * @returns {Object|null} Audio features with confidence, null if the LLM failed
+   */
+  async getFeatures({ artist, song, genres = [], year = null }) {
+    const features = await llmAudioAnalyzer.inferAudioFeatures({ artist, song, genres, year });
+
+    // The analyzer swallows errors and returns neutral fallback values
+    if (!features || features.source === 'fallback') {
+      return null;
+    }
+
+    return features;
+  }
+};
+
+export default llmProvider;
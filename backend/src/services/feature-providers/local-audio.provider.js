@@ -0,0 +1,78 @@
+/**
+ * Local Audio Feature Provider
+ * Measures features from audio files in LOCAL_AUDIO_DIR
+ *
+ * Files are matched to tracks by name, e.g. "Daft Punk - One More Time.mp3"
+ * (WAV and MP3 supported)
+ */
+
+import { readdir } from 'fs/promises';
+import path from 'path';
+import localAudioAnalyzer from '../local-audio-analyzer.service.js';
+import { findBestMatch, normalizeString } from '../../utils/stringMatcher.js';
+
+const AUDIO_EXTENSIONS = ['.wav', '.mp3'];
+const MATCH_THRESHOLD = 0.85;
+
+let files = [];                 // [{ path, name }] with normalized names
+const analyzed = new Map();     // file path -> features (analysis is expensive)
+
+const localAudioProvider = {
+  name: 'local',
+
+  async initialize() {
+    files = [];
+    analyzed.clear();
+
+    const dir = process.env.LOCAL_AUDIO_DIR;
+    if (!dir) {
+      return;
+    }
+
+    try {
+      const entries = await readdir(dir, { withFileTypes: true });
+      files = entries
+        .filter(entry => entry.isFile() && AUDIO_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()))
+        .map(entry => ({
+          path: path.join(dir, entry.name),
+          name: normalizeString(path.basename(entry.name, path.extname(entry.name)))
+        }));
+      console.log(`🎧 Local audio provider: ${files.length} files in ${dir}`);
+    } catch (error) {
+      console.warn('⚠️  Local audio provider disabled:', error.message);
+    }
+  },
+
+  isAvailable() {
+    return files.length > 0;
+  },
+
+  /**
+   * @param {Object} track - { artist, song }
+   * @returns {Object|null} Measured audio features, null if no file matches
+   */
+  async getFeatures({ artist, song }) {
+    const names = files.map(file => file.name);
+    const match = findBestMatch(normalizeString(`${artist} ${song}`), names, MATCH_THRESHOLD) ||
+      findBestMatch(normalizeString(song), names, MATCH_THRESHOLD);
+
+    if (!match) {
+      return null;
+    }
+
+    const filePath = files[match.index].path;
+    if (!analyzed.has(filePath)) {
+      analyzed.set(filePath, await localAudioAnalyzer.analyzeFile(filePath));
+    }
+
+    const features = analyzed.get(filePath);
+
+    return {
+      ...features,
+      // The audio is measured; doubt only comes from the file name match
+      confidence: features.confidence * match.score
+    };
+  }
+};
+
+export default localAudioProvider;
@@ -0,0 +1,41 @@
+/**
+ * Spotify Feature Provider
+ * Uses Spotify's audio features API (requires SPOTIFY_CLIENT_ID/SECRET)
+ */
+
+import spotifyService from '../spotify.service.js';
+
+const spotifyProvider = {
+  name: 'spotify',
+
+  async initialize() {},
+
+  isAvailable() {
+    return Boolean(process.env.SPOTIFY_CLIENT_ID && process.env.SPOTIFY_CLIENT_SECRET);
+  },
+
+  /**
+   * @param {Object} track - { artist, song }
+   * @returns {Object|null} Audio features with confidence, null if no Spotify match
+   */
+  async getFeatures({ artist, song }) {
+    const match = await spotifyService.searchTrack(artist, song);
+    if (!match) {
+      return null;
+    }
+
+    const features = await spotifyService.getAudioFeatures(match.trackId);
+    if (!features) {
+      return null;
+    }
+
+    return {
+      ...features,
+      // Spotify measures the audio itself; confidence reflects how sure we are it's the right track
+      confidence: match.confidence,
+      source: 'spotify'
+    };
+  }
+};
+
+export default spotifyProvider;
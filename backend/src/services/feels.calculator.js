@@ -3,10 +3,12 @@
  * into a 0-100 "feels score" representing song energy/intensity
  */
 
+import { DEFAULT_PROFILE, getProfile } from './feels.profiles.js';
+
 /**
  * Calculate feels score from Spotify audio features
  *
- * The algorithm weights different audio features:
+ * The default profile weights different audio features:
  * - Energy (40%): Primary indicator of intensity and activity
  * - Tempo (25%): Speed and rhythm (normalized from BPM)
  * - Danceability (15%): Rhythmic energy and beat strength
@@ -14,14 +16,20 @@
  * - Valence (5%): Musical positivity
  * - Acousticness (5%): Electronic sounds score higher (inverted)
  *
+ * Other profiles (see feels.profiles.js) change the weights and the
+ * tempo/loudness normalization ranges.
+ *
  * @param {Object} audioFeatures - Spotify audio features object
+ * @param {string|Object} profile - Profile name or profile object (default: 'default')
  * @returns {number} Feels score from 0-100
  */
-export function calculateFeelsScore(audioFeatures) {
+export function calculateFeelsScore(audioFeatures, profile = DEFAULT_PROFILE) {
   if (!audioFeatures) {
     return 50; // Default neutral score
   }
 
+  const { weights, ranges } = typeof profile === 'string' ? getProfile(profile) : profile;
+
   const {
     energy = 0.5,
     tempo = 120,
@@ -31,28 +39,104 @@ export function calculateFeelsScore(audioFeatures) {
     acousticness = 0.5
   } = audioFeatures;
 
+  const [minTempo, maxTempo] = ranges.tempo;
+  const [minLoudness, maxLoudness] = ranges.loudness;
+
   // Normalize each component to 0-1 scale
-  const normalizedEnergy = Math.max(0, Math.min(1, energy));
-  const normalizedTempo = Math.max(0, Math.min(1, tempo / 200)); // Max typical BPM ~200
-  const normalizedDanceability = Math.max(0, Math.min(1, danceability));
-  const normalizedLoudness = Math.max(0, Math.min(1, (loudness + 30) / 25)); // Loudness range: -30 to -5 dB
-  const normalizedValence = Math.max(0, Math.min(1, valence));
-  const normalizedAcousticness = Math.max(0, Math.min(1, 1 - acousticness)); // Invert: electronic = higher
+  const normalized = {
+    energy: clamp01(energy),
+    tempo: clamp01((tempo - minTempo) / (maxTempo - minTempo)),
+    danceability: clamp01(danceability),
+    loudness: clamp01((loudness - minLoudness) / (maxLoudness - minLoudness)),
+    valence: clamp01(valence),
+    acousticness: clamp01(1 - acousticness) // Invert: electronic = higher
+  };
 
   // Weighted combination
-  const score = (
-    normalizedEnergy * 0.40 +
-    normalizedTempo * 0.25 +
-    normalizedDanceability * 0.15 +
-    normalizedLoudness * 0.10 +
-    normalizedValence * 0.05 +
-    normalizedAcousticness * 0.05
-  ) * 100;
+  let score = 0;
+  for (const [feature, weight] of Object.entries(weights)) {
+    score += normalized[feature] * weight;
+  }
+  score *= 100;
 
   // Round to integer and clamp to 0-100
   return Math.round(Math.max(0, Math.min(100, score)));
 }
 
+/**
+ * Calculate positivity score - the second mood axis next to the feels score
+ *
+ * The feels score says how intense a song is; positivity says whether that
+ * intensity is happy or dark, so "sad and intense" and "happy and intense"
+ * land in different places:
+ * - Valence (85%): Musical positivity
+ * - Mode (15%): Major key sounds brighter than minor (when known; otherwise valence)
+ *
+ * @param {Object} audioFeatures - Audio features object
+ * @returns {number} Positivity score from 0-100
+ */
+export function calculatePositivityScore(audioFeatures) {
+  if (!audioFeatures) {
+    return 50; // Default neutral score
+  }
+
+  const { valence = 0.5, mode } = audioFeatures;
+  const normalizedValence = clamp01(valence);
+
+  // Spotify mode: 1 = major, 0 = minor
+  const normalizedMode = mode === 1 || mode === 0 ? mode : normalizedValence;
+
+  const score = (normalizedValence * 0.85 + normalizedMode * 0.15) * 100;
+
+  return Math.round(Math.max(0, Math.min(100, score)));
+}
+
+/**
+ * Score a match result: feels and positivity from its audio features,
+ * with any manual override taking precedence
+ *
+ * @param {Object} matchResult - Result of matchVideo ({ matched, audioFeatures, override })
+ * @param {string|Object} profile - Feels profile name or object (default: 'default')
+ * @returns {Object} { feelsScore, positivityScore } (50 when unknown)
+ */
+export function scoreMatch(matchResult, profile = DEFAULT_PROFILE) {
+  let feelsScore = 50; // Default neutral score
+  let positivityScore = 50;
+
+  if (matchResult.matched && matchResult.audioFeatures) {
+    feelsScore = calculateFeelsScore(matchResult.audioFeatures, profile);
+    positivityScore = calculatePositivityScore(matchResult.audioFeatures);
+  }
+
+  const override = matchResult.override;
+  if (typeof override?.feelsScore === 'number') {
+    feelsScore = override.feelsScore;
+  }
+  if (typeof override?.positivityScore === 'number') {
+    positivityScore = override.positivityScore;
+  }
+
+  return { feelsScore, positivityScore };
+}
+
+/**
+ * Score each chapter of a mix or full album (see musicAnalysisService.matchCompilation)
+ *
+ * @param {Array} chapters - Chapter results ({ matched, audioFeatures, ... }), or none
+ * @param {string|Object} profile - Feels profile name or object (default: 'default')
+ * @returns {Array|null} Chapters with feelsScore and positivityScore, null without chapters
+ */
+export function scoreChapters(chapters, profile = DEFAULT_PROFILE) {
+  return chapters ? chapters.map(chapter => ({ ...chapter, ...scoreMatch(chapter, profile) })) : null;
+}
+
+/**
+ * Clamp a value to the 0-1 range
+ */
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
 /**
  * Get mood label for a given feels score
  *
@@ -106,6 +190,36 @@ export function findClosestVideo(videos, targetScore) {
   return closest;
 }
 
+/**
+ * Find video closest to a target point in the 2D mood space
+ * (feels score × positivity score) by Euclidean distance
+ *
+ * @param {Array} videos - Array of video objects with feelsScore and positivityScore
+ * @param {Object} target - { feels, positivity } (0-100 each)
+ * @returns {Object|null} Closest video or null
+ */
+export function findClosestVideo2D(videos, target) {
+  if (!videos || videos.length === 0) return null;
+
+  const distance = (video) => Math.hypot(
+    (video.feelsScore ?? 50) - target.feels,
+    (video.positivityScore ?? 50) - target.positivity
+  );
+
+  let closest = videos[0];
+  let minDistance = distance(videos[0]);
+
+  for (let i = 1; i < videos.length; i++) {
+    const d = distance(videos[i]);
+    if (d < minDistance) {
+      minDistance = d;
+      closest = videos[i];
+    }
+  }
+
+  return closest;
+}
+
 /**
  * Sort videos by feels score
  *
@@ -0,0 +1,144 @@
+/**
+ * Feels Profiles - Named weight profiles for the feels score
+ *
+ * Profiles are data (src/config/feels-profiles.json). Extra profiles can be
+ * loaded from a JSON file named by FEELS_PROFILES_PATH; they're merged over
+ * the built-in ones. Every profile is validated on load.
+ *
+ * Profile shape:
+ *   {
+ *     label: string,
+ *     description: string,
+ *     weights: { energy, tempo, danceability, loudness, valence, acousticness } (sum to 1),
+ *     ranges: { tempo: [min, max] BPM, loudness: [min, max] dB }
+ *   }
+ */
+
+import { readFileSync } from 'fs';
+
+export const DEFAULT_PROFILE = 'default';
+
+export const FEATURE_KEYS = ['energy', 'tempo', 'danceability', 'loudness', 'valence', 'acousticness'];
+
+const RANGE_KEYS = ['tempo', 'loudness'];
+
+const BUILT_IN_PROFILES_PATH = new URL('../config/feels-profiles.json', import.meta.url);
+
+/**
+ * Validate a single profile
+ *
+ * @param {string} name - Profile name (for error messages)
+ * @param {Object} profile - Profile definition
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+export function validateProfile(name, profile) {
+  const errors = [];
+
+  if (!profile || typeof profile !== 'object') {
+    return [`${name}: profile must be an object`];
+  }
+
+  const { weights, ranges } = profile;
+
+  if (!weights || typeof weights !== 'object') {
+    errors.push(`${name}: weights are required`);
+  } else {
+    for (const [key, weight] of Object.entries(weights)) {
+      if (!FEATURE_KEYS.includes(key)) {
+        errors.push(`${name}: unknown weight "${key}"`);
+      } else if (!Number.isFinite(weight) || weight < 0 || weight > 1) {
+        errors.push(`${name}: weight "${key}" must be a number between 0 and 1`);
+      }
+    }
+
+    const total = Object.values(weights).reduce((sum, w) => sum + (Number(w) || 0), 0);
+    if (Math.abs(total - 1) > 0.001) {
+      errors.push(`${name}: weights must sum to 1 (got ${total.toFixed(3)})`);
+    }
+  }
+
+  if (!ranges || typeof ranges !== 'object') {
+    errors.push(`${name}: ranges are required`);
+  } else {
+    for (const key of RANGE_KEYS) {
+      const range = ranges[key];
+      if (!Array.isArray(range) || range.length !== 2 ||
+          !Number.isFinite(range[0]) || !Number.isFinite(range[1]) ||
+          range[0] >= range[1]) {
+        errors.push(`${name}: range "${key}" must be [min, max] with min < max`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Load and validate profiles
+ *
+ * @param {string} extraPath - Optional JSON file with additional profiles
+ * @returns {Object} Profiles keyed by name
+ * @throws {Error} If any profile is invalid or the default profile is missing
+ */
+export function loadProfiles(extraPath = process.env.FEELS_PROFILES_PATH) {
+  const profiles = JSON.parse(readFileSync(BUILT_IN_PROFILES_PATH, 'utf8'));
+
+  if (extraPath) {
+    Object.assign(profiles, JSON.parse(readFileSync(extraPath, 'utf8')));
+  }
+
+  const errors = Object.entries(profiles).flatMap(([name, profile]) => validateProfile(name, profile));
+
+  if (!profiles[DEFAULT_PROFILE]) {
+    errors.push(`missing required "${DEFAULT_PROFILE}" profile`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid feels profiles:\n  ${errors.join('\n  ')}`);
+  }
+
+  return profiles;
+}
+
+let profiles = loadProfiles();
+
+/**
+ * Replace the active profiles (e.g. after changing FEELS_PROFILES_PATH)
+ */
+export function reloadProfiles(extraPath) {
+  profiles = loadProfiles(extraPath);
+  return profiles;
+}
+
+/**
+ * Check whether a profile exists
+ * Only strings name profiles: a request body may carry any JSON value
+ */
+export function hasProfile(name) {
+  return typeof name === 'string' && Object.prototype.hasOwnProperty.call(profiles, name);
+}
+
+/**
+ * Get a profile by name
+ *
+ * @throws {Error} If the profile doesn't exist
+ */
+export function getProfile(name = DEFAULT_PROFILE) {
+  if (!hasProfile(name)) {
+    throw new Error(`Unknown feels profile "${name}"`);
+  }
+  return profiles[name];
+}
+
+/**
+ * List profiles for clients (name, label, description, weights)
+ */
+export function listProfiles() {
+  return Object.entries(profiles).map(([name, profile]) => ({
+    name,
+    label: profile.label || name,
+    description: profile.description || '',
+    weights: profile.weights,
+    ranges: profile.ranges
+  }));
+}
@@ -4,6 +4,49 @@
  * No LLM required - completely free!
  */
 
+/**
+ * Version of the genre map and inference heuristics
+ * Bump it whenever either changes: cached matches and playlist analyses are
+ * keyed by it (see cache.keys.js), so results scored by an older version
+ * stop being served.
+ */
+export const ANALYZER_VERSION = 4;
+
+/**
+ * How much to trust genres by where they came from (see
+ * musicBrainzService.resolveGenres): a release group's or artist's genres
+ * describe the song less precisely than its own
+ */
+export const GENRE_SOURCE_WEIGHTS = {
+  recording: 1,
+  'release-group': 0.85,
+  artist: 0.7
+};
+
+/**
+ * Production norms by decade, relative to the (modern) genre map
+ * Older masters are quieter, a little slower and more acoustic: a 70s rock
+ * record sits well below a 2010s one in loudness even within the same genre.
+ * Decades from 2000 on use the genre map as is.
+ */
+export const ERA_ADJUSTMENTS = {
+  1950: { loudness: -6, tempo: 0.95, energy: -0.1, acousticness: 0.2 },
+  1960: { loudness: -5, tempo: 0.97, energy: -0.08, acousticness: 0.15 },
+  1970: { loudness: -4, tempo: 0.98, energy: -0.05, acousticness: 0.1 },
+  1980: { loudness: -3, tempo: 1, energy: -0.02, acousticness: 0.05 },
+  1990: { loudness: -1.5, tempo: 1, energy: 0, acousticness: 0 }
+};
+
+/**
+ * Decade label for a release year, e.g. 1977 -> '1970s'
+ *
+ * @param {number} year - Release year
+ * @returns {string|null} null for a missing year
+ */
+export function eraOf(year) {
+  return Number.isInteger(year) ? `${Math.floor(year / 10) * 10}s` : null;
+}
+
 class GenreAudioAnalyzerService {
   constructor() {
     this.genreMap = this.buildGenreMap();
@@ -16,9 +59,12 @@ class GenreAudioAnalyzerService {
    * @param {string} params.artist - Artist name
    * @param {string} params.song - Song title
    * @param {Array} params.genres - Genre tags from MusicBrainz
+   * @param {string} params.genreSource - Where the genres came from: 'recording' (default),
+   *   'release-group' or 'artist'
+   * @param {number} params.year - First release year (optional, for era norms)
    * @returns {Object} Inferred audio features
    */
-  inferAudioFeatures({ artist, song, genres = [] }) {
+  inferAudioFeatures({ artist, song, genres = [], genreSource = 'recording', year = null }) {
     // Start with neutral defaults
     let features = {
       energy: 0.5,
@@ -45,8 +91,14 @@ class GenreAudioAnalyzerService {
     // Adjust based on song title keywords
     features = this.adjustForTitleKeywords(song, features);
 
-    // Set confidence based on genre match quality
-    features.confidence = this.calculateConfidence(genres);
+    // Adjust for the production norms of the release's era
+    features = this.adjustForEra(year, features);
+
+    // Set confidence based on genre match quality and where the genres came from
+    features.confidence = Math.round(
+      this.calculateConfidence(genres) * (GENRE_SOURCE_WEIGHTS[genreSource] ?? 1) * 100
+    ) / 100;
+    features.genreSource = genreSource;
 
     return features;
   }
@@ -139,6 +191,26 @@ class GenreAudioAnalyzerService {
     return features;
   }
 
+  /**
+   * Adjust features for the decade a song came out in (see ERA_ADJUSTMENTS)
+   */
+  adjustForEra(year, features) {
+    const era = eraOf(year);
+    if (!era) return features;
+
+    const decade = Math.max(1950, Math.floor(year / 10) * 10);
+    const adjustment = ERA_ADJUSTMENTS[decade];
+    features.era = era;
+    if (!adjustment) return features;
+
+    features.loudness = Math.max(-30, features.loudness + adjustment.loudness);
+    features.tempo = Math.round(features.tempo * adjustment.tempo);
+    features.energy = Math.min(1.0, Math.max(0.1, features.energy + adjustment.energy));
+    features.acousticness = Math.min(1.0, features.acousticness + adjustment.acousticness);
+
+    return features;
+  }
+
   /**
    * Infer from artist/song names when no genres available
    */
@@ -0,0 +1,80 @@
+/**
+ * Invalidation Service - Forget analyses so they're recomputed
+ *
+ * Drops results from both the cache and the repository; dropping only the
+ * cache would just reload the stored copy. Manual corrections are never
+ * touched.
+ */
+
+import cacheService from './cache.service.js';
+import repository from './repository.service.js';
+import { cacheKey, versionPrefix, getDerivedNamespaces } from './cache.keys.js';
+import { getSchema } from './storage/schemas.js';
+
+class InvalidationService {
+  /**
+   * Forget a video's automatic match
+   *
+   * @param {string} videoId - YouTube video ID
+   * @returns {Object} { cacheEntries, records } removed
+   */
+  async invalidateVideo(videoId) {
+    return {
+      cacheEntries: await this.deleteCacheKey(cacheKey('music:match', videoId)),
+      records: await repository.delete('matches', videoId) ? 1 : 0
+    };
+  }
+
+  /**
+   * Forget a playlist's analysis (its videos' matches are kept)
+   *
+   * @param {string} playlistId - YouTube playlist ID
+   * @returns {Object} { cacheEntries, records } removed
+   */
+  async invalidatePlaylist(playlistId) {
+    return {
+      cacheEntries: await this.deleteCacheKey(cacheKey('playlist:analysis', playlistId)),
+      records: await repository.delete('playlists', playlistId) ? 1 : 0
+    };
+  }
+
+  /**
+   * Forget every match and playlist analysis scored by an analyzer version
+   *
+   * @param {number} analyzerVersion - Genre analyzer version (see ANALYZER_VERSION)
+   * @returns {Object} { cacheEntries, records } removed
+   */
+  async invalidateAnalyzerVersion(analyzerVersion) {
+    let cacheEntries = 0;
+    for (const namespace of getDerivedNamespaces()) {
+      cacheEntries += await cacheService.invalidatePrefix(versionPrefix(namespace, analyzerVersion));
+    }
+
+    let records = 0;
+    for (const collection of ['matches', 'playlists']) {
+      const { key } = getSchema(collection);
+      for (const record of await repository.list(collection)) {
+        if (record.analyzerVersion === analyzerVersion) {
+          records += await repository.delete(collection, record[key]) ? 1 : 0;
+        }
+      }
+    }
+
+    return { cacheEntries, records };
+  }
+
+  // Private helpers
+
+  async deleteCacheKey(key) {
+    if (!(await cacheService.exists(key))) {
+      return 0;
+    }
+    await cacheService.del(key);
+    return 1;
+  }
+}
+
+// Singleton instance
+const invalidationService = new InvalidationService();
+
+export default invalidationService;
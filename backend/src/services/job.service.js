@@ -0,0 +1,324 @@
+/**
+ * Job Service - Background playlist analysis jobs
+ * Job state lives in cacheService so any serverless instance can pick up
+ * a job where the previous one stopped
+ */
+
+import { randomUUID } from 'crypto';
+import youtubeService from './youtube.service.js';
+import musicAnalysisService from './music-analysis.service.js';
+import { buildResult, buildErrorResult } from './analysis.results.js';
+import { DEFAULT_PROFILE } from './feels.profiles.js';
+import cacheService from './cache.service.js';
+import { cacheKey } from './cache.keys.js';
+
+const JOB_TTL = 604800; // Keep job state for 7 days
+const BATCH_SIZE = 10;
+
+class JobService {
+  constructor() {
+    // Jobs being worked on by this instance (jobId -> promise)
+    this.activeJobs = new Map();
+  }
+
+  /**
+   * Max time a single worker run may spend before yielding (0 = no limit)
+   * Keep this under the serverless function timeout
+   */
+  get timeBudgetMs() {
+    return parseInt(process.env.JOB_TIME_BUDGET_MS || '0');
+  }
+
+  /**
+   * How long a worker's claim on a job lasts without being renewed
+   */
+  get leaseMs() {
+    return parseInt(process.env.JOB_LEASE_MS || '30000');
+  }
+
+  /**
+   * Create a new playlist analysis job
+   *
+   * @param {string} playlistUrl - YouTube playlist URL or ID
+   * @param {Object} options
+   * @param {string} options.profile - Feels weight profile to score with
+   * @returns {Object} Job state
+   */
+  async createJob(playlistUrl, { profile = DEFAULT_PROFILE } = {}) {
+    const now = new Date().toISOString();
+
+    const job = {
+      id: randomUUID(),
+      status: 'queued',
+      playlistUrl,
+      profile,
+      playlist: null,
+      videos: null,
+      processed: 0,
+      total: 0,
+      matched: 0,
+      results: [],
+      errors: [],
+      error: null,
+      owner: null,
+      lockedUntil: 0,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null
+    };
+
+    await this.saveJob(job);
+    return job;
+  }
+
+  /**
+   * Get job state by ID
+   *
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} Job state or null if unknown/expired
+   */
+  async getJob(jobId) {
+    return cacheService.get(this.getCacheKey(jobId));
+  }
+
+  /**
+   * Start working on a job in the background if nobody else is
+   * Called on creation and on every poll, so a job whose worker died
+   * (e.g. serverless timeout) gets resumed by the next request
+   *
+   * @param {Object} job - Job state
+   * @returns {boolean} True if a worker was started
+   */
+  startWorker(job) {
+    if (!this.isResumable(job) || this.activeJobs.has(job.id)) {
+      return false;
+    }
+
+    const run = this.processJob(job.id)
+      .catch(error => {
+        console.error(`Job ${job.id} worker error:`, error.message);
+      })
+      .finally(() => {
+        this.activeJobs.delete(job.id);
+      });
+
+    this.activeJobs.set(job.id, run);
+    return true;
+  }
+
+  /**
+   * Run a job until it completes or the time budget runs out
+   * Resumes from the last analyzed video
+   *
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} Job state after this run
+   */
+  async processJob(jobId) {
+    const startedAt = Date.now();
+    const job = await this.getJob(jobId);
+
+    if (!job || !this.isResumable(job)) {
+      return job;
+    }
+
+    // Claim the job so other instances leave it alone; every later save
+    // checks the token so a worker whose lease was taken over stops writing
+    job.status = 'running';
+    job.owner = randomUUID();
+    await this.saveJob(job, { renewLease: true });
+
+    try {
+      // Step 1: Fetch the playlist once; later runs reuse the stored video list
+      if (!job.videos) {
+        const playlist = await youtubeService.getPlaylist(job.playlistUrl);
+
+        job.playlist = {
+          id: playlist.playlistId,
+          title: playlist.title,
+          description: playlist.description,
+          videoCount: playlist.videoCount
+        };
+        job.videos = playlist.videos.map(video => ({
+          id: video.id,
+          title: video.title,
+          channelTitle: video.channelTitle,
+          thumbnails: video.thumbnails,
+          durationSeconds: video.durationSeconds ?? null,
+          musicMetadata: video.musicMetadata || null,
+          chapters: video.chapters || []
+        }));
+        job.total = job.videos.length;
+
+        if (!await this.saveOwnedJob(job, { renewLease: true })) {
+          return this.releaseLostJob(job);
+        }
+        console.log(`📋 Job ${job.id}: fetched ${job.total} videos from "${job.playlist.title}"`);
+      } else if (job.processed > 0) {
+        console.log(`🔁 Job ${job.id}: resuming at ${job.processed}/${job.total}`);
+      }
+
+      // Step 2: Analyze the remaining videos in parallel batches
+      while (job.processed < job.total) {
+        const batch = job.videos.slice(job.processed, job.processed + BATCH_SIZE);
+        // Renew the lease per video: bulk lookups are throttled, so a whole
+        // batch can take longer than the lease
+        const batchResults = await Promise.all(batch.map(async video => {
+          const outcome = await this.analyzeVideo(video, job.profile);
+          await this.saveOwnedJob(job, { renewLease: true });
+          return outcome;
+        }));
+
+        // Results are stored by playlist position, so a batch replayed after a
+        // lost lease overwrites its earlier results instead of appending
+        const batchIds = new Set(batch.map(video => video.id));
+        job.errors = job.errors.filter(error => !batchIds.has(error.videoId));
+
+        batchResults.forEach(({ result, error }, index) => {
+          job.results[job.processed + index] = result;
+          if (error) {
+            job.errors.push(error);
+          }
+        });
+
+        job.processed += batch.length;
+        job.matched = job.results.filter(result => result.matched && result.audioFeatures).length;
+
+        if (!await this.saveOwnedJob(job, { renewLease: true })) {
+          return this.releaseLostJob(job);
+        }
+
+        // Checked after each batch so every run makes progress
+        if (job.processed < job.total && this.isOverBudget(startedAt)) {
+          // Hand the job back; the next poll resumes it
+          job.lockedUntil = 0;
+          if (!await this.saveOwnedJob(job)) {
+            return this.releaseLostJob(job);
+          }
+          console.log(`⏸️  Job ${job.id}: yielding at ${job.processed}/${job.total}`);
+          return job;
+        }
+      }
+
+      job.status = 'completed';
+      job.completedAt = new Date().toISOString();
+      job.lockedUntil = 0;
+      if (!await this.saveOwnedJob(job)) {
+        return this.releaseLostJob(job);
+      }
+
+      console.log(`✅ Job ${job.id}: complete, ${job.matched}/${job.total} matched`);
+      return job;
+    } catch (error) {
+      console.error(`Job ${job.id} failed:`, error.message);
+
+      job.status = 'failed';
+      job.error = error.message;
+      job.lockedUntil = 0;
+      if (!await this.saveOwnedJob(job)) {
+        return this.releaseLostJob(job);
+      }
+      return job;
+    }
+  }
+
+  /**
+   * Analyze a single video, never throws
+   *
+   * @param {Object} video - YouTube video object
+   * @param {string} profile - Feels weight profile name
+   * @returns {Object} { result, error }
+   */
+  async analyzeVideo(video, profile = DEFAULT_PROFILE) {
+    try {
+      const matchResult = await musicAnalysisService.matchVideo(video, { priority: 'bulk' });
+      return { result: buildResult(video, matchResult, profile), error: null };
+    } catch (error) {
+      console.error(`Error analyzing video ${video.id}:`, error.message);
+
+      return {
+        result: buildErrorResult(video, error),
+        error: { videoId: video.id, error: error.message }
+      };
+    }
+  }
+
+  /**
+   * Public view of a job (without internal bookkeeping)
+   *
+   * @param {Object} job - Job state
+   * @param {number} offset - Only include results from this index on
+   * @returns {Object} Job summary for API responses
+   */
+  toResponse(job, offset = 0) {
+    return {
+      jobId: job.id,
+      status: job.status,
+      profile: job.profile || DEFAULT_PROFILE,
+      playlist: job.playlist,
+      progress: {
+        processed: job.processed,
+        total: job.total,
+        matched: job.matched,
+        percentage: job.total > 0 ? Math.round((job.processed / job.total) * 100) : 0
+      },
+      offset,
+      results: job.results.slice(offset),
+      errors: job.errors,
+      error: job.error,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      completedAt: job.completedAt
+    };
+  }
+
+  // Private helpers
+
+  isResumable(job) {
+    if (job.status === 'completed' || job.status === 'failed') {
+      return false;
+    }
+    // A running job is only up for grabs once its worker's lease expired
+    return job.status === 'queued' || Date.now() > job.lockedUntil;
+  }
+
+  isOverBudget(startedAt) {
+    const budget = this.timeBudgetMs;
+    return budget > 0 && Date.now() - startedAt >= budget;
+  }
+
+  async saveJob(job, { renewLease = false } = {}) {
+    job.updatedAt = new Date().toISOString();
+    if (renewLease) {
+      job.lockedUntil = Date.now() + this.leaseMs;
+    }
+    await cacheService.set(this.getCacheKey(job.id), job, JOB_TTL);
+  }
+
+  /**
+   * Save the job only if this worker still owns it
+   *
+   * @returns {boolean} False if another worker has claimed the job since
+   */
+  async saveOwnedJob(job, options) {
+    const current = await this.getJob(job.id);
+    if (!current || current.owner !== job.owner) {
+      return false;
+    }
+    await this.saveJob(job, options);
+    return true;
+  }
+
+  async releaseLostJob(job) {
+    console.warn(`⚠️  Job ${job.id}: claimed by another worker, stopping`);
+    return this.getJob(job.id);
+  }
+
+  getCacheKey(jobId) {
+    return cacheKey('job', jobId);
+  }
+}
+
+// Singleton instance
+const jobService = new JobService();
+
+export default jobService;
@@ -6,6 +6,7 @@
 
 import Anthropic from '@anthropic-ai/sdk';
 import cacheService from './cache.service.js';
+import { cacheKey as buildCacheKey, normalizeKeyText } from './cache.keys.js';
 
 class LLMAudioAnalyzerService {
   constructor() {
@@ -46,7 +47,13 @@ class LLMAudioAnalyzerService {
     }
 
     // Check cache first - analysis is deterministic for same inputs
-    const cacheKey = `llm:audio:${artist}:${song}:${genres.join(',')}`;
+    const cacheKey = buildCacheKey(
+      'llm:audio',
+      normalizeKeyText(artist),
+      normalizeKeyText(song),
+      normalizeKeyText(genres.join(',')),
+      year ?? ''
+    );
     const cached = await cacheService.get(cacheKey);
     if (cached) {
       return cached;
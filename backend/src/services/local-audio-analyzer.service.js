@@ -0,0 +1,360 @@
+/**
+ * Local Audio Analyzer Service
+ * Measures audio features from an actual audio file (WAV/MP3)
+ * instead of guessing them from tags or titles
+ *
+ * Pipeline:
+ * 1. Decode to mono samples (utils/audioDecoder.js)
+ * 2. Short-time FFT (~46ms frames, 10ms hop)
+ * 3. Per-frame RMS, spectral centroid and spectral flux (onset strength)
+ * 4. Tempo from the autocorrelation of the onset strength envelope
+ * 5. Energy, danceability and acousticness estimated from the measurements
+ *
+ * Valence can't be measured this way, so it's left out and the feels
+ * calculator falls back to neutral.
+ */
+
+import { readFile } from 'fs/promises';
+import { decodeAudio } from '../utils/audioDecoder.js';
+
+const FRAMES_PER_SECOND = 100; // 10ms hop
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+const PREFERRED_BPM = 120;     // Center of the tempo prior (resolves half/double tempo)
+const SILENCE_DB = -60;
+const ONSET_FLOOR = 0.1;       // Minimum onset strength (mean log-magnitude rise per bin)
+
+class LocalAudioAnalyzerService {
+  /**
+   * Analyze an audio file on disk
+   *
+   * @param {string} filePath - Path to a WAV or MP3 file
+   * @returns {Object} Audio features (same shape calculateFeelsScore consumes)
+   */
+  async analyzeFile(filePath) {
+    const buffer = await readFile(filePath);
+    return this.analyzeBuffer(buffer);
+  }
+
+  /**
+   * Analyze encoded audio (WAV or MP3 file contents)
+   *
+   * @param {Buffer} buffer - File contents
+   * @returns {Object} Audio features
+   */
+  analyzeBuffer(buffer) {
+    const { samples, sampleRate } = decodeAudio(buffer);
+    return this.analyzeSamples(samples, sampleRate);
+  }
+
+  /**
+   * Analyze raw mono samples
+   *
+   * @param {Float32Array} samples - Mono samples (-1 to 1)
+   * @param {number} sampleRate - Samples per second
+   * @returns {Object} Audio features:
+   *   energy, tempo, danceability, loudness, acousticness (Spotify-style ranges),
+   *   spectralCentroid (Hz), beatStrength (0-1), onsetRate (per second),
+   *   duration (s), confidence, source
+   */
+  analyzeSamples(samples, sampleRate) {
+    const duration = samples.length / sampleRate;
+    const frames = this.computeFrames(samples, sampleRate);
+
+    if (frames.rms.length < 2) {
+      throw new Error('Audio is too short to analyze');
+    }
+
+    const loudness = this.computeLoudness(samples);
+    const spectralCentroid = this.computeSpectralCentroid(frames);
+    const onsetEnvelope = this.computeOnsetEnvelope(frames.flux);
+    const { tempo, beatStrength } = this.estimateTempo(onsetEnvelope);
+    const onsetRate = this.countOnsets(onsetEnvelope) / duration;
+
+    // Normalized measurements (0-1)
+    const loudnessLevel = clamp01((loudness + 30) / 25);                    // -30..-5 dB
+    const brightness = clamp01(Math.log2(Math.max(spectralCentroid, 1) / 500) / Math.log2(10)); // 500Hz..5kHz
+    const busyness = clamp01(onsetRate / 6);
+    const tempoFit = Math.exp(-0.5 * ((tempo - 118) / 30) ** 2);
+
+    const energy = 0.5 * loudnessLevel + 0.25 * brightness + 0.25 * busyness;
+    const danceability = 0.6 * beatStrength + 0.4 * tempoFit;
+    const acousticness = 1 - (0.6 * brightness + 0.4 * loudnessLevel);
+
+    // Silence or noise without a pulse gives us little to go on
+    const confidence = loudness <= SILENCE_DB ? 0.2 : 0.6 + 0.3 * beatStrength;
+
+    return {
+      energy: round(clamp01(energy)),
+      tempo,
+      danceability: round(clamp01(danceability)),
+      loudness: round(loudness, 1),
+      acousticness: round(clamp01(acousticness)),
+      spectralCentroid: Math.round(spectralCentroid),
+      beatStrength: round(beatStrength),
+      onsetRate: round(onsetRate, 2),
+      duration: round(duration, 2),
+      confidence: round(confidence),
+      source: 'local-audio'
+    };
+  }
+
+  /**
+   * Short-time analysis: per-frame RMS, spectral centroid and spectral flux
+   */
+  computeFrames(samples, sampleRate) {
+    const hopSize = Math.max(1, Math.round(sampleRate / FRAMES_PER_SECOND));
+    const frameSize = nextPowerOfTwo(hopSize * 4);
+    const window = hannWindow(frameSize);
+    const binHz = sampleRate / frameSize;
+    const bins = frameSize / 2;
+
+    const rms = [];
+    const centroid = [];
+    const flux = [];
+
+    const re = new Float64Array(frameSize);
+    const im = new Float64Array(frameSize);
+    let previous = new Float64Array(bins);
+    let current = new Float64Array(bins);
+
+    for (let start = 0; start + frameSize <= samples.length; start += hopSize) {
+      let sumSquares = 0;
+      for (let i = 0; i < frameSize; i++) {
+        const sample = samples[start + i];
+        sumSquares += sample * sample;
+        re[i] = sample * window[i];
+        im[i] = 0;
+      }
+
+      fft(re, im);
+
+      let weighted = 0;
+      let total = 0;
+      let frameFlux = 0;
+      for (let k = 0; k < bins; k++) {
+        const magnitude = Math.hypot(re[k], im[k]);
+        weighted += k * binHz * magnitude;
+        total += magnitude;
+
+        // Log-compressed magnitude so quiet onsets still register
+        current[k] = Math.log1p(100 * magnitude);
+        const rise = current[k] - previous[k];
+        if (rise > 0 && rms.length > 0) {
+          frameFlux += rise;
+        }
+      }
+
+      rms.push(Math.sqrt(sumSquares / frameSize));
+      centroid.push(total > 0 ? weighted / total : 0);
+      flux.push(frameFlux / bins);
+
+      [previous, current] = [current, previous];
+    }
+
+    return { rms, centroid, flux };
+  }
+
+  /**
+   * Overall RMS level in dBFS
+   */
+  computeLoudness(samples) {
+    let sumSquares = 0;
+    for (let i = 0; i < samples.length; i++) {
+      sumSquares += samples[i] * samples[i];
+    }
+    const rms = Math.sqrt(sumSquares / Math.max(1, samples.length));
+    return rms > 0 ? Math.max(SILENCE_DB, 20 * Math.log10(rms)) : SILENCE_DB;
+  }
+
+  /**
+   * Mean spectral centroid (Hz), weighted by frame level so silence doesn't drag it down
+   */
+  computeSpectralCentroid({ rms, centroid }) {
+    let weighted = 0;
+    let total = 0;
+    for (let i = 0; i < rms.length; i++) {
+      weighted += centroid[i] * rms[i];
+      total += rms[i];
+    }
+    return total > 0 ? weighted / total : 0;
+  }
+
+  /**
+   * Onset strength: spectral flux minus its local average (~0.5s), half-wave rectified
+   */
+  computeOnsetEnvelope(flux) {
+    const radius = Math.round(FRAMES_PER_SECOND / 4);
+    const envelope = new Float64Array(flux.length);
+
+    let sum = 0;
+    let count = 0;
+    let lo = 0;
+    let hi = -1;
+
+    for (let i = 0; i < flux.length; i++) {
+      while (hi < Math.min(flux.length - 1, i + radius)) {
+        sum += flux[++hi];
+        count++;
+      }
+      while (lo < i - radius) {
+        sum -= flux[lo++];
+        count--;
+      }
+      envelope[i] = Math.max(0, flux[i] - sum / count);
+    }
+
+    return envelope;
+  }
+
+  /**
+   * Estimate tempo from the onset envelope's autocorrelation
+   * A log-normal prior around PREFERRED_BPM picks between tempo octaves
+   *
+   * @returns {Object} { tempo (BPM), beatStrength (0-1, how periodic the onsets are) }
+   */
+  estimateTempo(envelope) {
+    const minLag = Math.floor((60 * FRAMES_PER_SECOND) / MAX_BPM);
+    const maxLag = Math.min(envelope.length - 1, Math.ceil((60 * FRAMES_PER_SECOND) / MIN_BPM));
+
+    const mean = envelope.reduce((sum, v) => sum + v, 0) / envelope.length;
+    const centered = envelope.map(v => v - mean);
+
+    const autocorrelation = (lag) => {
+      let sum = 0;
+      for (let i = lag; i < centered.length; i++) {
+        sum += centered[i] * centered[i - lag];
+      }
+      // Unbiased: longer lags have fewer overlapping frames
+      return sum / (centered.length - lag);
+    };
+
+    // Steady tones and silence have no onsets to track
+    const peak = envelope.reduce((m, v) => Math.max(m, v), 0);
+    const zeroLag = autocorrelation(0);
+    if (peak < ONSET_FLOOR || zeroLag <= 0 || maxLag <= minLag) {
+      return { tempo: PREFERRED_BPM, beatStrength: 0 };
+    }
+
+    const acf = new Float64Array(maxLag + 2);
+    for (let lag = Math.max(1, minLag - 1); lag <= Math.min(maxLag + 1, centered.length - 1); lag++) {
+      acf[lag] = autocorrelation(lag);
+    }
+
+    let bestLag = 0;
+    let bestScore = -Infinity;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      const bpm = (60 * FRAMES_PER_SECOND) / lag;
+      const prior = Math.exp(-0.5 * Math.log2(bpm / PREFERRED_BPM) ** 2);
+      const score = acf[lag] * prior;
+      if (score > bestScore) {
+        bestScore = score;
+        bestLag = lag;
+      }
+    }
+
+    // Parabolic interpolation around the peak for sub-frame precision
+    let lag = bestLag;
+    const [left, center, right] = [acf[bestLag - 1], acf[bestLag], acf[bestLag + 1]];
+    const curvature = left - 2 * center + right;
+    if (curvature < 0) {
+      lag += Math.max(-0.5, Math.min(0.5, (0.5 * (left - right)) / curvature));
+    }
+
+    return {
+      tempo: Math.round((60 * FRAMES_PER_SECOND) / lag),
+      beatStrength: clamp01(acf[bestLag] / zeroLag)
+    };
+  }
+
+  /**
+   * Count onsets: local maxima of the envelope above a threshold, at least 50ms apart
+   */
+  countOnsets(envelope) {
+    const max = envelope.reduce((m, v) => Math.max(m, v), 0);
+    const threshold = Math.max(0.3 * max, ONSET_FLOOR);
+    const minGap = Math.round(FRAMES_PER_SECOND / 20);
+    let count = 0;
+    let last = -Infinity;
+
+    for (let i = 1; i < envelope.length - 1; i++) {
+      if (envelope[i] >= threshold &&
+          envelope[i] >= envelope[i - 1] &&
+          envelope[i] > envelope[i + 1] &&
+          i - last >= minGap) {
+        count++;
+        last = i;
+      }
+    }
+
+    return count;
+  }
+}
+
+/**
+ * In-place iterative radix-2 FFT (length must be a power of two)
+ */
+function fft(re, im) {
+  const n = re.length;
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size;
+    const wRe = Math.cos(angle);
+    const wIm = Math.sin(angle);
+    const half = size >> 1;
+
+    for (let start = 0; start < n; start += size) {
+      let curRe = 1;
+      let curIm = 0;
+      for (let k = 0; k < half; k++) {
+        const a = start + k;
+        const b = a + half;
+        const tRe = re[b] * curRe - im[b] * curIm;
+        const tIm = re[b] * curIm + im[b] * curRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        [curRe, curIm] = [curRe * wRe - curIm * wIm, curRe * wIm + curIm * wRe];
+      }
+    }
+  }
+}
+
+function hannWindow(size) {
+  const window = new Float64Array(size);
+  for (let i = 0; i < size; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1));
+  }
+  return window;
+}
+
+function nextPowerOfTwo(n) {
+  return 2 ** Math.ceil(Math.log2(n));
+}
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+function round(value, decimals = 3) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+// Singleton instance
+const localAudioAnalyzer = new LocalAudioAnalyzerService();
+
+export default localAudioAnalyzer;
@@ -1,26 +1,42 @@
 /**
  * Music Analysis Service
- * Combines MusicBrainz (metadata) + LLM (audio features) to replace Spotify
+ * Combines MusicBrainz (metadata) + pluggable feature providers (audio features)
+ * to replace Spotify
  * Drop-in replacement with same interface as spotify.service.js
  */
 
 import musicBrainzService from './musicbrainz.service.js';
-import genreAudioAnalyzer from './genre-audio-analyzer.service.js';
-import { calculateFeelsScore, getMoodLabel, getScoreColor } from './feels.calculator.js';
+import featureProviderRegistry from './feature-provider.registry.js';
+import { calculateFeelsScore, calculatePositivityScore, scoreMatch, getMoodLabel, getScoreColor } from './feels.calculator.js';
 import { calculateMatchScore } from '../utils/stringMatcher.js';
 import { parseVideoTitle } from '../utils/titleParser.js';
+import { durationAgreement } from '../utils/duration.js';
+import { detectCompilation } from '../utils/compilationDetector.js';
+import { adjustForVersions } from './version.adjustments.js';
+import { ANALYZER_VERSION } from './genre-audio-analyzer.service.js';
 import cacheService from './cache.service.js';
+import { cacheKey as buildCacheKey } from './cache.keys.js';
+import repository from './repository.service.js';
+import overrideService from './override.service.js';
+import titleModelService from './title-model.service.js';
+import { SingleFlight } from '../utils/singleFlight.js';
+
+// Share of match confidence that rests on video and recording lengths agreeing
+// (when both are known, see duration.js)
+const DURATION_WEIGHT = 0.5;
 
 class MusicAnalysisService {
   constructor() {
     this.initialized = false;
+    this.matchFlights = new SingleFlight(); // Concurrent matches of the same video share one
   }
 
   /**
    * Initialize the service
    */
   async initialize() {
-    console.log('🎵 Music Analysis: Using MusicBrainz + Genre-Based Analysis');
+    console.log('🎵 Music Analysis: Using MusicBrainz + Feature Providers');
+    await featureProviderRegistry.initialize();
     this.initialized = true;
   }
 
@@ -30,61 +46,107 @@ class MusicAnalysisService {
    *
    * @param {string} artist - Artist name
    * @param {string} song - Song title
+   * @param {Object} options
+   * @param {string} options.priority - MusicBrainz queue priority: 'interactive' (default) or 'bulk'
+   * @param {Array} options.versions - Version tags from the title (e.g. ['remix']), for
+   *   ranking and feature adjustments
+   * @param {number} options.duration - The video's length in seconds, for match confidence
    * @returns {Object|null} Track data with audio features and feels score
    */
-  async searchAndAnalyzeTrack(artist, song) {
+  async searchAndAnalyzeTrack(artist, song, { priority = 'interactive', versions = [], duration = null } = {}) {
     if (!artist || !song) {
       return null;
     }
 
     try {
       // Step 1: Search MusicBrainz for track metadata
-      const recording = await musicBrainzService.searchRecording(artist, song);
+      const recording = await musicBrainzService.searchRecording(artist, song, { priority, versions });
 
       if (!recording) {
         console.log(`No MusicBrainz match for: ${artist} - ${song}`);
         return null;
       }
 
-      // Step 2: Get audio features from genre analysis
-      const audioFeatures = genreAudioAnalyzer.inferAudioFeatures({
-        artist: recording.artist,
-        song: recording.title,
-        genres: recording.genres
-      });
-
-      // Step 3: Calculate feels score
-      const feelsScore = calculateFeelsScore(audioFeatures);
-      const mood = getMoodLabel(feelsScore);
-      const color = getScoreColor(feelsScore);
-
-      // Step 4: Calculate match confidence
-      const matchConfidence = calculateMatchScore(
-        { artist, song },
-        { artist: recording.artist, song: recording.title }
-      );
-
-      // Return in Spotify-compatible format
-      return {
-        id: recording.id,
-        name: recording.title,
-        artist: recording.artist,
-        duration_ms: recording.length,
-        genres: recording.genres,
-        audioFeatures,
-        feelsScore,
-        mood,
-        color,
-        matchConfidence,
-        source: 'musicbrainz+genre',
-        genreConfidence: audioFeatures.confidence
-      };
+      return await this.analyzeRecording(recording, { artist, song, versions, duration }, { priority });
     } catch (error) {
       console.error('Music analysis error:', error.message);
       return null;
     }
   }
 
+  /**
+   * Get audio features and scores for a MusicBrainz recording
+   *
+   * @param {Object} recording - Recording from musicBrainzService
+   * @param {Object} query - { artist, song } the recording was matched from and the
+   *   video's duration in seconds (for match confidence), and the video's version
+   *   tags (see version.adjustments.js)
+   * @param {Object} options - { priority } for MusicBrainz lookups
+   * @returns {Object|null} Track data with audio features and feels score, null if no features
+   */
+  async analyzeRecording(recording, { artist, song, versions = [], duration = null }, { priority = 'interactive' } = {}) {
+    // Step 2: Find genres, falling back to the release group's or artist's
+    const { genres, source: genreSource } = await musicBrainzService.resolveGenres(recording, { priority });
+
+    // Step 3: Get audio features from the configured providers
+    const providerResult = await featureProviderRegistry.getFeatures({
+      artist: recording.artist,
+      song: recording.title,
+      genres,
+      genreSource,
+      year: recording.year ?? null
+    });
+
+    if (!providerResult) {
+      console.log(`No audio features for: ${recording.artist} - ${recording.title}`);
+      return null;
+    }
+
+    // A slowed, sped up, live, ... video doesn't sound like the recording
+    const audioFeatures = adjustForVersions(providerResult.features, versions);
+    const providerNames = providerResult.providers.map(p => p.name);
+
+    // Step 4: Calculate feels score (energy axis) and positivity (valence axis)
+    const feelsScore = calculateFeelsScore(audioFeatures);
+    const positivityScore = calculatePositivityScore(audioFeatures);
+    const mood = getMoodLabel(feelsScore);
+    const color = getScoreColor(feelsScore);
+
+    // Step 5: Calculate match confidence, lowered when the lengths disagree
+    // (e.g. an hour-long video matched to a 3-minute single)
+    const agreement = durationAgreement(duration, recording.length);
+    const textConfidence = calculateMatchScore(
+      { artist, song },
+      { artist: recording.artist, song: recording.title }
+    );
+    const matchConfidence = agreement === null
+      ? textConfidence
+      : Math.round(textConfidence * (1 - DURATION_WEIGHT + DURATION_WEIGHT * agreement) * 1000) / 1000;
+
+    // Return in Spotify-compatible format
+    return {
+      id: recording.id,
+      name: recording.title,
+      artist: recording.artist,
+      duration_ms: recording.length,
+      genres,
+      genreSource,
+      year: recording.year ?? null,
+      audioFeatures,
+      feelsScore,
+      positivityScore,
+      mood,
+      color,
+      matchConfidence,
+      durationAgreement: agreement,
+      source: `musicbrainz+${providerNames.join('+')}`,
+      featureProviders: providerResult.providers,
+      featureDisagreement: providerResult.disagreement || null,
+      genreConfidence: audioFeatures.confidence,
+      alternatives: recording.alternatives || []
+    };
+  }
+
   /**
    * Analyze multiple tracks in batch
    * Compatible with old Spotify service interface
@@ -101,7 +163,7 @@ class MusicAnalysisService {
       const chunk = tracks.slice(i, i + chunkSize);
 
       const chunkResults = await Promise.all(
-        chunk.map(track => this.searchAndAnalyzeTrack(track.artist, track.song))
+        chunk.map(track => this.searchAndAnalyzeTrack(track.artist, track.song, { priority: 'bulk' }))
       );
 
       results.push(...chunkResults);
@@ -130,13 +192,16 @@ class MusicAnalysisService {
         return null;
       }
 
-      const audioFeatures = genreAudioAnalyzer.inferAudioFeatures({
+      const { genres, source: genreSource } = await musicBrainzService.resolveGenres(recording);
+      const providerResult = await featureProviderRegistry.getFeatures({
         artist: recording.artist,
         song: recording.title,
-        genres: recording.genres
+        genres,
+        genreSource,
+        year: recording.year ?? null
       });
 
-      return audioFeatures;
+      return providerResult ? providerResult.features : null;
     } catch (error) {
       console.error('Get audio features error:', error.message);
       return null;
@@ -164,19 +229,77 @@ class MusicAnalysisService {
    * Match a YouTube video to music data
    * Compatible with old Spotify service matchVideo method
    *
-   * @param {Object} video - YouTube video object {id, title, channelTitle}
+   * A manual override (see override.service.js) takes precedence: a pinned
+   * recording replaces the automatic match, and an overridden score replaces
+   * the computed one.
+   *
+   * Concurrent calls for the same video (e.g. two users analyzing
+   * overlapping playlists) share one match.
+   *
+   * @param {Object} video - YouTube video object {id, title, channelTitle, musicMetadata,
+   *   durationSeconds, chapters}
+   * @param {Object} options
+   * @param {string} options.priority - MusicBrainz queue priority: 'interactive' (default)
+   *   for a user waiting on this video, 'bulk' for playlist and batch work
    * @returns {Object} Match result with audio features and feels score
    */
-  async matchVideo(video) {
+  async matchVideo(video, { priority = 'interactive' } = {}) {
+    return this.matchFlights.run(video.id, () => this.matchVideoNow(video, { priority }));
+  }
+
+  /**
+   * Match a video, override first (see matchVideo)
+   */
+  async matchVideoNow(video, options) {
+    const override = await overrideService.get(video.id);
+
+    if (!override) {
+      return this.findMatch(video, options);
+    }
+
+    const result = override.recordingId
+      ? await this.matchPinnedRecording(video, override.recordingId, options)
+      : await this.findMatch(video, options);
+
+    return this.applyOverride(result, override);
+  }
+
+  /**
+   * Automatically match a video by parsing its title and searching MusicBrainz
+   * Successful matches are stored in the repository (with the cache in front);
+   * failed ones are only cached briefly so they get retried. Stored matches
+   * scored by an older analyzer version are redone. Videos holding many songs
+   * (see compilationDetector.js) are flagged without a search.
+   *
+   * @param {Object} video - YouTube video object {id, title, channelTitle, musicMetadata,
+   *   durationSeconds, chapters}
+   * @param {Object} options - { priority } for MusicBrainz lookups
+   * @returns {Object} Match result
+   */
+  async findMatch(video, { priority = 'interactive' } = {}) {
+    // Mixes, compilations and full albums aren't matched to one song
+    // (checked before the cache, so earlier single-song matches aren't served)
+    const compilation = detectCompilation(video);
+    if (compilation) {
+      return this.matchCompilation(video, compilation, { priority });
+    }
+
     // Check cache first
-    const cacheKey = `music:match:${video.id}`;
+    const cacheKey = buildCacheKey('music:match', video.id);
     const cached = await cacheService.get(cacheKey);
     if (cached) {
       return { ...cached, cached: true };
     }
 
-    // Parse video title to extract artist and song
-    const parsed = parseVideoTitle(video.title, video.channelTitle);
+    const stored = await repository.get('matches', video.id);
+    if (stored?.analyzerVersion === ANALYZER_VERSION) {
+      await cacheService.set(cacheKey, stored, 2592000);
+      return { ...stored, cached: true };
+    }
+
+    // Parse video title to extract artist and song (description metadata first,
+    // then the learned tagger if trained)
+    const parsed = parseVideoTitle(video.title, video.channelTitle, await titleModelService.load(), video.musicMetadata);
 
     if (!parsed.artist && !parsed.song) {
       return {
@@ -188,15 +311,24 @@ class MusicAnalysisService {
       };
     }
 
-    // Search and analyze track
-    const track = await this.searchAndAnalyzeTrack(parsed.artist, parsed.song);
+    // Search and analyze track, then other spellings of an artist taken from
+    // the channel (a VEVO name split wrongly, e.g. 'One Republic')
+    let track = null;
+    for (const artist of [parsed.artist, ...parsed.artistAlternatives]) {
+      track = await this.searchAndAnalyzeTrack(artist, parsed.song, {
+        priority,
+        versions: parsed.versions,
+        duration: video.durationSeconds
+      });
+      if (track) break;
+    }
 
     if (!track) {
       const result = {
         matched: false,
         videoId: video.id,
         parseConfidence: parsed.confidence,
-        parsed: { artist: parsed.artist, song: parsed.song },
+        parsed: parsedTitle(parsed),
         reason: 'No MusicBrainz match found'
       };
 
@@ -205,28 +337,195 @@ class MusicAnalysisService {
       return { ...result, cached: false };
     }
 
+    await this.saveTrack(track);
+    const result = await repository.put('matches', {
+      ...this.buildMatchResult(video, parsed, track),
+      analyzerVersion: ANALYZER_VERSION
+    });
+
+    // Cache successful matches for 30 days
+    await cacheService.set(cacheKey, result, 2592000);
+    return { ...result, cached: false };
+  }
+
+  /**
+   * Flag a video holding many songs, and match each of its chapters
+   * (description timestamps) as a song of its own
+   * Chapter titles are parsed like video titles. Full albums list songs
+   * alone, so a chapter without an artist takes the video title's. Chapter
+   * analyses are cached with the video's match (not stored: they aren't one
+   * match), for 30 days if any chapter matched
+   *
+   * @param {Object} video - YouTube video object (see findMatch)
+   * @param {Object} compilation - From detectCompilation
+   * @param {Object} options - { priority } for MusicBrainz lookups
+   * @returns {Object} Unmatched result with compilation and chapters:
+   *   [{ start, end, title, matched, artist, song, audioFeatures, spotifyMatch, year }]
+   *   (start and end in seconds; end is null for the last chapter of a video of unknown length)
+   */
+  async matchCompilation(video, compilation, { priority = 'interactive' } = {}) {
     const result = {
+      matched: false,
+      videoId: video.id,
+      compilation,
+      reason: 'Compilation or mix, not one song'
+    };
+
+    const chapters = video.chapters || [];
+    if (chapters.length === 0) {
+      return { ...result, cached: false };
+    }
+
+    const cacheKey = buildCacheKey('music:match', video.id);
+    const cached = await cacheService.get(cacheKey);
+    if (cached?.chapters) {
+      return { ...cached, cached: true };
+    }
+
+    const model = await titleModelService.load();
+    const videoArtist = parseVideoTitle(video.title, video.channelTitle, model).artist;
+
+    result.chapters = await Promise.all(chapters.map(async (chapter, index) => {
+      const end = chapters[index + 1]?.start ?? video.durationSeconds ?? null;
+      const parsed = parseVideoTitle(chapter.title, '', model);
+      const artist = parsed.artist || videoArtist;
+      const track = await this.searchAndAnalyzeTrack(artist, parsed.song, {
+        priority,
+        versions: parsed.versions,
+        duration: end === null ? null : end - chapter.start
+      });
+      if (track) {
+        await this.saveTrack(track);
+      }
+
+      return {
+        start: chapter.start,
+        end,
+        title: chapter.title,
+        matched: Boolean(track),
+        artist,
+        song: parsed.song,
+        audioFeatures: track?.audioFeatures || null,
+        spotifyMatch: track
+          ? { trackId: track.id, name: track.name, artists: [track.artist], confidence: track.matchConfidence, durationAgreement: track.durationAgreement }
+          : null,
+        year: track?.year ?? null
+      };
+    }));
+
+    const anyMatched = result.chapters.some(chapter => chapter.matched);
+    await cacheService.set(cacheKey, result, anyMatched ? 2592000 : 86400);
+    return { ...result, cached: false };
+  }
+
+  /**
+   * Match a video to the recording a user pinned for it
+   *
+   * @param {Object} video - YouTube video object {id, title, channelTitle, musicMetadata,
+   *   durationSeconds, chapters}
+   * @param {string} recordingId - MusicBrainz recording ID
+   * @param {Object} options - { priority } for MusicBrainz lookups
+   * @returns {Object} Match result
+   */
+  async matchPinnedRecording(video, recordingId, { priority = 'interactive' } = {}) {
+    const parsed = parseVideoTitle(video.title, video.channelTitle, await titleModelService.load(), video.musicMetadata);
+    const recording = await musicBrainzService.getRecordingById(recordingId, { priority });
+    const track = recording
+      ? await this.analyzeRecording(
+        recording,
+        { artist: parsed.artist, song: parsed.song, versions: parsed.versions, duration: video.durationSeconds },
+        { priority }
+      )
+      : null;
+
+    if (!track) {
+      return {
+        matched: false,
+        videoId: video.id,
+        parseConfidence: parsed.confidence,
+        parsed: parsedTitle(parsed),
+        reason: recording ? 'No audio features for pinned recording' : 'Pinned recording not found',
+        cached: false
+      };
+    }
+
+    await this.saveTrack(track);
+    const result = this.buildMatchResult(video, parsed, track);
+    result.spotifyMatch.confidence = 1; // Chosen by a person, not a search
+
+    return { ...result, cached: false };
+  }
+
+  /**
+   * Build a matched result from an analyzed track
+   */
+  buildMatchResult(video, parsed, track) {
+    return {
       matched: true,
       videoId: video.id,
       parseConfidence: parsed.confidence,
-      parsed: { artist: parsed.artist, song: parsed.song },
+      parsed: parsedTitle(parsed),
       spotifyMatch: { // Keep field name for compatibility
         trackId: track.id,
         name: track.name,
         artists: [track.artist],
-        confidence: track.matchConfidence
+        confidence: track.matchConfidence,
+        durationAgreement: track.durationAgreement ?? null
       },
       audioFeatures: track.audioFeatures,
       feelsScore: track.feelsScore,
+      positivityScore: track.positivityScore,
       mood: track.mood,
       color: track.color,
       genreConfidence: track.genreConfidence,
-      analysisSource: track.source
+      genreSource: track.genreSource,
+      year: track.year,
+      analysisSource: track.source,
+      featureProviders: track.featureProviders,
+      featureDisagreement: track.featureDisagreement,
+      alternatives: track.alternatives
     };
+  }
 
-    // Cache successful matches for 30 days
-    await cacheService.set(cacheKey, result, 2592000);
-    return { ...result, cached: false };
+  /**
+   * Store the recording a video was matched to
+   */
+  async saveTrack(track) {
+    await repository.put('tracks', {
+      id: track.id,
+      title: track.name,
+      artist: track.artist,
+      length: track.duration_ms,
+      genres: track.genres,
+      genreSource: track.genreSource,
+      year: track.year
+    });
+  }
+
+  /**
+   * Apply a manual override's scores to a match result
+   */
+  applyOverride(result, override) {
+    const { feelsScore, positivityScore } = scoreMatch({ ...result, override });
+
+    return {
+      ...result,
+      feelsScore,
+      positivityScore,
+      mood: getMoodLabel(feelsScore),
+      color: getScoreColor(feelsScore),
+      override,
+      edited: true
+    };
+  }
+
+  /**
+   * How many matches were served by joining an identical one in flight
+   *
+   * @returns {Object} { matchVideo } - see SingleFlight.getStats()
+   */
+  getCoalescingStats() {
+    return { matchVideo: this.matchFlights.getStats() };
   }
 
   /**
@@ -244,6 +543,7 @@ class MusicAnalysisService {
         ...video,
         matched: false,
         feelsScore: 50, // Neutral default
+        positivityScore: 50,
         mood: 'Moderate',
         color: '#F5A623'
       };
@@ -259,6 +559,7 @@ class MusicAnalysisService {
         ...video,
         matched: false,
         feelsScore: 50,
+        positivityScore: 50,
         mood: 'Moderate',
         color: '#F5A623'
       };
@@ -273,11 +574,14 @@ class MusicAnalysisService {
       genres: track.genres,
       audioFeatures: track.audioFeatures,
       feelsScore: track.feelsScore,
+      positivityScore: track.positivityScore,
       mood: track.mood,
       color: track.color,
       matchConfidence: track.matchConfidence,
       genreConfidence: track.genreConfidence,
-      analysisSource: track.source
+      analysisSource: track.source,
+      featureProviders: track.featureProviders,
+      featureDisagreement: track.featureDisagreement
     };
   }
 
@@ -305,6 +609,8 @@ class MusicAnalysisService {
     return {
       initialized: this.initialized,
       musicBrainzAvailable: true,
+      featureProviders: featureProviderRegistry.getEnabledProviders().map(p => p.name),
+      featureProviderMode: featureProviderRegistry.mode,
       rateLimit: '1 request/second (MusicBrainz)',
       features: [
         'MusicBrainz metadata (free)',
@@ -317,6 +623,23 @@ class MusicAnalysisService {
   }
 }
 
+/**
+ * What a match result keeps of a parsed title
+ */
+function parsedTitle(parsed) {
+  return {
+    artist: parsed.artist,
+    song: parsed.song,
+    featured: parsed.featured,
+    versions: parsed.versions,
+    remixer: parsed.remixer,
+    aliases: parsed.aliases,
+    channelType: parsed.channelType,
+    album: parsed.album,
+    source: parsed.source
+  };
+}
+
 // Singleton instance
 const musicAnalysisService = new MusicAnalysisService();
 
@@ -0,0 +1,373 @@
+/**
+ * MusicBrainz dump importer
+ * Builds the local index that musicbrainz.local.js serves lookups from
+ *
+ * Reads a subset of a MusicBrainz data dump (recordings, artists and their
+ * tags) in either of MusicBrainz's formats:
+ * - JSON dumps: one web-service-style entity per line in `recording` and
+ *   `artist` files
+ * - PostgreSQL (TSV) dumps: the `recording`, `artist`, `artist_credit_name`,
+ *   `tag`, `recording_tag`, `artist_tag` and (optional)
+ *   `recording_first_release_date` tables from mbdump
+ *
+ * Entities are stored in the web service's JSON shape, so musicBrainzService
+ * maps local and web results the same way. Recording titles and artist names
+ * are indexed by word for search.
+ */
+
+import { createReadStream } from 'fs';
+import { access, mkdir, writeFile, rename } from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+import { foldDiacritics } from '../utils/transliterate.js';
+
+/**
+ * Version of the index layout
+ * Bump it when the layout or tokenize() changes: the local provider refuses older indexes
+ */
+export const INDEX_VERSION = 2;
+
+// Extensions a dump file may have, e.g. `recording`, `recording.jsonl`
+const EXTENSIONS = ['', '.jsonl', '.json', '.tsv'];
+
+// Column positions in the PostgreSQL dump tables
+const COLUMNS = {
+  recording: { id: 0, gid: 1, name: 2, artistCredit: 3, length: 4, comment: 5 },
+  artist: { id: 0, gid: 1, name: 2, sortName: 3, comment: 13 },
+  artist_credit_name: { artistCredit: 0, position: 1, artist: 2, name: 3, joinPhrase: 4 },
+  tag: { id: 0, name: 1 },
+  entity_tag: { entity: 0, tag: 1, count: 2 },
+  recording_first_release_date: { recording: 0, year: 1, month: 2, day: 3 }
+};
+
+/**
+ * Split text into lowercase search words
+ * Accents are folded as in stringMatcher (kana and Hangul are kept whole)
+ * and any script's letters and digits are kept
+ *
+ * @param {string} text - e.g. 'Beyoncé - Halo'
+ * @returns {Array} Words, e.g. ['beyonce', 'halo']
+ */
+export function tokenize(text) {
+  if (!text) return [];
+
+  return foldDiacritics(text.normalize('NFKC').toLowerCase())
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Import a dump directory into an index
+ *
+ * @param {string} dir - Dump directory (or its parent, if it holds mbdump/)
+ * @returns {Object} Index, see buildIndex
+ * @throws {Error} If the directory has no recording file
+ */
+export async function importDump(dir) {
+  const root = await findDumpRoot(dir);
+  const format = await detectFormat(path.join(root, await findFile(root, 'recording')));
+  const { recordings, artists } = format === 'json'
+    ? await readJsonDump(root)
+    : await readTsvDump(root);
+
+  return buildIndex(recordings, artists, { source: path.resolve(dir), format });
+}
+
+/**
+ * Index recordings and artists by ID and by word
+ *
+ * @param {Array} recordings - Web-service-style recordings
+ * @param {Array} artists - Web-service-style artists
+ * @param {Object} meta - { source, format } recorded with the index
+ * @returns {Object} { version, importedAt, source, format, counts, recordings, artists, words }
+ */
+export function buildIndex(recordings, artists, { source = null, format = null } = {}) {
+  return {
+    version: INDEX_VERSION,
+    importedAt: new Date().toISOString(),
+    source,
+    format,
+    counts: { recordings: recordings.length, artists: artists.length },
+    recordings: Object.fromEntries(recordings.map(recording => [recording.id, recording])),
+    artists: Object.fromEntries(artists.map(artist => [artist.id, artist])),
+    words: {
+      recordings: wordIndex(recordings, recording => recording.title),
+      artists: wordIndex(artists, artist => artist.name)
+    }
+  };
+}
+
+/**
+ * Write an index to disk (atomically, via a temp file and rename)
+ *
+ * @param {Object} index - From importDump or buildIndex
+ * @param {string} filePath - Index file
+ */
+export async function writeIndex(index, filePath) {
+  await mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  await writeFile(tmpPath, JSON.stringify(index));
+  await rename(tmpPath, filePath);
+}
+
+/**
+ * Read a JSON dump: one entity per line
+ */
+async function readJsonDump(root) {
+  const recordings = [];
+  for await (const line of readLines(path.join(root, await findFile(root, 'recording')))) {
+    recordings.push(pickRecording(JSON.parse(line)));
+  }
+
+  const artists = [];
+  const artistFile = await findFile(root, 'artist', { optional: true });
+  if (artistFile) {
+    for await (const line of readLines(path.join(root, artistFile))) {
+      artists.push(pickArtist(JSON.parse(line)));
+    }
+  }
+
+  return { recordings, artists };
+}
+
+/**
+ * Keep the recording fields musicBrainzService reads
+ */
+function pickRecording(recording) {
+  return {
+    id: recording.id,
+    title: recording.title,
+    length: recording.length ?? null,
+    disambiguation: recording.disambiguation || '',
+    'artist-credit': (recording['artist-credit'] || []).map(credit => ({
+      name: credit.name,
+      joinphrase: credit.joinphrase || '',
+      artist: credit.artist ? { id: credit.artist.id, name: credit.artist.name } : undefined
+    })),
+    'first-release-date': recording['first-release-date'] || null,
+    tags: (recording.tags || []).map(tag => ({ name: tag.name, count: tag.count })),
+    genres: (recording.genres || []).map(genre => ({ name: genre.name }))
+  };
+}
+
+/**
+ * Keep the artist fields musicBrainzService reads
+ */
+function pickArtist(artist) {
+  return {
+    id: artist.id,
+    name: artist.name,
+    'sort-name': artist['sort-name'] || artist.name,
+    type: artist.type || null,
+    disambiguation: artist.disambiguation || '',
+    tags: (artist.tags || []).map(tag => ({ name: tag.name, count: tag.count })),
+    genres: (artist.genres || []).map(genre => ({ name: genre.name }))
+  };
+}
+
+/**
+ * Read a PostgreSQL dump, joining the tables into web-service-style entities
+ */
+async function readTsvDump(root) {
+  const tags = new Map();
+  await readTable(root, 'tag', row => {
+    tags.set(row[COLUMNS.tag.id], row[COLUMNS.tag.name]);
+  }, { optional: true });
+
+  const artistsById = new Map();
+  await readTable(root, 'artist', row => {
+    const c = COLUMNS.artist;
+    artistsById.set(row[c.id], {
+      id: row[c.gid],
+      name: row[c.name],
+      'sort-name': row[c.sortName] || row[c.name],
+      type: null,
+      disambiguation: row[c.comment] || '',
+      tags: [],
+      genres: []
+    });
+  }, { optional: true });
+
+  const credits = new Map();
+  await readTable(root, 'artist_credit_name', row => {
+    const c = COLUMNS.artist_credit_name;
+    const artist = artistsById.get(row[c.artist]);
+    const names = credits.get(row[c.artistCredit]) || [];
+    names.push({
+      position: Number(row[c.position]),
+      name: row[c.name],
+      joinphrase: row[c.joinPhrase] || '',
+      artist: artist ? { id: artist.id, name: artist.name } : undefined
+    });
+    credits.set(row[c.artistCredit], names);
+  }, { optional: true });
+
+  const recordingTags = await readTags(root, 'recording_tag', tags);
+  for (const [id, artistTags] of await readTags(root, 'artist_tag', tags)) {
+    if (artistsById.has(id)) {
+      artistsById.get(id).tags = artistTags;
+    }
+  }
+
+  const releaseDates = new Map();
+  await readTable(root, 'recording_first_release_date', row => {
+    const c = COLUMNS.recording_first_release_date;
+    releaseDates.set(row[c.recording], formatDate(row[c.year], row[c.month], row[c.day]));
+  }, { optional: true });
+
+  const recordings = [];
+  await readTable(root, 'recording', row => {
+    const c = COLUMNS.recording;
+    recordings.push({
+      id: row[c.gid],
+      title: row[c.name],
+      length: row[c.length] ? Number(row[c.length]) : null,
+      disambiguation: row[c.comment] || '',
+      'artist-credit': (credits.get(row[c.artistCredit]) || [])
+        .sort((a, b) => a.position - b.position)
+        .map(({ position, ...credit }) => credit),
+      'first-release-date': releaseDates.get(row[c.id]) || null,
+      tags: recordingTags.get(row[c.id]) || [],
+      genres: []
+    });
+  });
+
+  return { recordings, artists: [...artistsById.values()] };
+}
+
+/**
+ * Read a recording_tag or artist_tag table
+ * Tags people voted down (count <= 0) are left out
+ *
+ * @returns {Map} Entity row ID -> [{ name, count }], most votes first
+ */
+async function readTags(root, table, tagNames) {
+  const byEntity = new Map();
+
+  await readTable(root, table, row => {
+    const c = COLUMNS.entity_tag;
+    const count = Number(row[c.count]);
+    const name = tagNames.get(row[c.tag]);
+    if (!name || count <= 0) return;
+
+    const entityTags = byEntity.get(row[c.entity]) || [];
+    entityTags.push({ name, count });
+    byEntity.set(row[c.entity], entityTags);
+  }, { optional: true });
+
+  for (const entityTags of byEntity.values()) {
+    entityTags.sort((a, b) => b.count - a.count);
+  }
+  return byEntity;
+}
+
+/**
+ * Call onRow for each row of a dump table
+ */
+async function readTable(root, table, onRow, { optional = false } = {}) {
+  const file = await findFile(root, table, { optional });
+  if (!file) return;
+
+  for await (const line of readLines(path.join(root, file))) {
+    onRow(line.split('\t').map(unescapeField));
+  }
+}
+
+/**
+ * Undo PostgreSQL COPY escaping; \N is NULL
+ */
+function unescapeField(field) {
+  if (field === '\\N') return null;
+
+  return field.replace(/\\(.)/g, (match, char) => (
+    { t: '\t', n: '\n', r: '\r', '\\': '\\' }[char] ?? char
+  ));
+}
+
+/**
+ * 'YYYY', 'YYYY-MM' or 'YYYY-MM-DD' from date parts, as MusicBrainz writes dates
+ */
+function formatDate(year, month, day) {
+  if (!year) return null;
+
+  const parts = [year.padStart(4, '0')];
+  if (month) {
+    parts.push(month.padStart(2, '0'));
+    if (day) parts.push(day.padStart(2, '0'));
+  }
+  return parts.join('-');
+}
+
+/**
+ * Word -> IDs of the entities whose text has that word
+ */
+function wordIndex(entities, getText) {
+  // No prototype, so words like 'constructor' are plain keys
+  const words = Object.create(null);
+
+  for (const entity of entities) {
+    for (const word of new Set(tokenize(getText(entity)))) {
+      (words[word] ||= []).push(entity.id);
+    }
+  }
+
+  return words;
+}
+
+/**
+ * A dump's tables are either in the directory itself or in its mbdump/
+ */
+async function findDumpRoot(dir) {
+  const mbdump = path.join(dir, 'mbdump');
+  return await findFile(mbdump, 'recording', { optional: true }) ? mbdump : dir;
+}
+
+/**
+ * Find a dump file by table name, with or without an extension
+ *
+ * @returns {string|null} File name, null if optional and missing
+ * @throws {Error} If a required file is missing
+ */
+async function findFile(dir, table, { optional = false } = {}) {
+  for (const extension of EXTENSIONS) {
+    try {
+      await access(path.join(dir, `${table}${extension}`));
+      return `${table}${extension}`;
+    } catch {
+      // Try the next extension
+    }
+  }
+
+  if (optional) return null;
+  throw new Error(`No ${table} file in ${dir}`);
+}
+
+/**
+ * JSON dumps have an object per line; anything else is read as TSV
+ */
+async function detectFormat(file) {
+  for await (const line of readLines(file)) {
+    return line.trimStart().startsWith('{') ? 'json' : 'tsv';
+  }
+  return 'json';
+}
+
+/**
+ * Non-empty lines of a file, streamed
+ */
+async function* readLines(file) {
+  const lines = readline.createInterface({
+    input: createReadStream(file, { encoding: 'utf8' }),
+    crlfDelay: Infinity
+  });
+
+  try {
+    for await (const line of lines) {
+      if (line.trim()) {
+        yield line;
+      }
+    }
+  } finally {
+    lines.close();
+  }
+}
@@ -0,0 +1,163 @@
+/**
+ * Local MusicBrainz provider
+ * Serves recording and artist lookups from an index built by
+ * `npm run import-musicbrainz` (see musicbrainz.import.js) instead of the
+ * rate-limited web API
+ *
+ * Results have the web service's JSON shape, including a 0-100 search
+ * `score`, so musicBrainzService ranks and maps them exactly like web results.
+ * The index is read into memory on first use. Dumps carry no release groups,
+ * so those lookups come back empty.
+ */
+
+import { readFile } from 'fs/promises';
+import { INDEX_VERSION, tokenize } from './musicbrainz.import.js';
+
+// Share of the search score from the title; the rest is the artist
+const TITLE_WEIGHT = 0.6;
+
+class LocalMusicBrainzProvider {
+  /**
+   * @param {string} indexPath - Index file written by the importer
+   */
+  constructor(indexPath) {
+    this.indexPath = indexPath;
+    this.index = null;
+    this.loading = null;
+  }
+
+  /**
+   * Read the index, once
+   * A failed read is retried on the next lookup, e.g. after an import
+   *
+   * @returns {Object} The index
+   * @throws {Error} If the file is missing, unreadable or from another importer version
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = readFile(this.indexPath, 'utf8')
+        .then(data => {
+          const index = JSON.parse(data);
+          if (index.version !== INDEX_VERSION) {
+            throw new Error(`MusicBrainz index ${this.indexPath} is version ${index.version}, expected ${INDEX_VERSION}. Re-run npm run import-musicbrainz`);
+          }
+          this.index = index;
+          return index;
+        })
+        .catch(error => {
+          this.loading = null;
+          throw error;
+        });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Search recordings by artist and title
+   *
+   * @param {string} artist - Artist name
+   * @param {string} song - Song title
+   * @param {number} limit - Most candidates to return
+   * @returns {Array} Web-service-style recordings with a score, best first
+   */
+  async searchRecordings(artist, song, limit) {
+    const index = await this.load();
+    const titleWords = tokenize(song);
+    const artistWords = tokenize(artist);
+
+    return candidates(index.words.recordings, titleWords)
+      .map(id => {
+        const recording = lookup(index.recordings, id);
+        const credit = recording['artist-credit'].map(c => `${c.name} ${c.joinphrase || ''}`).join(' ');
+        const score = TITLE_WEIGHT * overlap(titleWords, tokenize(recording.title)) +
+          (1 - TITLE_WEIGHT) * overlap(artistWords, tokenize(credit));
+        return { ...recording, score: Math.round(score * 100) };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Search artists by name
+   *
+   * @param {string} name - Artist name
+   * @param {number} limit - Most candidates to return
+   * @returns {Array} Web-service-style artists with a score, best first
+   */
+  async searchArtists(name, limit) {
+    const index = await this.load();
+    const words = tokenize(name);
+
+    return candidates(index.words.artists, words)
+      .map(id => {
+        const artist = lookup(index.artists, id);
+        return { ...artist, score: Math.round(overlap(words, tokenize(artist.name)) * 100) };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Look up a recording by MBID
+   *
+   * @returns {Object|null} Web-service-style recording
+   */
+  async getRecording(recordingId) {
+    const index = await this.load();
+    return lookup(index.recordings, recordingId.toLowerCase());
+  }
+
+  /**
+   * What's loaded
+   *
+   * @returns {Object} { indexPath, loaded, importedAt, recordings, artists }
+   */
+  getStats() {
+    return {
+      indexPath: this.indexPath,
+      loaded: Boolean(this.index),
+      importedAt: this.index?.importedAt || null,
+      recordings: this.index?.counts.recordings ?? null,
+      artists: this.index?.counts.artists ?? null
+    };
+  }
+}
+
+/**
+ * An entry of a parsed index object, or null
+ * Only its own keys count, so 'constructor' or 'toString' find nothing
+ */
+function lookup(object, key) {
+  return Object.hasOwn(object, key) ? object[key] : null;
+}
+
+/**
+ * IDs sharing at least half of the query's words
+ */
+function candidates(words, queryWords) {
+  const matches = new Map();
+  for (const word of new Set(queryWords)) {
+    for (const id of lookup(words, word) || []) {
+      matches.set(id, (matches.get(id) || 0) + 1);
+    }
+  }
+
+  const needed = Math.ceil(new Set(queryWords).size / 2);
+  return [...matches].filter(([, count]) => count >= needed).map(([id]) => id);
+}
+
+/**
+ * Shared words over the longer of the two word lists (0 to 1)
+ */
+function overlap(a, b) {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  const size = Math.max(setA.size, setB.size);
+  if (size === 0) return 0;
+
+  return [...setA].filter(word => setB.has(word)).length / size;
+}
+
+export { LocalMusicBrainzProvider };
+export default LocalMusicBrainzProvider;
@@ -0,0 +1,291 @@
+/**
+ * MusicBrainz Scheduler - One queue for every request to MusicBrainz
+ *
+ * MusicBrainz allows about 1 request per second per client and answers 503
+ * when that's exceeded. Requests are queued and started from a token bucket
+ * (MUSICBRAINZ_RATE_LIMIT per second), so concurrent callers can't fire in
+ * the same second.
+ *
+ * - Priorities: 'interactive' requests (a user waiting on one video) start
+ *   before any queued 'bulk' work (playlist analyses, jobs).
+ * - Backoff: a 503 or 429 pauses the whole queue for the Retry-After time
+ *   (or exponential backoff without one) and retries the request, up to
+ *   MUSICBRAINZ_MAX_RETRIES times.
+ * - Coordination: with MUSICBRAINZ_COORDINATION=redis, instances also take
+ *   a slot from a per-second counter in the cache's Redis, and share pauses,
+ *   so they stay within one budget together. Without Redis each instance
+ *   keeps to the limit on its own.
+ */
+
+import cacheService from './cache.service.js';
+
+export const PRIORITIES = ['interactive', 'bulk']; // Highest first
+
+/**
+ * Shares the rate budget and pauses between instances through Redis
+ * Every method degrades to "no limit from Redis" when Redis is unreachable
+ */
+export class RedisRateCoordinator {
+  /**
+   * @param {Object} options
+   * @param {number} options.ratePerSecond - Requests per second for all instances together
+   * @param {Function} options.getClient - Returns a connected node-redis client, or null
+   * @param {Function} options.getPrefix - Returns the key prefix
+   */
+  constructor({
+    ratePerSecond,
+    getClient = () => (cacheService.isRedisAvailable ? cacheService.client : null),
+    getPrefix = () => cacheService.prefix
+  }) {
+    this.ratePerSecond = ratePerSecond;
+    this.getClient = getClient;
+    this.getPrefix = getPrefix;
+  }
+
+  /**
+   * Try to take a slot in the current one-second window
+   *
+   * @returns {number} 0 if a slot was taken, else ms until the next window
+   */
+  async acquire() {
+    const client = this.getClient();
+    if (!client) {
+      return 0;
+    }
+
+    const now = Date.now();
+    const key = `${this.getPrefix()}musicbrainz:rate:${Math.floor(now / 1000)}`;
+    const count = await client.incr(key);
+    if (count === 1) {
+      await client.pExpire(key, 2000);
+    }
+
+    return count <= this.ratePerSecond ? 0 : 1000 - (now % 1000);
+  }
+
+  /**
+   * Pause every instance until a time
+   */
+  async pause(until) {
+    const client = this.getClient();
+    const ms = until - Date.now();
+    if (client && ms > 0) {
+      await client.set(`${this.getPrefix()}musicbrainz:pause`, String(until), { PX: ms });
+    }
+  }
+
+  /**
+   * @returns {number} ms until a pause set by any instance ends (0 = none)
+   */
+  async pausedFor() {
+    const client = this.getClient();
+    if (!client) {
+      return 0;
+    }
+
+    const until = Number(await client.get(`${this.getPrefix()}musicbrainz:pause`));
+    return Math.max(0, until - Date.now());
+  }
+}
+
+export class MusicBrainzScheduler {
+  /**
+   * @param {Object} options
+   * @param {number} options.ratePerSecond - Requests started per second (default: MUSICBRAINZ_RATE_LIMIT)
+   * @param {number} options.burst - Requests that may start back to back after idling
+   * @param {number} options.maxRetries - Retries after a 503/429 (default: MUSICBRAINZ_MAX_RETRIES)
+   * @param {number} options.baseBackoffMs - First backoff without a Retry-After header, doubled per retry
+   * @param {number} options.maxBackoffMs - Longest pause
+   * @param {Object} options.coordinator - RedisRateCoordinator, or null (default: from MUSICBRAINZ_COORDINATION)
+   */
+  constructor({
+    ratePerSecond = parseFloat(process.env.MUSICBRAINZ_RATE_LIMIT || '1'),
+    burst = 1,
+    maxRetries = parseInt(process.env.MUSICBRAINZ_MAX_RETRIES || '3'),
+    baseBackoffMs = 2000,
+    maxBackoffMs = 60000,
+    coordinator = process.env.MUSICBRAINZ_COORDINATION === 'redis'
+      ? new RedisRateCoordinator({ ratePerSecond })
+      : null
+  } = {}) {
+    this.ratePerSecond = ratePerSecond;
+    this.burst = burst;
+    this.maxRetries = maxRetries;
+    this.baseBackoffMs = baseBackoffMs;
+    this.maxBackoffMs = maxBackoffMs;
+    this.coordinator = coordinator;
+
+    this.queues = Object.fromEntries(PRIORITIES.map(priority => [priority, []]));
+    this.tokens = burst;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.pumping = false;
+    this.stats = { started: 0, retried: 0, throttled: 0, failed: 0 };
+  }
+
+  /**
+   * Queue a request
+   *
+   * @param {Function} request - Async function making one HTTP request (axios errors expected)
+   * @param {Object} options
+   * @param {string} options.priority - 'interactive' (default) or 'bulk'
+   * @returns {Promise<*>} The request's result, after any retries
+   */
+  schedule(request, { priority = 'interactive' } = {}) {
+    if (!this.queues[priority]) {
+      return Promise.reject(new Error(`Unknown priority "${priority}". Available: ${PRIORITIES.join(', ')}`));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queues[priority].push({ request, priority, resolve, reject, attempts: 0 });
+      this.pump();
+    });
+  }
+
+  /**
+   * Start queued requests as the rate allows, until the queues are empty
+   * Only one pump runs at a time; requests run concurrently once started
+   */
+  async pump() {
+    if (this.pumping) {
+      return;
+    }
+    this.pumping = true;
+
+    try {
+      while (this.peek()) {
+        const wait = await this.waitTime();
+        if (wait > 0) {
+          await sleep(wait);
+          continue;
+        }
+
+        // Re-check after waiting: an interactive request may have arrived
+        const job = this.queues[this.peek().priority].shift();
+        this.tokens -= 1;
+        this.stats.started++;
+        this.run(job);
+      }
+    } finally {
+      this.pumping = false;
+    }
+  }
+
+  /**
+   * Next request to start (highest priority, oldest first)
+   */
+  peek() {
+    for (const priority of PRIORITIES) {
+      if (this.queues[priority].length > 0) {
+        return this.queues[priority][0];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * ms until the next request may start (0 = now, and a Redis slot is taken)
+   */
+  async waitTime() {
+    const now = Date.now();
+    if (this.pausedUntil > now) {
+      return this.pausedUntil - now;
+    }
+
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefill) / 1000) * this.ratePerSecond);
+    this.lastRefill = now;
+    if (this.tokens < 1) {
+      return Math.ceil(((1 - this.tokens) / this.ratePerSecond) * 1000);
+    }
+
+    if (!this.coordinator) {
+      return 0;
+    }
+
+    try {
+      return (await this.coordinator.pausedFor()) || await this.coordinator.acquire();
+    } catch (error) {
+      // Redis trouble shouldn't stop lookups; this instance still keeps its own limit
+      console.error('MusicBrainz rate coordination error:', error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Run a started request, requeueing it at the front if MusicBrainz is throttling
+   */
+  async run(job) {
+    try {
+      job.resolve(await job.request());
+    } catch (error) {
+      const status = error.response?.status;
+      if (status !== 503 && status !== 429) {
+        this.stats.failed++;
+        job.reject(error);
+        return;
+      }
+
+      this.stats.throttled++;
+      if (job.attempts >= this.maxRetries) {
+        this.stats.failed++;
+        job.reject(error);
+        return;
+      }
+
+      job.attempts++;
+      this.stats.retried++;
+      await this.pause(this.backoffDelay(error, job.attempts));
+      this.queues[job.priority].unshift(job);
+      this.pump();
+    }
+  }
+
+  /**
+   * How long to back off after a throttled response
+   * Retry-After (seconds or an HTTP date) wins, else base * 2^(attempt - 1)
+   */
+  backoffDelay(error, attempt) {
+    const retryAfter = error.response?.headers?.['retry-after'];
+    if (retryAfter !== undefined) {
+      const seconds = Number(retryAfter);
+      const ms = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+      if (!Number.isNaN(ms)) {
+        return Math.min(Math.max(ms, 0), this.maxBackoffMs);
+      }
+    }
+
+    return Math.min(this.baseBackoffMs * 2 ** (attempt - 1), this.maxBackoffMs);
+  }
+
+  /**
+   * Hold every queued request (on all instances, when coordinated) for ms
+   */
+  async pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+
+    if (this.coordinator) {
+      try {
+        await this.coordinator.pause(this.pausedUntil);
+      } catch (error) {
+        console.error('MusicBrainz rate coordination error:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Queue lengths and counters since this instance started
+   */
+  getStats() {
+    return {
+      coordination: this.coordinator ? 'redis' : 'local',
+      ratePerSecond: this.ratePerSecond,
+      queued: Object.fromEntries(PRIORITIES.map(priority => [priority, this.queues[priority].length])),
+      pausedForMs: Math.max(0, this.pausedUntil - Date.now()),
+      ...this.stats
+    };
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
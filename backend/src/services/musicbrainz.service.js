@@ -3,85 +3,123 @@
  * Replaces Spotify for music identification and metadata
  *
  * API Docs: https://musicbrainz.org/doc/MusicBrainz_API
- * Rate Limit: 1 request per second (enforced client-side)
+ * Rate Limit: 1 request per second (enforced client-side by musicbrainz.scheduler.js)
+ *
+ * Lookups take an optional { priority }: 'interactive' (default) for a user
+ * waiting on one result, 'bulk' for playlist and batch work.
+ *
+ * With MUSICBRAINZ_SOURCE=local, recordings and artists come from an
+ * imported data dump instead (see musicbrainz.local.js), with no rate limit.
+ *
+ * Environment:
+ *   MUSICBRAINZ_SOURCE     - 'web' (default) or 'local'
+ *   MUSICBRAINZ_INDEX_PATH - Index for the local source (default: data/musicbrainz-index.json)
  */
 
+import { fileURLToPath } from 'url';
 import axios from 'axios';
 import cacheService from './cache.service.js';
+import { cacheKey as buildCacheKey, normalizeKeyText } from './cache.keys.js';
+import { SingleFlight } from '../utils/singleFlight.js';
+import { MusicBrainzScheduler } from './musicbrainz.scheduler.js';
+import { LocalMusicBrainzProvider } from './musicbrainz.local.js';
+import { rankCandidates } from '../utils/candidateScorer.js';
+import { similarityRatio, normalizeString } from '../utils/stringMatcher.js';
+
+const SEARCH_LIMIT = 10; // Candidates fetched per recording search
+const MAX_ALTERNATIVES = 4; // Runner-up candidates kept with a search result
+const ARTIST_MATCH_THRESHOLD = 0.8; // Name similarity needed to use an artist's genres
+
+const DEFAULT_INDEX_PATH = fileURLToPath(new URL('../../data/musicbrainz-index.json', import.meta.url));
 
 class MusicBrainzService {
   constructor() {
     this.baseUrl = 'https://musicbrainz.org/ws/2';
     this.userAgent = 'YouTubeFelsMeter/1.0 (https://github.com/yourproject)'; // Required by MusicBrainz
-    this.lastRequestTime = 0;
-    this.minRequestInterval = 1000; // 1 request per second
+    this.scheduler = new MusicBrainzScheduler();
+    // Imported dump to look up instead of the web API (null = web)
+    this.local = process.env.MUSICBRAINZ_SOURCE === 'local'
+      ? new LocalMusicBrainzProvider(process.env.MUSICBRAINZ_INDEX_PATH || DEFAULT_INDEX_PATH)
+      : null;
+    // Concurrent searches for the same query share one request
+    this.flights = {
+      searchRecording: new SingleFlight(),
+      searchArtist: new SingleFlight()
+    };
   }
 
   /**
-   * Rate limiting - MusicBrainz requires 1 req/sec max
+   * GET a MusicBrainz endpoint through the rate-limited queue
+   *
+   * @param {string} path - Path under the API root, e.g. '/recording'
+   * @param {Object} params - Query parameters
+   * @param {string} priority - 'interactive' or 'bulk'
+   * @returns {Object} axios response
    */
-  async enforceRateLimit() {
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
-
-    if (timeSinceLastRequest < this.minRequestInterval) {
-      const waitTime = this.minRequestInterval - timeSinceLastRequest;
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-    }
-
-    this.lastRequestTime = Date.now();
+  request(path, params, priority = 'interactive') {
+    return this.scheduler.schedule(() => axios.get(`${this.baseUrl}${path}`, {
+      params,
+      headers: {
+        'User-Agent': this.userAgent
+      }
+    }), { priority });
   }
 
   /**
    * Search for a recording (song) by artist and title
+   * Candidates are ranked by candidateScorer.js rather than taken in
+   * MusicBrainz's order; the best comes with its matchScore and runner-ups.
+   * Concurrent calls for the same (normalized) query share one lookup
    *
    * @param {string} artist - Artist name
    * @param {string} song - Song title
-   * @returns {Object|null} Recording data or null
+   * @param {Object} options
+   * @param {string} options.priority - 'interactive' (default) or 'bulk'
+   * @param {Array} options.versions - Version tags the video has (see titleParser.js),
+   *   so e.g. a remix isn't ranked down for being a remix
+   * @returns {Object|null} Recording data with matchScore and alternatives, or null
    */
-  async searchRecording(artist, song) {
+  async searchRecording(artist, song, { priority = 'interactive', versions = [] } = {}) {
     if (!artist || !song) {
       return null;
     }
 
+    const parts = [normalizeKeyText(artist), normalizeKeyText(song)];
+    if (versions.length > 0) {
+      parts.push(versions.join('+'));
+    }
+    const cacheKey = buildCacheKey('musicbrainz:recording', ...parts);
+    return this.flights.searchRecording.run(cacheKey, () => this.lookupRecording(cacheKey, artist, song, priority, versions));
+  }
+
+  /**
+   * Search for a recording, cache first (see searchRecording)
+   */
+  async lookupRecording(cacheKey, artist, song, priority, versions = []) {
     // Check cache first
-    const cacheKey = `musicbrainz:recording:${artist}:${song}`;
     const cached = await cacheService.get(cacheKey);
     if (cached) {
       return cached;
     }
 
     try {
-      await this.enforceRateLimit();
-
-      // Build query - MusicBrainz uses Lucene query syntax
-      const query = `recording:"${song}" AND artist:"${artist}"`;
-
-      const response = await axios.get(`${this.baseUrl}/recording`, {
-        params: {
-          query,
-          fmt: 'json',
-          limit: 5
-        },
-        headers: {
-          'User-Agent': this.userAgent
-        }
-      });
+      const recordings = await this.fetchRecordings(artist, song, priority);
 
-      if (response.data.recordings && response.data.recordings.length > 0) {
-        // Get the best match (first result)
-        const recording = response.data.recordings[0];
+      if (recordings.length > 0) {
+        const [best, ...runnersUp] = rankCandidates({ artist, song, versions }, recordings);
 
         const result = {
-          id: recording.id,
-          title: recording.title,
-          artist: recording['artist-credit']?.[0]?.name || artist,
-          length: recording.length, // Duration in milliseconds
-          score: recording.score, // Match score (0-100)
-          disambiguation: recording.disambiguation || '',
-          tags: recording.tags || [],
-          // Get genre/style from tags if available
-          genres: recording.tags?.map(t => t.name) || []
+          ...this.toRecording(best.recording, artist),
+          matchScore: best.matchScore,
+          // Next best candidates, so a wrong match can be swapped for one
+          alternatives: runnersUp.slice(0, MAX_ALTERNATIVES).map(({ recording, matchScore }) => ({
+            id: recording.id,
+            title: recording.title,
+            artist: recording['artist-credit']?.[0]?.name || artist,
+            disambiguation: recording.disambiguation || '',
+            score: recording.score,
+            matchScore
+          }))
         };
 
         // Cache for 30 days
@@ -97,6 +135,43 @@ class MusicBrainzService {
     }
   }
 
+  /**
+   * Recording search candidates, from the local index or the web API
+   */
+  async fetchRecordings(artist, song, priority) {
+    if (this.local) {
+      return this.local.searchRecordings(artist, song, SEARCH_LIMIT);
+    }
+
+    // MusicBrainz uses Lucene query syntax
+    const response = await this.request('/recording', {
+      query: `recording:"${song}" AND artist:"${artist}"`,
+      fmt: 'json',
+      limit: SEARCH_LIMIT
+    }, priority);
+
+    return response.data.recordings || [];
+  }
+
+  /**
+   * Shape a recording search result
+   */
+  toRecording(recording, queriedArtist) {
+    return {
+      id: recording.id,
+      title: recording.title,
+      artist: recording['artist-credit']?.[0]?.name || queriedArtist,
+      length: recording.length, // Duration in milliseconds
+      score: recording.score, // MusicBrainz search score (0-100)
+      disambiguation: recording.disambiguation || '',
+      tags: recording.tags || [],
+      // Get genre/style from tags if available
+      genres: recording.tags?.map(t => t.name) || [],
+      releaseGroupId: pickReleaseGroupId(recording.releases),
+      ...releaseDate(recording)
+    };
+  }
+
   /**
    * Search for multiple recordings in batch
    * Note: MusicBrainz doesn't have batch API, so we do sequential requests with rate limiting
@@ -108,7 +183,7 @@ class MusicBrainzService {
     const results = [];
 
     for (const track of tracks) {
-      const result = await this.searchRecording(track.artist, track.song);
+      const result = await this.searchRecording(track.artist, track.song, { priority: 'bulk' });
       results.push({
         query: track,
         recording: result
@@ -120,37 +195,42 @@ class MusicBrainzService {
 
   /**
    * Get artist information
+   * Concurrent calls for the same (normalized) name share one lookup
    *
    * @param {string} artistName - Artist name
+   * @param {Object} options
+   * @param {string} options.priority - 'interactive' (default) or 'bulk'
    * @returns {Object|null} Artist data
    */
-  async searchArtist(artistName) {
+  async searchArtist(artistName, { priority = 'interactive' } = {}) {
     if (!artistName) {
       return null;
     }
 
-    const cacheKey = `musicbrainz:artist:${artistName}`;
+    const cacheKey = buildCacheKey('musicbrainz:artist', normalizeKeyText(artistName));
+    return this.flights.searchArtist.run(cacheKey, () => this.lookupArtist(cacheKey, artistName, priority));
+  }
+
+  /**
+   * Search for an artist, cache first (see searchArtist)
+   */
+  async lookupArtist(cacheKey, artistName, priority) {
     const cached = await cacheService.get(cacheKey);
     if (cached) {
       return cached;
     }
 
     try {
-      await this.enforceRateLimit();
-
-      const response = await axios.get(`${this.baseUrl}/artist`, {
-        params: {
+      const artists = this.local
+        ? await this.local.searchArtists(artistName, 1)
+        : (await this.request('/artist', {
           query: `artist:"${artistName}"`,
           fmt: 'json',
           limit: 1
-        },
-        headers: {
-          'User-Agent': this.userAgent
-        }
-      });
+        }, priority)).data.artists || [];
 
-      if (response.data.artists && response.data.artists.length > 0) {
-        const artist = response.data.artists[0];
+      if (artists.length > 0) {
+        const artist = artists[0];
 
         const result = {
           id: artist.id,
@@ -176,37 +256,39 @@ class MusicBrainzService {
    * Get detailed recording info by MusicBrainz ID
    *
    * @param {string} recordingId - MusicBrainz recording ID
+   * @param {Object} options
+   * @param {string} options.priority - 'interactive' (default) or 'bulk'
    * @returns {Object|null} Detailed recording data
    */
-  async getRecordingById(recordingId) {
-    const cacheKey = `musicbrainz:recording:id:${recordingId}`;
+  async getRecordingById(recordingId, { priority = 'interactive' } = {}) {
+    const cacheKey = buildCacheKey('musicbrainz:recording-id', recordingId.toLowerCase());
     const cached = await cacheService.get(cacheKey);
     if (cached) {
       return cached;
     }
 
     try {
-      await this.enforceRateLimit();
-
-      const response = await axios.get(`${this.baseUrl}/recording/${recordingId}`, {
-        params: {
-          inc: 'artist-credits+tags+genres+ratings',
+      const recording = this.local
+        ? await this.local.getRecording(recordingId)
+        : (await this.request(`/recording/${recordingId}`, {
+          inc: 'artist-credits+tags+genres+ratings+releases+release-groups',
           fmt: 'json'
-        },
-        headers: {
-          'User-Agent': this.userAgent
-        }
-      });
+        }, priority)).data;
+
+      if (!recording) {
+        return null;
+      }
 
-      const recording = response.data;
       const result = {
         id: recording.id,
         title: recording.title,
         artist: recording['artist-credit']?.[0]?.name,
         length: recording.length,
         tags: recording.tags || [],
-        genres: recording.genres?.map(g => g.name) || recording.tags?.map(t => t.name) || [],
-        rating: recording.rating?.value || null
+        genres: tagNames(recording),
+        rating: recording.rating?.value || null,
+        releaseGroupId: pickReleaseGroupId(recording.releases),
+        ...releaseDate(recording)
       };
 
       await cacheService.set(cacheKey, result, 2592000);
@@ -216,6 +298,129 @@ class MusicBrainzService {
       return null;
     }
   }
+
+  /**
+   * Get a release group (the album/single a recording appeared on)
+   *
+   * @param {string} releaseGroupId - MusicBrainz release group ID
+   * @param {Object} options
+   * @param {string} options.priority - 'interactive' (default) or 'bulk'
+   * @returns {Object|null} { id, title, primaryType, firstReleaseDate, genres }
+   */
+  async getReleaseGroup(releaseGroupId, { priority = 'interactive' } = {}) {
+    // Imported dumps have no release groups
+    if (this.local) {
+      return null;
+    }
+
+    const cacheKey = buildCacheKey('musicbrainz:release-group', releaseGroupId.toLowerCase());
+    const cached = await cacheService.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    try {
+      const response = await this.request(`/release-group/${releaseGroupId}`, {
+        inc: 'tags+genres',
+        fmt: 'json'
+      }, priority);
+
+      const releaseGroup = response.data;
+      const result = {
+        id: releaseGroup.id,
+        title: releaseGroup.title,
+        primaryType: releaseGroup['primary-type'] || null,
+        firstReleaseDate: releaseGroup['first-release-date'] || null,
+        genres: tagNames(releaseGroup)
+      };
+
+      await cacheService.set(cacheKey, result, 2592000);
+      return result;
+    } catch (error) {
+      console.error('MusicBrainz get release group error:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Find genres for a recording, cascading to broader sources
+   * Most recordings carry no tags of their own, so fall back to the
+   * release group's genres, then to the artist's.
+   *
+   * @param {Object} recording - From searchRecording or getRecordingById
+   * @param {Object} options
+   * @param {string} options.priority - 'interactive' (default) or 'bulk'
+   * @returns {Object} { genres, source } - source is 'recording', 'release-group',
+   *   'artist', or null when no level had any
+   */
+  async resolveGenres(recording, { priority = 'interactive' } = {}) {
+    if (recording.genres?.length > 0) {
+      return { genres: recording.genres, source: 'recording' };
+    }
+
+    if (recording.releaseGroupId) {
+      const releaseGroup = await this.getReleaseGroup(recording.releaseGroupId, { priority });
+      if (releaseGroup?.genres.length > 0) {
+        return { genres: releaseGroup.genres, source: 'release-group' };
+      }
+    }
+
+    if (recording.artist) {
+      const artist = await this.searchArtist(recording.artist, { priority });
+      // The search returns its best guess; don't borrow genres from a different artist
+      const sameArtist = artist &&
+        similarityRatio(normalizeString(artist.name), normalizeString(recording.artist)) >= ARTIST_MATCH_THRESHOLD;
+      if (sameArtist && artist.genres.length > 0) {
+        return { genres: artist.genres, source: 'artist' };
+      }
+    }
+
+    return { genres: [], source: null };
+  }
+
+  /**
+   * How many searches were served by joining an identical one in flight
+   *
+   * @returns {Object} { searchRecording, searchArtist } - see SingleFlight.getStats()
+   */
+  getCoalescingStats() {
+    return {
+      searchRecording: this.flights.searchRecording.getStats(),
+      searchArtist: this.flights.searchArtist.getStats()
+    };
+  }
+}
+
+/**
+ * Curated genres if MusicBrainz has any, else the folksonomy tags
+ */
+function tagNames(entity) {
+  return entity.genres?.length > 0
+    ? entity.genres.map(g => g.name)
+    : entity.tags?.map(t => t.name) || [];
+}
+
+/**
+ * Release group to take fallback genres (and dates) from
+ * Prefers a group with an official release
+ */
+function pickReleaseGroupId(releases = []) {
+  const official = releases.find(release => release.status === 'Official' && release['release-group']?.id);
+  return (official || releases.find(release => release['release-group']?.id))?.['release-group'].id || null;
+}
+
+/**
+ * When a recording first came out
+ * MusicBrainz's first-release-date, else the earliest of its releases' dates
+ *
+ * @returns {Object} { firstReleaseDate, year } - both null when unknown
+ */
+function releaseDate(recording) {
+  const dates = (recording.releases || []).map(release => release.date).filter(Boolean).sort();
+  const firstReleaseDate = recording['first-release-date'] || dates[0] || null;
+  const year = firstReleaseDate ? parseInt(firstReleaseDate.slice(0, 4)) : NaN;
+
+  return { firstReleaseDate, year: Number.isNaN(year) ? null : year };
 }
 
 // Singleton instance
@@ -0,0 +1,147 @@
+/**
+ * Override Service - Manual corrections for video matches
+ *
+ * A user can fix a wrong match by setting the feels/positivity score directly
+ * or by pinning the MusicBrainz recording a video should match. Overrides are
+ * kept in the repository's corrections collection rather than the cache, so
+ * they survive cache expiry and flushes.
+ *
+ * A pinned recording also records the video's title and the recording's
+ * artist and title, which makes it a labeled example for training the title
+ * model (see title-model.training.js).
+ */
+
+import defaultRepository from './repository.service.js';
+
+const MBID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_NOTE_LENGTH = 500;
+const MAX_TITLE_LENGTH = 500;
+
+class OverrideService {
+  /**
+   * @param {Object} repository - Repository holding the corrections collection
+   */
+  constructor(repository = defaultRepository) {
+    this.repository = repository;
+  }
+
+  /**
+   * Validate override input
+   *
+   * @param {Object} input - { feelsScore, positivityScore, recordingId, note,
+   *   videoTitle, channelTitle, artist, song }
+   * @returns {Array<string>} Validation errors (empty if valid)
+   */
+  validate(input) {
+    const errors = [];
+
+    if (!input || typeof input !== 'object') {
+      return ['override must be an object'];
+    }
+
+    const { feelsScore, positivityScore, recordingId, note } = input;
+
+    if (feelsScore === undefined && positivityScore === undefined && recordingId === undefined) {
+      errors.push('one of feelsScore, positivityScore or recordingId is required');
+    }
+
+    for (const [key, value] of Object.entries({ feelsScore, positivityScore })) {
+      if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 100)) {
+        errors.push(`${key} must be a number between 0 and 100`);
+      }
+    }
+
+    if (recordingId !== undefined && (typeof recordingId !== 'string' || !MBID_PATTERN.test(recordingId))) {
+      errors.push('recordingId must be a MusicBrainz recording ID (UUID)');
+    }
+
+    if (note !== undefined && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+      errors.push(`note must be a string of at most ${MAX_NOTE_LENGTH} characters`);
+    }
+
+    for (const key of ['videoTitle', 'channelTitle', 'artist', 'song']) {
+      const value = input[key];
+      if (value !== undefined && value !== null && (typeof value !== 'string' || value.length > MAX_TITLE_LENGTH)) {
+        errors.push(`${key} must be a string of at most ${MAX_TITLE_LENGTH} characters`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Get the override for a video
+   *
+   * @param {string} videoId - YouTube video ID
+   * @returns {Object|null} Override or null if none
+   */
+  async get(videoId) {
+    return this.repository.get('corrections', videoId);
+  }
+
+  /**
+   * Get overrides for several videos at once
+   *
+   * @param {Array<string>} videoIds - YouTube video IDs
+   * @returns {Array<Object|null>} Overrides in the same order
+   */
+  async getMany(videoIds) {
+    return this.repository.getMany('corrections', videoIds);
+  }
+
+  /**
+   * List all overrides
+   */
+  async list() {
+    return this.repository.list('corrections');
+  }
+
+  /**
+   * Create or replace the override for a video
+   *
+   * @param {string} videoId - YouTube video ID
+   * @param {Object} input - { feelsScore, positivityScore, recordingId, note,
+   *   videoTitle, channelTitle: the video's, artist, song: the pinned recording's }
+   * @returns {Object} Stored override
+   * @throws {Error} If the input is invalid (error.status = 400)
+   */
+  async set(videoId, input) {
+    const errors = this.validate(input);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid override: ${errors.join('; ')}`);
+      error.status = 400;
+      throw error;
+    }
+
+    const existing = await this.get(videoId);
+
+    return this.repository.put('corrections', {
+      videoId,
+      feelsScore: input.feelsScore !== undefined ? Math.round(input.feelsScore) : null,
+      positivityScore: input.positivityScore !== undefined ? Math.round(input.positivityScore) : null,
+      recordingId: input.recordingId ? input.recordingId.toLowerCase() : null,
+      note: input.note || null,
+      videoTitle: input.videoTitle || null,
+      channelTitle: input.channelTitle || null,
+      artist: input.recordingId ? input.artist || null : null,
+      song: input.recordingId ? input.song || null : null,
+      createdAt: existing?.createdAt || new Date().toISOString()
+    });
+  }
+
+  /**
+   * Remove the override for a video
+   *
+   * @param {string} videoId - YouTube video ID
+   * @returns {boolean} True if an override was removed
+   */
+  async remove(videoId) {
+    return this.repository.delete('corrections', videoId);
+  }
+}
+
+// Singleton instance
+const overrideService = new OverrideService();
+
+export { OverrideService };
+export default overrideService;
@@ -0,0 +1,207 @@
+/**
+ * Repository Service - Durable storage for analyses and corrections
+ *
+ * Holds what must not expire: analyzed playlists, matched tracks, automatic
+ * match results and manual corrections. cacheService stays a pure TTL cache
+ * in front of it; losing the cache only costs a lookup here.
+ *
+ * Records are checked against explicit schemas (storage/schemas.js) on
+ * write, and the store is migrated to the latest schema version
+ * (storage/migrations.js) before first use.
+ *
+ * Configuration (environment):
+ *   STORAGE_DRIVER    - 'json', 'redis' or 'memory'. Defaults to redis when a
+ *                       Redis URL is set, else memory on Vercel (read-only
+ *                       filesystem), else json
+ *   STORAGE_PATH      - JSON file for the json driver (default: data/storage.json)
+ *   STORAGE_REDIS_URL - Redis URL for the redis driver (default: REDIS_URL)
+ */
+
+import { fileURLToPath } from 'url';
+import { JsonStore } from './storage/json.store.js';
+import { RedisStore } from './storage/redis.store.js';
+import { getSchema, validateRecord } from './storage/schemas.js';
+import { migrate, MIGRATIONS } from './storage/migrations.js';
+
+const DEFAULT_PATH = fileURLToPath(new URL('../../data/storage.json', import.meta.url));
+
+const DRIVERS = ['json', 'redis', 'memory'];
+
+/**
+ * The driver to use when STORAGE_DRIVER isn't set
+ */
+function defaultDriver() {
+  if (process.env.STORAGE_REDIS_URL || process.env.REDIS_URL) {
+    return 'redis';
+  }
+  if (process.env.VERCEL) {
+    console.warn('⚠️  No Redis URL on Vercel: stored analyses and overrides last only as long as the instance');
+    return 'memory';
+  }
+  return 'json';
+}
+
+/**
+ * Create the storage driver named by the environment
+ *
+ * @returns {Object} Storage driver
+ * @throws {Error} If STORAGE_DRIVER is unknown, or json on Vercel
+ */
+export function createStore() {
+  const driver = process.env.STORAGE_DRIVER || defaultDriver();
+
+  switch (driver) {
+    case 'json':
+      if (process.env.VERCEL) {
+        throw new Error('STORAGE_DRIVER "json" can\'t write on Vercel\'s read-only filesystem. Use redis (set STORAGE_REDIS_URL) or memory');
+      }
+      return new JsonStore(process.env.STORAGE_PATH || DEFAULT_PATH, {
+        flushDelayMs: parseInt(process.env.STORAGE_FLUSH_MS || '1000')
+      });
+    case 'memory':
+      return new JsonStore(null);
+    case 'redis':
+      return new RedisStore({ url: process.env.STORAGE_REDIS_URL || process.env.REDIS_URL });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}". Available: ${DRIVERS.join(', ')}`);
+  }
+}
+
+class Repository {
+  /**
+   * @param {Object} store - Storage driver (created from the environment when omitted)
+   * @param {Array} migrations - Migrations to apply (default: MIGRATIONS)
+   */
+  constructor(store = null, migrations = MIGRATIONS) {
+    this.configuredStore = store;
+    this.store = null;
+    this.migrations = migrations;
+    this.readyPromise = null;
+    this.schemaVersion = null;
+  }
+
+  /**
+   * Connect and migrate the store
+   * Runs once; every other method waits for it
+   */
+  initialize() {
+    if (!this.readyPromise) {
+      this.readyPromise = (async () => {
+        this.store = this.configuredStore || createStore();
+        await this.store.connect();
+        this.schemaVersion = await migrate(this.store, this.migrations);
+        console.log(`💾 Storage: ${this.store.name} (schema v${this.schemaVersion})`);
+      })().catch((error) => {
+        // Let the next call try again
+        this.readyPromise = null;
+        throw error;
+      });
+    }
+    return this.readyPromise;
+  }
+
+  /**
+   * Get a record by ID
+   *
+   * @param {string} collection - Collection name (see storage/schemas.js)
+   * @param {string} id - Record ID
+   * @returns {Object|null} Record or null if none
+   */
+  async get(collection, id) {
+    getSchema(collection);
+    await this.initialize();
+    return this.store.get(collection, id);
+  }
+
+  /**
+   * Get several records at once
+   *
+   * @param {string} collection - Collection name
+   * @param {Array<string>} ids - Record IDs
+   * @returns {Array<Object|null>} Records in the same order
+   */
+  async getMany(collection, ids) {
+    getSchema(collection);
+    await this.initialize();
+    return this.store.getMany(collection, ids);
+  }
+
+  /**
+   * List every record in a collection
+   *
+   * @param {string} collection - Collection name
+   * @returns {Array<Object>} Records
+   */
+  async list(collection) {
+    getSchema(collection);
+    await this.initialize();
+    return this.store.list(collection);
+  }
+
+  /**
+   * Create or replace a record
+   * The record's ID is read from its schema's key field and updatedAt is
+   * set to now.
+   *
+   * @param {string} collection - Collection name
+   * @param {Object} record - Record to store
+   * @returns {Object} Stored record
+   * @throws {Error} If the record doesn't match the collection's schema
+   */
+  async put(collection, record) {
+    const { key } = getSchema(collection);
+    const stored = { ...record, updatedAt: new Date().toISOString() };
+
+    const errors = validateRecord(collection, stored);
+    if (errors.length > 0) {
+      throw new Error(`Invalid ${collection} record: ${errors.join('; ')}`);
+    }
+
+    await this.initialize();
+    await this.store.put(collection, stored[key], stored);
+    return stored;
+  }
+
+  /**
+   * Delete a record
+   *
+   * @param {string} collection - Collection name
+   * @param {string} id - Record ID
+   * @returns {boolean} True if a record was removed
+   */
+  async delete(collection, id) {
+    getSchema(collection);
+    await this.initialize();
+    return this.store.delete(collection, id);
+  }
+
+  /**
+   * Disconnect from the store (waiting for pending writes)
+   * The next call reconnects, re-creating the store from the environment
+   * unless one was passed to the constructor
+   */
+  async disconnect() {
+    if (this.readyPromise) {
+      await this.readyPromise.catch(() => {});
+      await this.store?.disconnect();
+      this.readyPromise = null;
+      this.store = null;
+    }
+  }
+
+  /**
+   * Get storage status
+   */
+  getStatus() {
+    return {
+      driver: this.store?.name || null,
+      schemaVersion: this.schemaVersion
+    };
+  }
+}
+
+// Singleton instance
+const repository = new Repository();
+
+export { Repository };
+export default repository;
@@ -7,6 +7,7 @@ import axios from 'axios';
 import { parseVideoTitle } from '../utils/titleParser.js';
 import { calculateMatchScore, normalizeString } from '../utils/stringMatcher.js';
 import cacheService from './cache.service.js';
+import { cacheKey as buildCacheKey } from './cache.keys.js';
 
 const SPOTIFY_AUTH_URL = 'https://accounts.spotify.com/api/token';
 const SPOTIFY_API_BASE = 'https://api.spotify.com/v1';
@@ -148,7 +149,7 @@ class SpotifyService {
    */
   async getAudioFeatures(trackId) {
     // Check cache first
-    const cacheKey = `spotify:audiofeatures:${trackId}`;
+    const cacheKey = buildCacheKey('spotify:audio-features', trackId);
     const cached = await cacheService.get(cacheKey);
     if (cached) {
       return cached;
@@ -198,7 +199,7 @@ class SpotifyService {
    */
   async matchVideo(video) {
     // Check cache first
-    const cacheKey = `spotify:match:${video.id}`;
+    const cacheKey = buildCacheKey('spotify:match', video.id);
     const cached = await cacheService.get(cacheKey);
     if (cached) {
       return { ...cached, cached: true };
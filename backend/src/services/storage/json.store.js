@@ -0,0 +1,184 @@
+/**
+ * JSON Store - File-backed storage driver
+ *
+ * Keeps every collection in memory and writes the whole store to a single
+ * JSON file (atomically, via a temp file and rename). Changes are flushed
+ * once per flush delay rather than after each put, so analyzing a playlist
+ * doesn't rewrite the file once per video; disconnect() writes what's left.
+ * Without a file path it's a purely in-memory store, used for tests.
+ *
+ * Every storage driver implements the same interface:
+ *   name                           - Driver name used in config
+ *   connect() / disconnect()       - Async setup and teardown
+ *   get(collection, id)            - Record or null
+ *   getMany(collection, ids)       - Records (or null) in the same order
+ *   list(collection)               - All records in a collection
+ *   put(collection, id, record)    - Create or replace a record
+ *   delete(collection, id)         - True if a record was removed
+ *   getMeta(key) / setMeta(key, value)
+ *                                  - Store-level bookkeeping (schema version)
+ */
+
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import path from 'path';
+
+const DEFAULT_FLUSH_DELAY_MS = 1000;
+
+/**
+ * An empty store. Objects without a prototype, so IDs like 'constructor'
+ * or '__proto__' are plain keys
+ */
+function emptyData() {
+  return { meta: Object.create(null), collections: Object.create(null) };
+}
+
+class JsonStore {
+  /**
+   * @param {string|null} filePath - JSON file to persist to (null = memory only)
+   * @param {Object} options
+   * @param {number} options.flushDelayMs - How long changes wait before being written
+   */
+  constructor(filePath = null, { flushDelayMs = DEFAULT_FLUSH_DELAY_MS } = {}) {
+    this.name = filePath ? 'json' : 'memory';
+    this.filePath = filePath;
+    this.flushDelayMs = flushDelayMs;
+    this.data = null; // { meta: {}, collections: { name: { id: record } } }, without prototypes
+    this.dirty = false;
+    this.flushTimer = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async connect() {
+    if (this.data) {
+      return;
+    }
+
+    if (!this.filePath) {
+      this.data = emptyData();
+      return;
+    }
+
+    try {
+      const data = JSON.parse(await readFile(this.filePath, 'utf8'));
+      this.data = emptyData();
+      Object.assign(this.data.meta, data.meta);
+      for (const [name, records] of Object.entries(data.collections || {})) {
+        this.data.collections[name] = Object.assign(Object.create(null), records);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read storage from ${this.filePath}: ${error.message}`);
+      }
+      this.data = emptyData();
+    }
+  }
+
+  async disconnect() {
+    await this.flush();
+  }
+
+  async get(collection, id) {
+    return this.collection(collection)[id] || null;
+  }
+
+  async getMany(collection, ids) {
+    const records = this.collection(collection);
+    return ids.map(id => records[id] || null);
+  }
+
+  async list(collection) {
+    return Object.values(this.collection(collection));
+  }
+
+  async put(collection, id, record) {
+    this.collection(collection)[id] = record;
+    this.scheduleFlush();
+  }
+
+  async delete(collection, id) {
+    const records = this.collection(collection);
+    if (!records[id]) {
+      return false;
+    }
+
+    delete records[id];
+    this.scheduleFlush();
+    return true;
+  }
+
+  async getMeta(key) {
+    return this.data.meta[key] ?? null;
+  }
+
+  async setMeta(key, value) {
+    this.data.meta[key] = value;
+    this.scheduleFlush();
+  }
+
+  /**
+   * Write pending changes to disk now, one write at a time
+   *
+   * @throws {Error} If the file can't be written (the changes stay pending)
+   */
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    const write = this.writeQueue.then(() => this.write());
+    // A failed write shouldn't block the ones queued after it
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  // Private helpers
+
+  collection(name) {
+    if (!this.data.collections[name]) {
+      this.data.collections[name] = Object.create(null);
+    }
+    return this.data.collections[name];
+  }
+
+  /**
+   * Flush after the flush delay; changes made meanwhile join that write
+   */
+  scheduleFlush() {
+    if (!this.filePath) {
+      return;
+    }
+
+    this.dirty = true;
+    if (this.flushTimer) {
+      return;
+    }
+
+    this.flushTimer = setTimeout(() => {
+      this.flush().catch(error => {
+        console.error(`Failed to write storage to ${this.filePath}:`, error.message);
+      });
+    }, this.flushDelayMs);
+  }
+
+  async write() {
+    if (!this.dirty) {
+      return;
+    }
+
+    // Changes made while this write is in flight mark the store dirty again
+    this.dirty = false;
+    const data = JSON.stringify(this.data);
+
+    try {
+      await mkdir(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      await writeFile(tmpPath, data);
+      await rename(tmpPath, this.filePath);
+    } catch (error) {
+      this.dirty = true;
+      throw error;
+    }
+  }
+}
+
+export { JsonStore };
+export default JsonStore;
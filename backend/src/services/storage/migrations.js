@@ -0,0 +1,72 @@
+/**
+ * Storage Migrations - Ordered, versioned changes to stored data
+ *
+ * Each migration runs once per store, in order, and the store remembers
+ * the last version applied. Migrations work on the raw store (see
+ * json.store.js for the interface) and must write records that match the
+ * schemas as they stood at that version.
+ *
+ * Never edit or reorder a released migration; add a new one instead.
+ */
+
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+
+const LEGACY_OVERRIDES_PATH = fileURLToPath(new URL('../../../data/overrides.json', import.meta.url));
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Import manual overrides from the standalone overrides file',
+    async up(store) {
+      const filePath = process.env.OVERRIDES_PATH || LEGACY_OVERRIDES_PATH;
+
+      let overrides;
+      try {
+        overrides = JSON.parse(await readFile(filePath, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return;
+        }
+        throw new Error(`Failed to read overrides from ${filePath}: ${error.message}`);
+      }
+
+      for (const [videoId, override] of Object.entries(overrides)) {
+        await store.put('corrections', videoId, override);
+      }
+      console.log(`💾 Storage: imported ${Object.keys(overrides).length} overrides from ${filePath}`);
+    }
+  }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Bring a store up to the latest schema version
+ *
+ * @param {Object} store - Storage driver
+ * @param {Array} migrations - Migrations to apply (default: MIGRATIONS)
+ * @returns {number} Schema version the store is now at
+ * @throws {Error} If the store was written by a newer version of the app
+ */
+export async function migrate(store, migrations = MIGRATIONS) {
+  const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+  let version = (await store.getMeta('schemaVersion')) || 0;
+
+  if (version > latest) {
+    throw new Error(`Storage schema version ${version} is newer than this build supports (${latest})`);
+  }
+
+  for (const migration of migrations) {
+    if (migration.version <= version) {
+      continue;
+    }
+
+    console.log(`💾 Storage: migrating to v${migration.version} (${migration.description})`);
+    await migration.up(store);
+    await store.setMeta('schemaVersion', migration.version);
+    version = migration.version;
+  }
+
+  return version;
+}
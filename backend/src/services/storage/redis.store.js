@@ -0,0 +1,128 @@
+/**
+ * Redis Store - Redis-backed storage driver
+ *
+ * Each collection is a hash (<prefix><collection>: id -> JSON record) and
+ * nothing is given a TTL. Point STORAGE_REDIS_URL at a different Redis
+ * database than the cache (e.g. redis://localhost:6379/1) so the two can
+ * be managed separately.
+ *
+ * The default prefix is outside the cache's (CACHE_PREFIX, 'feels:'), so
+ * clearing the cache never touches stored records even when both share a
+ * database. Hashes written under the old 'feels:store:' prefix are moved
+ * on connect.
+ *
+ * Implements the storage driver interface described in json.store.js.
+ */
+
+import { createClient } from 'redis';
+
+export const DEFAULT_PREFIX = 'feels-store:';
+const LEGACY_PREFIX = 'feels:store:';
+
+class RedisStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Redis URL
+   * @param {string} options.prefix - Key prefix (default 'feels-store:')
+   * @param {Object} options.client - Existing client to use instead of connecting to url
+   */
+  constructor({ url, prefix = DEFAULT_PREFIX, client = null } = {}) {
+    this.name = 'redis';
+    this.url = url;
+    this.prefix = prefix;
+    this.client = client;
+    this.connected = false;
+  }
+
+  async connect() {
+    if (this.connected) {
+      return;
+    }
+
+    if (!this.client) {
+      if (!this.url) {
+        throw new Error('Redis storage needs STORAGE_REDIS_URL or REDIS_URL');
+      }
+      this.client = createClient({ url: this.url });
+      this.client.on('error', (err) => console.error('Redis storage error:', err));
+    }
+
+    if (!this.client.isOpen) {
+      await this.client.connect();
+    }
+    if (this.prefix === DEFAULT_PREFIX) {
+      await this.moveLegacyKeys();
+    }
+    this.connected = true;
+  }
+
+  async disconnect() {
+    if (this.connected) {
+      await this.client.quit();
+      this.connected = false;
+    }
+  }
+
+  async get(collection, id) {
+    return parse(await this.client.hGet(this.key(collection), id));
+  }
+
+  async getMany(collection, ids) {
+    if (ids.length === 0) {
+      return [];
+    }
+    const values = await this.client.hmGet(this.key(collection), ids);
+    return values.map(parse);
+  }
+
+  async list(collection) {
+    const values = await this.client.hGetAll(this.key(collection));
+    return Object.values(values).map(parse);
+  }
+
+  async put(collection, id, record) {
+    await this.client.hSet(this.key(collection), id, JSON.stringify(record));
+  }
+
+  async delete(collection, id) {
+    return await this.client.hDel(this.key(collection), id) > 0;
+  }
+
+  async getMeta(key) {
+    return parse(await this.client.hGet(this.key('meta'), key));
+  }
+
+  async setMeta(key, value) {
+    await this.client.hSet(this.key('meta'), key, JSON.stringify(value));
+  }
+
+  // Private helpers
+
+  key(collection) {
+    return `${this.prefix}${collection}`;
+  }
+
+  /**
+   * Rename hashes from the old prefix, unless the new name is taken
+   */
+  async moveLegacyKeys() {
+    const keys = [];
+    for await (const key of this.client.scanIterator({ MATCH: `${LEGACY_PREFIX}*`, COUNT: 100 })) {
+      keys.push(key);
+    }
+
+    for (const key of keys) {
+      const renamed = await this.client.renameNX(key, `${this.prefix}${key.slice(LEGACY_PREFIX.length)}`);
+      if (renamed) {
+        console.log(`💾 Moved storage hash ${key} to prefix ${this.prefix}`);
+      }
+    }
+  }
+}
+
+function parse(value) {
+  return value ? JSON.parse(value) : null;
+}
+
+export { RedisStore };
+export default RedisStore;
@@ -0,0 +1,153 @@
+/**
+ * Storage Schemas - Record shapes for each persistent collection
+ *
+ * Field types are 'string', 'number', 'boolean', 'object' or 'array'.
+ * A trailing '?' makes a field optional (may be missing or null).
+ * Records may not carry fields their schema doesn't declare, so adding a
+ * field means updating the schema here (and adding a migration if existing
+ * records need backfilling).
+ */
+
+export const SCHEMAS = {
+  // Analyzed playlists: the last full analysis of each playlist
+  // (analyzerVersion: genre analyzer version that scored it, see genre-audio-analyzer.service.js)
+  playlists: {
+    key: 'id',
+    fields: {
+      id: 'string',
+      results: 'array',
+      stats: 'object',
+      analyzerVersion: 'number?',
+      updatedAt: 'string'
+    }
+  },
+
+  // MusicBrainz recordings that videos were matched to
+  tracks: {
+    key: 'id',
+    fields: {
+      id: 'string',
+      title: 'string',
+      artist: 'string?',
+      length: 'number?',
+      genres: 'array?',
+      genreSource: 'string?',
+      year: 'number?',
+      updatedAt: 'string'
+    }
+  },
+
+  // Successful automatic matches, by YouTube video ID
+  matches: {
+    key: 'videoId',
+    fields: {
+      videoId: 'string',
+      matched: 'boolean',
+      parseConfidence: 'number?',
+      parsed: 'object?',
+      spotifyMatch: 'object?',
+      audioFeatures: 'object?',
+      feelsScore: 'number?',
+      positivityScore: 'number?',
+      mood: 'string?',
+      color: 'string?',
+      genreConfidence: 'number?',
+      genreSource: 'string?',
+      year: 'number?',
+      analysisSource: 'string?',
+      featureProviders: 'array?',
+      featureDisagreement: 'object?',
+      alternatives: 'array?',
+      analyzerVersion: 'number?',
+      updatedAt: 'string'
+    }
+  },
+
+  // Manual corrections (see override.service.js), by YouTube video ID
+  // (artist and song: the pinned recording's, for training the title model)
+  corrections: {
+    key: 'videoId',
+    fields: {
+      videoId: 'string',
+      feelsScore: 'number?',
+      positivityScore: 'number?',
+      recordingId: 'string?',
+      note: 'string?',
+      videoTitle: 'string?',
+      channelTitle: 'string?',
+      artist: 'string?',
+      song: 'string?',
+      createdAt: 'string',
+      updatedAt: 'string'
+    }
+  }
+};
+
+export const COLLECTIONS = Object.keys(SCHEMAS);
+
+/**
+ * Get the schema for a collection
+ *
+ * @param {string} collection - Collection name
+ * @returns {Object} { key, fields }
+ * @throws {Error} If the collection is unknown
+ */
+export function getSchema(collection) {
+  const schema = SCHEMAS[collection];
+  if (!schema) {
+    throw new Error(`Unknown storage collection "${collection}"`);
+  }
+  return schema;
+}
+
+/**
+ * Check a record against its collection's schema
+ *
+ * @param {string} collection - Collection name
+ * @param {Object} record - Record to check
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+export function validateRecord(collection, record) {
+  const { fields } = getSchema(collection);
+
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return ['record must be an object'];
+  }
+
+  const errors = [];
+
+  for (const [field, spec] of Object.entries(fields)) {
+    const optional = spec.endsWith('?');
+    const type = optional ? spec.slice(0, -1) : spec;
+    const value = record[field];
+
+    if (value === undefined || value === null) {
+      if (!optional) {
+        errors.push(`${field} is required`);
+      }
+    } else if (!isType(value, type)) {
+      errors.push(`${field} must be ${type === 'array' || type === 'object' ? 'an' : 'a'} ${type}`);
+    }
+  }
+
+  for (const field of Object.keys(record)) {
+    if (!fields[field]) {
+      errors.push(`${field} is not a ${collection} field`);
+    }
+  }
+
+  return errors;
+}
+
+function isType(value, type) {
+  if (type === 'array') {
+    return Array.isArray(value);
+  }
+  if (type === 'object') {
+    return typeof value === 'object' && !Array.isArray(value);
+  }
+  if (type === 'number') {
+    return typeof value === 'number' && Number.isFinite(value);
+  }
+  return typeof value === type;
+}
@@ -0,0 +1,82 @@
+/**
+ * Title Model Service - The learned title tagger model, if one was trained
+ *
+ * The model is read once from TITLE_MODEL_PATH (default: data/title-model.json),
+ * written by `npm run title-model -- train`. Without a model, or with one
+ * from another tagger version, titles are parsed by the regex patterns alone.
+ */
+
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { TAGGER_VERSION } from '../utils/titleTagger.js';
+
+export const DEFAULT_MODEL_PATH = fileURLToPath(new URL('../../data/title-model.json', import.meta.url));
+
+class TitleModelService {
+  /**
+   * @param {string} modelPath - Model file (default: TITLE_MODEL_PATH or data/title-model.json)
+   */
+  constructor(modelPath = process.env.TITLE_MODEL_PATH || DEFAULT_MODEL_PATH) {
+    this.modelPath = modelPath;
+    this.model = null;
+    this.loading = null;
+  }
+
+  /**
+   * Get the model, reading it on first use
+   *
+   * @returns {Object|null} Model, or null if there is none or it's unusable
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = readFile(this.modelPath, 'utf8')
+        .then(data => {
+          const model = JSON.parse(data);
+          if (model.version !== TAGGER_VERSION) {
+            console.warn(`⚠️  Title model ${this.modelPath} is version ${model.version}, expected ${TAGGER_VERSION}. Re-run npm run title-model -- train`);
+            return null;
+          }
+          console.log(`🏷️  Title model: ${model.examples} examples, trained ${model.trainedAt}`);
+          this.model = model;
+          return model;
+        })
+        .catch(error => {
+          if (error.code !== 'ENOENT') {
+            console.warn(`⚠️  Title model ${this.modelPath} unreadable: ${error.message}`);
+          }
+          return null;
+        });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Forget the loaded model, so the next load() reads the file again
+   * (e.g. after retraining)
+   */
+  reset() {
+    this.model = null;
+    this.loading = null;
+  }
+
+  /**
+   * What's loaded
+   *
+   * @returns {Object} { modelPath, loaded, trainedAt, examples }
+   */
+  getStats() {
+    return {
+      modelPath: this.modelPath,
+      loaded: Boolean(this.model),
+      trainedAt: this.model?.trainedAt || null,
+      examples: this.model?.examples ?? null
+    };
+  }
+}
+
+// Singleton instance
+const titleModelService = new TitleModelService();
+
+export { TitleModelService };
+export default titleModelService;
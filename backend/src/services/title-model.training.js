@@ -0,0 +1,164 @@
+/**
+ * Title model training - builds the learned title tagger (utils/titleTagger.js)
+ * from labeled titles and measures it against the regex parser
+ *
+ * Examples are { title, channelTitle, artist, song }. They come from the
+ * labeled corpus (src/config/title-corpus.json) and from manual corrections
+ * that pinned a recording: the video's title is labeled with the pinned
+ * recording's artist and title. Word labels are found by lining artist and
+ * song up with the cleaned title, so examples need no hand labeling.
+ */
+
+import { readFile, mkdir, writeFile, rename } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import { parseVideoTitle, prepareTitle } from '../utils/titleParser.js';
+import { trainTagger, tokenizeTitle, alignLabels } from '../utils/titleTagger.js';
+import { normalizeString } from '../utils/stringMatcher.js';
+
+export const DEFAULT_CORPUS_PATH = fileURLToPath(new URL('../config/title-corpus.json', import.meta.url));
+
+/**
+ * Read a labeled corpus
+ *
+ * @param {string} corpusPath - JSON array of { title, channelTitle, artist, song }
+ * @returns {Array} Examples
+ * @throws {Error} If the file is unreadable or not a list of examples
+ */
+export async function loadCorpus(corpusPath = DEFAULT_CORPUS_PATH) {
+  const corpus = JSON.parse(await readFile(corpusPath, 'utf8'));
+
+  if (!Array.isArray(corpus) || corpus.some(example => !example?.title || !(example.artist || example.song))) {
+    throw new Error(`Title corpus ${corpusPath} must be a list of { title, channelTitle, artist, song }`);
+  }
+
+  return corpus.map(({ title, channelTitle = '', artist = null, song = null }) => ({ title, channelTitle, artist, song }));
+}
+
+/**
+ * Examples from manual corrections that pinned a recording and know the
+ * video's title (see override.service.js)
+ *
+ * @param {Object} repository - Repository holding the corrections collection
+ * @returns {Array} Examples
+ */
+export async function correctionExamples(repository) {
+  const corrections = await repository.list('corrections');
+
+  return corrections
+    .filter(correction => correction.videoTitle && (correction.artist || correction.song))
+    .map(correction => ({
+      title: correction.videoTitle,
+      channelTitle: correction.channelTitle || '',
+      artist: correction.artist || null,
+      song: correction.song || null
+    }));
+}
+
+/**
+ * Train a model
+ *
+ * @param {Array} examples - { title, channelTitle, artist, song }
+ * @param {Object} options - { epochs }
+ * @returns {Object} { model, used, skipped }: skipped examples are those
+ *   whose artist and song couldn't be found in the title
+ */
+export function trainModel(examples, options = {}) {
+  const labeled = [];
+
+  for (const example of examples) {
+    const text = prepareTitle(example.title).text;
+    const labels = alignLabels(text, tokenizeTitle(text), example);
+    if (labels) {
+      labeled.push({ text, channelTitle: example.channelTitle, labels });
+    }
+  }
+
+  return {
+    model: trainTagger(labeled, options),
+    used: labeled.length,
+    skipped: examples.length - labeled.length
+  };
+}
+
+/**
+ * Precision and recall of parsed artists and songs
+ * A field counts as predicted when it isn't empty, and as right when it
+ * equals the labeled one after normalizeString
+ *
+ * @param {Array} examples - { title, channelTitle, artist, song }
+ * @param {Function} parse - example => { artist, song }
+ * @returns {Object} { examples, exact, artist: { precision, recall }, song: { precision, recall } }
+ */
+export function scoreParses(examples, parse) {
+  const counts = { artist: { predicted: 0, right: 0, labeled: 0 }, song: { predicted: 0, right: 0, labeled: 0 } };
+  let exact = 0;
+
+  for (const example of examples) {
+    const parsed = parse(example);
+    let allRight = true;
+
+    for (const field of ['artist', 'song']) {
+      const predicted = normalizeString(parsed[field]);
+      const labeled = normalizeString(example[field]);
+      const right = Boolean(predicted) && predicted === labeled;
+
+      counts[field].predicted += predicted ? 1 : 0;
+      counts[field].labeled += labeled ? 1 : 0;
+      counts[field].right += right ? 1 : 0;
+      allRight = allRight && (right || (!predicted && !labeled));
+    }
+
+    exact += allRight ? 1 : 0;
+  }
+
+  const ratio = (a, b) => (b > 0 ? Math.round((a / b) * 1000) / 1000 : 0);
+  return {
+    examples: examples.length,
+    exact: ratio(exact, examples.length),
+    artist: { precision: ratio(counts.artist.right, counts.artist.predicted), recall: ratio(counts.artist.right, counts.artist.labeled) },
+    song: { precision: ratio(counts.song.right, counts.song.predicted), recall: ratio(counts.song.right, counts.song.labeled) }
+  };
+}
+
+/**
+ * Cross-validate the model against the regex parser
+ * Each fold is parsed by a model trained on the other folds
+ *
+ * @param {Array} examples - { title, channelTitle, artist, song }
+ * @param {Object} options - { folds (default 5), epochs }
+ * @returns {Object} { folds, regex, model } with scoreParses results; the
+ *   model scores are for the parser with the model, regex fallback included
+ */
+export function crossValidate(examples, { folds = 5, ...options } = {}) {
+  const count = Math.max(2, Math.min(folds, examples.length));
+  const modelParses = new Map();
+
+  for (let fold = 0; fold < count; fold++) {
+    const { model } = trainModel(examples.filter((example, i) => i % count !== fold), options);
+    examples.forEach((example, i) => {
+      if (i % count === fold) {
+        modelParses.set(example, parseVideoTitle(example.title, example.channelTitle, model));
+      }
+    });
+  }
+
+  return {
+    folds: count,
+    regex: scoreParses(examples, example => parseVideoTitle(example.title, example.channelTitle)),
+    model: scoreParses(examples, example => modelParses.get(example))
+  };
+}
+
+/**
+ * Write a model, atomically
+ *
+ * @param {Object} model - From trainModel
+ * @param {string} filePath - Where to write it
+ */
+export async function writeModel(model, filePath) {
+  await mkdir(path.dirname(filePath), { recursive: true });
+  const temp = `${filePath}.${process.pid}.tmp`;
+  await writeFile(temp, JSON.stringify(model));
+  await rename(temp, filePath);
+}
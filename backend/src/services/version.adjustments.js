@@ -0,0 +1,61 @@
+/**
+ * Version Adjustments - Audio feature changes for song versions
+ *
+ * A video of "Song (slowed + reverb)" sounds different from the recording
+ * its features were looked up for: it's slower and calmer. Each version tag
+ * from the title parser (see VERSION_TAGS in titleParser.js) shifts the
+ * features the same way whatever provider they came from.
+ *
+ * Adjustment shape (every field optional):
+ *   { tempo: multiplier, energy, danceability, valence, acousticness: deltas,
+ *     loudness: dB delta }
+ */
+
+export const VERSION_ADJUSTMENTS = {
+  remix: { energy: 0.05, danceability: 0.1 },
+  live: { energy: 0.05, loudness: -1, acousticness: 0.05 },
+  acoustic: { energy: -0.2, loudness: -3, acousticness: 0.4, danceability: -0.1 },
+  slowed: { tempo: 0.8, energy: -0.15, valence: -0.1, danceability: -0.1 },
+  reverb: { energy: -0.05, valence: -0.05 },
+  'sped up': { tempo: 1.25, energy: 0.1, valence: 0.05 },
+  nightcore: { tempo: 1.3, energy: 0.15, valence: 0.1 },
+  extended: {},
+  cover: {}
+};
+
+const UNIT_FEATURES = ['energy', 'danceability', 'valence', 'acousticness'];
+
+/**
+ * Apply version adjustments to audio features
+ *
+ * @param {Object} features - Audio features from the provider registry
+ * @param {Array} versions - Version tags, e.g. ['slowed', 'reverb']
+ * @returns {Object} Adjusted copy with the applied tags in `versions`,
+ *   or the features unchanged if no tag adjusts anything
+ */
+export function adjustForVersions(features, versions = []) {
+  const applied = versions.filter(tag => Object.keys(VERSION_ADJUSTMENTS[tag] || {}).length > 0);
+  if (applied.length === 0) {
+    return features;
+  }
+
+  const adjusted = { ...features, versions: applied };
+
+  for (const tag of applied) {
+    const adjustment = VERSION_ADJUSTMENTS[tag];
+
+    if (adjustment.tempo && typeof adjusted.tempo === 'number') {
+      adjusted.tempo = Math.round(adjusted.tempo * adjustment.tempo);
+    }
+    if (adjustment.loudness && typeof adjusted.loudness === 'number') {
+      adjusted.loudness = Math.max(-60, Math.min(0, adjusted.loudness + adjustment.loudness));
+    }
+    for (const key of UNIT_FEATURES) {
+      if (adjustment[key] && typeof adjusted[key] === 'number') {
+        adjusted[key] = Math.round(Math.max(0, Math.min(1, adjusted[key] + adjustment[key])) * 1000) / 1000;
+      }
+    }
+  }
+
+  return adjusted;
+}
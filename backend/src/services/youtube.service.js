@@ -4,8 +4,11 @@
 
 import axios from 'axios';
 import { extractPlaylistId } from '../utils/titleParser.js';
+import { parseMusicDescription, parseChapters } from '../utils/descriptionParser.js';
+import { parseIsoDuration } from '../utils/duration.js';
 
 const YOUTUBE_API_BASE = 'https://www.googleapis.com/youtube/v3';
+const MAX_IDS_PER_REQUEST = 50; // YouTube API allows up to 50 IDs at once
 
 class YouTubeService {
   constructor() {
@@ -14,7 +17,8 @@ class YouTubeService {
 
   /**
    * Fetch playlist metadata and all videos
-   * Handles pagination to get all videos in the playlist
+   * Handles pagination to get all videos in the playlist, and adds each
+   * video's duration and what its description says (see addVideoDetails)
    *
    * @param {string} playlistUrl - YouTube playlist URL or playlist ID
    * @returns {Object} { playlistId, title, description, videoCount, videos }
@@ -29,8 +33,8 @@ class YouTubeService {
     // Fetch playlist metadata
     const playlistInfo = await this.getPlaylistInfo(playlistId);
 
-    // Fetch all videos in the playlist
-    const videos = await this.getAllPlaylistVideos(playlistId);
+    // Fetch all videos in the playlist, with their durations and descriptions
+    const videos = await this.addVideoDetails(await this.getAllPlaylistVideos(playlistId));
 
     return {
       playlistId,
@@ -138,22 +142,63 @@ class YouTubeService {
     }
   }
 
+  /**
+   * Add each video's duration, music metadata and chapters
+   * (see descriptionParser.js). Only what's parsed from the description is
+   * kept, not the description itself. If details can't be fetched, videos
+   * get nulls and no chapters, and are matched by title alone
+   *
+   * @param {Array} videos - Playlist videos
+   * @returns {Array} Videos with durationSeconds, musicMetadata and chapters
+   */
+  async addVideoDetails(videos) {
+    let details = [];
+    try {
+      details = await this.getVideoDetails(videos.map(video => video.id));
+    } catch (error) {
+      console.warn(`⚠️  Video details unavailable, matching by title only: ${error.message}`);
+    }
+
+    const detailsById = new Map(details.map(detail => [detail.id, detail]));
+    return videos.map(video => {
+      const detail = detailsById.get(video.id);
+      return {
+        ...video,
+        durationSeconds: parseIsoDuration(detail?.duration),
+        musicMetadata: parseMusicDescription(detail?.description),
+        chapters: parseChapters(detail?.description)
+      };
+    });
+  }
+
   /**
    * Get video details by ID(s)
+   * Fetched 50 IDs per request
    */
   async getVideoDetails(videoIds) {
     if (!videoIds || videoIds.length === 0) {
       return [];
     }
 
-    try {
-      // YouTube API allows up to 50 IDs at once
-      const ids = Array.isArray(videoIds) ? videoIds.join(',') : videoIds;
+    const ids = Array.isArray(videoIds) ? videoIds : [videoIds];
+    const details = [];
 
+    for (let i = 0; i < ids.length; i += MAX_IDS_PER_REQUEST) {
+      details.push(...await this.getVideoDetailsPage(ids.slice(i, i + MAX_IDS_PER_REQUEST)));
+    }
+
+    return details;
+  }
+
+  /**
+   * Get details of up to 50 videos
+   */
+  async getVideoDetailsPage(videoIds) {
+    try {
       const response = await axios.get(`${YOUTUBE_API_BASE}/videos`, {
         params: {
           part: 'snippet,contentDetails,statistics',
-          id: ids,
+          id: videoIds.join(','),
           key: this.apiKey
         }
       });
@@ -165,8 +210,8 @@ class YouTubeService {
         description: item.snippet.description,
         thumbnails: item.snippet.thumbnails,
         duration: item.contentDetails.duration,
-        viewCount: item.statistics.viewCount,
-        likeCount: item.statistics.likeCount
+        viewCount: item.statistics?.viewCount,
+        likeCount: item.statistics?.likeCount
       }));
     } catch (error) {
       if (error.response) {
@@ -0,0 +1,106 @@
+/**
+ * Synthetic audio generators for analyzer tests
+ */
+
+/**
+ * Click track: short decaying noise bursts on every beat
+ */
+export function generateClickTrack({ bpm = 120, duration = 8, sampleRate = 22050, amplitude = 0.8 } = {}) {
+  const samples = new Float32Array(Math.round(duration * sampleRate));
+  const beatInterval = (60 / bpm) * sampleRate;
+  const clickLength = Math.round(0.03 * sampleRate);
+  const random = seededRandom(42);
+
+  for (let beat = 0; beat * beatInterval < samples.length; beat++) {
+    const start = Math.round(beat * beatInterval);
+    for (let i = 0; i < clickLength && start + i < samples.length; i++) {
+      const decay = Math.exp(-i / (clickLength / 5));
+      samples[start + i] = amplitude * decay * (random() * 2 - 1);
+    }
+  }
+
+  return samples;
+}
+
+/**
+ * Steady sine tone
+ */
+export function generateSine({ frequency = 440, duration = 4, sampleRate = 22050, amplitude = 0.5 } = {}) {
+  const samples = new Float32Array(Math.round(duration * sampleRate));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = amplitude * Math.sin((2 * Math.PI * frequency * i) / sampleRate);
+  }
+  return samples;
+}
+
+/**
+ * Encode mono samples as a PCM WAV file
+ *
+ * @param {Float32Array} samples - Mono samples (-1 to 1)
+ * @param {number} sampleRate - Samples per second
+ * @param {Object} options - { bitsPerSample: 8|16|24|32, channels, float }
+ * @returns {Buffer} WAV file contents
+ */
+export function encodeWav(samples, sampleRate, { bitsPerSample = 16, channels = 1, float = false } = {}) {
+  const bytesPerSample = bitsPerSample / 8;
+  const dataSize = samples.length * channels * bytesPerSample;
+  const buffer = Buffer.alloc(44 + dataSize);
+
+  buffer.write('RIFF', 0, 'ascii');
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write('WAVE', 8, 'ascii');
+  buffer.write('fmt ', 12, 'ascii');
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(float ? 3 : 1, 20);
+  buffer.writeUInt16LE(channels, 22);
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * channels * bytesPerSample, 28);
+  buffer.writeUInt16LE(channels * bytesPerSample, 32);
+  buffer.writeUInt16LE(bitsPerSample, 34);
+  buffer.write('data', 36, 'ascii');
+  buffer.writeUInt32LE(dataSize, 40);
+
+  let offset = 44;
+  for (const sample of samples) {
+    const value = Math.max(-1, Math.min(1, sample));
+    for (let ch = 0; ch < channels; ch++) {
+      if (float) {
+        buffer.writeFloatLE(value, offset);
+      } else if (bitsPerSample === 8) {
+        buffer.writeUInt8(Math.round(value * 127 + 128), offset);
+      } else {
+        const max = 2 ** (bitsPerSample - 1) - 1;
+        buffer.writeIntLE(Math.round(value * max), offset, bytesPerSample);
+      }
+      offset += bytesPerSample;
+    }
+  }
+
+  return buffer;
+}
+
+/**
+ * Build a silent MPEG-1 Layer III file (128kbps, 44.1kHz)
+ * Frames with zeroed side info decode to 1152 samples of silence each
+ *
+ * @param {number} frameCount - Number of frames
+ * @param {Object} options - { stereo }
+ * @returns {Buffer} MP3 file contents
+ */
+export function encodeSilentMp3(frameCount = 20, { stereo = false } = {}) {
+  const frame = Buffer.alloc(417);
+  frame.set([0xff, 0xfb, 0x90, stereo ? 0x64 : 0xc4]); // Channel mode: joint stereo or mono
+  return Buffer.concat(Array(frameCount).fill(frame));
+}
+
+/**
+ * Deterministic pseudo-random numbers (mulberry32)
+ */
+function seededRandom(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
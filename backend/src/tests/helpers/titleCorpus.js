@@ -0,0 +1,37 @@
+/**
+ * Real-world video titles in other scripts and with non-ASCII punctuation,
+ * with what the title parser should read from them
+ */
+
+export const MULTILINGUAL_TITLES = [
+  // Japanese
+  { title: 'YOASOBI「夜に駆ける」 Official Music Video', channelTitle: 'Ayase / YOASOBI', artist: 'yoasobi', song: '夜に駆ける' },
+  { title: '「夜に駆ける」YOASOBI', channelTitle: '', artist: 'yoasobi', song: '夜に駆ける' },
+  { title: 'LiSA『紅蓮華』-MUSiC CLiP-', channelTitle: 'LiSA Official YouTube', artist: 'lisa', song: '紅蓮華' },
+  { title: '米津玄師 - Lemon', channelTitle: '米津玄師', artist: '米津玄師', song: 'lemon' },
+  { title: '米津玄師 Kenshi Yonezu – Lemon', channelTitle: '', artist: '米津玄師', song: 'lemon', aliases: ['kenshi yonezu'] },
+  { title: 'ヨルシカ - 言って。(Music Video)', channelTitle: 'ヨルシカ / n-buna Official', artist: 'ヨルシカ', song: '言って。' },
+  { title: '【MV】YOASOBI - アイドル', channelTitle: 'Ayase / YOASOBI', artist: 'yoasobi', song: 'アイドル' },
+  { title: '夜に駆ける / YOASOBI', channelTitle: 'YOASOBI', artist: 'yoasobi', song: '夜に駆ける' },
+  { title: '【歌ってみた】夜に駆ける / Ado', channelTitle: 'Ado', artist: 'ado', song: '夜に駆ける', versions: ['cover'] },
+  { title: 'Aimer － 残響散歌 (ライブ)', channelTitle: '', artist: 'aimer', song: '残響散歌', versions: ['live'] },
+  { title: 'ＹＯＡＳＯＢＩ｜群青', channelTitle: '', artist: 'yoasobi', song: '群青' },
+
+  // Korean
+  { title: '[MV] IU(아이유) _ Blueming(블루밍)', channelTitle: '1theK (원더케이)', artist: 'iu', song: 'blueming', aliases: ['아이유', '블루밍'] },
+  { title: "BTS (방탄소년단) 'Dynamite' Official MV", channelTitle: 'HYBE LABELS', artist: 'bts', song: 'dynamite', aliases: ['방탄소년단'] },
+  { title: "BLACKPINK - 'How You Like That' M/V", channelTitle: 'BLACKPINK', artist: 'blackpink', song: 'how you like that' },
+  { title: '아이유 - 좋은 날 (라이브)', channelTitle: '', artist: '아이유', song: '좋은 날', versions: ['live'] },
+
+  // Chinese
+  { title: '周杰倫 Jay Chou【告白氣球 Love Confession】Official MV', channelTitle: '周杰倫 Jay Chou', artist: '周杰倫', song: '告白氣球', aliases: ['jay chou', 'love confession'] },
+  { title: '林俊傑 JJ Lin《不為誰而作的歌》官方 MV', channelTitle: '', artist: '林俊傑', song: '不為誰而作的歌', aliases: ['jj lin'] },
+  { title: '鄧紫棋 G.E.M. - 光年之外 (翻唱)', channelTitle: '', artist: '鄧紫棋', song: '光年之外', versions: ['cover'], aliases: ['g.e.m.'] },
+
+  // Dashes and accents
+  { title: 'Daft Punk — One More Time (Official Video)', channelTitle: '', artist: 'daft punk', song: 'one more time' },
+  { title: 'Beyoncé – Halo', channelTitle: 'Beyoncé', artist: 'beyoncé', song: 'halo' },
+  { title: 'Rosalía - Despechá (En Vivo)', channelTitle: '', artist: 'rosalía', song: 'despechá', versions: ['live'] },
+  { title: 'Кино — Группа крови', channelTitle: '', artist: 'кино', song: 'группа крови' },
+  { title: 'Sigur Rós ‒ Hoppípolla', channelTitle: '', artist: 'sigur rós', song: 'hoppípolla' }
+];
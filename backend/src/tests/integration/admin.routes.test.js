@@ -0,0 +1,190 @@
+/**
+ * Integration tests for admin routes
+ * Uses the in-memory cache and store
+ */
+
+import request from 'supertest';
+import app from '../../app.js';
+import cacheService from '../../services/cache.service.js';
+import repository from '../../services/repository.service.js';
+import { cacheKey, versionPrefix } from '../../services/cache.keys.js';
+import { ANALYZER_VERSION } from '../../services/genre-audio-analyzer.service.js';
+
+const TOKEN = 'test-admin-token';
+
+function storedMatch(videoId, analyzerVersion = ANALYZER_VERSION) {
+  return { videoId, matched: true, feelsScore: 60, analyzerVersion };
+}
+
+function invalidate(body) {
+  return request(app)
+    .post('/api/admin/cache/invalidate')
+    .set('Authorization', `Bearer ${TOKEN}`)
+    .send(body);
+}
+
+describe('Admin Routes', () => {
+  beforeEach(async () => {
+    process.env.ADMIN_TOKEN = TOKEN;
+    await cacheService.clear();
+    await repository.disconnect(); // Fresh in-memory store
+  });
+
+  afterAll(() => {
+    delete process.env.ADMIN_TOKEN;
+  });
+
+  describe('authentication', () => {
+    test('should be disabled without ADMIN_TOKEN', async () => {
+      delete process.env.ADMIN_TOKEN;
+
+      const response = await invalidate({ videoId: 'video-1' });
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should reject a missing or wrong token', async () => {
+      const missing = await request(app).post('/api/admin/cache/invalidate').send({ videoId: 'video-1' });
+      const wrong = await request(app)
+        .post('/api/admin/cache/invalidate')
+        .set('Authorization', 'Bearer nope')
+        .send({ videoId: 'video-1' });
+
+      expect(missing.status).toBe(401);
+      expect(wrong.status).toBe(401);
+    });
+  });
+
+  describe('GET /api/admin/cache/stats', () => {
+    test('should return per-namespace counters instead of keys', async () => {
+      cacheService.resetStats();
+      await cacheService.set(cacheKey('music:match', 'video-1'), storedMatch('video-1'));
+      await cacheService.get(cacheKey('music:match', 'video-1'));
+      await cacheService.get(cacheKey('music:match', 'video-2'));
+
+      const response = await request(app)
+        .get('/api/admin/cache/stats')
+        .set('Authorization', `Bearer ${TOKEN}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.type).toBe('memory');
+      expect(response.body.data.namespaces['music:match']).toMatchObject({ hits: 1, misses: 1, hitRate: 0.5 });
+      expect(response.body.data).not.toHaveProperty('keys');
+    });
+
+    test('should require the admin token', async () => {
+      const response = await request(app).get('/api/admin/cache/stats');
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('GET /api/admin/coalescing/stats', () => {
+    test('should report coalesced calls per operation', async () => {
+      const response = await request(app)
+        .get('/api/admin/coalescing/stats')
+        .set('Authorization', `Bearer ${TOKEN}`);
+
+      expect(response.status).toBe(200);
+      for (const operation of ['searchRecording', 'searchArtist', 'matchVideo']) {
+        expect(response.body.data[operation]).toEqual({
+          calls: expect.any(Number),
+          executions: expect.any(Number),
+          coalesced: expect.any(Number),
+          inFlight: expect.any(Number)
+        });
+      }
+    });
+
+    test('should require the admin token', async () => {
+      const response = await request(app).get('/api/admin/coalescing/stats');
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('GET /api/admin/musicbrainz/stats', () => {
+    test('should report the request queue', async () => {
+      const response = await request(app)
+        .get('/api/admin/musicbrainz/stats')
+        .set('Authorization', `Bearer ${TOKEN}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        source: 'web',
+        local: null,
+        coordination: 'local',
+        ratePerSecond: 1,
+        queued: { interactive: 0, bulk: 0 },
+        throttled: 0
+      });
+    });
+  });
+
+  describe('POST /api/admin/cache/invalidate', () => {
+    test('should forget a video\'s cached and stored match', async () => {
+      await cacheService.set(cacheKey('music:match', 'video-1'), storedMatch('video-1'));
+      await cacheService.set(cacheKey('music:match', 'video-2'), storedMatch('video-2'));
+      await repository.put('matches', storedMatch('video-1'));
+
+      const response = await invalidate({ videoId: 'video-1' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ target: { videoId: 'video-1' }, cacheEntries: 1, records: 1 });
+      expect(await cacheService.get(cacheKey('music:match', 'video-1'))).toBeNull();
+      expect(await cacheService.get(cacheKey('music:match', 'video-2'))).not.toBeNull();
+      expect(await repository.get('matches', 'video-1')).toBeNull();
+    });
+
+    test('should forget a playlist\'s analysis', async () => {
+      await cacheService.set(cacheKey('playlist:analysis', 'PL1'), { results: [], stats: {} });
+      await repository.put('playlists', { id: 'PL1', results: [], stats: {}, analyzerVersion: ANALYZER_VERSION });
+
+      const response = await invalidate({ playlistId: 'PL1' });
+
+      expect(response.body.data).toMatchObject({ cacheEntries: 1, records: 1 });
+      expect(await repository.get('playlists', 'PL1')).toBeNull();
+    });
+
+    test('should report nothing removed for unknown targets', async () => {
+      const response = await invalidate({ playlistId: 'PL-unknown' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ cacheEntries: 0, records: 0 });
+    });
+
+    test('should forget everything scored by an analyzer version', async () => {
+      const oldVersion = ANALYZER_VERSION + 1;
+      await cacheService.set(`${versionPrefix('music:match', oldVersion)}video-1`, storedMatch('video-1', oldVersion));
+      await cacheService.set(`${versionPrefix('playlist:analysis', oldVersion)}PL1`, { results: [] });
+      await cacheService.set(cacheKey('music:match', 'video-2'), storedMatch('video-2'));
+      await cacheService.set(cacheKey('musicbrainz:recording', 'daft punk', 'one more time'), { id: 'r' });
+      await repository.put('matches', storedMatch('video-1', oldVersion));
+      await repository.put('matches', storedMatch('video-2'));
+      await repository.put('playlists', { id: 'PL1', results: [], stats: {}, analyzerVersion: oldVersion });
+
+      const response = await invalidate({ analyzerVersion: oldVersion });
+
+      expect(response.body.data).toMatchObject({
+        target: { analyzerVersion: oldVersion },
+        currentAnalyzerVersion: ANALYZER_VERSION,
+        cacheEntries: 2,
+        records: 2
+      });
+      expect(await cacheService.get(cacheKey('music:match', 'video-2'))).not.toBeNull();
+      expect(await cacheService.get(cacheKey('musicbrainz:recording', 'daft punk', 'one more time'))).not.toBeNull();
+      expect((await repository.list('matches')).map(m => m.videoId)).toEqual(['video-2']);
+    });
+
+    test('should require exactly one valid target', async () => {
+      const none = await invalidate({});
+      const two = await invalidate({ videoId: 'video-1', playlistId: 'PL1' });
+      const badVersion = await invalidate({ analyzerVersion: 'one' });
+      const emptyId = await invalidate({ videoId: '' });
+
+      expect(none.status).toBe(400);
+      expect(two.status).toBe(400);
+      expect(badVersion.status).toBe(400);
+      expect(badVersion.body.message).toContain('analyzerVersion');
+      expect(emptyId.status).toBe(400);
+    });
+  });
+});
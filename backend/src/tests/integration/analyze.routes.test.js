@@ -0,0 +1,419 @@
+/**
+ * Integration tests for analyze routes
+ * Music analysis is mocked so no external APIs are hit
+ */
+
+import { jest } from '@jest/globals';
+import request from 'supertest';
+
+const matchVideo = jest.fn();
+
+// Resolve to absolute paths: the shared jest object resolves relative paths from setup.js
+const musicAnalysisPath = new URL('../../services/music-analysis.service.js', import.meta.url).pathname;
+const rateLimiterPath = new URL('../../middleware/rateLimiter.js', import.meta.url).pathname;
+
+jest.unstable_mockModule(musicAnalysisPath, () => ({
+  default: { matchVideo }
+}));
+
+// The analyze limiter allows 10 requests per window; don't let it cap the suite
+const passThrough = (req, res, next) => next();
+jest.unstable_mockModule(rateLimiterPath, () => ({
+  apiLimiter: passThrough,
+  analyzeRateLimiter: passThrough,
+  playlistRateLimiter: passThrough,
+  overrideRateLimiter: passThrough
+}));
+
+const { default: app } = await import('../../app.js');
+const { default: cacheService } = await import('../../services/cache.service.js');
+const { default: overrideService } = await import('../../services/override.service.js');
+const { default: repository } = await import('../../services/repository.service.js');
+const { detectCompilation } = await import('../../utils/compilationDetector.js');
+
+/**
+ * Parse a raw Server-Sent Events body into { event, data } objects
+ */
+function parseEvents(text) {
+  return text
+    .split('\n\n')
+    .filter(block => block.trim())
+    .map(block => {
+      const lines = block.split('\n');
+      const event = lines.find(l => l.startsWith('event: ')).slice(7);
+      const data = JSON.parse(lines.find(l => l.startsWith('data: ')).slice(6));
+      return { event, data };
+    });
+}
+
+const videos = [
+  { id: 'video-1', title: 'Artist 1 - Song 1', channelTitle: 'Artist 1' },
+  { id: 'video-2', title: 'Artist 2 - Song 2', channelTitle: 'Artist 2' },
+  { id: 'video-3', title: 'Artist 3 - Song 3', channelTitle: 'Artist 3' }
+];
+
+describe('Analyze Routes', () => {
+  beforeEach(async () => {
+    await cacheService.clear();
+    await repository.disconnect(); // Fresh in-memory store
+
+    matchVideo.mockImplementation(async (video) => {
+      if (video.id === 'video-2') {
+        return { matched: false, videoId: video.id, parseConfidence: 0.5, cached: true };
+      }
+      return {
+        matched: true,
+        videoId: video.id,
+        parseConfidence: 0.9,
+        audioFeatures: { energy: 0.9, tempo: 160, danceability: 0.8, loudness: -5, valence: 0.6, acousticness: 0.1 },
+        cached: false
+      };
+    });
+  });
+
+  describe('POST /api/analyze/batch/stream', () => {
+    test('should reject a missing videos array', async () => {
+      const response = await request(app).post('/api/analyze/batch/stream').send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('error', true);
+    });
+
+    test('should respond with an event stream', async () => {
+      const response = await request(app)
+        .post('/api/analyze/batch/stream')
+        .send({ videos });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/text\/event-stream/);
+    });
+
+    test('should emit one result event per video with running stats', async () => {
+      const response = await request(app)
+        .post('/api/analyze/batch/stream')
+        .send({ videos });
+
+      const events = parseEvents(response.text);
+      const resultEvents = events.filter(e => e.event === 'result');
+
+      expect(resultEvents).toHaveLength(3);
+      expect(resultEvents.map(e => e.data.index)).toEqual([0, 1, 2]);
+      expect(resultEvents.map(e => e.data.result.videoId)).toEqual(['video-1', 'video-2', 'video-3']);
+      expect(resultEvents.map(e => e.data.stats.processed)).toEqual([1, 2, 3]);
+      expect(resultEvents[1].data.stats).toMatchObject({ total: 3, matched: 1, cached: 1 });
+      expect(resultEvents[1].data.result.feelsScore).toBe(50);
+      expect(resultEvents[0].data.result.feelsScore).toBeGreaterThan(50);
+    });
+
+    test('should finish with a complete event', async () => {
+      const response = await request(app)
+        .post('/api/analyze/batch/stream')
+        .send({ videos });
+
+      const events = parseEvents(response.text);
+      const last = events[events.length - 1];
+
+      expect(last.event).toBe('complete');
+      expect(last.data.cached).toBe(false);
+      expect(last.data.stats).toEqual({
+        total: 3,
+        matched: 2,
+        unmatched: 1,
+        cached: 1,
+        matchRate: '66.7%'
+      });
+    });
+
+    test('should report per-video errors without stopping the stream', async () => {
+      matchVideo.mockImplementation(async (video) => {
+        if (video.id === 'video-1') {
+          throw new Error('lookup failed');
+        }
+        return { matched: false, videoId: video.id, cached: true };
+      });
+
+      const response = await request(app)
+        .post('/api/analyze/batch/stream')
+        .send({ videos });
+
+      const events = parseEvents(response.text);
+
+      expect(events.filter(e => e.event === 'result')).toHaveLength(3);
+      expect(events[0].data.result).toMatchObject({ videoId: 'video-1', error: 'lookup failed', feelsScore: 50 });
+      expect(events[3].data.errors).toEqual([{ videoId: 'video-1', error: 'lookup failed' }]);
+    });
+
+    test('should replay a cached playlist analysis', async () => {
+      await request(app)
+        .post('/api/analyze/batch/stream')
+        .send({ videos, playlistId: 'PL-stream' });
+
+      matchVideo.mockClear();
+
+      const response = await request(app)
+        .post('/api/analyze/batch/stream')
+        .send({ videos, playlistId: 'PL-stream' });
+
+      const events = parseEvents(response.text);
+
+      expect(matchVideo).not.toHaveBeenCalled();
+      expect(events.filter(e => e.event === 'result')).toHaveLength(3);
+      expect(events[events.length - 1].data.cached).toBe(true);
+    });
+  });
+
+  describe('POST /api/analyze/batch', () => {
+    test('should return all results at once', async () => {
+      const response = await request(app)
+        .post('/api/analyze/batch')
+        .send({ videos });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.results).toHaveLength(3);
+      expect(response.body.data.stats.matched).toBe(2);
+      expect(response.body.data.cached).toBe(false);
+    });
+
+    test('should include the positivity axis for each result', async () => {
+      const response = await request(app)
+        .post('/api/analyze/batch')
+        .send({ videos });
+
+      const [matched, unmatched] = response.body.data.results;
+      expect(matched.positivityScore).toBe(60);
+      expect(unmatched.positivityScore).toBe(50);
+    });
+
+    test('should score with the requested profile', async () => {
+      const defaultResponse = await request(app).post('/api/analyze/batch').send({ videos });
+      const partyResponse = await request(app).post('/api/analyze/batch').send({ videos, profile: 'party' });
+
+      expect(partyResponse.body.data.profile).toBe('party');
+      expect(partyResponse.body.data.results[0].feelsScore)
+        .not.toBe(defaultResponse.body.data.results[0].feelsScore);
+    });
+
+    test('should reject unknown profiles', async () => {
+      const response = await request(app)
+        .post('/api/analyze/batch')
+        .send({ videos, profile: 'nope' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toMatch(/Unknown profile "nope"/);
+    });
+
+    test('should reject profile names that are not strings', async () => {
+      const response = await request(app)
+        .post('/api/analyze/batch')
+        .send({ videos, profile: ['default'] });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should rescore a cached playlist without re-matching', async () => {
+      const first = await request(app)
+        .post('/api/analyze/batch')
+        .send({ videos, playlistId: 'PL-profiles' });
+
+      matchVideo.mockClear();
+
+      const second = await request(app)
+        .post('/api/analyze/batch')
+        .send({ videos, playlistId: 'PL-profiles', profile: 'workout' });
+
+      expect(matchVideo).not.toHaveBeenCalled();
+      expect(second.body.data.cached).toBe(true);
+      expect(second.body.data.results[0].feelsScore)
+        .not.toBe(first.body.data.results[0].feelsScore);
+      // Unmatched videos keep the neutral score
+      expect(second.body.data.results[1].feelsScore).toBe(50);
+    });
+
+    test('should reload a stored playlist analysis after the cache is lost', async () => {
+      await request(app)
+        .post('/api/analyze/batch')
+        .send({ videos, playlistId: 'PL-stored' });
+
+      await cacheService.clear();
+      matchVideo.mockClear();
+
+      const response = await request(app)
+        .post('/api/analyze/batch')
+        .send({ videos, playlistId: 'PL-stored' });
+
+      expect(matchVideo).not.toHaveBeenCalled();
+      expect(response.body.data.cached).toBe(true);
+      expect(response.body.data.results).toHaveLength(3);
+      expect((await repository.get('playlists', 'PL-stored')).stats.total).toBe(3);
+    });
+
+    test('should re-analyze a playlist whose videos changed', async () => {
+      await request(app)
+        .post('/api/analyze/batch')
+        .send({ videos, playlistId: 'PL-changed' });
+
+      const added = { id: 'video-4', title: 'Artist 4 - Song 4', channelTitle: 'Artist 4' };
+      const grown = await request(app)
+        .post('/api/analyze/batch')
+        .send({ videos: [...videos, added], playlistId: 'PL-changed' });
+
+      expect(grown.body.data.cached).toBe(false);
+      expect(grown.body.data.results.map(r => r.videoId)).toEqual(['video-1', 'video-2', 'video-3', 'video-4']);
+
+      const shrunk = await request(app)
+        .post('/api/analyze/batch')
+        .send({ videos: [added], playlistId: 'PL-changed' });
+
+      expect(shrunk.body.data.results.map(r => r.videoId)).toEqual(['video-4']);
+      expect((await repository.get('playlists', 'PL-changed')).results).toHaveLength(1);
+    });
+
+    test('should keep a re-matched mix flagged as a compilation', async () => {
+      // An hour-long video whose title doesn't say it's a mix
+      const mix = { id: 'video-mix', title: 'Summer', channelTitle: 'Some DJ', durationSeconds: 3600 };
+      matchVideo.mockImplementation(async (video) => {
+        const compilation = detectCompilation(video);
+        return compilation
+          ? { matched: false, videoId: video.id, compilation, cached: false }
+          : { matched: true, videoId: video.id, audioFeatures: { energy: 0.5 }, cached: false };
+      });
+
+      await request(app)
+        .post('/api/analyze/batch')
+        .send({ videos: [mix], playlistId: 'PL-mix' });
+      await overrideService.set('video-mix', { feelsScore: 20 });
+
+      const response = await request(app)
+        .post('/api/analyze/batch')
+        .send({ videos: [mix], playlistId: 'PL-mix' });
+
+      await overrideService.remove('video-mix');
+
+      expect(matchVideo).toHaveBeenLastCalledWith(expect.objectContaining({ durationSeconds: 3600 }), { priority: 'bulk' });
+      expect(response.body.data.results[0].compilation).toEqual({ reason: 'duration', tracks: null });
+    });
+
+    test('should keep a re-matched mix\'s chapters', async () => {
+      const chapters = [{ start: 0, title: 'A - One' }, { start: 200, title: 'B - Two' }, { start: 400, title: 'C - Three' }];
+      const album = { id: 'video-album', title: 'Full Album', channelTitle: 'Band', durationSeconds: 600, chapters };
+      matchVideo.mockImplementation(async (video) => ({
+        matched: false,
+        videoId: video.id,
+        compilation: detectCompilation(video),
+        chapters: (video.chapters || []).map(chapter => ({ ...chapter, matched: true, audioFeatures: { energy: 0.8 } })),
+        cached: false
+      }));
+
+      await request(app)
+        .post('/api/analyze/batch')
+        .send({ videos: [album], playlistId: 'PL-album' });
+      await overrideService.set('video-album', { feelsScore: 20 });
+
+      const response = await request(app)
+        .post('/api/analyze/batch')
+        .send({ videos: [album], playlistId: 'PL-album' });
+
+      await overrideService.remove('video-album');
+
+      const [result] = response.body.data.results;
+      expect(matchVideo).toHaveBeenLastCalledWith(expect.objectContaining({ chapters }), { priority: 'bulk' });
+      expect(result.compilation).toEqual({ reason: 'chapters', tracks: 3 });
+      expect(result.chapters.map(c => c.start)).toEqual([0, 200, 400]);
+    });
+
+    test('should re-match only videos edited since the playlist was cached', async () => {
+      await request(app)
+        .post('/api/analyze/batch')
+        .send({ videos, playlistId: 'PL-edited' });
+
+      const override = await overrideService.set('video-2', { feelsScore: 90 });
+      matchVideo.mockClear();
+      matchVideo.mockImplementation(async (video) => ({
+        matched: false,
+        videoId: video.id,
+        override,
+        edited: true,
+        cached: true
+      }));
+
+      const response = await request(app)
+        .post('/api/analyze/batch')
+        .send({ videos, playlistId: 'PL-edited' });
+
+      await overrideService.remove('video-2');
+
+      expect(matchVideo).toHaveBeenCalledTimes(1);
+      expect(matchVideo).toHaveBeenCalledWith(expect.objectContaining({ id: 'video-2' }), { priority: 'bulk' });
+      expect(response.body.data.results[1].feelsScore).toBe(90);
+      expect(response.body.data.results[1].override.feelsScore).toBe(90);
+    });
+  });
+
+  describe('POST /api/analyze/single', () => {
+    test('should score a single video with the requested profile', async () => {
+      const response = await request(app)
+        .post('/api/analyze/single')
+        .send({ ...videos[0], profile: 'focus' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.profile).toBe('focus');
+      expect(matchVideo).toHaveBeenCalledWith(videos[0]);
+    });
+
+    test('should apply a manual override to the score', async () => {
+      matchVideo.mockResolvedValueOnce({
+        matched: true,
+        videoId: 'video-1',
+        audioFeatures: { energy: 0.9, tempo: 160 },
+        override: { feelsScore: 5, positivityScore: null },
+        edited: true,
+        cached: false
+      });
+
+      const response = await request(app).post('/api/analyze/single').send(videos[0]);
+
+      expect(response.body.data.feelsScore).toBe(5);
+      expect(response.body.data.override.feelsScore).toBe(5);
+    });
+
+    test('should score each chapter of a mix', async () => {
+      matchVideo.mockResolvedValueOnce({
+        matched: false,
+        videoId: 'video-1',
+        compilation: { reason: 'chapters', tracks: 2 },
+        chapters: [
+          { start: 0, end: 200, title: 'Song 1', matched: true, audioFeatures: { energy: 0.9, tempo: 160 } },
+          { start: 200, end: 400, title: 'Song 2', matched: false, audioFeatures: null }
+        ],
+        cached: false
+      });
+
+      const response = await request(app).post('/api/analyze/single').send(videos[0]);
+      const { chapters } = response.body.data;
+
+      expect(chapters).toHaveLength(2);
+      expect(chapters[0]).toMatchObject({ start: 0, title: 'Song 1' });
+      expect(chapters[0].feelsScore).toBeGreaterThan(50);
+      expect(chapters[1]).toMatchObject({ start: 200, feelsScore: 50, positivityScore: 50 });
+    });
+
+    test('should reject unknown profiles', async () => {
+      const response = await request(app)
+        .post('/api/analyze/single')
+        .send({ ...videos[0], profile: 'nope' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/analyze/profiles', () => {
+    test('should list the built-in profiles', async () => {
+      const response = await request(app).get('/api/analyze/profiles');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.default).toBe('default');
+      expect(response.body.data.profiles.map(p => p.name))
+        .toEqual(expect.arrayContaining(['default', 'workout', 'focus', 'party']));
+    });
+  });
+});
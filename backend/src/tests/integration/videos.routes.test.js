@@ -0,0 +1,207 @@
+/**
+ * Integration tests for video override routes
+ * MusicBrainz is mocked; overrides are kept in the in-memory store
+ */
+
+import { jest } from '@jest/globals';
+import request from 'supertest';
+
+const getRecordingById = jest.fn();
+const getVideoDetails = jest.fn();
+
+const servicePath = (name) => new URL(`../../services/${name}`, import.meta.url).pathname;
+
+jest.unstable_mockModule(servicePath('musicbrainz.service.js'), () => ({
+  default: { getRecordingById, searchRecording: jest.fn() }
+}));
+jest.unstable_mockModule(servicePath('youtube.service.js'), () => ({
+  default: { getVideoDetails }
+}));
+
+const { default: app } = await import('../../app.js');
+const { default: overrideService } = await import('../../services/override.service.js');
+const { default: repository } = await import('../../services/repository.service.js');
+
+const RECORDING_ID = 'b1a9c0e9-d987-4042-ae91-78d6a3267d69';
+const TOKEN = 'test-admin-token';
+
+function putOverride(videoId, body) {
+  return request(app)
+    .put(`/api/videos/${videoId}/override`)
+    .set('Authorization', `Bearer ${TOKEN}`)
+    .send(body);
+}
+
+function deleteOverride(videoId) {
+  return request(app)
+    .delete(`/api/videos/${videoId}/override`)
+    .set('Authorization', `Bearer ${TOKEN}`);
+}
+
+describe('Video Routes', () => {
+  beforeEach(async () => {
+    process.env.ADMIN_TOKEN = TOKEN;
+    await repository.disconnect(); // Fresh in-memory store
+    getRecordingById.mockReset().mockResolvedValue({ id: RECORDING_ID, title: 'Song', artist: 'Artist' });
+    getVideoDetails.mockReset().mockResolvedValue([
+      { id: 'dQw4w9WgXcQ', title: 'Song - Artist (Official Video)', channelTitle: 'Artist' }
+    ]);
+  });
+
+  afterAll(() => {
+    delete process.env.ADMIN_TOKEN;
+  });
+
+  describe('authentication', () => {
+    test('should reject override changes without the admin token', async () => {
+      await overrideService.set('dQw4w9WgXcQ', { feelsScore: 30 });
+
+      const put = await request(app).put('/api/videos/dQw4w9WgXcQ/override').send({ feelsScore: 85 });
+      const remove = await request(app)
+        .delete('/api/videos/dQw4w9WgXcQ/override')
+        .set('Authorization', 'Bearer nope');
+
+      expect(put.status).toBe(401);
+      expect(remove.status).toBe(401);
+      expect((await overrideService.get('dQw4w9WgXcQ')).feelsScore).toBe(30);
+    });
+
+    test('should disable override changes without ADMIN_TOKEN', async () => {
+      delete process.env.ADMIN_TOKEN;
+
+      const response = await putOverride('dQw4w9WgXcQ', { feelsScore: 85 });
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should let anyone read overrides', async () => {
+      await overrideService.set('dQw4w9WgXcQ', { feelsScore: 30 });
+
+      const response = await request(app).get('/api/videos/dQw4w9WgXcQ/override');
+
+      expect(response.status).toBe(200);
+    });
+  });
+
+  describe('PUT /api/videos/:videoId/override', () => {
+    test('should set a feels score override', async () => {
+      const response = await putOverride('dQw4w9WgXcQ', { feelsScore: 85, note: 'way more intense than that' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        videoId: 'dQw4w9WgXcQ',
+        feelsScore: 85,
+        recordingId: null,
+        note: 'way more intense than that'
+      });
+      expect((await overrideService.get('dQw4w9WgXcQ')).feelsScore).toBe(85);
+    });
+
+    test('should pin a recording that exists on MusicBrainz', async () => {
+      const response = await putOverride('dQw4w9WgXcQ', { recordingId: RECORDING_ID });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.recordingId).toBe(RECORDING_ID);
+      expect(getRecordingById).toHaveBeenCalledWith(RECORDING_ID);
+    });
+
+    test('should keep the video title from YouTube with the pinned artist and song for training', async () => {
+      const response = await putOverride('dQw4w9WgXcQ', { recordingId: RECORDING_ID, videoTitle: 'Forged Title', channelTitle: 'Forged', artist: 'Ignored' });
+
+      expect(getVideoDetails).toHaveBeenCalledWith('dQw4w9WgXcQ');
+      expect(response.body.data).toMatchObject({
+        videoTitle: 'Song - Artist (Official Video)',
+        channelTitle: 'Artist',
+        artist: 'Artist',
+        song: 'Song'
+      });
+    });
+
+    test('should not store a title for overrides without a pinned recording', async () => {
+      const response = await putOverride('dQw4w9WgXcQ', { feelsScore: 85, videoTitle: 'Forged Title', channelTitle: 'Forged' });
+
+      expect(response.body.data).toMatchObject({ videoTitle: null, channelTitle: null });
+      expect(getVideoDetails).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 when pinning a recording to an unknown video', async () => {
+      getVideoDetails.mockResolvedValue([]);
+
+      const response = await putOverride('dQw4w9WgXcQ', { recordingId: RECORDING_ID });
+
+      expect(response.status).toBe(404);
+      expect(await overrideService.get('dQw4w9WgXcQ')).toBeNull();
+    });
+
+    test('should return 404 for an unknown recording', async () => {
+      getRecordingById.mockResolvedValue(null);
+
+      const response = await putOverride('dQw4w9WgXcQ', { recordingId: RECORDING_ID });
+
+      expect(response.status).toBe(404);
+      expect(await overrideService.get('dQw4w9WgXcQ')).toBeNull();
+    });
+
+    test('should return 400 for invalid input', async () => {
+      const empty = await putOverride('dQw4w9WgXcQ', {});
+      const outOfRange = await putOverride('dQw4w9WgXcQ', { feelsScore: 150 });
+      const badId = await putOverride('dQw4w9WgXcQ', { recordingId: '123' });
+
+      expect(empty.status).toBe(400);
+      expect(outOfRange.status).toBe(400);
+      expect(outOfRange.body.message).toContain('feelsScore');
+      expect(badId.status).toBe(400);
+      expect(getRecordingById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Video IDs', () => {
+    test('should reject IDs that are not YouTube video IDs', async () => {
+      const toString = await request(app).get('/api/videos/toString/override');
+      const proto = await putOverride('__proto__', { feelsScore: 10 });
+
+      expect(toString.status).toBe(400);
+      expect(proto.status).toBe(400);
+      expect(await overrideService.get('__proto__')).toBeNull();
+    });
+
+    test('should not find Object.prototype names as overrides', async () => {
+      // 'constructor' has the shape of a video ID
+      const response = await request(app).get('/api/videos/constructor/override');
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/videos/:videoId/override', () => {
+    test('should return the override', async () => {
+      await overrideService.set('dQw4w9WgXcQ', { feelsScore: 30 });
+
+      const response = await request(app).get('/api/videos/dQw4w9WgXcQ/override');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.feelsScore).toBe(30);
+    });
+
+    test('should return 404 without an override', async () => {
+      const response = await request(app).get('/api/videos/dQw4w9WgXcQ/override');
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /api/videos/:videoId/override', () => {
+    test('should remove the override', async () => {
+      await overrideService.set('dQw4w9WgXcQ', { feelsScore: 30 });
+
+      const response = await deleteOverride('dQw4w9WgXcQ');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ videoId: 'dQw4w9WgXcQ', removed: true });
+      expect(await overrideService.get('dQw4w9WgXcQ')).toBeNull();
+    });
+
+    test('should return 404 without an override', async () => {
+      const response = await deleteOverride('dQw4w9WgXcQ');
+      expect(response.status).toBe(404);
+    });
+  });
+});
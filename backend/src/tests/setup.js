@@ -4,6 +4,8 @@
  */
 
 import { jest } from '@jest/globals';
+import { tmpdir } from 'os';
+import path from 'path';
 
 // Set test environment variables
 process.env.NODE_ENV = 'test';
@@ -14,6 +16,9 @@ process.env.CACHE_TTL = '300'; // 5 minutes
 process.env.CACHE_MODE = 'memory'; // Use in-memory cache for tests
 process.env.RATE_LIMIT_WINDOW_MS = '60000'; // 1 minute
 process.env.RATE_LIMIT_MAX_REQUESTS = '1000'; // High limit for tests
+process.env.STORAGE_DRIVER = 'memory'; // Never touch real stored analyses
+process.env.OVERRIDES_PATH = path.join(tmpdir(), `feels-test-overrides-${process.pid}.json`); // Never import real overrides
+process.env.TITLE_MODEL_PATH = path.join(tmpdir(), `feels-test-title-model-${process.pid}.json`); // Never load a locally trained model
 
 // Configure Jest timeout
 jest.setTimeout(10000);
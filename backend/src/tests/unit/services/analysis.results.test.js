@@ -0,0 +1,54 @@
+/**
+ * Tests for analysis.results.js
+ * The per-video result shared by the analyze routes and background jobs
+ */
+
+import { buildResult, buildErrorResult } from '../../../services/analysis.results.js';
+import { createMockAudioFeatures } from '../../helpers/fixtures.js';
+
+const video = { id: 'abc123def45', title: 'Artist - Song', channelTitle: 'Artist', thumbnails: {} };
+
+describe('Analysis Results', () => {
+  describe('buildResult', () => {
+    test('should score a match and carry its details', () => {
+      const result = buildResult(video, {
+        matched: true,
+        audioFeatures: createMockAudioFeatures({ energy: 0.9 }),
+        year: 1999,
+        parseConfidence: 0.9,
+        cached: false
+      });
+
+      expect(result).toMatchObject({
+        videoId: 'abc123def45',
+        title: 'Artist - Song',
+        matched: true,
+        year: 1999,
+        alternatives: [],
+        override: null,
+        compilation: null,
+        chapters: null,
+        cached: false
+      });
+      expect(result.feelsScore).toBeGreaterThan(50);
+    });
+
+    test('should score with the given profile', () => {
+      const matchResult = { matched: true, audioFeatures: createMockAudioFeatures({ tempo: 180, danceability: 0.1 }) };
+      expect(buildResult(video, matchResult, 'workout').feelsScore)
+        .not.toBe(buildResult(video, matchResult, 'party').feelsScore);
+    });
+  });
+
+  describe('buildErrorResult', () => {
+    test('should give a failed video neutral scores and the error', () => {
+      expect(buildErrorResult(video, new Error('boom'))).toMatchObject({
+        videoId: 'abc123def45',
+        feelsScore: 50,
+        positivityScore: 50,
+        matched: false,
+        error: 'boom'
+      });
+    });
+  });
+});
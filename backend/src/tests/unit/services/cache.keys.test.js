@@ -0,0 +1,73 @@
+/**
+ * Tests for cache.keys.js
+ * Namespaced, versioned key building
+ */
+
+import {
+  cacheKey,
+  namespacePrefix,
+  versionPrefix,
+  getDerivedNamespaces,
+  normalizeKeyText,
+  CACHE_NAMESPACES
+} from '../../../services/cache.keys.js';
+import { ANALYZER_VERSION } from '../../../services/genre-audio-analyzer.service.js';
+
+describe('Cache Keys', () => {
+  describe('cacheKey', () => {
+    test('should prefix keys with their namespace and version', () => {
+      expect(cacheKey('job', 'abc')).toBe(`job:v${CACHE_NAMESPACES.job.version}:abc`);
+    });
+
+    test('should add the analyzer version to derived namespaces', () => {
+      expect(cacheKey('music:match', 'dQw4w9WgXcQ'))
+        .toBe(`music:match:v${CACHE_NAMESPACES['music:match'].version}:a${ANALYZER_VERSION}:dQw4w9WgXcQ`);
+    });
+
+    test('should keep IDs case-sensitive', () => {
+      expect(cacheKey('music:match', 'AbC')).not.toBe(cacheKey('music:match', 'abc'));
+    });
+
+    test('should escape separators and glob characters in parts', () => {
+      const key = cacheKey('musicbrainz:recording', 'ac:dc', 'what? * [live]');
+
+      expect(key).toBe('musicbrainz:recording:v4:ac%3Adc:what%3F%20%2A%20%5Blive%5D');
+      expect(key.split(':')).toHaveLength(5);
+    });
+
+    test('should throw for unknown namespaces', () => {
+      expect(() => cacheKey('nope', 'x')).toThrow('Unknown cache namespace "nope"');
+    });
+  });
+
+  describe('prefixes', () => {
+    test('should build a prefix for a whole namespace', () => {
+      expect(namespacePrefix('music:match')).toBe('music:match:');
+      expect(cacheKey('music:match', 'x').startsWith(namespacePrefix('music:match'))).toBe(true);
+    });
+
+    test('should build a prefix for one analyzer version', () => {
+      expect(versionPrefix('playlist:analysis', 7)).toBe('playlist:analysis:v1:a7:');
+      expect(versionPrefix('job')).toBe('job:v1:');
+      expect(cacheKey('playlist:analysis', 'PL1').startsWith(versionPrefix('playlist:analysis'))).toBe(true);
+    });
+
+    test('should list the namespaces derived from the analyzer', () => {
+      expect(getDerivedNamespaces()).toEqual(['music:match', 'playlist:analysis']);
+    });
+  });
+
+  describe('normalizeKeyText', () => {
+    test('should ignore case and extra whitespace', () => {
+      expect(normalizeKeyText('  Daft   PUNK ')).toBe('daft punk');
+    });
+
+    test('should unify Unicode compatibility forms', () => {
+      expect(normalizeKeyText('Ｂｅｙｏｎｃé')).toBe(normalizeKeyText('beyoncé'));
+    });
+
+    test('should handle missing text', () => {
+      expect(normalizeKeyText(undefined)).toBe('');
+    });
+  });
+});
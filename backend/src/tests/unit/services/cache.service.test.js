@@ -137,14 +137,16 @@ describe('Cache Service', () => {
       expect(result).toEqual(complexObject);
     });
 
-    test('should provide cache stats', () => {
+    test('should provide cache stats without listing keys', () => {
       const stats = cacheService.getStats();
 
       expect(stats).toHaveProperty('type');
       expect(stats).toHaveProperty('size');
-      expect(stats).toHaveProperty('keys');
+      expect(stats).toHaveProperty('bytes');
+      expect(stats).toHaveProperty('totals');
+      expect(stats).toHaveProperty('namespaces');
+      expect(stats).not.toHaveProperty('keys');
       expect(stats.type).toBe('memory');
-      expect(Array.isArray(stats.keys)).toBe(true);
     });
 
     test('should track cache size', async () => {
@@ -207,6 +209,185 @@ describe('Cache Service', () => {
     });
   });
 
+  describe('Size limits and metrics', () => {
+    let CacheService;
+
+    beforeEach(async () => {
+      ({ CacheService } = await import('../../../services/cache.service.js'));
+    });
+
+    test('should evict least recently used entries past the entry limit', async () => {
+      const cache = new CacheService({ maxEntries: 2, maxBytes: 0 });
+
+      await cache.set('job:v1:a', 1);
+      await cache.set('job:v1:b', 2);
+      await cache.get('job:v1:a');
+      await cache.set('job:v1:c', 3);
+
+      expect(await cache.get('job:v1:b')).toBeNull();
+      expect(await cache.get('job:v1:a')).toBe(1);
+      expect(cache.getStats().namespaces.job.evictions).toBe(1);
+    });
+
+    test('should stay under the byte limit', async () => {
+      const cache = new CacheService({ maxEntries: 0, maxBytes: 1000 });
+
+      for (let i = 0; i < 20; i++) {
+        await cache.set(`job:v1:${i}`, 'x'.repeat(100));
+      }
+
+      const stats = cache.getStats();
+      expect(stats.bytes).toBeLessThanOrEqual(1000);
+      expect(stats.size).toBeLessThan(20);
+      expect(stats.totals.evictions).toBe(20 - stats.size);
+    });
+
+    test('should count hits, misses and sets per namespace', async () => {
+      const cache = new CacheService();
+
+      await cache.set('music:match:v1:a1:video-1', { matched: true });
+      await cache.get('music:match:v1:a1:video-1');
+      await cache.get('music:match:v1:a1:video-2');
+      await cache.mget(['job:v1:a', 'music:match:v1:a1:video-1']);
+      await cache.mset({ 'job:v1:b': 1 });
+      await cache.get('legacy-key');
+
+      const { namespaces, totals } = cache.getStats();
+
+      expect(namespaces['music:match']).toEqual({
+        hits: 2, l1Hits: 2, misses: 1, sets: 1, evictions: 0, expirations: 0, hitRate: 0.667
+      });
+      expect(namespaces.job).toMatchObject({ hits: 0, misses: 1, sets: 1, hitRate: 0 });
+      expect(namespaces.other).toMatchObject({ misses: 1 });
+      expect(totals).toMatchObject({ hits: 2, misses: 3, sets: 2, hitRate: 0.4 });
+    });
+
+    test('should count expirations separately from evictions', async () => {
+      const cache = new CacheService();
+      await cache.set('job:v1:a', 1, 1);
+
+      await new Promise(resolve => setTimeout(resolve, 1100));
+      await cache.get('job:v1:a');
+
+      expect(cache.getStats().namespaces.job).toMatchObject({ expirations: 1, evictions: 0, misses: 1 });
+    });
+
+    test('should report no hit rate before any lookup and reset counters', async () => {
+      const cache = new CacheService();
+      expect(cache.getStats().totals.hitRate).toBeNull();
+
+      await cache.get('job:v1:a');
+      cache.resetStats();
+
+      expect(cache.getStats().namespaces).toEqual({});
+    });
+
+    test('should read limits from the environment', async () => {
+      process.env.CACHE_MAX_ENTRIES = '5';
+      process.env.CACHE_MAX_BYTES = '2048';
+
+      const cache = new CacheService();
+
+      delete process.env.CACHE_MAX_ENTRIES;
+      delete process.env.CACHE_MAX_BYTES;
+      expect(cache.getStats()).toMatchObject({ maxEntries: 5, maxBytes: 2048 });
+    });
+  });
+
+  describe('Prefix invalidation (memory)', () => {
+    test('should delete only keys starting with the prefix', async () => {
+      await cacheService.set('music:match:v1:a1:video-1', 'a');
+      await cacheService.set('music:match:v1:a2:video-1', 'b');
+      await cacheService.set('musicbrainz:recording:v1:daft%20punk', 'c');
+
+      const deleted = await cacheService.invalidatePrefix('music:match:v1:a1:');
+
+      expect(deleted).toBe(1);
+      expect(await cacheService.get('music:match:v1:a1:video-1')).toBeNull();
+      expect(await cacheService.get('music:match:v1:a2:video-1')).toBe('b');
+      expect(await cacheService.get('musicbrainz:recording:v1:daft%20punk')).toBe('c');
+    });
+  });
+
+  describe('Redis mode', () => {
+    let store;
+    let client;
+
+    beforeEach(() => {
+      store = new Map();
+      client = {
+        get: jest.fn(async key => store.get(key) ?? null),
+        setEx: jest.fn(async (key, ttl, value) => { store.set(key, value); }),
+        del: jest.fn(async (keys) => {
+          const list = Array.isArray(keys) ? keys : [keys];
+          return list.filter(key => store.delete(key)).length;
+        }),
+        scanIterator: jest.fn(async function* ({ MATCH }) {
+          const prefix = MATCH.slice(0, -1).replace(/\\(.)/g, '$1');
+          for (const key of Array.from(store.keys())) {
+            if (key.startsWith(prefix)) {
+              yield key;
+            }
+          }
+        }),
+        flushAll: jest.fn(),
+        disconnect: jest.fn()
+      };
+      cacheService.client = client;
+      cacheService.isRedisAvailable = true;
+    });
+
+    afterEach(() => {
+      cacheService.client = null;
+      cacheService.isRedisAvailable = false;
+      delete process.env.CACHE_PREFIX;
+    });
+
+    test('should store keys under the app prefix', async () => {
+      await cacheService.set('job:v1:abc', { id: 'abc' });
+
+      expect(store.has('feels:job:v1:abc')).toBe(true);
+      expect(await cacheService.get('job:v1:abc')).toEqual({ id: 'abc' });
+    });
+
+    test('should use CACHE_PREFIX when set', async () => {
+      process.env.CACHE_PREFIX = 'staging';
+      await cacheService.set('job:v1:abc', 1);
+
+      expect(store.has('staging:job:v1:abc')).toBe(true);
+    });
+
+    test('should invalidate by prefix with SCAN', async () => {
+      store.set('feels:music:match:v1:a1:video-1', '1');
+      store.set('feels:music:match:v1:a1:video-2', '1');
+      store.set('feels:job:v1:abc', '1');
+
+      const deleted = await cacheService.invalidatePrefix('music:match:');
+
+      expect(deleted).toBe(2);
+      expect(client.scanIterator).toHaveBeenCalledWith({ MATCH: 'feels:music:match:*', COUNT: 100 });
+      expect(Array.from(store.keys())).toEqual(['feels:job:v1:abc']);
+    });
+
+    test('should escape glob characters in the prefix', async () => {
+      process.env.CACHE_PREFIX = 'app[1]';
+
+      await cacheService.invalidatePrefix('job:');
+
+      expect(client.scanIterator).toHaveBeenCalledWith({ MATCH: 'app\\[1\\]:job:*', COUNT: 100 });
+    });
+
+    test('should clear only this app\'s keys, never the whole server', async () => {
+      store.set('feels:job:v1:abc', '1');
+      store.set('other-app:session:1', '1');
+
+      await cacheService.clear();
+
+      expect(client.flushAll).not.toHaveBeenCalled();
+      expect(Array.from(store.keys())).toEqual(['other-app:session:1']);
+    });
+  });
+
   describe('Error handling', () => {
     test('should not throw on disconnect when not connected', async () => {
       await expect(cacheService.disconnect()).resolves.not.toThrow();
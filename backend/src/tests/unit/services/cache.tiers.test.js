@@ -0,0 +1,337 @@
+/**
+ * Tests for the two cache tiers in cache.service.js
+ * The redis module is mocked with an in-process client that can be
+ * dropped and reconnected
+ */
+
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+
+/**
+ * Stand-in for a node-redis client backed by a Map
+ */
+class FakeRedisClient extends EventEmitter {
+  constructor(options) {
+    super();
+    this.options = options;
+    this.store = new Map();
+    this.isReady = false;
+    this.connectResult = null; // Promise to hand out from connect(), e.g. one that never settles
+
+    const command = (fn) => jest.fn(async (...args) => {
+      if (!this.isReady) {
+        throw new Error('The client is closed');
+      }
+      return fn(...args);
+    });
+
+    this.get = command(key => this.store.get(key) ?? null);
+    this.mGet = command(keys => keys.map(key => this.store.get(key) ?? null));
+    this.setEx = command((key, ttl, value) => { this.store.set(key, value); });
+    this.del = command((keys) => {
+      const list = Array.isArray(keys) ? keys : [keys];
+      return list.filter(key => this.store.delete(key)).length;
+    });
+    this.scanIterator = jest.fn(async function* ({ MATCH }) {
+      const prefix = MATCH.slice(0, -1).replace(/\\(.)/g, '$1');
+      for (const key of Array.from(this.store.keys())) {
+        if (key.startsWith(prefix)) {
+          yield key;
+        }
+      }
+    }.bind(this));
+    this.disconnect = jest.fn(async () => { this.isReady = false; });
+
+    // Hash commands for a RedisStore sharing the client
+    this.isOpen = true;
+    const hash = (key) => {
+      if (!this.store.has(key)) {
+        this.store.set(key, new Map());
+      }
+      return this.store.get(key);
+    };
+    this.hGet = command((key, field) => hash(key).get(field) ?? null);
+    this.hSet = command((key, field, value) => { hash(key).set(field, value); return 1; });
+    this.renameNX = command(() => false);
+  }
+
+  async connect() {
+    if (this.connectResult) {
+      return this.connectResult;
+    }
+    await this.up();
+  }
+
+  async up() {
+    this.isReady = true;
+    await Promise.all(this.listeners('ready').map(listener => listener()));
+  }
+
+  down() {
+    this.isReady = false;
+    this.emit('error', new Error('Socket closed unexpectedly'));
+  }
+}
+
+let client;
+let nextConnectResult = null;
+// Plain function rather than jest.fn: resetMocks would wipe its implementation
+function createClient(options) {
+  client = new FakeRedisClient(options);
+  client.connectResult = nextConnectResult;
+  return client;
+}
+
+jest.unstable_mockModule('redis', () => ({ createClient }));
+
+const { CacheService } = await import('../../../services/cache.service.js');
+const { RedisStore } = await import('../../../services/storage/redis.store.js');
+
+describe('Cache tiers', () => {
+  let cache;
+  let errorSpy;
+  let logSpy;
+
+  beforeEach(async () => {
+    process.env.REDIS_URL = 'redis://localhost:6379';
+    nextConnectResult = null;
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    cache = new CacheService({ l1TtlSeconds: 60 });
+    await cache.initialize();
+  });
+
+  afterEach(async () => {
+    await cache.disconnect();
+    delete process.env.REDIS_URL;
+    delete process.env.CACHE_CONNECT_TIMEOUT_MS;
+  });
+
+  describe('initialize', () => {
+    test('should connect without an offline queue and with backoff', () => {
+      expect(client.options.disableOfflineQueue).toBe(true);
+      expect(client.options.socket.reconnectStrategy(0)).toBe(100);
+      expect(client.options.socket.reconnectStrategy(3)).toBe(800);
+      expect(client.options.socket.reconnectStrategy(20)).toBe(30000);
+      expect(cache.getStats().redis).toMatchObject({ configured: true, available: true });
+    });
+
+    test('should not wait forever for Redis at startup', async () => {
+      await cache.disconnect();
+      process.env.CACHE_CONNECT_TIMEOUT_MS = '10';
+      nextConnectResult = new Promise(() => {});
+
+      cache = new CacheService();
+      await cache.initialize();
+
+      expect(cache.getStats().type).toBe('memory');
+      expect(await cache.set('music:match:v1:a1:video-1', 1)).toBe(true);
+      expect(await cache.get('music:match:v1:a1:video-1')).toBe(1);
+    });
+
+    test('should switch to Redis once it connects after startup', async () => {
+      await cache.disconnect();
+      process.env.CACHE_CONNECT_TIMEOUT_MS = '10';
+      nextConnectResult = new Promise(() => {});
+
+      cache = new CacheService();
+      await cache.initialize();
+      await client.up();
+
+      expect(cache.getStats().type).toBe('redis');
+    });
+  });
+
+  describe('with Redis up', () => {
+    test('should write through to both tiers', async () => {
+      await cache.set('music:match:v1:a1:video-1', { matched: true }, 3600);
+
+      expect(client.store.get('feels:music:match:v1:a1:video-1')).toBe('{"matched":true}');
+      expect(cache.memoryCache.get('music:match:v1:a1:video-1')).toEqual({ matched: true });
+    });
+
+    test('should leave stored records alone when clearing a shared Redis', async () => {
+      const store = new RedisStore({ client });
+      await store.connect();
+      await store.put('corrections', 'video-1', { id: 'video-1', feelsScore: 90 });
+      await cache.set('music:match:v1:a1:video-1', 'a');
+
+      await cache.clear();
+
+      expect(client.store.has('feels:music:match:v1:a1:video-1')).toBe(false);
+      expect(await store.get('corrections', 'video-1')).toEqual({ id: 'video-1', feelsScore: 90 });
+    });
+
+    test('should serve repeat reads from memory', async () => {
+      await cache.set('music:match:v1:a1:video-1', 'a');
+
+      expect(await cache.get('music:match:v1:a1:video-1')).toBe('a');
+      expect(client.get).not.toHaveBeenCalled();
+      expect(cache.getStats().namespaces['music:match']).toMatchObject({ hits: 1, l1Hits: 1 });
+    });
+
+    test('should read through to Redis and keep a local copy', async () => {
+      client.store.set('feels:music:match:v1:a1:video-1', '"from-redis"');
+
+      expect(await cache.get('music:match:v1:a1:video-1')).toBe('from-redis');
+      expect(await cache.get('music:match:v1:a1:video-1')).toBe('from-redis');
+      expect(client.get).toHaveBeenCalledTimes(1);
+      expect(cache.getStats().namespaces['music:match']).toMatchObject({ hits: 2, l1Hits: 1 });
+    });
+
+    test('should keep local copies no longer than the L1 TTL', async () => {
+      const shortLived = new CacheService({ l1TtlSeconds: 1 });
+      shortLived.client = client;
+      shortLived.isRedisAvailable = true;
+
+      await shortLived.set('music:match:v1:a1:video-1', 'a', 3600);
+      client.store.set('feels:music:match:v1:a1:video-1', '"b"'); // Changed by another instance
+
+      expect(await shortLived.get('music:match:v1:a1:video-1')).toBe('a');
+      await new Promise(resolve => setTimeout(resolve, 1100));
+      expect(await shortLived.get('music:match:v1:a1:video-1')).toBe('b');
+    });
+
+    test('should never serve job state from memory', async () => {
+      await cache.set('job:v1:abc', { status: 'running' });
+      client.store.set('feels:job:v1:abc', '{"status":"completed"}'); // Updated by another instance
+
+      expect(await cache.get('job:v1:abc')).toEqual({ status: 'completed' });
+      expect(cache.memoryCache.has('job:v1:abc')).toBe(false);
+    });
+
+    test('should fetch only memory misses with MGET', async () => {
+      await cache.set('music:match:v1:a1:video-1', 1);
+      client.store.set('feels:music:match:v1:a1:video-2', '2');
+
+      const values = await cache.mget(['music:match:v1:a1:video-1', 'music:match:v1:a1:video-2', 'music:match:v1:a1:video-3']);
+
+      expect(values).toEqual([1, 2, null]);
+      expect(client.mGet).toHaveBeenCalledWith(['feels:music:match:v1:a1:video-2', 'feels:music:match:v1:a1:video-3']);
+      expect(cache.getStats().namespaces['music:match']).toMatchObject({ hits: 2, l1Hits: 1, misses: 1 });
+    });
+
+    test('should delete from both tiers', async () => {
+      await cache.set('music:match:v1:a1:video-1', 1);
+      await cache.del('music:match:v1:a1:video-1');
+
+      expect(client.store.size).toBe(0);
+      expect(await cache.exists('music:match:v1:a1:video-1')).toBe(false);
+    });
+  });
+
+  describe('when Redis drops', () => {
+    test('should serve values written during the outage from memory', async () => {
+      client.down();
+
+      await cache.set('music:match:v1:a1:video-1', 'offline');
+
+      expect(await cache.get('music:match:v1:a1:video-1')).toBe('offline');
+      expect(cache.getStats()).toMatchObject({ type: 'memory', redis: { available: false, pendingWrites: 1 } });
+    });
+
+    test('should fall back to memory when a command fails on a dead connection', async () => {
+      client.isReady = false; // Dropped before the client noticed
+
+      await cache.set('music:match:v1:a1:video-1', 'a');
+
+      expect(cache.isRedisAvailable).toBe(false);
+      expect(await cache.get('music:match:v1:a1:video-1')).toBe('a');
+      expect(errorSpy).toHaveBeenCalledWith('Redis SET error:', 'The client is closed');
+    });
+
+    test('should not fall back to stale copies of job state', async () => {
+      await cache.set('job:v1:abc', { status: 'running' });
+      client.down();
+
+      // Job state was never cached locally, so it's a miss rather than a stale read
+      expect(await cache.get('job:v1:abc')).toBeNull();
+    });
+
+    test('should log the drop once rather than on every reconnect attempt', () => {
+      client.down();
+      client.down();
+      client.down();
+
+      expect(errorSpy).toHaveBeenCalledTimes(1);
+    });
+
+    test('should replay writes and deletes when Redis comes back', async () => {
+      client.store.set('feels:music:match:v1:a1:stale', '"old"');
+      client.down();
+
+      await cache.set('music:match:v1:a1:video-1', 'offline', 3600);
+      await cache.del('music:match:v1:a1:stale');
+      await client.up();
+
+      expect(client.store.get('feels:music:match:v1:a1:video-1')).toBe('"offline"');
+      expect(client.store.has('feels:music:match:v1:a1:stale')).toBe(false);
+      expect(cache.getStats().redis).toMatchObject({ available: true, pendingWrites: 0 });
+      expect(logSpy).toHaveBeenCalledWith('📦 Cache: Replayed 2 writes and 0 invalidations to Redis');
+    });
+
+    test('should replay prefix invalidations and skip writes they cover', async () => {
+      client.store.set('feels:music:match:v1:a1:video-1', '"old"');
+      client.store.set('feels:job:v1:abc', '"kept"');
+      client.down();
+
+      await cache.set('music:match:v1:a1:video-2', 'offline');
+      await cache.invalidatePrefix('music:match:');
+      await client.up();
+
+      expect(Array.from(client.store.keys())).toEqual(['feels:job:v1:abc']);
+    });
+
+    test('should not replay writes that expired during the outage', async () => {
+      client.down();
+      await cache.set('music:match:v1:a1:video-1', 'short', 1);
+      cache.pendingWrites.get('music:match:v1:a1:video-1').expiresAt = Date.now() - 1;
+
+      await client.up();
+
+      expect(client.store.size).toBe(0);
+    });
+
+    test('should read from Redis again after it recovers', async () => {
+      client.down();
+      await cache.set('music:match:v1:a1:video-1', 'offline');
+      await client.up();
+
+      client.store.set('feels:music:match:v1:a1:video-1', '"changed-elsewhere"');
+
+      expect(await cache.get('music:match:v1:a1:video-1')).toBe('changed-elsewhere');
+    });
+
+    test('should keep pending changes when Redis drops again mid-replay', async () => {
+      client.down();
+      await cache.set('music:match:v1:a1:video-1', 'offline');
+      await cache.invalidatePrefix('job:');
+
+      client.setEx.mockImplementationOnce(async () => {
+        client.isReady = false;
+        throw new Error('Socket closed unexpectedly');
+      });
+      await client.up();
+
+      expect(cache.getStats().redis).toMatchObject({ available: false, pendingWrites: 1, pendingInvalidations: 1 });
+
+      await client.up();
+
+      expect(client.store.get('feels:music:match:v1:a1:video-1')).toBe('"offline"');
+      expect(cache.getStats().redis.pendingWrites).toBe(0);
+    });
+
+    test('should keep only the newest outage writes', async () => {
+      client.down();
+
+      for (let i = 0; i < 10001; i++) {
+        cache.queueReplay(`music:match:v1:a1:video-${i}`, { deleted: true });
+      }
+
+      expect(cache.pendingWrites.size).toBe(10000);
+      expect(cache.pendingWrites.has('music:match:v1:a1:video-0')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Tests for feature-provider.registry.js
+ * Provider ordering, priority fallback and confidence blending
+ */
+
+import { jest } from '@jest/globals';
+import featureProviderRegistry, { FeatureProviderRegistry } from '../../../services/feature-provider.registry.js';
+import { createMockAudioFeatures } from '../../helpers/fixtures.js';
+
+function createProvider(name, features, { available = true } = {}) {
+  return {
+    name,
+    initialize: jest.fn(async () => {}),
+    isAvailable: () => available,
+    getFeatures: jest.fn(async () => features)
+  };
+}
+
+describe('Feature Provider Registry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new FeatureProviderRegistry();
+  });
+
+  afterEach(() => {
+    delete process.env.FEATURE_PROVIDERS;
+    delete process.env.FEATURE_PROVIDER_MODE;
+  });
+
+  describe('register', () => {
+    test('should reject providers without a name or getFeatures', () => {
+      expect(() => registry.register({ name: 'broken' })).toThrow();
+      expect(() => registry.register({ getFeatures: () => null })).toThrow();
+    });
+  });
+
+  describe('configure', () => {
+    test('should ignore unknown provider names', () => {
+      registry.register(createProvider('a', null));
+      registry.configure({ order: ['missing', 'a'] });
+
+      expect(registry.order).toEqual(['a']);
+    });
+
+    test('should reject unknown modes', () => {
+      expect(() => registry.configure({ mode: 'random' })).toThrow(/Unknown feature provider mode/);
+    });
+  });
+
+  describe('initialize', () => {
+    test('should read order and mode from the environment', async () => {
+      const a = createProvider('a', null);
+      const b = createProvider('b', null);
+      registry.register(a);
+      registry.register(b);
+      process.env.FEATURE_PROVIDERS = 'b, a';
+      process.env.FEATURE_PROVIDER_MODE = 'blend';
+
+      await registry.initialize();
+
+      expect(registry.order).toEqual(['b', 'a']);
+      expect(registry.mode).toBe('blend');
+      expect(a.initialize).toHaveBeenCalled();
+      expect(b.initialize).toHaveBeenCalled();
+    });
+
+    test('should only initialize enabled providers', async () => {
+      const a = createProvider('a', null);
+      const b = createProvider('b', null);
+      registry.register(a);
+      registry.register(b);
+      process.env.FEATURE_PROVIDERS = 'a';
+
+      await registry.initialize();
+
+      expect(b.initialize).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('priority mode', () => {
+    test('should use the first provider that returns features', async () => {
+      const first = createProvider('first', null);
+      const second = createProvider('second', createMockAudioFeatures({ energy: 0.9, confidence: 0.7 }));
+      const third = createProvider('third', createMockAudioFeatures({ energy: 0.1, confidence: 0.9 }));
+      [first, second, third].forEach(p => registry.register(p));
+      registry.configure({ order: ['first', 'second', 'third'], mode: 'priority' });
+
+      const result = await registry.getFeatures({ artist: 'A', song: 'S', genres: [] });
+
+      expect(result.features.energy).toBe(0.9);
+      expect(result.providers).toEqual([{ name: 'second', confidence: 0.7 }]);
+      expect(third.getFeatures).not.toHaveBeenCalled();
+    });
+
+    test('should skip unavailable providers', async () => {
+      const off = createProvider('off', createMockAudioFeatures({ confidence: 0.9 }), { available: false });
+      const on = createProvider('on', createMockAudioFeatures({ confidence: 0.5 }));
+      registry.register(off);
+      registry.register(on);
+      registry.configure({ order: ['off', 'on'] });
+
+      const result = await registry.getFeatures({});
+
+      expect(result.providers[0].name).toBe('on');
+      expect(off.getFeatures).not.toHaveBeenCalled();
+    });
+
+    test('should treat provider errors as no result', async () => {
+      const failing = createProvider('failing', null);
+      failing.getFeatures.mockRejectedValue(new Error('boom'));
+      const backup = createProvider('backup', createMockAudioFeatures({ confidence: 0.4 }));
+      registry.register(failing);
+      registry.register(backup);
+      registry.configure({ order: ['failing', 'backup'] });
+
+      const result = await registry.getFeatures({});
+
+      expect(result.providers[0].name).toBe('backup');
+    });
+
+    test('should return null when no provider has features', async () => {
+      registry.register(createProvider('a', null));
+      registry.configure({ order: ['a'] });
+
+      expect(await registry.getFeatures({})).toBeNull();
+    });
+  });
+
+  describe('blend mode', () => {
+    test('should weight features by provider confidence', async () => {
+      registry.register(createProvider('low', createMockAudioFeatures({ energy: 0.2, tempo: 80, confidence: 0.25 })));
+      registry.register(createProvider('high', createMockAudioFeatures({ energy: 0.8, tempo: 160, confidence: 0.75 })));
+      registry.configure({ order: ['low', 'high'], mode: 'blend' });
+
+      const result = await registry.getFeatures({});
+
+      expect(result.features.energy).toBeCloseTo(0.65);
+      expect(result.features.tempo).toBe(140);
+      expect(result.features.source).toBe('blend');
+      expect(result.providers).toEqual([
+        { name: 'low', confidence: 0.25 },
+        { name: 'high', confidence: 0.75 }
+      ]);
+    });
+
+    test('should weight the combined confidence toward confident providers', async () => {
+      registry.register(createProvider('low', createMockAudioFeatures({ confidence: 0.25 })));
+      registry.register(createProvider('high', createMockAudioFeatures({ confidence: 0.75 })));
+      registry.configure({ order: ['low', 'high'], mode: 'blend' });
+
+      const result = await registry.getFeatures({});
+
+      expect(result.features.confidence).toBeCloseTo(0.625);
+    });
+
+    test('should report per-feature variance and disagreement', async () => {
+      registry.register(createProvider('a', createMockAudioFeatures({ energy: 0.2, tempo: 100, confidence: 0.5 })));
+      registry.register(createProvider('b', createMockAudioFeatures({ energy: 0.8, tempo: 100, confidence: 0.5 })));
+      registry.configure({ order: ['a', 'b'], mode: 'blend' });
+
+      const { disagreement } = await registry.getFeatures({});
+
+      expect(disagreement.variance.energy).toBeCloseTo(0.09);
+      expect(disagreement.variance.tempo).toBe(0);
+      expect(disagreement.perFeature.energy).toBeCloseTo(0.6);
+      expect(disagreement.perFeature.tempo).toBe(0);
+      expect(disagreement.overall).toBeCloseTo(0.1);
+    });
+
+    test('should flag features the providers strongly disagree on', async () => {
+      registry.register(createProvider('a', createMockAudioFeatures({ energy: 0.1, loudness: -25, confidence: 0.5 })));
+      registry.register(createProvider('b', createMockAudioFeatures({ energy: 0.9, loudness: -6, confidence: 0.5 })));
+      registry.configure({ order: ['a', 'b'], mode: 'blend' });
+
+      const { disagreement } = await registry.getFeatures({});
+
+      expect(disagreement.disputed).toEqual(['energy', 'loudness']);
+      expect(disagreement.flagged).toBe(true);
+    });
+
+    test('should not flag providers that roughly agree', async () => {
+      registry.register(createProvider('a', createMockAudioFeatures({ energy: 0.7, tempo: 120, confidence: 0.8 })));
+      registry.register(createProvider('b', createMockAudioFeatures({ energy: 0.8, tempo: 128, confidence: 0.6 })));
+      registry.configure({ order: ['a', 'b'], mode: 'blend' });
+
+      const { disagreement } = await registry.getFeatures({});
+
+      expect(disagreement.disputed).toEqual([]);
+      expect(disagreement.flagged).toBe(false);
+    });
+
+    test('should pass a single result through unchanged', async () => {
+      const features = createMockAudioFeatures({ confidence: 0.6, source: 'genre-heuristic' });
+      registry.register(createProvider('only', features));
+      registry.register(createProvider('empty', null));
+      registry.configure({ order: ['only', 'empty'], mode: 'blend' });
+
+      const result = await registry.getFeatures({});
+
+      expect(result.features).toBe(features);
+      expect(result.providers).toEqual([{ name: 'only', confidence: 0.6 }]);
+      expect(result.disagreement).toBeNull();
+    });
+
+    test('should return null when no provider has features', async () => {
+      registry.register(createProvider('a', null));
+      registry.configure({ order: ['a'], mode: 'blend' });
+
+      expect(await registry.getFeatures({})).toBeNull();
+    });
+  });
+
+  describe('built-in providers', () => {
+    test('should register genre, llm, spotify and local', () => {
+      expect([...featureProviderRegistry.providers.keys()]).toEqual(['genre', 'llm', 'spotify', 'local']);
+    });
+
+    test('should default to genre heuristics only', async () => {
+      await featureProviderRegistry.initialize();
+
+      const result = await featureProviderRegistry.getFeatures({
+        artist: 'Slayer',
+        song: 'Angel of Death',
+        genres: ['thrash metal', 'metal']
+      });
+
+      expect(featureProviderRegistry.order).toEqual(['genre']);
+      expect(result.providers[0].name).toBe('genre');
+      expect(result.features.source).toBe('genre-heuristic');
+      expect(result.features.energy).toBeGreaterThan(0.9);
+    });
+
+    test('should leave the LLM provider unavailable without an API key', async () => {
+      process.env.FEATURE_PROVIDERS = 'llm,genre';
+
+      await featureProviderRegistry.initialize();
+
+      expect(featureProviderRegistry.getEnabledProviders().map(p => p.name)).toEqual(['genre']);
+    });
+  });
+});
@@ -5,6 +5,10 @@
 
 import {
   calculateFeelsScore,
+  calculatePositivityScore,
+  scoreMatch,
+  scoreChapters,
+  findClosestVideo2D,
   getMoodLabel,
   getScoreColor,
   findClosestVideo,
@@ -111,6 +115,167 @@ describe('Feels Calculator', () => {
     });
   });
 
+  describe('calculateFeelsScore with profiles', () => {
+    const intenseSad = createMockAudioFeatures({
+      energy: 0.9,
+      tempo: 170,
+      danceability: 0.3,
+      loudness: -5,
+      valence: 0.1,
+      acousticness: 0.1
+    });
+
+    test('should match the default score when given the default profile by name', () => {
+      expect(calculateFeelsScore(intenseSad, 'default')).toBe(calculateFeelsScore(intenseSad));
+    });
+
+    test('should score differently under different profiles', () => {
+      const party = calculateFeelsScore(intenseSad, 'party');
+      const workout = calculateFeelsScore(intenseSad, 'workout');
+
+      // Sad, undanceable but fast: great for a workout, poor for a party
+      expect(workout).toBeGreaterThan(party);
+    });
+
+    test('should accept a profile object', () => {
+      const tempoOnly = {
+        weights: { tempo: 1 },
+        ranges: { tempo: [100, 200], loudness: [-30, -5] }
+      };
+
+      expect(calculateFeelsScore(createMockAudioFeatures({ tempo: 150 }), tempoOnly)).toBe(50);
+      expect(calculateFeelsScore(createMockAudioFeatures({ tempo: 90 }), tempoOnly)).toBe(0);
+      expect(calculateFeelsScore(createMockAudioFeatures({ tempo: 220 }), tempoOnly)).toBe(100);
+    });
+
+    test('should normalize loudness with the profile range', () => {
+      const loudnessOnly = {
+        weights: { loudness: 1 },
+        ranges: { tempo: [0, 200], loudness: [-20, -10] }
+      };
+
+      expect(calculateFeelsScore(createMockAudioFeatures({ loudness: -15 }), loudnessOnly)).toBe(50);
+    });
+
+    test('should throw for unknown profile names', () => {
+      expect(() => calculateFeelsScore(intenseSad, 'nope')).toThrow(/Unknown feels profile/);
+    });
+
+    test('should return 50 for missing features regardless of profile', () => {
+      expect(calculateFeelsScore(null, 'party')).toBe(50);
+    });
+  });
+
+  describe('calculatePositivityScore', () => {
+    test('should return 50 for missing audio features', () => {
+      expect(calculatePositivityScore(null)).toBe(50);
+    });
+
+    test('should follow valence when mode is unknown', () => {
+      expect(calculatePositivityScore({ valence: 0.9 })).toBe(90);
+      expect(calculatePositivityScore({ valence: 0.1 })).toBe(10);
+    });
+
+    test('should default to neutral valence', () => {
+      expect(calculatePositivityScore({})).toBe(50);
+    });
+
+    test('should brighten major keys and darken minor keys', () => {
+      expect(calculatePositivityScore({ valence: 0.5, mode: 1 })).toBeGreaterThan(55);
+      expect(calculatePositivityScore({ valence: 0.5, mode: 0 })).toBeLessThan(45);
+    });
+
+    test('should clamp valence to 0-1', () => {
+      expect(calculatePositivityScore({ valence: 1.5 })).toBe(100);
+      expect(calculatePositivityScore({ valence: -1 })).toBe(0);
+    });
+
+    test('should separate sad-intense from happy-intense tracks', () => {
+      const sadIntense = createMockAudioFeatures({ energy: 0.9, tempo: 170, valence: 0.1 });
+      const happyIntense = createMockAudioFeatures({ energy: 0.9, tempo: 170, valence: 0.9 });
+
+      expect(Math.abs(calculateFeelsScore(sadIntense) - calculateFeelsScore(happyIntense))).toBeLessThanOrEqual(5);
+      expect(calculatePositivityScore(happyIntense) - calculatePositivityScore(sadIntense)).toBeGreaterThan(50);
+    });
+  });
+
+  describe('findClosestVideo2D', () => {
+    const videos = [
+      { videoId: 'sad-intense', feelsScore: 85, positivityScore: 10 },
+      { videoId: 'happy-intense', feelsScore: 85, positivityScore: 90 },
+      { videoId: 'calm', feelsScore: 15, positivityScore: 60 }
+    ];
+
+    test('should return null for empty input', () => {
+      expect(findClosestVideo2D([], { feels: 50, positivity: 50 })).toBeNull();
+      expect(findClosestVideo2D(null, { feels: 50, positivity: 50 })).toBeNull();
+    });
+
+    test('should pick by Euclidean distance in both axes', () => {
+      expect(findClosestVideo2D(videos, { feels: 80, positivity: 20 }).videoId).toBe('sad-intense');
+      expect(findClosestVideo2D(videos, { feels: 80, positivity: 80 }).videoId).toBe('happy-intense');
+      expect(findClosestVideo2D(videos, { feels: 20, positivity: 50 }).videoId).toBe('calm');
+    });
+
+    test('should treat missing scores as neutral', () => {
+      const result = findClosestVideo2D([{ videoId: 'unscored' }, ...videos], { feels: 50, positivity: 50 });
+      expect(result.videoId).toBe('unscored');
+    });
+  });
+
+  describe('scoreMatch', () => {
+    const audioFeatures = createMockAudioFeatures({ energy: 0.9, valence: 0.8 });
+
+    test('should score matched results from their audio features', () => {
+      expect(scoreMatch({ matched: true, audioFeatures })).toEqual({
+        feelsScore: calculateFeelsScore(audioFeatures),
+        positivityScore: calculatePositivityScore(audioFeatures)
+      });
+    });
+
+    test('should use the given profile', () => {
+      expect(scoreMatch({ matched: true, audioFeatures }, 'focus').feelsScore)
+        .toBe(calculateFeelsScore(audioFeatures, 'focus'));
+    });
+
+    test('should default unmatched results to neutral', () => {
+      expect(scoreMatch({ matched: false })).toEqual({ feelsScore: 50, positivityScore: 50 });
+    });
+
+    test('should let overridden scores take precedence', () => {
+      const result = scoreMatch({
+        matched: true,
+        audioFeatures,
+        override: { feelsScore: 12, positivityScore: null }
+      });
+
+      expect(result.feelsScore).toBe(12);
+      expect(result.positivityScore).toBe(calculatePositivityScore(audioFeatures));
+    });
+
+    test('should score unmatched results from an override', () => {
+      expect(scoreMatch({ matched: false, override: { feelsScore: 0, positivityScore: 100 } }))
+        .toEqual({ feelsScore: 0, positivityScore: 100 });
+    });
+  });
+
+  describe('scoreChapters', () => {
+    test('should score each chapter with the given profile', () => {
+      const audioFeatures = createMockAudioFeatures({ energy: 0.9 });
+      const chapters = scoreChapters([
+        { start: 0, matched: true, audioFeatures },
+        { start: 200, matched: false, audioFeatures: null }
+      ], 'focus');
+
+      expect(chapters[0]).toMatchObject({ start: 0, feelsScore: calculateFeelsScore(audioFeatures, 'focus') });
+      expect(chapters[1]).toMatchObject({ start: 200, feelsScore: 50, positivityScore: 50 });
+    });
+
+    test('should return null without chapters', () => {
+      expect(scoreChapters(undefined)).toBeNull();
+    });
+  });
+
   describe('getMoodLabel', () => {
     test('should return "Very Chill" for scores 0-19', () => {
       expect(getMoodLabel(0)).toBe('Very Chill');
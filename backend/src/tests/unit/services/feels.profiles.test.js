@@ -0,0 +1,163 @@
+/**
+ * Tests for feels.profiles.js
+ * Loading and validating named weight profiles
+ */
+
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  DEFAULT_PROFILE,
+  validateProfile,
+  loadProfiles,
+  reloadProfiles,
+  hasProfile,
+  getProfile,
+  listProfiles
+} from '../../../services/feels.profiles.js';
+
+const validProfile = {
+  label: 'Tempo Only',
+  weights: { tempo: 1 },
+  ranges: { tempo: [60, 180], loudness: [-30, -5] }
+};
+
+describe('Feels Profiles', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = mkdtempSync(join(tmpdir(), 'feels-profiles-'));
+  });
+
+  afterEach(() => {
+    reloadProfiles(null);
+    rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function writeProfiles(profiles) {
+    const path = join(tmpDir, 'profiles.json');
+    writeFileSync(path, JSON.stringify(profiles));
+    return path;
+  }
+
+  describe('built-in profiles', () => {
+    test('should include default, workout, focus and party', () => {
+      expect(listProfiles().map(p => p.name)).toEqual(['default', 'workout', 'focus', 'party']);
+    });
+
+    test('should all be valid', () => {
+      for (const { name } of listProfiles()) {
+        expect(validateProfile(name, getProfile(name))).toEqual([]);
+      }
+    });
+
+    test('should keep the original default weights', () => {
+      expect(getProfile(DEFAULT_PROFILE).weights).toEqual({
+        energy: 0.40,
+        tempo: 0.25,
+        danceability: 0.15,
+        loudness: 0.10,
+        valence: 0.05,
+        acousticness: 0.05
+      });
+    });
+  });
+
+  describe('validateProfile', () => {
+    test('should accept a valid profile', () => {
+      expect(validateProfile('tempo', validProfile)).toEqual([]);
+    });
+
+    test('should reject non-objects', () => {
+      expect(validateProfile('bad', null)).toEqual(['bad: profile must be an object']);
+    });
+
+    test('should require weights and ranges', () => {
+      const errors = validateProfile('bad', {});
+      expect(errors).toContain('bad: weights are required');
+      expect(errors).toContain('bad: ranges are required');
+    });
+
+    test('should reject unknown weights', () => {
+      const errors = validateProfile('bad', { ...validProfile, weights: { tempo: 0.5, speechiness: 0.5 } });
+      expect(errors).toContain('bad: unknown weight "speechiness"');
+    });
+
+    test('should reject out-of-range weights', () => {
+      const errors = validateProfile('bad', { ...validProfile, weights: { tempo: 1.5, energy: -0.5 } });
+      expect(errors).toContain('bad: weight "tempo" must be a number between 0 and 1');
+      expect(errors).toContain('bad: weight "energy" must be a number between 0 and 1');
+    });
+
+    test('should reject weights that are not finite numbers', () => {
+      const errors = validateProfile('bad', { ...validProfile, weights: { tempo: NaN, energy: 1 } });
+      expect(errors).toContain('bad: weight "tempo" must be a number between 0 and 1');
+    });
+
+    test('should require weights to sum to 1', () => {
+      const errors = validateProfile('bad', { ...validProfile, weights: { tempo: 0.5, energy: 0.3 } });
+      expect(errors).toContain('bad: weights must sum to 1 (got 0.800)');
+    });
+
+    test('should reject inverted or malformed ranges', () => {
+      const errors = validateProfile('bad', { ...validProfile, ranges: { tempo: [200, 60], loudness: [-5] } });
+      expect(errors).toContain('bad: range "tempo" must be [min, max] with min < max');
+      expect(errors).toContain('bad: range "loudness" must be [min, max] with min < max');
+    });
+  });
+
+  describe('loadProfiles', () => {
+    test('should merge extra profiles over the built-in ones', () => {
+      const profiles = loadProfiles(writeProfiles({ tempo: validProfile }));
+
+      expect(Object.keys(profiles)).toEqual(['default', 'workout', 'focus', 'party', 'tempo']);
+    });
+
+    test('should throw listing every invalid profile', () => {
+      const path = writeProfiles({
+        broken: { weights: { tempo: 2 }, ranges: validProfile.ranges },
+        empty: {}
+      });
+
+      expect(() => loadProfiles(path)).toThrow(/Invalid feels profiles:[\s\S]*broken[\s\S]*empty/);
+    });
+  });
+
+  describe('reloadProfiles', () => {
+    test('should make new profiles available by name', () => {
+      expect(hasProfile('tempo')).toBe(false);
+
+      reloadProfiles(writeProfiles({ tempo: validProfile }));
+
+      expect(hasProfile('tempo')).toBe(true);
+      expect(getProfile('tempo').label).toBe('Tempo Only');
+    });
+  });
+
+  describe('getProfile', () => {
+    test('should return the default profile without a name', () => {
+      expect(getProfile()).toBe(getProfile('default'));
+    });
+
+    test('should throw for unknown profiles', () => {
+      expect(() => getProfile('nope')).toThrow('Unknown feels profile "nope"');
+    });
+
+    test('should not treat object prototype keys as profiles', () => {
+      expect(hasProfile('toString')).toBe(false);
+    });
+
+    test('should only accept profile names that are strings', () => {
+      expect(hasProfile(['default'])).toBe(false);
+      expect(hasProfile({ toString: () => 'default' })).toBe(false);
+    });
+  });
+
+  describe('listProfiles', () => {
+    test('should fall back to the name when a profile has no label', () => {
+      reloadProfiles(writeProfiles({ bare: { weights: { energy: 1 }, ranges: validProfile.ranges } }));
+
+      expect(listProfiles().find(p => p.name === 'bare')).toMatchObject({ label: 'bare', description: '' });
+    });
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Tests for genre-audio-analyzer.service.js
+ * Confidence by where the genres came from, and era norms by release year
+ */
+
+import genreAudioAnalyzer, { GENRE_SOURCE_WEIGHTS, eraOf } from '../../../services/genre-audio-analyzer.service.js';
+
+const track = { artist: 'Daft Punk', song: 'One More Time', genres: ['house', 'electronic', 'dance'] };
+
+describe('Genre Audio Analyzer', () => {
+  test('should trust a recording\'s own genres most', () => {
+    const features = genreAudioAnalyzer.inferAudioFeatures(track);
+
+    expect(features.confidence).toBe(0.8);
+    expect(features.genreSource).toBe('recording');
+  });
+
+  test('should lower confidence for release-group and artist genres', () => {
+    const releaseGroup = genreAudioAnalyzer.inferAudioFeatures({ ...track, genreSource: 'release-group' });
+    const artist = genreAudioAnalyzer.inferAudioFeatures({ ...track, genreSource: 'artist' });
+
+    expect(releaseGroup.confidence).toBe(0.68);
+    expect(artist.confidence).toBe(0.56);
+    expect(artist.genreSource).toBe('artist');
+    expect(GENRE_SOURCE_WEIGHTS.artist).toBeLessThan(GENRE_SOURCE_WEIGHTS['release-group']);
+  });
+
+  test('should infer the same features whatever the source', () => {
+    const recording = genreAudioAnalyzer.inferAudioFeatures(track);
+    const artist = genreAudioAnalyzer.inferAudioFeatures({ ...track, genreSource: 'artist' });
+
+    expect(artist.energy).toBe(recording.energy);
+    expect(artist.tempo).toBe(recording.tempo);
+  });
+
+  test('should fall back to title keywords without genres', () => {
+    const features = genreAudioAnalyzer.inferAudioFeatures({ ...track, genres: [], genreSource: null });
+
+    expect(features.confidence).toBe(0.3);
+  });
+
+  describe('eras', () => {
+    const rock = { artist: 'Some Band', song: 'Some Song', genres: ['rock'] };
+
+    test('should label decades', () => {
+      expect(eraOf(1977)).toBe('1970s');
+      expect(eraOf(2010)).toBe('2010s');
+      expect(eraOf(null)).toBeNull();
+    });
+
+    test('should make 70s rock quieter, slower and more acoustic than 2010s rock', () => {
+      const seventies = genreAudioAnalyzer.inferAudioFeatures({ ...rock, year: 1975 });
+      const twentyTens = genreAudioAnalyzer.inferAudioFeatures({ ...rock, year: 2014 });
+
+      expect(seventies.era).toBe('1970s');
+      expect(twentyTens.era).toBe('2010s');
+      expect(seventies.loudness).toBe(twentyTens.loudness - 4);
+      expect(seventies.tempo).toBeLessThan(twentyTens.tempo);
+      expect(seventies.energy).toBeLessThan(twentyTens.energy);
+      expect(seventies.acousticness).toBeGreaterThan(twentyTens.acousticness);
+    });
+
+    test('should treat anything before the 50s like the 50s', () => {
+      const forties = genreAudioAnalyzer.inferAudioFeatures({ ...rock, year: 1944 });
+      const fifties = genreAudioAnalyzer.inferAudioFeatures({ ...rock, year: 1955 });
+
+      expect(forties.era).toBe('1940s');
+      expect(forties.loudness).toBe(fifties.loudness);
+    });
+
+    test('should leave features alone without a year', () => {
+      const undated = genreAudioAnalyzer.inferAudioFeatures(rock);
+      const modern = genreAudioAnalyzer.inferAudioFeatures({ ...rock, year: 2005 });
+
+      expect(undated.era).toBeUndefined();
+      expect(undated).toEqual({ ...modern, era: undefined });
+    });
+  });
+});
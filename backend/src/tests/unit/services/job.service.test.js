@@ -0,0 +1,290 @@
+/**
+ * Tests for job.service.js
+ * Background playlist analysis jobs with resumable state
+ */
+
+import { jest } from '@jest/globals';
+
+const getPlaylist = jest.fn();
+const matchVideo = jest.fn();
+
+// Resolve to absolute paths: the shared jest object resolves relative paths from setup.js
+const servicePath = (name) => new URL(`../../../services/${name}`, import.meta.url).pathname;
+
+jest.unstable_mockModule(servicePath('youtube.service.js'), () => ({
+  default: { getPlaylist }
+}));
+jest.unstable_mockModule(servicePath('music-analysis.service.js'), () => ({
+  default: { matchVideo }
+}));
+
+const { default: jobService } = await import('../../../services/job.service.js');
+const { default: cacheService } = await import('../../../services/cache.service.js');
+
+function createPlaylist(count) {
+  return {
+    playlistId: 'PL-test',
+    title: 'Test Playlist',
+    description: '',
+    videoCount: count,
+    videos: Array.from({ length: count }, (_, i) => ({
+      id: `video-${i}`,
+      title: `Artist ${i} - Song ${i}`,
+      channelTitle: `Artist ${i}`,
+      thumbnails: {}
+    }))
+  };
+}
+
+describe('Job Service', () => {
+  beforeEach(async () => {
+    await cacheService.clear();
+    delete process.env.JOB_TIME_BUDGET_MS;
+    delete process.env.JOB_LEASE_MS;
+
+    getPlaylist.mockResolvedValue(createPlaylist(25));
+    matchVideo.mockImplementation(async (video) => ({
+      matched: true,
+      videoId: video.id,
+      audioFeatures: { energy: 0.8, tempo: 140 },
+      cached: false
+    }));
+  });
+
+  describe('createJob', () => {
+    test('should create a queued job and persist it in the cache', async () => {
+      const job = await jobService.createJob('https://youtube.com/playlist?list=PL-test');
+
+      expect(job.id).toEqual(expect.any(String));
+      expect(job.status).toBe('queued');
+      expect(await cacheService.get(jobService.getCacheKey(job.id))).toMatchObject({ id: job.id, status: 'queued' });
+    });
+
+    test('should create unique job IDs', async () => {
+      const job1 = await jobService.createJob('PL-test');
+      const job2 = await jobService.createJob('PL-test');
+
+      expect(job1.id).not.toBe(job2.id);
+    });
+  });
+
+  describe('getJob', () => {
+    test('should return null for unknown jobs', async () => {
+      expect(await jobService.getJob('missing')).toBeNull();
+    });
+  });
+
+  describe('processJob', () => {
+    test('should analyze every video and complete', async () => {
+      const { id } = await jobService.createJob('PL-test');
+      const job = await jobService.processJob(id);
+
+      expect(job.status).toBe('completed');
+      expect(job.processed).toBe(25);
+      expect(job.matched).toBe(25);
+      expect(job.results).toHaveLength(25);
+      expect(job.results[0]).toMatchObject({ videoId: 'video-0', matched: true });
+      expect(job.results[0].feelsScore).toBeGreaterThan(50);
+      expect(matchVideo).toHaveBeenCalledTimes(25);
+    });
+
+    test('should score with the job\'s profile', async () => {
+      matchVideo.mockImplementation(async (video) => ({
+        matched: true,
+        videoId: video.id,
+        audioFeatures: { energy: 0.3, tempo: 180, danceability: 0.2, loudness: -5, valence: 0.5, acousticness: 0.5 },
+        cached: false
+      }));
+
+      const defaultJob = await jobService.processJob((await jobService.createJob('PL-test')).id);
+      const workoutJob = await jobService.processJob((await jobService.createJob('PL-test', { profile: 'workout' })).id);
+
+      expect(workoutJob.profile).toBe('workout');
+      expect(jobService.toResponse(workoutJob).profile).toBe('workout');
+      expect(workoutJob.results[0].feelsScore).not.toBe(defaultJob.results[0].feelsScore);
+    });
+
+    test('should record per-video errors and keep going', async () => {
+      matchVideo.mockImplementation(async (video) => {
+        if (video.id === 'video-3') throw new Error('lookup failed');
+        return { matched: false, videoId: video.id, cached: false };
+      });
+
+      const { id } = await jobService.createJob('PL-test');
+      const job = await jobService.processJob(id);
+
+      expect(job.status).toBe('completed');
+      expect(job.errors).toEqual([{ videoId: 'video-3', error: 'lookup failed' }]);
+      expect(job.results[3]).toMatchObject({ feelsScore: 50, matched: false, error: 'lookup failed' });
+    });
+
+    test('should mark the job failed when the playlist cannot be fetched', async () => {
+      getPlaylist.mockRejectedValue(new Error('Playlist not found or is private'));
+
+      const { id } = await jobService.createJob('PL-missing');
+      const job = await jobService.processJob(id);
+
+      expect(job.status).toBe('failed');
+      expect(job.error).toBe('Playlist not found or is private');
+    });
+
+    test('should yield when the time budget runs out and resume later', async () => {
+      process.env.JOB_TIME_BUDGET_MS = '1';
+      matchVideo.mockImplementation(async (video) => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        return { matched: false, videoId: video.id, cached: false };
+      });
+
+      const { id } = await jobService.createJob('PL-test');
+      let job = await jobService.processJob(id);
+
+      expect(job.status).toBe('running');
+      expect(job.processed).toBe(10);
+      expect(job.lockedUntil).toBe(0);
+
+      delete process.env.JOB_TIME_BUDGET_MS;
+      job = await jobService.processJob(id);
+
+      expect(job.status).toBe('completed');
+      expect(job.results.map(r => r.videoId)).toEqual(
+        Array.from({ length: 25 }, (_, i) => `video-${i}`)
+      );
+      expect(matchVideo).toHaveBeenCalledTimes(25);
+      expect(getPlaylist).toHaveBeenCalledTimes(1);
+    });
+
+    test('should resume from the last analyzed video after an interruption', async () => {
+      const { id } = await jobService.createJob('PL-test');
+
+      // Simulate a worker that died after the first batch
+      const playlist = createPlaylist(25);
+      const interrupted = await jobService.getJob(id);
+      interrupted.status = 'running';
+      interrupted.videos = playlist.videos;
+      interrupted.total = 25;
+      interrupted.processed = 10;
+      interrupted.results = playlist.videos.slice(0, 10).map(v => ({ videoId: v.id }));
+      interrupted.lockedUntil = Date.now() - 1;
+      await cacheService.set(jobService.getCacheKey(id), interrupted);
+
+      const job = await jobService.processJob(id);
+
+      expect(job.status).toBe('completed');
+      expect(matchVideo).toHaveBeenCalledTimes(15);
+      expect(matchVideo.mock.calls[0][0].id).toBe('video-10');
+      expect(getPlaylist).not.toHaveBeenCalled();
+    });
+
+    test('should overwrite results of a batch replayed after a lost lease', async () => {
+      const { id } = await jobService.createJob('PL-test');
+
+      // The previous worker saved part of its next batch before losing the job
+      const playlist = createPlaylist(25);
+      const interrupted = await jobService.getJob(id);
+      interrupted.status = 'running';
+      interrupted.videos = playlist.videos;
+      interrupted.total = 25;
+      interrupted.processed = 10;
+      interrupted.results = playlist.videos.slice(0, 12).map(v => ({ videoId: v.id }));
+      interrupted.errors = [{ videoId: 'video-11', error: 'lookup failed' }];
+      interrupted.lockedUntil = Date.now() - 1;
+      await cacheService.set(jobService.getCacheKey(id), interrupted);
+
+      const job = await jobService.processJob(id);
+
+      expect(job.results.map(r => r.videoId)).toEqual(
+        Array.from({ length: 25 }, (_, i) => `video-${i}`)
+      );
+      expect(job.errors).toEqual([]);
+      expect(job.matched).toBe(15);
+    });
+
+    test('should renew the lease while a batch is running', async () => {
+      process.env.JOB_LEASE_MS = '60000';
+      const { id } = await jobService.createJob('PL-test');
+      const leases = [];
+      matchVideo.mockImplementation(async (video) => {
+        await new Promise(resolve => setTimeout(resolve, Number(video.id.split('-')[1])));
+        leases.push((await jobService.getJob(id)).lockedUntil);
+        return { matched: false, videoId: video.id, cached: false };
+      });
+
+      await jobService.processJob(id);
+
+      // Each video in the first batch sees the lease renewed by the ones before it
+      expect(new Set(leases.slice(0, 10)).size).toBeGreaterThan(1);
+    });
+
+    test('should stop writing once another worker has claimed the job', async () => {
+      const { id } = await jobService.createJob('PL-test');
+      matchVideo.mockImplementation(async (video) => {
+        if (video.id === 'video-9') {
+          await new Promise(resolve => setTimeout(resolve, 10));
+          // Another instance works on its own copy of the stored job
+          const taken = structuredClone(await jobService.getJob(id));
+          taken.owner = 'other-worker';
+          taken.lockedUntil = Date.now() + 60000;
+          await cacheService.set(jobService.getCacheKey(id), taken);
+        }
+        return { matched: false, videoId: video.id, cached: false };
+      });
+
+      const job = await jobService.processJob(id);
+
+      expect(job).toMatchObject({ owner: 'other-worker', status: 'running', processed: 0, results: [] });
+      expect(matchVideo).toHaveBeenCalledTimes(10);
+    });
+
+    test('should leave jobs alone while another worker holds the lease', async () => {
+      const { id } = await jobService.createJob('PL-test');
+      const locked = await jobService.getJob(id);
+      locked.status = 'running';
+      locked.lockedUntil = Date.now() + 60000;
+      await cacheService.set(jobService.getCacheKey(id), locked);
+
+      await jobService.processJob(id);
+
+      expect(getPlaylist).not.toHaveBeenCalled();
+    });
+
+    test('should not reprocess completed jobs', async () => {
+      const { id } = await jobService.createJob('PL-test');
+      await jobService.processJob(id);
+      matchVideo.mockClear();
+
+      await jobService.processJob(id);
+
+      expect(matchVideo).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('startWorker', () => {
+    test('should run the job in the background', async () => {
+      const job = await jobService.createJob('PL-test');
+
+      expect(jobService.startWorker(job)).toBe(true);
+      expect(jobService.startWorker(job)).toBe(false); // Already running here
+
+      await jobService.activeJobs.get(job.id);
+
+      expect((await jobService.getJob(job.id)).status).toBe('completed');
+      expect(jobService.activeJobs.has(job.id)).toBe(false);
+    });
+  });
+
+  describe('toResponse', () => {
+    test('should report progress and slice results by offset', async () => {
+      const { id } = await jobService.createJob('PL-test');
+      const job = await jobService.processJob(id);
+
+      const response = jobService.toResponse(job, 20);
+
+      expect(response.jobId).toBe(id);
+      expect(response.progress).toEqual({ processed: 25, total: 25, matched: 25, percentage: 100 });
+      expect(response.results).toHaveLength(5);
+      expect(response.results[0].videoId).toBe('video-20');
+      expect(response).not.toHaveProperty('videos');
+      expect(response).not.toHaveProperty('lockedUntil');
+    });
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Tests for local-audio-analyzer.service.js and the local audio feature provider
+ * Uses synthetic audio with known tempo, level and spectrum
+ */
+
+import { jest } from '@jest/globals';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import localAudioAnalyzer from '../../../services/local-audio-analyzer.service.js';
+import localAudioProvider from '../../../services/feature-providers/local-audio.provider.js';
+import { calculateFeelsScore } from '../../../services/feels.calculator.js';
+import {
+  generateClickTrack,
+  generateSine,
+  encodeWav,
+  encodeSilentMp3
+} from '../../helpers/audio.js';
+
+const SAMPLE_RATE = 22050;
+
+describe('Local Audio Analyzer', () => {
+  describe('tempo', () => {
+    test.each([70, 90, 120, 128, 150, 175])('should detect %i BPM from a click track', (bpm) => {
+      const features = localAudioAnalyzer.analyzeSamples(generateClickTrack({ bpm }), SAMPLE_RATE);
+
+      expect(Math.abs(features.tempo - bpm)).toBeLessThanOrEqual(2);
+      expect(features.beatStrength).toBeGreaterThan(0.5);
+    });
+
+    test('should report no pulse for a steady tone', () => {
+      const features = localAudioAnalyzer.analyzeSamples(generateSine({ frequency: 220 }), SAMPLE_RATE);
+
+      expect(features.beatStrength).toBe(0);
+      expect(features.onsetRate).toBe(0);
+      expect(features.tempo).toBe(120);
+    });
+  });
+
+  describe('loudness', () => {
+    test('should measure RMS level in dB', () => {
+      // RMS of a sine is amplitude / sqrt(2): 0.5 -> about -9 dB
+      const features = localAudioAnalyzer.analyzeSamples(
+        generateSine({ amplitude: 0.5 }),
+        SAMPLE_RATE
+      );
+      expect(features.loudness).toBeCloseTo(-9, 0);
+    });
+
+    test('should floor silence at -60 dB with low confidence', () => {
+      const features = localAudioAnalyzer.analyzeSamples(new Float32Array(SAMPLE_RATE), SAMPLE_RATE);
+
+      expect(features.loudness).toBe(-60);
+      expect(features.energy).toBe(0);
+      expect(features.confidence).toBeLessThan(0.5);
+    });
+  });
+
+  describe('spectral centroid', () => {
+    test('should match the frequency of a pure tone', () => {
+      const low = localAudioAnalyzer.analyzeSamples(generateSine({ frequency: 220 }), SAMPLE_RATE);
+      const high = localAudioAnalyzer.analyzeSamples(generateSine({ frequency: 4000 }), SAMPLE_RATE);
+
+      expect(Math.abs(low.spectralCentroid - 220)).toBeLessThan(50);
+      expect(Math.abs(high.spectralCentroid - 4000)).toBeLessThan(100);
+    });
+
+    test('should treat bright sounds as less acoustic', () => {
+      const low = localAudioAnalyzer.analyzeSamples(generateSine({ frequency: 220 }), SAMPLE_RATE);
+      const high = localAudioAnalyzer.analyzeSamples(generateSine({ frequency: 4000 }), SAMPLE_RATE);
+
+      expect(high.acousticness).toBeLessThan(low.acousticness);
+    });
+  });
+
+  describe('energy and feels score', () => {
+    test('should rate a loud, fast track above a quiet, slow one', () => {
+      const quiet = localAudioAnalyzer.analyzeSamples(
+        generateClickTrack({ bpm: 70, amplitude: 0.1 }),
+        SAMPLE_RATE
+      );
+      const loud = localAudioAnalyzer.analyzeSamples(
+        generateClickTrack({ bpm: 150, amplitude: 1 }),
+        SAMPLE_RATE
+      );
+
+      expect(loud.energy).toBeGreaterThan(quiet.energy);
+      expect(calculateFeelsScore(loud)).toBeGreaterThan(calculateFeelsScore(quiet));
+    });
+
+    test('should return features in the shape calculateFeelsScore consumes', () => {
+      const features = localAudioAnalyzer.analyzeSamples(generateClickTrack(), SAMPLE_RATE);
+
+      for (const key of ['energy', 'danceability', 'acousticness', 'confidence']) {
+        expect(features[key]).toBeGreaterThanOrEqual(0);
+        expect(features[key]).toBeLessThanOrEqual(1);
+      }
+      expect(typeof features.tempo).toBe('number');
+      expect(typeof features.loudness).toBe('number');
+      expect(features.valence).toBeUndefined(); // Not measurable; calculator uses neutral
+      expect(features.source).toBe('local-audio');
+    });
+  });
+
+  describe('decoding', () => {
+    test('should analyze WAV file contents', () => {
+      const wav = encodeWav(generateClickTrack({ bpm: 120 }), SAMPLE_RATE);
+      const features = localAudioAnalyzer.analyzeBuffer(wav);
+
+      expect(Math.abs(features.tempo - 120)).toBeLessThanOrEqual(2);
+      expect(features.duration).toBeCloseTo(8, 1);
+    });
+
+    test('should analyze MP3 file contents', () => {
+      const features = localAudioAnalyzer.analyzeBuffer(encodeSilentMp3(40));
+
+      expect(features.loudness).toBe(-60);
+      expect(features.duration).toBeCloseTo(40 * 1152 / 44100, 2);
+    });
+
+    test('should reject audio that is too short', () => {
+      expect(() => localAudioAnalyzer.analyzeSamples(new Float32Array(100), SAMPLE_RATE))
+        .toThrow('too short');
+    });
+  });
+
+  describe('local audio provider', () => {
+    const originalDir = process.env.LOCAL_AUDIO_DIR;
+    let dir;
+
+    beforeAll(async () => {
+      dir = await mkdtemp(path.join(tmpdir(), 'feels-audio-'));
+      await writeFile(
+        path.join(dir, 'Test Artist - Fast Song.wav'),
+        encodeWav(generateClickTrack({ bpm: 150 }), SAMPLE_RATE)
+      );
+      await writeFile(path.join(dir, 'notes.txt'), 'not audio');
+    });
+
+    afterAll(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    afterEach(() => {
+      if (originalDir === undefined) {
+        delete process.env.LOCAL_AUDIO_DIR;
+      } else {
+        process.env.LOCAL_AUDIO_DIR = originalDir;
+      }
+    });
+
+    test('should be unavailable without LOCAL_AUDIO_DIR', async () => {
+      delete process.env.LOCAL_AUDIO_DIR;
+      await localAudioProvider.initialize();
+
+      expect(localAudioProvider.isAvailable()).toBe(false);
+    });
+
+    test('should stay unavailable when the directory is missing', async () => {
+      process.env.LOCAL_AUDIO_DIR = path.join(dir, 'missing');
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      await localAudioProvider.initialize();
+
+      expect(localAudioProvider.isAvailable()).toBe(false);
+      warn.mockRestore();
+    });
+
+    test('should measure features for a track matched by file name', async () => {
+      process.env.LOCAL_AUDIO_DIR = dir;
+      await localAudioProvider.initialize();
+
+      const features = await localAudioProvider.getFeatures({ artist: 'test artist', song: 'fast song' });
+
+      expect(localAudioProvider.isAvailable()).toBe(true);
+      expect(features.source).toBe('local-audio');
+      expect(Math.abs(features.tempo - 150)).toBeLessThanOrEqual(2);
+    });
+
+    test('should return null when no file matches', async () => {
+      process.env.LOCAL_AUDIO_DIR = dir;
+      await localAudioProvider.initialize();
+
+      expect(await localAudioProvider.getFeatures({ artist: 'Someone', song: 'Else Entirely' })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,370 @@
+/**
+ * Tests for music-analysis.service.js
+ * Video matching, stored matches and manual override precedence
+ * MusicBrainz and feature providers are mocked
+ */
+
+import { jest } from '@jest/globals';
+
+const searchRecording = jest.fn();
+const getRecordingById = jest.fn();
+const resolveGenres = jest.fn();
+const getFeatures = jest.fn();
+
+const musicBrainzPath = new URL('../../../services/musicbrainz.service.js', import.meta.url).pathname;
+const registryPath = new URL('../../../services/feature-provider.registry.js', import.meta.url).pathname;
+
+jest.unstable_mockModule(musicBrainzPath, () => ({
+  default: { searchRecording, getRecordingById, resolveGenres }
+}));
+
+jest.unstable_mockModule(registryPath, () => ({
+  default: {
+    getFeatures,
+    initialize: jest.fn(),
+    getEnabledProviders: () => [],
+    mode: 'priority'
+  }
+}));
+
+const { default: musicAnalysisService } = await import('../../../services/music-analysis.service.js');
+const { default: overrideService } = await import('../../../services/override.service.js');
+const { default: cacheService } = await import('../../../services/cache.service.js');
+const { default: repository } = await import('../../../services/repository.service.js');
+const { ANALYZER_VERSION } = await import('../../../services/genre-audio-analyzer.service.js');
+
+const PINNED_ID = 'b1a9c0e9-d987-4042-ae91-78d6a3267d69';
+
+const video = { id: 'video-1', title: 'Daft Punk - One More Time', channelTitle: 'Daft Punk' };
+
+const searchedRecording = {
+  id: 'searched-id',
+  title: 'One More Time',
+  artist: 'Daft Punk',
+  length: 320000,
+  genres: ['house'],
+  matchScore: 0.95,
+  alternatives: [{ id: 'live-id', title: 'One More Time', artist: 'Daft Punk', disambiguation: 'live', score: 98, matchScore: 0.8 }]
+};
+
+const pinnedRecording = {
+  id: PINNED_ID,
+  title: 'One More Time (Live)',
+  artist: 'Daft Punk',
+  length: 330000,
+  genres: ['electronic']
+};
+
+const features = {
+  energy: 0.8,
+  tempo: 123,
+  danceability: 0.8,
+  loudness: -6,
+  valence: 0.7,
+  acousticness: 0.05,
+  confidence: 0.8,
+  source: 'genre-heuristic'
+};
+
+describe('Music Analysis Service', () => {
+  beforeEach(async () => {
+    await cacheService.clear();
+    await repository.disconnect(); // Fresh in-memory store
+
+    searchRecording.mockReset().mockResolvedValue(searchedRecording);
+    getRecordingById.mockReset().mockResolvedValue(pinnedRecording);
+    resolveGenres.mockReset().mockImplementation(async recording => ({ genres: recording.genres, source: 'recording' }));
+    getFeatures.mockReset().mockResolvedValue({
+      features,
+      providers: [{ name: 'genre', confidence: 0.8 }],
+      disagreement: null
+    });
+  });
+
+  describe('matchVideo', () => {
+    test('should match by title search without an override', async () => {
+      const result = await musicAnalysisService.matchVideo(video);
+
+      expect(result.matched).toBe(true);
+      expect(result.spotifyMatch.trackId).toBe('searched-id');
+      expect(result.override).toBeUndefined();
+      expect(result.edited).toBeUndefined();
+    });
+
+    test('should score with fallback genres and record where they came from', async () => {
+      resolveGenres.mockResolvedValue({ genres: ['french house'], source: 'artist' });
+
+      const result = await musicAnalysisService.matchVideo(video);
+
+      expect(getFeatures).toHaveBeenCalledWith(expect.objectContaining({ genres: ['french house'], genreSource: 'artist' }));
+      expect(resolveGenres).toHaveBeenCalledWith(searchedRecording, { priority: 'interactive' });
+      expect(result.genreSource).toBe('artist');
+      expect(await repository.get('tracks', 'searched-id')).toMatchObject({ genres: ['french house'], genreSource: 'artist' });
+    });
+
+    test('should score with and surface the release year', async () => {
+      searchRecording.mockResolvedValue({ ...searchedRecording, year: 2000 });
+
+      const result = await musicAnalysisService.matchVideo(video);
+
+      expect(getFeatures).toHaveBeenCalledWith(expect.objectContaining({ year: 2000 }));
+      expect(result.year).toBe(2000);
+      expect(await repository.get('tracks', 'searched-id')).toMatchObject({ year: 2000 });
+    });
+
+    test('should search without featured artists and version tags and adjust for the version', async () => {
+      const slowed = { ...video, title: 'Daft Punk ft. Romanthony - One More Time (slowed + reverb) [Official Audio]' };
+
+      const result = await musicAnalysisService.matchVideo(slowed);
+
+      expect(searchRecording).toHaveBeenCalledWith('daft punk', 'one more time', {
+        priority: 'interactive',
+        versions: ['slowed', 'reverb']
+      });
+      expect(result.parsed).toEqual({
+        artist: 'daft punk',
+        song: 'one more time',
+        featured: ['romanthony'],
+        versions: ['slowed', 'reverb'],
+        remixer: null,
+        aliases: [],
+        channelType: 'other',
+        album: null,
+        source: 'title'
+      });
+      expect(result.audioFeatures.tempo).toBeLessThan(features.tempo);
+      expect(result.audioFeatures.energy).toBeLessThan(features.energy);
+      expect(result.audioFeatures.versions).toEqual(['slowed', 'reverb']);
+    });
+
+    test('should search the artist and song from the description before the title', async () => {
+      const described = {
+        ...video,
+        title: 'One More Time',
+        channelTitle: 'Various Artists - Topic',
+        musicMetadata: { artist: 'Daft Punk', song: 'One More Time', featured: [], album: 'Discovery', confidence: 0.95 }
+      };
+
+      const result = await musicAnalysisService.matchVideo(described);
+
+      expect(searchRecording).toHaveBeenCalledWith('daft punk', 'one more time', expect.any(Object));
+      expect(result.parseConfidence).toBe(0.95);
+      expect(result.parsed).toMatchObject({ album: 'Discovery', source: 'description' });
+    });
+
+    test('should lower match confidence when the video and recording lengths disagree', async () => {
+      const fits = await musicAnalysisService.matchVideo({ ...video, durationSeconds: 330 });
+      await cacheService.clear();
+      await repository.disconnect();
+      const long = await musicAnalysisService.matchVideo({ ...video, durationSeconds: 700 });
+
+      expect(fits.spotifyMatch.durationAgreement).toBe(1);
+      expect(long.spotifyMatch.durationAgreement).toBe(0);
+      expect(long.spotifyMatch.confidence).toBeCloseTo(fits.spotifyMatch.confidence / 2);
+    });
+
+    test('should flag compilations instead of matching them to one song', async () => {
+      await musicAnalysisService.matchVideo(video); // A single-song match from before
+      const mix = { ...video, title: 'Daft Punk - One More Time (1 Hour Mix)', durationSeconds: 3600, chapters: [] };
+
+      const result = await musicAnalysisService.matchVideo(mix);
+
+      expect(result).toMatchObject({ matched: false, compilation: { reason: 'title', tracks: null } });
+      expect(searchRecording).toHaveBeenCalledTimes(1);
+    });
+
+    test('should match each chapter of a mix as a song of its own', async () => {
+      const mix = {
+        id: 'mix-1',
+        title: 'Daft Punk - Discovery (Full Album)',
+        channelTitle: 'Album Uploads',
+        durationSeconds: 800,
+        chapters: [
+          { start: 0, title: 'One More Time' },
+          { start: 320, title: 'Aerodynamic' },
+          { start: 532, title: 'Romanthony - Too Long' }
+        ]
+      };
+      searchRecording.mockImplementation(async (artist, song) => (song === 'aerodynamic' ? null : searchedRecording));
+
+      const result = await musicAnalysisService.matchVideo(mix, { priority: 'bulk' });
+      const again = await musicAnalysisService.matchVideo(mix, { priority: 'bulk' });
+
+      expect(result).toMatchObject({ matched: false, compilation: { reason: 'chapters', tracks: 3 }, cached: false });
+      expect(result.chapters).toEqual([
+        expect.objectContaining({ start: 0, end: 320, matched: true, artist: 'daft punk', song: 'one more time', year: null }),
+        expect.objectContaining({ start: 320, end: 532, matched: false, audioFeatures: null, spotifyMatch: null }),
+        expect.objectContaining({ start: 532, end: 800, matched: true, artist: 'romanthony', song: 'too long' })
+      ]);
+      expect(result.chapters[0].spotifyMatch).toMatchObject({ trackId: 'searched-id', durationAgreement: 1 });
+      expect(searchRecording).toHaveBeenCalledWith('daft punk', 'aerodynamic', expect.objectContaining({ priority: 'bulk' }));
+      expect(again).toMatchObject({ cached: true, chapters: result.chapters });
+      expect(searchRecording).toHaveBeenCalledTimes(3);
+    });
+
+    test('should still match a pinned recording for a compilation', async () => {
+      await overrideService.set(video.id, { recordingId: PINNED_ID });
+
+      const result = await musicAnalysisService.matchVideo({ ...video, durationSeconds: 7200 });
+
+      expect(result.matched).toBe(true);
+      expect(result.compilation).toBeUndefined();
+      expect(result.spotifyMatch.durationAgreement).toBe(0);
+    });
+
+    test('should offer the search runner-ups as alternatives', async () => {
+      const result = await musicAnalysisService.matchVideo(video);
+
+      expect(result.alternatives).toEqual(searchedRecording.alternatives);
+      expect((await repository.get('matches', 'video-1')).alternatives).toEqual(searchedRecording.alternatives);
+    });
+
+    test('should cache automatic matches', async () => {
+      await musicAnalysisService.matchVideo(video);
+      const second = await musicAnalysisService.matchVideo(video);
+
+      expect(second.cached).toBe(true);
+      expect(searchRecording).toHaveBeenCalledTimes(1);
+    });
+
+    test('should share one match between concurrent calls for the same video', async () => {
+      musicAnalysisService.matchFlights.resetStats();
+
+      const [first, second] = await Promise.all([
+        musicAnalysisService.matchVideo(video),
+        musicAnalysisService.matchVideo(video)
+      ]);
+
+      expect(searchRecording).toHaveBeenCalledTimes(1);
+      expect(second).toBe(first);
+      expect(musicAnalysisService.getCoalescingStats().matchVideo)
+        .toEqual({ calls: 2, executions: 1, coalesced: 1, inFlight: 0 });
+    });
+
+    test('should store matches and their tracks so they outlive the cache', async () => {
+      await musicAnalysisService.matchVideo(video);
+      await cacheService.clear();
+
+      const result = await musicAnalysisService.matchVideo(video);
+
+      expect(result.cached).toBe(true);
+      expect(result.spotifyMatch.trackId).toBe('searched-id');
+      expect(searchRecording).toHaveBeenCalledTimes(1);
+      expect(await repository.get('tracks', 'searched-id')).toMatchObject({
+        title: 'One More Time',
+        artist: 'Daft Punk',
+        length: 320000,
+        genres: ['house']
+      });
+    });
+
+    test('should redo stored matches from an older analyzer version', async () => {
+      await repository.put('matches', { videoId: video.id, matched: true, feelsScore: 10, analyzerVersion: 0 });
+
+      const result = await musicAnalysisService.matchVideo(video);
+
+      expect(result.cached).toBe(false);
+      expect(searchRecording).toHaveBeenCalledTimes(1);
+      expect((await repository.get('matches', video.id)).analyzerVersion).toBe(ANALYZER_VERSION);
+    });
+
+    test('should search a VEVO channel\'s name as written when the split name finds nothing', async () => {
+      searchRecording.mockImplementation(async (artist) => (artist === 'OneRepublic' ? searchedRecording : null));
+
+      const result = await musicAnalysisService.matchVideo({ ...video, id: 'vevo-video', title: 'Counting Stars', channelTitle: 'OneRepublicVEVO' });
+
+      expect(searchRecording.mock.calls.map(([artist]) => artist)).toEqual(['One Republic', 'OneRepublic']);
+      expect(result.matched).toBe(true);
+    });
+
+    test('should not store failed matches', async () => {
+      searchRecording.mockResolvedValue(null);
+
+      const result = await musicAnalysisService.matchVideo(video);
+
+      expect(result.matched).toBe(false);
+      expect(await repository.get('matches', video.id)).toBeNull();
+    });
+
+    test('should apply an overridden score over the automatic match', async () => {
+      await overrideService.set(video.id, { feelsScore: 15 });
+
+      const result = await musicAnalysisService.matchVideo(video);
+
+      expect(result.matched).toBe(true);
+      expect(result.spotifyMatch.trackId).toBe('searched-id');
+      expect(result.feelsScore).toBe(15);
+      expect(result.mood).toBe('Very Chill');
+      expect(result.edited).toBe(true);
+      expect(result.override.feelsScore).toBe(15);
+    });
+
+    test('should take an overridden score over a cached match', async () => {
+      await musicAnalysisService.matchVideo(video);
+      await overrideService.set(video.id, { feelsScore: 95 });
+
+      const result = await musicAnalysisService.matchVideo(video);
+
+      expect(result.cached).toBe(true);
+      expect(result.feelsScore).toBe(95);
+    });
+
+    test('should score unmatched videos from an override', async () => {
+      searchRecording.mockResolvedValue(null);
+      await overrideService.set(video.id, { feelsScore: 70, positivityScore: 20 });
+
+      const result = await musicAnalysisService.matchVideo(video);
+
+      expect(result.matched).toBe(false);
+      expect(result.feelsScore).toBe(70);
+      expect(result.positivityScore).toBe(20);
+    });
+
+    test('should use a pinned recording instead of searching', async () => {
+      await overrideService.set(video.id, { recordingId: PINNED_ID });
+
+      const result = await musicAnalysisService.matchVideo(video);
+
+      expect(searchRecording).not.toHaveBeenCalled();
+      expect(getRecordingById).toHaveBeenCalledWith(PINNED_ID, { priority: 'interactive' });
+      expect(result.matched).toBe(true);
+      expect(result.spotifyMatch.trackId).toBe(PINNED_ID);
+      expect(result.spotifyMatch.confidence).toBe(1);
+      expect(getFeatures).toHaveBeenCalledWith(expect.objectContaining({ song: 'One More Time (Live)' }));
+    });
+
+    test('should not cache pinned matches as the automatic match', async () => {
+      await overrideService.set(video.id, { recordingId: PINNED_ID });
+      await musicAnalysisService.matchVideo(video);
+      await overrideService.remove(video.id);
+
+      expect(await repository.get('matches', video.id)).toBeNull();
+      expect(await repository.get('tracks', PINNED_ID)).not.toBeNull();
+
+      const result = await musicAnalysisService.matchVideo(video);
+
+      expect(result.spotifyMatch.trackId).toBe('searched-id');
+      expect(result.edited).toBeUndefined();
+    });
+
+    test('should combine a pinned recording with an overridden score', async () => {
+      await overrideService.set(video.id, { recordingId: PINNED_ID, feelsScore: 40 });
+
+      const result = await musicAnalysisService.matchVideo(video);
+
+      expect(result.spotifyMatch.trackId).toBe(PINNED_ID);
+      expect(result.feelsScore).toBe(40);
+    });
+
+    test('should report a pinned recording that no longer exists', async () => {
+      getRecordingById.mockResolvedValue(null);
+      await overrideService.set(video.id, { recordingId: PINNED_ID });
+
+      const result = await musicAnalysisService.matchVideo(video);
+
+      expect(result.matched).toBe(false);
+      expect(result.reason).toBe('Pinned recording not found');
+      expect(result.edited).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Tests for musicbrainz.import.js
+ * Tiny JSON and TSV dumps are written to a temp directory
+ */
+
+import { mkdtemp, mkdir, writeFile, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { importDump, writeIndex, buildIndex, tokenize, INDEX_VERSION } from '../../../services/musicbrainz.import.js';
+
+const jsonRecordings = [
+  {
+    id: 'rec-1',
+    title: 'One More Time',
+    length: 320000,
+    'artist-credit': [{ name: 'Daft Punk', joinphrase: '', artist: { id: 'artist-1', name: 'Daft Punk', 'sort-name': 'Daft Punk' } }],
+    'first-release-date': '2000-11-13',
+    tags: [{ name: 'house', count: 3 }],
+    genres: [{ name: 'french house', id: 'g-1' }],
+    isrcs: ['GBDUW0000059']
+  },
+  { id: 'rec-2', title: 'Halo', 'artist-credit': [{ name: 'Beyoncé' }] }
+];
+
+const jsonArtists = [
+  { id: 'artist-1', name: 'Daft Punk', 'sort-name': 'Daft Punk', type: 'Group', tags: [{ name: 'electronic', count: 5 }], area: { name: 'France' } }
+];
+
+// Rows of PostgreSQL dump tables; null is written as \N
+const tsvTables = {
+  recording: [
+    ['1', 'rec-1', 'One More Time', '10', '320000', '', '0', '2020-01-01', 'f'],
+    ['2', 'rec-2', 'Tab\\tTitle', '11', null, 'live', '0', '2020-01-01', 'f']
+  ],
+  artist: [
+    ['100', 'artist-1', 'Daft Punk', 'Daft Punk', '1993', null, null, null, null, null, '2', '73', null, 'French duo', '0'],
+    ['101', 'artist-2', 'Romanthony', 'Romanthony', null, null, null, null, null, null, '1', null, null, '', '0']
+  ],
+  artist_credit_name: [
+    ['11', '1', '101', 'Romanthony', ''],
+    ['11', '0', '100', 'Daft Punk', ' feat. '],
+    ['10', '0', '100', 'Daft Punk', '']
+  ],
+  tag: [['1', 'house', '10'], ['2', 'electronic', '20'], ['3', 'rubbish', '1']],
+  recording_tag: [['1', '1', '2', '2020-01-01'], ['1', '2', '4', '2020-01-01'], ['1', '3', '-1', '2020-01-01']],
+  artist_tag: [['100', '2', '7', '2020-01-01']],
+  recording_first_release_date: [['1', '2000', '11', '13'], ['2', '2001', null, null]]
+};
+
+async function writeJsonDump(dir) {
+  await writeFile(path.join(dir, 'recording'), jsonRecordings.map(r => JSON.stringify(r)).join('\n') + '\n');
+  await writeFile(path.join(dir, 'artist.jsonl'), jsonArtists.map(a => JSON.stringify(a)).join('\n'));
+}
+
+async function writeTsvDump(dir) {
+  for (const [table, rows] of Object.entries(tsvTables)) {
+    const lines = rows.map(row => row.map(field => field ?? '\\N').join('\t'));
+    await writeFile(path.join(dir, table), lines.join('\n') + '\n');
+  }
+}
+
+describe('MusicBrainz Dump Importer', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'feels-mbdump-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  describe('tokenize', () => {
+    test('should split into lowercase words without accents', () => {
+      expect(tokenize('Beyoncé - Halo (Live)')).toEqual(['beyonce', 'halo', 'live']);
+      expect(tokenize('坂本九 上を向いて')).toEqual(['坂本九', '上を向いて']);
+      expect(tokenize('Straße ＹＯＡＳＯＢＩ')).toEqual(['strasse', 'yoasobi']);
+      expect(tokenize('ガガ 방탄소년단')).toEqual(['ガガ', '방탄소년단']);
+      expect(tokenize(null)).toEqual([]);
+    });
+  });
+
+  describe('JSON dumps', () => {
+    test('should keep the fields lookups need in web service shape', async () => {
+      await writeJsonDump(dir);
+
+      const index = await importDump(dir);
+
+      expect(index).toMatchObject({ version: INDEX_VERSION, format: 'json', counts: { recordings: 2, artists: 1 } });
+      expect(index.recordings['rec-1']).toEqual({
+        id: 'rec-1',
+        title: 'One More Time',
+        length: 320000,
+        disambiguation: '',
+        'artist-credit': [{ name: 'Daft Punk', joinphrase: '', artist: { id: 'artist-1', name: 'Daft Punk' } }],
+        'first-release-date': '2000-11-13',
+        tags: [{ name: 'house', count: 3 }],
+        genres: [{ name: 'french house' }]
+      });
+      expect(index.artists['artist-1']).toMatchObject({ name: 'Daft Punk', type: 'Group', tags: [{ name: 'electronic', count: 5 }] });
+    });
+
+    test('should index titles and names by word', async () => {
+      await writeJsonDump(dir);
+
+      const index = await importDump(dir);
+
+      expect(index.words.recordings.time).toEqual(['rec-1']);
+      expect(index.words.recordings.halo).toEqual(['rec-2']);
+      expect(index.words.artists.daft).toEqual(['artist-1']);
+    });
+
+    test('should find tables under mbdump/ and do without artists', async () => {
+      await mkdir(path.join(dir, 'mbdump'));
+      await writeFile(path.join(dir, 'mbdump', 'recording.json'), JSON.stringify(jsonRecordings[1]));
+
+      const index = await importDump(dir);
+
+      expect(index.counts).toEqual({ recordings: 1, artists: 0 });
+      expect(index.source).toBe(path.resolve(dir));
+    });
+  });
+
+  describe('TSV dumps', () => {
+    test('should join credits, tags and release dates onto recordings', async () => {
+      await writeTsvDump(dir);
+
+      const index = await importDump(dir);
+
+      expect(index.format).toBe('tsv');
+      expect(index.recordings['rec-1']).toEqual({
+        id: 'rec-1',
+        title: 'One More Time',
+        length: 320000,
+        disambiguation: '',
+        'artist-credit': [{ name: 'Daft Punk', joinphrase: '', artist: { id: 'artist-1', name: 'Daft Punk' } }],
+        'first-release-date': '2000-11-13',
+        tags: [{ name: 'electronic', count: 4 }, { name: 'house', count: 2 }],
+        genres: []
+      });
+    });
+
+    test('should order credits by position and unescape fields', async () => {
+      await writeTsvDump(dir);
+
+      const recording = (await importDump(dir)).recordings['rec-2'];
+
+      expect(recording.title).toBe('Tab\tTitle');
+      expect(recording.length).toBeNull();
+      expect(recording.disambiguation).toBe('live');
+      expect(recording['first-release-date']).toBe('2001');
+      expect(recording['artist-credit'].map(c => `${c.name}${c.joinphrase}`).join('')).toBe('Daft Punk feat. Romanthony');
+    });
+
+    test('should read artists with their tags', async () => {
+      await writeTsvDump(dir);
+
+      const { artists } = await importDump(dir);
+
+      expect(artists['artist-1']).toEqual({
+        id: 'artist-1',
+        name: 'Daft Punk',
+        'sort-name': 'Daft Punk',
+        type: null,
+        disambiguation: 'French duo',
+        tags: [{ name: 'electronic', count: 7 }],
+        genres: []
+      });
+      expect(artists['artist-2'].tags).toEqual([]);
+    });
+  });
+
+  test('should fail without a recording file', async () => {
+    await expect(importDump(dir)).rejects.toThrow(`No recording file in ${dir}`);
+  });
+
+  test('should write an index that reads back the same', async () => {
+    const index = buildIndex([{ id: 'rec-1', title: 'One More Time' }], []);
+    const file = path.join(dir, 'nested', 'index.json');
+
+    await writeIndex(index, file);
+
+    expect(JSON.parse(await readFile(file, 'utf8'))).toEqual(index);
+  });
+});
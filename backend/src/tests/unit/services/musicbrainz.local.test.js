@@ -0,0 +1,122 @@
+/**
+ * Tests for musicbrainz.local.js
+ * Indexes are built in memory and written to a temp directory
+ */
+
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { LocalMusicBrainzProvider } from '../../../services/musicbrainz.local.js';
+import { buildIndex, writeIndex, INDEX_VERSION } from '../../../services/musicbrainz.import.js';
+
+const credit = name => [{ name, joinphrase: '' }];
+
+const recordings = [
+  { id: 'rec-1', title: 'One More Time', 'artist-credit': credit('Daft Punk'), tags: [{ name: 'house', count: 2 }] },
+  { id: 'rec-2', title: 'One More Time', 'artist-credit': credit('Britney Tribute Band'), tags: [] },
+  { id: 'rec-3', title: 'One More Night', 'artist-credit': credit('Maroon 5'), tags: [] },
+  { id: 'rec-4', title: 'Aerodynamic', 'artist-credit': credit('Daft Punk'), tags: [] }
+];
+
+const artists = [
+  { id: 'artist-1', name: 'Daft Punk', tags: [{ name: 'electronic', count: 5 }] },
+  { id: 'artist-2', name: 'Punk Rock Allstars', tags: [] }
+];
+
+describe('Local MusicBrainz Provider', () => {
+  let dir;
+  let provider;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'feels-mbindex-'));
+    await writeIndex(buildIndex(recordings, artists), path.join(dir, 'index.json'));
+    provider = new LocalMusicBrainzProvider(path.join(dir, 'index.json'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  describe('searchRecordings', () => {
+    test('should rank by title and artist words', async () => {
+      const results = await provider.searchRecordings('Daft Punk', 'One More Time', 10);
+
+      expect(results.map(r => r.id)).toEqual(['rec-1', 'rec-2', 'rec-3']);
+      expect(results[0]).toMatchObject({ title: 'One More Time', score: 100, tags: [{ name: 'house', count: 2 }] });
+      expect(results[1].score).toBe(60);
+    });
+
+    test('should need at least half the title words', async () => {
+      const results = await provider.searchRecordings('Daft Punk', 'Time', 10);
+
+      expect(results.map(r => r.id)).toEqual(['rec-1', 'rec-2']);
+      expect(await provider.searchRecordings('Daft Punk', 'Something Else', 10)).toEqual([]);
+    });
+
+    test('should stop at the limit', async () => {
+      expect(await provider.searchRecordings('Daft Punk', 'One More Time', 1)).toHaveLength(1);
+    });
+  });
+
+  describe('Object.prototype names', () => {
+    test('should find nothing for words like "constructor"', async () => {
+      expect(await provider.searchRecordings('Daft Punk', 'Constructor', 10)).toEqual([]);
+      expect(await provider.searchArtists('constructor', 5)).toEqual([]);
+      expect(await provider.getRecording('toString')).toBeNull();
+    });
+
+    test('should index and find them like any other word', async () => {
+      const index = buildIndex(
+        [...recordings, { id: 'rec-5', title: 'The Constructor', 'artist-credit': credit('HasOwnProperty'), tags: [] }],
+        [...artists, { id: 'artist-3', name: 'Constructor', tags: [] }]
+      );
+      await writeIndex(index, path.join(dir, 'words.json'));
+      const words = new LocalMusicBrainzProvider(path.join(dir, 'words.json'));
+
+      expect((await words.searchRecordings('HasOwnProperty', 'Constructor', 10)).map(r => r.id)).toEqual(['rec-5']);
+      expect((await words.searchArtists('constructor', 5)).map(a => a.id)).toEqual(['artist-3']);
+    });
+  });
+
+  describe('searchArtists', () => {
+    test('should put the closest name first', async () => {
+      const results = await provider.searchArtists('Daft Punk', 5);
+
+      expect(results.map(a => a.id)).toEqual(['artist-1', 'artist-2']);
+      expect(results[0].score).toBe(100);
+    });
+  });
+
+  describe('getRecording', () => {
+    test('should look up by MBID in any case', async () => {
+      expect(await provider.getRecording('REC-4')).toMatchObject({ title: 'Aerodynamic' });
+      expect(await provider.getRecording('missing')).toBeNull();
+    });
+  });
+
+  describe('loading', () => {
+    test('should read the index once and report it', async () => {
+      expect(provider.getStats()).toMatchObject({ loaded: false, recordings: null });
+
+      await Promise.all([provider.getRecording('rec-1'), provider.getRecording('rec-2')]);
+
+      expect(provider.getStats()).toMatchObject({ loaded: true, recordings: 4, artists: 2, importedAt: expect.any(String) });
+    });
+
+    test('should retry a missing index on the next lookup', async () => {
+      const missing = new LocalMusicBrainzProvider(path.join(dir, 'later.json'));
+
+      await expect(missing.getRecording('rec-1')).rejects.toThrow('ENOENT');
+
+      await writeIndex(buildIndex(recordings, artists), path.join(dir, 'later.json'));
+      expect(await missing.getRecording('rec-1')).toMatchObject({ id: 'rec-1' });
+    });
+
+    test('should refuse an index from another importer version', async () => {
+      await writeFile(path.join(dir, 'old.json'), JSON.stringify({ version: 0 }));
+      const old = new LocalMusicBrainzProvider(path.join(dir, 'old.json'));
+
+      await expect(old.getRecording('rec-1')).rejects.toThrow(`is version 0, expected ${INDEX_VERSION}`);
+    });
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Tests for musicbrainz.scheduler.js
+ * Rates are raised well above MusicBrainz's so the suite stays fast
+ */
+
+import { jest } from '@jest/globals';
+import { MusicBrainzScheduler, RedisRateCoordinator } from '../../../services/musicbrainz.scheduler.js';
+
+/**
+ * An axios-style error for a throttled response
+ */
+function throttled(status = 503, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers };
+  return error;
+}
+
+/**
+ * Minimal node-redis stand-in for the commands the coordinator uses
+ */
+function fakeRedis() {
+  const store = new Map();
+  return {
+    store,
+    incr: jest.fn(async key => {
+      const value = (store.get(key) || 0) + 1;
+      store.set(key, value);
+      return value;
+    }),
+    pExpire: jest.fn(async () => true),
+    set: jest.fn(async (key, value) => { store.set(key, value); }),
+    get: jest.fn(async key => store.get(key) ?? null)
+  };
+}
+
+describe('MusicBrainzScheduler', () => {
+  test('should space request starts by the rate', async () => {
+    const scheduler = new MusicBrainzScheduler({ ratePerSecond: 20, coordinator: null });
+    const starts = [];
+
+    await Promise.all([1, 2, 3].map(() => scheduler.schedule(async () => starts.push(Date.now()))));
+
+    expect(starts[1] - starts[0]).toBeGreaterThanOrEqual(45);
+    expect(starts[2] - starts[1]).toBeGreaterThanOrEqual(45);
+    expect(scheduler.getStats()).toMatchObject({ coordination: 'local', started: 3, queued: { interactive: 0, bulk: 0 } });
+  });
+
+  test('should start interactive requests ahead of queued bulk work', async () => {
+    const scheduler = new MusicBrainzScheduler({ ratePerSecond: 50, coordinator: null });
+    const order = [];
+    const track = name => async () => order.push(name);
+
+    await Promise.all([
+      scheduler.schedule(track('bulk-1'), { priority: 'bulk' }),
+      scheduler.schedule(track('bulk-2'), { priority: 'bulk' }),
+      scheduler.schedule(track('single'), { priority: 'interactive' })
+    ]);
+
+    expect(order).toEqual(['single', 'bulk-1', 'bulk-2']);
+  });
+
+  test('should let an interactive request jump a bulk queue that is already running', async () => {
+    const scheduler = new MusicBrainzScheduler({ ratePerSecond: 20, coordinator: null });
+    const order = [];
+    const track = name => async () => order.push(name);
+
+    const bulk = [1, 2, 3, 4].map(i => scheduler.schedule(track(`bulk-${i}`), { priority: 'bulk' }));
+    await new Promise(resolve => setTimeout(resolve, 60)); // bulk-1 and bulk-2 started
+    await Promise.all([...bulk, scheduler.schedule(track('single'))]);
+
+    expect(order.indexOf('single')).toBeLessThan(order.indexOf('bulk-4'));
+    expect(order.indexOf('single')).toBeLessThanOrEqual(3);
+  });
+
+  test('should reject unknown priorities', async () => {
+    const scheduler = new MusicBrainzScheduler({ coordinator: null });
+
+    await expect(scheduler.schedule(async () => 1, { priority: 'urgent' }))
+      .rejects.toThrow('Unknown priority "urgent". Available: interactive, bulk');
+  });
+
+  test('should pass other errors straight to the caller', async () => {
+    const scheduler = new MusicBrainzScheduler({ ratePerSecond: 1000, coordinator: null });
+    const request = jest.fn(async () => { throw throttled(404); });
+
+    await expect(scheduler.schedule(request)).rejects.toThrow('status code 404');
+    expect(request).toHaveBeenCalledTimes(1);
+    expect(scheduler.getStats()).toMatchObject({ failed: 1, retried: 0 });
+  });
+
+  describe('throttling', () => {
+    test('should wait for Retry-After and retry a 503', async () => {
+      const scheduler = new MusicBrainzScheduler({ ratePerSecond: 1000, coordinator: null });
+      const request = jest.fn()
+        .mockRejectedValueOnce(throttled(503, { 'retry-after': '0.1' }))
+        .mockResolvedValueOnce('ok');
+
+      const started = Date.now();
+      expect(await scheduler.schedule(request)).toBe('ok');
+
+      expect(Date.now() - started).toBeGreaterThanOrEqual(95);
+      expect(scheduler.getStats()).toMatchObject({ throttled: 1, retried: 1, failed: 0 });
+    });
+
+    test('should hold every queued request during the pause', async () => {
+      const scheduler = new MusicBrainzScheduler({ ratePerSecond: 1000, coordinator: null });
+      const starts = {};
+      let failedOnce = false;
+
+      await Promise.all([
+        scheduler.schedule(async () => {
+          if (!failedOnce) {
+            failedOnce = true;
+            throw throttled(429, { 'retry-after': '0.1' });
+          }
+          starts.first = Date.now();
+        }),
+        new Promise(resolve => setTimeout(resolve, 10))
+          .then(() => scheduler.schedule(async () => { starts.second = Date.now(); }))
+      ]);
+
+      // The retried request goes first once the pause ends
+      expect(starts.first).toBeLessThanOrEqual(starts.second);
+    });
+
+    test('should back off exponentially without Retry-After and give up after maxRetries', async () => {
+      const scheduler = new MusicBrainzScheduler({
+        ratePerSecond: 1000, maxRetries: 2, baseBackoffMs: 10, coordinator: null
+      });
+      const request = jest.fn(async () => { throw throttled(503); });
+
+      await expect(scheduler.schedule(request)).rejects.toThrow('status code 503');
+
+      expect(request).toHaveBeenCalledTimes(3);
+      expect(scheduler.getStats()).toMatchObject({ throttled: 3, retried: 2, failed: 1 });
+    });
+
+    test('should compute backoff from Retry-After seconds, dates and attempts', () => {
+      const scheduler = new MusicBrainzScheduler({ baseBackoffMs: 1000, maxBackoffMs: 10000, coordinator: null });
+
+      expect(scheduler.backoffDelay(throttled(503, { 'retry-after': '3' }), 1)).toBe(3000);
+      expect(scheduler.backoffDelay(throttled(503, { 'retry-after': '600' }), 1)).toBe(10000);
+      const date = new Date(Date.now() + 5000).toUTCString();
+      expect(scheduler.backoffDelay(throttled(503, { 'retry-after': date }), 1)).toBeGreaterThan(3000);
+      expect(scheduler.backoffDelay(throttled(503, { 'retry-after': 'soon' }), 3)).toBe(4000);
+      expect(scheduler.backoffDelay(throttled(503), 1)).toBe(1000);
+      expect(scheduler.backoffDelay(throttled(503), 2)).toBe(2000);
+      expect(scheduler.backoffDelay(throttled(503), 10)).toBe(10000);
+    });
+  });
+
+  describe('Redis coordination', () => {
+    test('should take one shared slot per request within the rate', async () => {
+      const client = fakeRedis();
+      const coordinator = new RedisRateCoordinator({ ratePerSecond: 2, getClient: () => client, getPrefix: () => 'feels:' });
+
+      const waits = [await coordinator.acquire(), await coordinator.acquire(), await coordinator.acquire()];
+
+      expect(waits.slice(0, 2)).toEqual([0, 0]);
+      expect(waits[2]).toBeGreaterThan(0);
+      expect(waits[2]).toBeLessThanOrEqual(1000);
+      expect(client.incr.mock.calls[0][0]).toMatch(/^feels:musicbrainz:rate:\d+$/);
+      expect(client.pExpire).toHaveBeenCalledTimes(1);
+    });
+
+    test('should wait while another instance is over the budget', async () => {
+      const client = fakeRedis();
+      const coordinator = new RedisRateCoordinator({ ratePerSecond: 1000, getClient: () => client, getPrefix: () => 'feels:' });
+      const acquire = jest.spyOn(coordinator, 'acquire')
+        .mockResolvedValueOnce(30)
+        .mockResolvedValue(0);
+      const scheduler = new MusicBrainzScheduler({ ratePerSecond: 1000, coordinator });
+
+      const started = Date.now();
+      await scheduler.schedule(async () => 'ok');
+
+      expect(Date.now() - started).toBeGreaterThanOrEqual(25);
+      expect(acquire).toHaveBeenCalledTimes(2);
+      expect(scheduler.getStats().coordination).toBe('redis');
+    });
+
+    test('should share pauses between instances', async () => {
+      const client = fakeRedis();
+      const options = { ratePerSecond: 1000, getClient: () => client, getPrefix: () => 'feels:' };
+      const first = new MusicBrainzScheduler({ ratePerSecond: 1000, coordinator: new RedisRateCoordinator(options) });
+      const second = new MusicBrainzScheduler({ ratePerSecond: 1000, coordinator: new RedisRateCoordinator(options) });
+
+      await first.pause(100);
+      expect(client.set).toHaveBeenCalledWith('feels:musicbrainz:pause', expect.any(String), { PX: expect.any(Number) });
+
+      const started = Date.now();
+      await second.schedule(async () => 'ok');
+
+      expect(Date.now() - started).toBeGreaterThanOrEqual(90);
+    });
+
+    test('should fall back to the local limit when Redis is unavailable', async () => {
+      const coordinator = new RedisRateCoordinator({ ratePerSecond: 1, getClient: () => null });
+      const scheduler = new MusicBrainzScheduler({ ratePerSecond: 1000, coordinator });
+
+      expect(await coordinator.acquire()).toBe(0);
+      expect(await coordinator.pausedFor()).toBe(0);
+      await coordinator.pause(Date.now() + 1000);
+      expect(await scheduler.schedule(async () => 'ok')).toBe('ok');
+    });
+
+    test('should keep going when Redis commands fail', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const client = fakeRedis();
+      client.get.mockRejectedValue(new Error('connection lost'));
+      client.set.mockRejectedValue(new Error('connection lost'));
+      const coordinator = new RedisRateCoordinator({ ratePerSecond: 1, getClient: () => client, getPrefix: () => 'feels:' });
+      const scheduler = new MusicBrainzScheduler({ ratePerSecond: 1000, coordinator });
+
+      await scheduler.pause(0);
+      expect(await scheduler.schedule(async () => 'ok')).toBe('ok');
+      expect(console.error).toHaveBeenCalledWith('MusicBrainz rate coordination error:', 'connection lost');
+    });
+  });
+});
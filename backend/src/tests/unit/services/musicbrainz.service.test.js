@@ -0,0 +1,344 @@
+/**
+ * Tests for musicbrainz.service.js
+ * axios is mocked so no requests reach MusicBrainz
+ */
+
+import { jest } from '@jest/globals';
+
+const axiosGet = jest.fn();
+
+jest.unstable_mockModule('axios', () => ({
+  default: { get: (...args) => axiosGet(...args) }
+}));
+
+const { default: musicBrainzService } = await import('../../../services/musicbrainz.service.js');
+const { default: cacheService } = await import('../../../services/cache.service.js');
+const { MusicBrainzScheduler } = await import('../../../services/musicbrainz.scheduler.js');
+const { LocalMusicBrainzProvider } = await import('../../../services/musicbrainz.local.js');
+const { buildIndex, writeIndex } = await import('../../../services/musicbrainz.import.js');
+const { mkdtemp, rm } = await import('fs/promises');
+const { tmpdir } = await import('os');
+const path = await import('path');
+
+const recordingResponse = {
+  data: {
+    recordings: [{
+      id: 'rec-1',
+      title: 'One More Time',
+      'artist-credit': [{ name: 'Daft Punk' }],
+      length: 320000,
+      score: 100,
+      tags: [{ name: 'house' }]
+    }]
+  }
+};
+
+const artistResponse = {
+  data: {
+    artists: [{ id: 'artist-1', name: 'Daft Punk', type: 'Group', tags: [{ name: 'french house' }] }]
+  }
+};
+
+describe('MusicBrainz Service', () => {
+  beforeEach(async () => {
+    await cacheService.clear();
+    musicBrainzService.scheduler = new MusicBrainzScheduler({ ratePerSecond: 1000, coordinator: null });
+    musicBrainzService.flights.searchRecording.resetStats();
+    musicBrainzService.flights.searchArtist.resetStats();
+  });
+
+  describe('searchRecording', () => {
+    test('should return the first recording and cache it', async () => {
+      axiosGet.mockResolvedValue(recordingResponse);
+
+      const result = await musicBrainzService.searchRecording('Daft Punk', 'One More Time');
+      const again = await musicBrainzService.searchRecording('Daft Punk', 'One More Time');
+
+      expect(result).toMatchObject({ id: 'rec-1', artist: 'Daft Punk', genres: ['house'] });
+      expect(again).toEqual(result);
+      expect(axiosGet).toHaveBeenCalledTimes(1);
+    });
+
+    test('should pick the best-scored candidate and keep the runner-ups', async () => {
+      axiosGet.mockResolvedValue({
+        data: {
+          recordings: [
+            { id: 'karaoke', title: 'One More Time (Karaoke)', 'artist-credit': [{ name: 'Party Band' }], score: 100 },
+            { id: 'live', title: 'One More Time', disambiguation: 'live', 'artist-credit': [{ name: 'Daft Punk' }], score: 98 },
+            ...recordingResponse.data.recordings.map(r => ({ ...r, score: 95, releases: [{ status: 'Official' }] }))
+          ]
+        }
+      });
+
+      const result = await musicBrainzService.searchRecording('Daft Punk', 'One More Time');
+
+      expect(result.id).toBe('rec-1');
+      expect(result.matchScore).toBeGreaterThan(0.9);
+      expect(result.alternatives.map(a => a.id)).toEqual(['live', 'karaoke']);
+      expect(result.alternatives[0]).toEqual({
+        id: 'live',
+        title: 'One More Time',
+        artist: 'Daft Punk',
+        disambiguation: 'live',
+        score: 98,
+        matchScore: expect.any(Number)
+      });
+      expect(result.alternatives[0].matchScore).toBeLessThan(result.matchScore);
+    });
+
+    test('should share one request between concurrent identical searches', async () => {
+      axiosGet.mockResolvedValue(recordingResponse);
+
+      const results = await Promise.all([
+        musicBrainzService.searchRecording('Daft Punk', 'One More Time'),
+        musicBrainzService.searchRecording('daft  punk', 'ONE MORE TIME'),
+        musicBrainzService.searchRecording('Daft Punk', 'Aerodynamic')
+      ]);
+
+      expect(axiosGet).toHaveBeenCalledTimes(2);
+      expect(results[1]).toBe(results[0]);
+      expect(musicBrainzService.getCoalescingStats().searchRecording)
+        .toEqual({ calls: 3, executions: 2, coalesced: 1, inFlight: 0 });
+    });
+
+    test('should return null for every caller when the search fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      axiosGet.mockRejectedValue(new Error('503'));
+
+      const results = await Promise.all([
+        musicBrainzService.searchRecording('Daft Punk', 'One More Time'),
+        musicBrainzService.searchRecording('Daft Punk', 'One More Time')
+      ]);
+
+      expect(results).toEqual([null, null]);
+      expect(axiosGet).toHaveBeenCalledTimes(1);
+    });
+
+    test('should rank and cache by the video\'s version tags', async () => {
+      axiosGet.mockResolvedValue({
+        data: {
+          recordings: [
+            { ...recordingResponse.data.recordings[0], score: 100 },
+            { id: 'remix', title: 'One More Time (Romanthony Remix)', 'artist-credit': [{ name: 'Daft Punk' }], score: 100 }
+          ]
+        }
+      });
+
+      const original = await musicBrainzService.searchRecording('Daft Punk', 'One More Time');
+      const remix = await musicBrainzService.searchRecording('Daft Punk', 'One More Time', { versions: ['remix'] });
+
+      const remixScore = result => [result, ...result.alternatives].find(r => r.id === 'remix').matchScore;
+      expect(remixScore(remix)).toBeGreaterThan(remixScore(original));
+      expect(axiosGet).toHaveBeenCalledTimes(2); // Cached separately
+    });
+
+    test('should not search without artist and song', async () => {
+      expect(await musicBrainzService.searchRecording('', 'One More Time')).toBeNull();
+      expect(axiosGet).not.toHaveBeenCalled();
+      expect(musicBrainzService.getCoalescingStats().searchRecording.calls).toBe(0);
+    });
+  });
+
+  describe('searchRecordingBatch', () => {
+    test('should queue batch searches behind interactive lookups', async () => {
+      axiosGet.mockResolvedValue(recordingResponse);
+      const schedule = jest.spyOn(musicBrainzService.scheduler, 'schedule');
+
+      await musicBrainzService.searchRecordingBatch([{ artist: 'Daft Punk', song: 'One More Time' }]);
+
+      expect(schedule).toHaveBeenCalledWith(expect.any(Function), { priority: 'bulk' });
+    });
+  });
+
+  describe('searchArtist', () => {
+    test('should share one request between concurrent identical searches', async () => {
+      axiosGet.mockResolvedValue(artistResponse);
+
+      const [first, second] = await Promise.all([
+        musicBrainzService.searchArtist('Daft Punk'),
+        musicBrainzService.searchArtist('Daft Punk')
+      ]);
+
+      expect(first).toMatchObject({ id: 'artist-1', genres: ['french house'] });
+      expect(second).toBe(first);
+      expect(axiosGet).toHaveBeenCalledTimes(1);
+      expect(musicBrainzService.getCoalescingStats().searchArtist.coalesced).toBe(1);
+    });
+  });
+  describe('resolveGenres', () => {
+    const untagged = { id: 'rec-1', title: 'One More Time', artist: 'Daft Punk', genres: [], releaseGroupId: 'rg-1' };
+
+    function respond(routes) {
+      axiosGet.mockImplementation(async (url) => {
+        const path = Object.keys(routes).find(p => url.endsWith(p));
+        return { data: routes[path] };
+      });
+    }
+
+    test('should use the recording\'s own genres first', async () => {
+      const result = await musicBrainzService.resolveGenres({ ...untagged, genres: ['house'] });
+
+      expect(result).toEqual({ genres: ['house'], source: 'recording' });
+      expect(axiosGet).not.toHaveBeenCalled();
+    });
+
+    test('should fall back to the release group\'s genres', async () => {
+      respond({
+        '/release-group/rg-1': {
+          id: 'rg-1', title: 'Discovery', 'primary-type': 'Album', 'first-release-date': '2001-03-12',
+          genres: [{ name: 'french house' }], tags: [{ name: 'electronic' }]
+        }
+      });
+
+      const result = await musicBrainzService.resolveGenres(untagged);
+
+      expect(result).toEqual({ genres: ['french house'], source: 'release-group' });
+      expect(await musicBrainzService.getReleaseGroup('RG-1')).toMatchObject({ firstReleaseDate: '2001-03-12' });
+      expect(axiosGet).toHaveBeenCalledTimes(1); // Second lookup came from the cache
+    });
+
+    test('should fall back to the artist\'s genres', async () => {
+      respond({
+        '/release-group/rg-1': { id: 'rg-1', title: 'Discovery', tags: [] },
+        '/artist': artistResponse.data
+      });
+
+      const result = await musicBrainzService.resolveGenres(untagged, { priority: 'bulk' });
+
+      expect(result).toEqual({ genres: ['french house'], source: 'artist' });
+      expect(axiosGet.mock.calls.map(([url]) => url.split('/ws/2')[1])).toEqual(['/release-group/rg-1', '/artist']);
+    });
+
+    test('should not borrow genres from a different artist', async () => {
+      respond({
+        '/artist': { artists: [{ id: 'other', name: 'Daft Punk Tribute Orchestra', tags: [{ name: 'classical' }] }] }
+      });
+
+      const result = await musicBrainzService.resolveGenres({ ...untagged, releaseGroupId: null });
+
+      expect(result).toEqual({ genres: [], source: null });
+    });
+
+    test('should report no genres when every level comes up empty', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      axiosGet.mockRejectedValue(new Error('network down'));
+
+      expect(await musicBrainzService.resolveGenres(untagged)).toEqual({ genres: [], source: null });
+      expect(await musicBrainzService.resolveGenres({ id: 'x', genres: [] })).toEqual({ genres: [], source: null });
+    });
+  });
+
+  describe('release groups on recordings', () => {
+    test('should prefer an official release\'s group', async () => {
+      axiosGet.mockResolvedValue({
+        data: {
+          recordings: [{
+            ...recordingResponse.data.recordings[0],
+            releases: [
+              { status: 'Bootleg', 'release-group': { id: 'rg-bootleg' } },
+              { status: 'Official', 'release-group': { id: 'rg-official' } }
+            ]
+          }]
+        }
+      });
+
+      const result = await musicBrainzService.searchRecording('Daft Punk', 'One More Time');
+
+      expect(result.releaseGroupId).toBe('rg-official');
+    });
+
+    test('should take the year from the first release date', async () => {
+      axiosGet.mockResolvedValue({
+        data: { recordings: [{ ...recordingResponse.data.recordings[0], 'first-release-date': '2000-11-13' }] }
+      });
+
+      const result = await musicBrainzService.searchRecording('Daft Punk', 'One More Time');
+
+      expect(result).toMatchObject({ firstReleaseDate: '2000-11-13', year: 2000 });
+    });
+
+    test('should fall back to the earliest release date, or no year', async () => {
+      axiosGet.mockResolvedValueOnce({
+        data: {
+          id: 'rec-2', title: 'Digital Love', 'artist-credit': [{ name: 'Daft Punk' }],
+          releases: [{ date: '2001-06-11' }, { date: '2001-03' }, {}]
+        }
+      }).mockResolvedValueOnce({
+        data: { id: 'rec-3', title: 'Veridis Quo', 'artist-credit': [{ name: 'Daft Punk' }] }
+      });
+
+      expect(await musicBrainzService.getRecordingById('rec-2')).toMatchObject({ firstReleaseDate: '2001-03', year: 2001 });
+      expect(await musicBrainzService.getRecordingById('rec-3')).toMatchObject({ firstReleaseDate: null, year: null });
+    });
+
+    test('should read genres and the release group from a recording lookup', async () => {
+      axiosGet.mockResolvedValue({
+        data: {
+          id: 'rec-2', title: 'Digital Love', 'artist-credit': [{ name: 'Daft Punk' }],
+          genres: [], tags: [{ name: 'disco' }],
+          releases: [{ status: 'Promotion', 'release-group': { id: 'rg-2' } }]
+        }
+      });
+
+      const result = await musicBrainzService.getRecordingById('rec-2');
+
+      expect(result).toMatchObject({ genres: ['disco'], releaseGroupId: 'rg-2' });
+    });
+  });
+
+  describe('local source', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(path.join(tmpdir(), 'feels-mbsource-'));
+      const index = buildIndex(
+        [{ ...recordingResponse.data.recordings[0], 'first-release-date': '2000-11-13' }],
+        artistResponse.data.artists
+      );
+      await writeIndex(index, path.join(dir, 'index.json'));
+      musicBrainzService.local = new LocalMusicBrainzProvider(path.join(dir, 'index.json'));
+    });
+
+    afterEach(async () => {
+      musicBrainzService.local = null;
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    test('should search the imported dump with the web result shape', async () => {
+      const result = await musicBrainzService.searchRecording('Daft Punk', 'One More Time');
+
+      expect(result).toEqual({
+        id: 'rec-1',
+        title: 'One More Time',
+        artist: 'Daft Punk',
+        length: 320000,
+        score: 100,
+        disambiguation: '',
+        tags: [{ name: 'house' }],
+        genres: ['house'],
+        releaseGroupId: null,
+        firstReleaseDate: '2000-11-13',
+        year: 2000,
+        matchScore: expect.any(Number),
+        alternatives: []
+      });
+      expect(axiosGet).not.toHaveBeenCalled();
+    });
+
+    test('should look up recordings and artists without the web API', async () => {
+      expect(await musicBrainzService.getRecordingById('rec-1')).toMatchObject({ title: 'One More Time', year: 2000 });
+      expect(await musicBrainzService.getRecordingById('missing')).toBeNull();
+      expect(await musicBrainzService.searchArtist('Daft Punk')).toMatchObject({ id: 'artist-1', genres: ['french house'] });
+      expect(await musicBrainzService.getReleaseGroup('rg-1')).toBeNull();
+      expect(axiosGet).not.toHaveBeenCalled();
+    });
+
+    test('should find nothing when the index is missing', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      musicBrainzService.local = new LocalMusicBrainzProvider(path.join(dir, 'missing.json'));
+
+      expect(await musicBrainzService.searchRecording('Daft Punk', 'One More Time')).toBeNull();
+      expect(axiosGet).not.toHaveBeenCalled();
+    });
+  });
+});
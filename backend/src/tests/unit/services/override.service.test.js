@@ -0,0 +1,163 @@
+/**
+ * Tests for override.service.js
+ * Validation and durable storage of manual corrections
+ */
+
+import { mkdtemp, readFile, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { OverrideService } from '../../../services/override.service.js';
+import { Repository } from '../../../services/repository.service.js';
+import { JsonStore } from '../../../services/storage/json.store.js';
+
+const RECORDING_ID = 'b1a9c0e9-d987-4042-ae91-78d6a3267d69';
+
+describe('Override Service', () => {
+  let dir;
+  let filePath;
+  let service;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'feels-overrides-'));
+    filePath = path.join(dir, 'nested', 'storage.json');
+    service = new OverrideService(new Repository(new JsonStore(filePath), []));
+  });
+
+  afterEach(async () => {
+    await service.repository.disconnect();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  describe('validate', () => {
+    test('should accept a score, a recording ID or both', () => {
+      expect(service.validate({ feelsScore: 80 })).toEqual([]);
+      expect(service.validate({ positivityScore: 10 })).toEqual([]);
+      expect(service.validate({ recordingId: RECORDING_ID })).toEqual([]);
+      expect(service.validate({ feelsScore: 0, recordingId: RECORDING_ID, note: 'live version' })).toEqual([]);
+    });
+
+    test('should require something to override', () => {
+      expect(service.validate({})).toEqual(['one of feelsScore, positivityScore or recordingId is required']);
+      expect(service.validate({ note: 'just a note' })).toHaveLength(1);
+    });
+
+    test('should reject non-objects', () => {
+      expect(service.validate(null)).toEqual(['override must be an object']);
+    });
+
+    test('should reject out-of-range or non-numeric scores', () => {
+      expect(service.validate({ feelsScore: 101 })).toEqual(['feelsScore must be a number between 0 and 100']);
+      expect(service.validate({ positivityScore: -1 })).toEqual(['positivityScore must be a number between 0 and 100']);
+      expect(service.validate({ feelsScore: '80' })).toHaveLength(1);
+      expect(service.validate({ feelsScore: NaN })).toHaveLength(1);
+    });
+
+    test('should reject recording IDs that are not MBIDs', () => {
+      expect(service.validate({ recordingId: 'not-a-uuid' }))
+        .toEqual(['recordingId must be a MusicBrainz recording ID (UUID)']);
+    });
+
+    test('should reject overly long notes', () => {
+      expect(service.validate({ feelsScore: 50, note: 'x'.repeat(501) })).toHaveLength(1);
+    });
+
+    test('should reject titles that are not short strings', () => {
+      expect(service.validate({ feelsScore: 50, videoTitle: 42 }))
+        .toEqual(['videoTitle must be a string of at most 500 characters']);
+      expect(service.validate({ feelsScore: 50, channelTitle: 'x'.repeat(501) })).toHaveLength(1);
+      expect(service.validate({ feelsScore: 50, videoTitle: null, artist: 'Artist' })).toEqual([]);
+    });
+  });
+
+  describe('set / get', () => {
+    test('should store and return an override', async () => {
+      const override = await service.set('video-1', { feelsScore: 72.6, note: 'wrong song' });
+
+      expect(override).toMatchObject({
+        videoId: 'video-1',
+        feelsScore: 73,
+        positivityScore: null,
+        recordingId: null,
+        note: 'wrong song'
+      });
+      expect(await service.get('video-1')).toEqual(override);
+      expect(await service.get('video-2')).toBeNull();
+    });
+
+    test('should normalize recording IDs to lowercase', async () => {
+      const override = await service.set('video-1', { recordingId: RECORDING_ID.toUpperCase() });
+      expect(override.recordingId).toBe(RECORDING_ID);
+    });
+
+    test('should keep the video title, and artist and song of a pinned recording', async () => {
+      const input = { videoTitle: 'Song - Artist', channelTitle: 'Artist', artist: 'Artist', song: 'Song' };
+
+      expect(await service.set('video-1', { ...input, recordingId: RECORDING_ID }))
+        .toMatchObject(input);
+      expect(await service.set('video-2', { ...input, feelsScore: 50 }))
+        .toMatchObject({ videoTitle: 'Song - Artist', channelTitle: 'Artist', artist: null, song: null });
+    });
+
+    test('should keep createdAt when replacing an override', async () => {
+      const first = await service.set('video-1', { feelsScore: 10 });
+      const second = await service.set('video-1', { feelsScore: 90 });
+
+      expect(second.createdAt).toBe(first.createdAt);
+      expect(second.feelsScore).toBe(90);
+    });
+
+    test('should throw a 400 error for invalid input', async () => {
+      await expect(service.set('video-1', { feelsScore: 200 })).rejects.toMatchObject({ status: 400 });
+    });
+
+    test('should return overrides for several videos in order', async () => {
+      await service.set('video-2', { feelsScore: 20 });
+
+      const overrides = await service.getMany(['video-1', 'video-2']);
+
+      expect(overrides[0]).toBeNull();
+      expect(overrides[1].feelsScore).toBe(20);
+      expect(await service.list()).toHaveLength(1);
+    });
+  });
+
+  describe('remove', () => {
+    test('should remove an existing override', async () => {
+      await service.set('video-1', { feelsScore: 10 });
+
+      expect(await service.remove('video-1')).toBe(true);
+      expect(await service.get('video-1')).toBeNull();
+    });
+
+    test('should report when there was nothing to remove', async () => {
+      expect(await service.remove('video-1')).toBe(false);
+    });
+  });
+
+  describe('persistence', () => {
+    test('should write overrides to disk and reload them in a new instance', async () => {
+      await service.set('video-1', { feelsScore: 10 });
+      await service.set('video-2', { recordingId: RECORDING_ID });
+      await service.remove('video-1');
+      await service.repository.disconnect();
+
+      const stored = JSON.parse(await readFile(filePath, 'utf8'));
+      expect(Object.keys(stored.collections.corrections)).toEqual(['video-2']);
+
+      const reloaded = new OverrideService(new Repository(new JsonStore(filePath), []));
+      expect((await reloaded.get('video-2')).recordingId).toBe(RECORDING_ID);
+    });
+
+    test('should start empty when the file does not exist', async () => {
+      expect(await service.list()).toEqual([]);
+    });
+
+    test('should fail loudly on a corrupt file rather than dropping overrides', async () => {
+      const corruptPath = path.join(dir, 'corrupt.json');
+      await writeFile(corruptPath, '{ not json');
+
+      const corrupt = new OverrideService(new Repository(new JsonStore(corruptPath), []));
+      await expect(corrupt.get('video-1')).rejects.toThrow('Failed to read storage');
+    });
+  });
+});
@@ -0,0 +1,467 @@
+/**
+ * Tests for repository.service.js and the storage drivers
+ * Schemas, migrations, and the JSON and Redis stores
+ */
+
+import { jest } from '@jest/globals';
+import { mkdtemp, readFile, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { Repository, createStore } from '../../../services/repository.service.js';
+import { JsonStore } from '../../../services/storage/json.store.js';
+import { RedisStore } from '../../../services/storage/redis.store.js';
+import { validateRecord, getSchema } from '../../../services/storage/schemas.js';
+import { migrate, MIGRATIONS, SCHEMA_VERSION } from '../../../services/storage/migrations.js';
+
+/**
+ * Minimal stand-in for a node-redis v4 client (hash commands, SCAN and RENAMENX)
+ */
+function createFakeRedisClient() {
+  const hashes = new Map();
+  const hash = (key) => {
+    if (!hashes.has(key)) {
+      hashes.set(key, new Map());
+    }
+    return hashes.get(key);
+  };
+
+  return {
+    hashes,
+    isOpen: false,
+    async connect() { this.isOpen = true; },
+    async quit() { this.isOpen = false; },
+    async hGet(key, field) { return hash(key).get(field) ?? null; },
+    async hmGet(key, fields) { return fields.map(field => hash(key).get(field) ?? null); },
+    async hGetAll(key) { return Object.fromEntries(hash(key)); },
+    async hSet(key, field, value) { hash(key).set(field, value); return 1; },
+    async hDel(key, field) { return hash(key).delete(field) ? 1 : 0; },
+    async * scanIterator({ MATCH }) {
+      const prefix = MATCH.slice(0, -1);
+      yield * Array.from(hashes.keys()).filter(key => key.startsWith(prefix));
+    },
+    async renameNX(key, newKey) {
+      if (hashes.has(newKey)) {
+        return false;
+      }
+      hashes.set(newKey, hashes.get(key));
+      hashes.delete(key);
+      return true;
+    }
+  };
+}
+
+const track = { id: 'recording-1', title: 'One More Time', artist: 'Daft Punk', length: 320000, genres: ['house'] };
+
+describe('Storage Schemas', () => {
+  test('should accept a valid record', () => {
+    expect(validateRecord('tracks', { ...track, updatedAt: 'now' })).toEqual([]);
+  });
+
+  test('should allow optional fields to be missing or null', () => {
+    expect(validateRecord('tracks', { id: 'r', title: 'Song', artist: null, updatedAt: 'now' })).toEqual([]);
+  });
+
+  test('should report missing, mistyped and unknown fields', () => {
+    expect(validateRecord('tracks', { title: 'Song', updatedAt: 'now' })).toEqual(['id is required']);
+    expect(validateRecord('tracks', { ...track, genres: 'house', updatedAt: 'now' })).toEqual(['genres must be an array']);
+    expect(validateRecord('tracks', { ...track, length: NaN, updatedAt: 'now' })).toEqual(['length must be a number']);
+    expect(validateRecord('playlists', { id: 'p', results: [], stats: [], updatedAt: 'now' })).toEqual(['stats must be an object']);
+    expect(validateRecord('tracks', { ...track, bpm: 120, updatedAt: 'now' })).toEqual(['bpm is not a tracks field']);
+  });
+
+  test('should reject non-objects', () => {
+    expect(validateRecord('tracks', null)).toEqual(['record must be an object']);
+    expect(validateRecord('tracks', [])).toEqual(['record must be an object']);
+  });
+
+  test('should throw for unknown collections', () => {
+    expect(() => getSchema('videos')).toThrow('Unknown storage collection "videos"');
+  });
+});
+
+describe('Repository', () => {
+  let repository;
+
+  beforeEach(() => {
+    repository = new Repository(new JsonStore(null), []);
+  });
+
+  test('should store records by their schema key and stamp updatedAt', async () => {
+    const stored = await repository.put('tracks', track);
+
+    expect(stored).toEqual({ ...track, updatedAt: expect.any(String) });
+    expect(await repository.get('tracks', 'recording-1')).toEqual(stored);
+    expect(await repository.get('tracks', 'recording-2')).toBeNull();
+  });
+
+  test('should get several records in order and list a collection', async () => {
+    await repository.put('tracks', track);
+    await repository.put('tracks', { ...track, id: 'recording-2' });
+
+    const records = await repository.getMany('tracks', ['recording-2', 'missing', 'recording-1']);
+
+    expect(records.map(r => r?.id ?? null)).toEqual(['recording-2', null, 'recording-1']);
+    expect(await repository.list('tracks')).toHaveLength(2);
+    expect(await repository.list('matches')).toEqual([]);
+  });
+
+  test('should delete records', async () => {
+    await repository.put('tracks', track);
+
+    expect(await repository.delete('tracks', 'recording-1')).toBe(true);
+    expect(await repository.delete('tracks', 'recording-1')).toBe(false);
+    expect(await repository.get('tracks', 'recording-1')).toBeNull();
+  });
+
+  test('should refuse records that do not match the schema', async () => {
+    await expect(repository.put('tracks', { id: 'recording-1' }))
+      .rejects.toThrow('Invalid tracks record: title is required');
+    expect(await repository.list('tracks')).toEqual([]);
+  });
+
+  test('should refuse unknown collections', async () => {
+    await expect(repository.get('videos', 'video-1')).rejects.toThrow('Unknown storage collection');
+  });
+
+  test('should report its driver and schema version', async () => {
+    await repository.initialize();
+    expect(repository.getStatus()).toEqual({ driver: 'memory', schemaVersion: 0 });
+  });
+
+  test('should start over with a fresh store after disconnecting', async () => {
+    const envRepository = new Repository(null, []);
+    await envRepository.put('tracks', track);
+    await envRepository.disconnect();
+
+    expect(envRepository.getStatus().driver).toBeNull();
+    expect(await envRepository.get('tracks', 'recording-1')).toBeNull();
+  });
+});
+
+describe('Migrations', () => {
+  test('should run pending migrations once, in order', async () => {
+    const store = new JsonStore(null);
+    await store.connect();
+    const order = [];
+    const migrations = [
+      { version: 1, description: 'first', up: async () => order.push(1) },
+      { version: 2, description: 'second', up: async () => order.push(2) }
+    ];
+
+    expect(await migrate(store, migrations)).toBe(2);
+    expect(await migrate(store, migrations)).toBe(2);
+    expect(order).toEqual([1, 2]);
+    expect(await store.getMeta('schemaVersion')).toBe(2);
+  });
+
+  test('should only run migrations newer than the stored version', async () => {
+    const store = new JsonStore(null);
+    await store.connect();
+    await store.setMeta('schemaVersion', 1);
+    const order = [];
+
+    await migrate(store, [
+      { version: 1, description: 'first', up: async () => order.push(1) },
+      { version: 2, description: 'second', up: async () => order.push(2) }
+    ]);
+
+    expect(order).toEqual([2]);
+  });
+
+  test('should refuse a store written by a newer version', async () => {
+    const store = new JsonStore(null);
+    await store.connect();
+    await store.setMeta('schemaVersion', SCHEMA_VERSION + 1);
+
+    await expect(migrate(store)).rejects.toThrow('newer than this build supports');
+  });
+
+  test('should retry initialization after a failed migration', async () => {
+    let attempts = 0;
+    const repository = new Repository(new JsonStore(null), [{
+      version: 1,
+      description: 'flaky',
+      up: async () => {
+        attempts++;
+        if (attempts === 1) {
+          throw new Error('disk full');
+        }
+      }
+    }]);
+
+    await expect(repository.initialize()).rejects.toThrow('disk full');
+    await repository.initialize();
+
+    expect(repository.getStatus().schemaVersion).toBe(1);
+  });
+
+  describe('v1: import the standalone overrides file', () => {
+    let dir;
+    const originalPath = process.env.OVERRIDES_PATH;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(path.join(tmpdir(), 'feels-migrate-'));
+      process.env.OVERRIDES_PATH = path.join(dir, 'overrides.json');
+    });
+
+    afterEach(async () => {
+      process.env.OVERRIDES_PATH = originalPath;
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    test('should copy existing overrides into corrections', async () => {
+      const override = {
+        videoId: 'video-1',
+        feelsScore: 80,
+        positivityScore: null,
+        recordingId: null,
+        note: null,
+        createdAt: '2026-01-01T00:00:00.000Z',
+        updatedAt: '2026-01-01T00:00:00.000Z'
+      };
+      await writeFile(process.env.OVERRIDES_PATH, JSON.stringify({ 'video-1': override }));
+
+      const repository = new Repository(new JsonStore(null));
+
+      expect(await repository.get('corrections', 'video-1')).toEqual(override);
+      expect(validateRecord('corrections', override)).toEqual([]);
+    });
+
+    test('should do nothing without an overrides file', async () => {
+      const repository = new Repository(new JsonStore(null));
+
+      expect(await repository.list('corrections')).toEqual([]);
+      expect(repository.getStatus().schemaVersion).toBe(MIGRATIONS[0].version);
+    });
+
+    test('should fail on an unreadable overrides file', async () => {
+      await writeFile(process.env.OVERRIDES_PATH, '{ not json');
+
+      await expect(new Repository(new JsonStore(null)).initialize()).rejects.toThrow('Failed to read overrides');
+    });
+  });
+});
+
+describe('createStore', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  test('should pick the driver named by STORAGE_DRIVER', () => {
+    process.env.STORAGE_DRIVER = 'memory';
+    expect(createStore().name).toBe('memory');
+
+    process.env.STORAGE_DRIVER = 'json';
+    process.env.STORAGE_PATH = '/tmp/feels-storage.json';
+    expect(createStore()).toMatchObject({ name: 'json', filePath: '/tmp/feels-storage.json' });
+
+    process.env.STORAGE_DRIVER = 'redis';
+    process.env.REDIS_URL = 'redis://localhost:6379';
+    expect(createStore()).toMatchObject({ name: 'redis', url: 'redis://localhost:6379' });
+
+    process.env.STORAGE_REDIS_URL = 'redis://localhost:6379/1';
+    expect(createStore().url).toBe('redis://localhost:6379/1');
+  });
+
+  test('should default to a JSON file under data/', () => {
+    delete process.env.STORAGE_DRIVER;
+    delete process.env.STORAGE_PATH;
+    delete process.env.STORAGE_REDIS_URL;
+    delete process.env.REDIS_URL;
+    delete process.env.VERCEL;
+
+    const store = createStore();
+
+    expect(store.name).toBe('json');
+    expect(store.filePath).toMatch(/data[\\/]storage\.json$/);
+  });
+
+  test('should default to Redis when a Redis URL is set', () => {
+    delete process.env.STORAGE_DRIVER;
+    delete process.env.STORAGE_REDIS_URL;
+    process.env.REDIS_URL = 'redis://localhost:6379';
+
+    expect(createStore()).toMatchObject({ name: 'redis', url: 'redis://localhost:6379' });
+  });
+
+  test('should not write files on Vercel', () => {
+    delete process.env.STORAGE_DRIVER;
+    delete process.env.STORAGE_REDIS_URL;
+    delete process.env.REDIS_URL;
+    process.env.VERCEL = '1';
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(createStore().name).toBe('memory');
+    expect(warn).toHaveBeenCalled();
+
+    process.env.STORAGE_DRIVER = 'json';
+    expect(() => createStore()).toThrow(/read-only filesystem/);
+    warn.mockRestore();
+  });
+
+  test('should throw for an unknown driver', () => {
+    process.env.STORAGE_DRIVER = 'sqlite';
+    expect(() => createStore()).toThrow('Unknown STORAGE_DRIVER "sqlite"');
+  });
+});
+
+describe('JsonStore', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'feels-storage-'));
+    filePath = path.join(dir, 'nested', 'storage.json');
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('should persist records and the schema version across instances', async () => {
+    const migrations = [{ version: 1, description: 'noop', up: async () => {} }];
+    const repository = new Repository(new JsonStore(filePath), migrations);
+    await repository.put('tracks', track);
+    await repository.disconnect();
+
+    const stored = JSON.parse(await readFile(filePath, 'utf8'));
+    expect(stored.meta.schemaVersion).toBe(1);
+    expect(Object.keys(stored.collections.tracks)).toEqual(['recording-1']);
+
+    const reloaded = new Repository(new JsonStore(filePath), migrations);
+    expect((await reloaded.get('tracks', 'recording-1')).title).toBe('One More Time');
+  });
+
+  test('should fold changes made within the flush delay into one write', async () => {
+    const store = new JsonStore(filePath, { flushDelayMs: 20 });
+    await store.connect();
+
+    for (const n of [1, 2, 3, 4]) {
+      await store.put('tracks', `recording-${n}`, { id: `recording-${n}` });
+    }
+    await expect(readFile(filePath, 'utf8')).rejects.toThrow('ENOENT');
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await store.disconnect(); // Waits for the delayed write
+
+    const stored = JSON.parse(await readFile(filePath, 'utf8'));
+    expect(Object.keys(stored.collections.tracks)).toHaveLength(4);
+  });
+
+  test('should write pending changes on disconnect', async () => {
+    const store = new JsonStore(filePath, { flushDelayMs: 60000 });
+    await store.connect();
+    await store.put('tracks', 'recording-1', track);
+    await store.disconnect();
+
+    const raw = await readFile(filePath, 'utf8');
+    expect(JSON.parse(raw).collections.tracks['recording-1']).toEqual(track);
+    expect(raw).not.toContain('\n'); // Compact, not pretty-printed
+  });
+
+  test('should not write anything without a file path', async () => {
+    const store = new JsonStore(null);
+    await store.connect();
+    await store.put('tracks', 'recording-1', track);
+
+    expect(await store.get('tracks', 'recording-1')).toEqual(track);
+  });
+
+  test('should treat Object.prototype names as plain IDs', async () => {
+    const store = new JsonStore(filePath);
+    await store.connect();
+
+    expect(await store.get('corrections', 'constructor')).toBeNull();
+    expect(await store.getMany('matches', ['toString', '__proto__'])).toEqual([null, null]);
+    expect(await store.delete('corrections', 'hasOwnProperty')).toBe(false);
+
+    await store.put('corrections', '__proto__', { id: '__proto__' });
+    expect(await store.list('corrections')).toEqual([{ id: '__proto__' }]);
+    await store.disconnect();
+
+    const reloaded = new JsonStore(filePath);
+    await reloaded.connect();
+    expect(await reloaded.get('corrections', '__proto__')).toEqual({ id: '__proto__' });
+    expect(await reloaded.get('corrections', 'constructor')).toBeNull();
+  });
+
+  test('should fail loudly on a corrupt file', async () => {
+    await writeFile(path.join(dir, 'corrupt.json'), '{ not json');
+
+    await expect(new JsonStore(path.join(dir, 'corrupt.json')).connect()).rejects.toThrow('Failed to read storage');
+  });
+});
+
+describe('RedisStore', () => {
+  let client;
+  let repository;
+
+  beforeEach(() => {
+    client = createFakeRedisClient();
+    repository = new Repository(new RedisStore({ client, prefix: 'test:' }), []);
+  });
+
+  test('should keep each collection in its own hash without a TTL', async () => {
+    await repository.put('tracks', track);
+
+    expect(client.isOpen).toBe(true);
+    expect(JSON.parse(client.hashes.get('test:tracks').get('recording-1')).title).toBe('One More Time');
+    expect(await repository.get('tracks', 'recording-1')).toMatchObject(track);
+  });
+
+  test('should get, list and delete records', async () => {
+    await repository.put('tracks', track);
+    await repository.put('tracks', { ...track, id: 'recording-2' });
+
+    expect((await repository.getMany('tracks', ['missing', 'recording-2'])).map(r => r?.id ?? null))
+      .toEqual([null, 'recording-2']);
+    expect(await repository.getMany('tracks', [])).toEqual([]);
+    expect(await repository.list('tracks')).toHaveLength(2);
+    expect(await repository.delete('tracks', 'recording-2')).toBe(true);
+    expect(await repository.delete('tracks', 'recording-2')).toBe(false);
+  });
+
+  test('should keep its hashes outside the cache\'s key prefix', async () => {
+    const store = new RedisStore({ client });
+    await store.connect();
+    await store.put('corrections', 'video-1', { id: 'video-1' });
+
+    expect([...client.hashes.keys()]).toEqual(['feels-store:corrections']);
+  });
+
+  test('should move hashes written under the old prefix', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    client.hashes.set('feels:store:corrections', new Map([['video-1', '{"id":"video-1"}']]));
+    client.hashes.set('feels:store:meta', new Map([['schemaVersion', '1']]));
+    client.hashes.set('feels:music:match', new Map());
+
+    const store = new RedisStore({ client });
+    await store.connect();
+
+    expect(await store.get('corrections', 'video-1')).toEqual({ id: 'video-1' });
+    expect(await store.getMeta('schemaVersion')).toBe(1);
+    expect(client.hashes.has('feels:store:corrections')).toBe(false);
+    expect(client.hashes.has('feels:music:match')).toBe(true);
+  });
+
+  test('should store the schema version in a meta hash', async () => {
+    const store = new RedisStore({ client, prefix: 'test:' });
+    await migrate(store, [{ version: 3, description: 'noop', up: async () => {} }]);
+
+    expect(client.hashes.get('test:meta').get('schemaVersion')).toBe('3');
+    expect(await store.getMeta('schemaVersion')).toBe(3);
+  });
+
+  test('should close the connection on disconnect', async () => {
+    await repository.initialize();
+    await repository.disconnect();
+
+    expect(client.isOpen).toBe(false);
+  });
+
+  test('should need a URL when no client is given', async () => {
+    await expect(new RedisStore({}).connect()).rejects.toThrow('Redis storage needs STORAGE_REDIS_URL or REDIS_URL');
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Tests for title-model.service.js
+ * Models are written to a temp directory
+ */
+
+import { jest } from '@jest/globals';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { TitleModelService } from '../../../services/title-model.service.js';
+import { TAGGER_VERSION } from '../../../utils/titleTagger.js';
+
+const model = { version: TAGGER_VERSION, labels: [], weights: {}, trainedAt: '2026-01-01T00:00:00.000Z', examples: 12 };
+
+describe('Title Model Service', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'feels-title-model-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('should load the model once and report it', async () => {
+    await writeFile(path.join(dir, 'model.json'), JSON.stringify(model));
+    const service = new TitleModelService(path.join(dir, 'model.json'));
+
+    expect(service.getStats()).toMatchObject({ loaded: false, trainedAt: null, examples: null });
+
+    const [first, second] = await Promise.all([service.load(), service.load()]);
+
+    expect(first).toEqual(model);
+    expect(second).toBe(first);
+    expect(service.getStats()).toMatchObject({ loaded: true, trainedAt: model.trainedAt, examples: 12 });
+  });
+
+  test('should do without a model until one is trained and reset', async () => {
+    const service = new TitleModelService(path.join(dir, 'model.json'));
+
+    expect(await service.load()).toBeNull();
+    expect(console.warn).not.toHaveBeenCalled();
+
+    await writeFile(path.join(dir, 'model.json'), JSON.stringify(model));
+    expect(await service.load()).toBeNull();
+
+    service.reset();
+    expect(await service.load()).toEqual(model);
+  });
+
+  test('should ignore models from another tagger version', async () => {
+    await writeFile(path.join(dir, 'model.json'), JSON.stringify({ ...model, version: 0 }));
+    const service = new TitleModelService(path.join(dir, 'model.json'));
+
+    expect(await service.load()).toBeNull();
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining(`is version 0, expected ${TAGGER_VERSION}`));
+  });
+
+  test('should warn about unreadable models', async () => {
+    await writeFile(path.join(dir, 'model.json'), '{ not json');
+    const service = new TitleModelService(path.join(dir, 'model.json'));
+
+    expect(await service.load()).toBeNull();
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('unreadable'));
+  });
+});
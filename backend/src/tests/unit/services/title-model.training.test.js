@@ -0,0 +1,130 @@
+/**
+ * Tests for title-model.training.js
+ * Corpus and correction examples, training and evaluation against the regex parser
+ */
+
+import { mkdtemp, writeFile, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+  loadCorpus,
+  correctionExamples,
+  trainModel,
+  scoreParses,
+  crossValidate,
+  writeModel
+} from '../../../services/title-model.training.js';
+import { Repository } from '../../../services/repository.service.js';
+import { JsonStore } from '../../../services/storage/json.store.js';
+import { TAGGER_VERSION } from '../../../utils/titleTagger.js';
+
+describe('Title Model Training', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'feels-title-model-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  describe('loadCorpus', () => {
+    test('should read the bundled corpus', async () => {
+      const corpus = await loadCorpus();
+
+      expect(corpus.length).toBeGreaterThanOrEqual(100);
+      expect(corpus[0]).toEqual({
+        title: expect.any(String),
+        channelTitle: expect.any(String),
+        artist: expect.any(String),
+        song: expect.any(String)
+      });
+    });
+
+    test('should fill in missing fields and reject malformed corpora', async () => {
+      const file = path.join(dir, 'corpus.json');
+      await writeFile(file, JSON.stringify([{ title: 'Song', song: 'Song' }]));
+      expect(await loadCorpus(file)).toEqual([{ title: 'Song', channelTitle: '', artist: null, song: 'Song' }]);
+
+      await writeFile(file, JSON.stringify([{ title: 'Song' }]));
+      await expect(loadCorpus(file)).rejects.toThrow('must be a list of');
+      await writeFile(file, '{}');
+      await expect(loadCorpus(file)).rejects.toThrow('must be a list of');
+    });
+  });
+
+  describe('correctionExamples', () => {
+    test('should take corrections that pinned a recording and know the title', async () => {
+      const repository = new Repository(new JsonStore(null), []);
+      const now = new Date().toISOString();
+      await repository.put('corrections', { videoId: 'a', videoTitle: 'Creep - Radiohead', artist: 'Radiohead', song: 'Creep', createdAt: now });
+      await repository.put('corrections', { videoId: 'b', videoTitle: 'Some Title', feelsScore: 40, createdAt: now });
+      await repository.put('corrections', { videoId: 'c', artist: 'Adele', song: 'Hello', createdAt: now });
+
+      expect(await correctionExamples(repository)).toEqual([
+        { title: 'Creep - Radiohead', channelTitle: '', artist: 'Radiohead', song: 'Creep' }
+      ]);
+    });
+  });
+
+  describe('trainModel', () => {
+    test('should skip examples whose artist and song are not in the title', () => {
+      const { model, used, skipped } = trainModel([
+        { title: 'Adele - Hello (Official Video)', channelTitle: '', artist: 'Adele', song: 'Hello' },
+        { title: 'Something Else Entirely', channelTitle: '', artist: 'Daft Punk', song: 'Aerodynamic' }
+      ]);
+
+      expect(used).toBe(1);
+      expect(skipped).toBe(1);
+      expect(model).toMatchObject({ version: TAGGER_VERSION, examples: 1 });
+    });
+  });
+
+  describe('scoreParses', () => {
+    test('should count precision over predictions and recall over labels', () => {
+      const examples = [
+        { title: 'a', artist: 'Daft Punk', song: 'One More Time' },
+        { title: 'b', artist: 'Adele', song: 'Hello' },
+        { title: 'c', artist: null, song: 'Intro' }
+      ];
+      const parses = {
+        a: { artist: 'daft punk', song: 'one more time!' },
+        b: { artist: 'hello', song: null },
+        c: { artist: null, song: 'intro' }
+      };
+
+      expect(scoreParses(examples, example => parses[example.title])).toEqual({
+        examples: 3,
+        exact: 0.667,
+        artist: { precision: 0.5, recall: 0.5 },
+        song: { precision: 1, recall: 0.667 }
+      });
+      expect(scoreParses([], () => ({}))).toMatchObject({ exact: 0, artist: { precision: 0, recall: 0 } });
+    });
+  });
+
+  describe('crossValidate', () => {
+    test('should beat the regex parser on the bundled corpus', async () => {
+      const result = crossValidate(await loadCorpus(), { folds: 3 });
+
+      expect(result.folds).toBe(3);
+      expect(result.regex.examples).toBe(result.model.examples);
+      expect(result.model.exact).toBeGreaterThan(result.regex.exact);
+    });
+
+    test('should use at least two folds', () => {
+      const examples = [{ title: 'Adele - Hello', channelTitle: '', artist: 'Adele', song: 'Hello' }];
+      expect(crossValidate([...examples, ...examples], { folds: 1 }).folds).toBe(2);
+    });
+  });
+
+  test('should write a model that reads back the same', async () => {
+    const { model } = trainModel([{ title: 'Adele - Hello', channelTitle: '', artist: 'Adele', song: 'Hello' }]);
+    const file = path.join(dir, 'nested', 'model.json');
+
+    await writeModel(model, file);
+
+    expect(JSON.parse(await readFile(file, 'utf8'))).toEqual(model);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Tests for version.adjustments.js
+ * Feature changes for slowed, sped up, live, ... versions
+ */
+
+import { adjustForVersions, VERSION_ADJUSTMENTS } from '../../../services/version.adjustments.js';
+import { VERSION_TAGS } from '../../../utils/titleParser.js';
+
+const features = {
+  energy: 0.8,
+  tempo: 120,
+  danceability: 0.7,
+  loudness: -6,
+  valence: 0.6,
+  acousticness: 0.1,
+  confidence: 0.8,
+  source: 'genre-heuristic'
+};
+
+describe('Version Adjustments', () => {
+  test('should cover every version tag the title parser finds', () => {
+    expect(Object.keys(VERSION_ADJUSTMENTS).sort()).toEqual(Object.keys(VERSION_TAGS).sort());
+  });
+
+  test('should drop tempo and energy for slowed + reverb', () => {
+    const adjusted = adjustForVersions(features, ['slowed', 'reverb']);
+
+    expect(adjusted.tempo).toBe(96);
+    expect(adjusted.energy).toBe(0.6);
+    expect(adjusted.valence).toBeLessThan(features.valence);
+    expect(adjusted.versions).toEqual(['slowed', 'reverb']);
+  });
+
+  test('should raise tempo for sped up and nightcore', () => {
+    expect(adjustForVersions(features, ['sped up']).tempo).toBe(150);
+    expect(adjustForVersions(features, ['nightcore']).tempo).toBe(156);
+  });
+
+  test('should make acoustic versions quieter and more acoustic', () => {
+    const adjusted = adjustForVersions(features, ['acoustic']);
+
+    expect(adjusted.loudness).toBe(-9);
+    expect(adjusted.acousticness).toBe(0.5);
+  });
+
+  test('should keep features in range', () => {
+    const adjusted = adjustForVersions({ ...features, energy: 0.95, valence: 0.98 }, ['nightcore']);
+
+    expect(adjusted.energy).toBe(1);
+    expect(adjusted.valence).toBe(1);
+    expect(adjustForVersions({ ...features, loudness: -59 }, ['acoustic']).loudness).toBe(-60);
+  });
+
+  test('should leave features alone for versions that change nothing', () => {
+    expect(adjustForVersions(features, ['extended', 'cover'])).toBe(features);
+    expect(adjustForVersions(features, ['unknown'])).toBe(features);
+    expect(adjustForVersions(features)).toBe(features);
+  });
+
+  test('should skip features a provider did not report', () => {
+    const adjusted = adjustForVersions({ energy: 0.5 }, ['slowed', 'acoustic']);
+
+    expect(adjusted).toEqual({ energy: 0.15, versions: ['slowed', 'acoustic'] });
+  });
+});
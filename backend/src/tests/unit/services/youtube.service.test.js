@@ -0,0 +1,107 @@
+/**
+ * Tests for youtube.service.js
+ * axios is mocked so no requests reach YouTube
+ */
+
+import { jest } from '@jest/globals';
+
+const axiosGet = jest.fn();
+
+jest.unstable_mockModule('axios', () => ({
+  default: { get: (...args) => axiosGet(...args) }
+}));
+
+const { default: youtubeService } = await import('../../../services/youtube.service.js');
+
+const description = 'Provided to YouTube by XL Recordings\n\nRoyals · Lorde\n\nPure Heroine\n\nReleased on: 2013-09-27';
+
+function videoItem(id, overrides = {}) {
+  return {
+    id,
+    snippet: { title: `Video ${id}`, channelTitle: 'Channel', description: '', thumbnails: {} },
+    contentDetails: { duration: 'PT3M10S' },
+    ...overrides
+  };
+}
+
+function respond({ videos = {}, failDetails = false } = {}) {
+  axiosGet.mockImplementation(async (url, { params }) => {
+    if (url.endsWith('/playlists')) {
+      return { data: { items: [{ snippet: { title: 'Mix', description: '' }, contentDetails: { itemCount: 2 } }] } };
+    }
+    if (url.endsWith('/playlistItems')) {
+      return {
+        data: {
+          items: ['v1', 'v2'].map((id, position) => ({
+            contentDetails: { videoId: id },
+            snippet: { title: `Video ${id}`, channelTitle: 'Lorde - Topic', thumbnails: {}, position }
+          }))
+        }
+      };
+    }
+    if (failDetails) {
+      throw Object.assign(new Error('Request failed'), { response: { data: { error: { message: 'quotaExceeded' } } } });
+    }
+    return { data: { items: params.id.split(',').map(id => videoItem(id, videos[id])) } };
+  });
+}
+
+describe('YouTube Service', () => {
+  describe('getPlaylist', () => {
+    test('should add durations and what each description says', async () => {
+      respond({
+        videos: {
+          v1: { snippet: { title: 'Royals', channelTitle: 'Lorde - Topic', description, thumbnails: {} } },
+          v2: {
+            snippet: { title: 'Mix', channelTitle: 'Mixes', description: '0:00 One\n3:10 Two\n6:40 Three', thumbnails: {} },
+            contentDetails: { duration: 'PT1H' }
+          }
+        }
+      });
+
+      const playlist = await youtubeService.getPlaylist('PL123');
+
+      expect(playlist.videos[0]).toMatchObject({
+        durationSeconds: 190,
+        musicMetadata: { artist: 'Lorde', song: 'Royals', album: 'Pure Heroine', year: 2013 },
+        chapters: []
+      });
+      expect(playlist.videos[1]).toMatchObject({ durationSeconds: 3600, musicMetadata: null });
+      expect(playlist.videos[1].chapters).toHaveLength(3);
+      expect(axiosGet).toHaveBeenCalledWith(expect.stringMatching(/\/videos$/), {
+        params: expect.objectContaining({ id: 'v1,v2', part: expect.stringContaining('snippet') })
+      });
+    });
+
+    test('should keep the videos when their details cannot be fetched', async () => {
+      respond({ failDetails: true });
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const playlist = await youtubeService.getPlaylist('PL123');
+
+      expect(playlist.videos[0]).toMatchObject({ durationSeconds: null, musicMetadata: null, chapters: [] });
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('quotaExceeded'));
+    });
+  });
+
+  describe('getVideoDetails', () => {
+    test('should fetch 50 videos per request', async () => {
+      respond();
+      const ids = Array.from({ length: 120 }, (_, i) => `v${i}`);
+
+      const details = await youtubeService.getVideoDetails(ids);
+
+      expect(details).toHaveLength(120);
+      expect(axiosGet.mock.calls.map(([, { params }]) => params.id.split(',').length)).toEqual([50, 50, 20]);
+      expect(details[0]).toMatchObject({ id: 'v0', duration: 'PT3M10S', viewCount: undefined });
+    });
+
+    test('should accept one ID and no IDs', async () => {
+      respond();
+
+      expect(await youtubeService.getVideoDetails('v1')).toHaveLength(1);
+      expect(await youtubeService.getVideoDetails([])).toEqual([]);
+      expect(axiosGet).toHaveBeenCalledTimes(1);
+    });
+  });
+});
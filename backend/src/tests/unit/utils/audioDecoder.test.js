@@ -0,0 +1,157 @@
+/**
+ * Tests for audioDecoder.js
+ * WAV and MP3 decoding to mono samples
+ */
+
+import {
+  detectFormat,
+  decodeWav,
+  decodeMp3,
+  decodeAudio
+} from '../../../utils/audioDecoder.js';
+import { generateSine, encodeWav, encodeSilentMp3 } from '../../helpers/audio.js';
+
+/**
+ * Rewrite the fmt chunk of a WAV buffer
+ */
+function withFormat(buffer, { audioFormat, bitsPerSample }) {
+  const copy = Buffer.from(buffer);
+  if (audioFormat !== undefined) copy.writeUInt16LE(audioFormat, 20);
+  if (bitsPerSample !== undefined) copy.writeUInt16LE(bitsPerSample, 34);
+  return copy;
+}
+
+describe('Audio Decoder', () => {
+  const sampleRate = 8000;
+  const sine = generateSine({ frequency: 440, duration: 0.1, sampleRate, amplitude: 0.5 });
+
+  describe('detectFormat', () => {
+    test('should detect WAV', () => {
+      expect(detectFormat(encodeWav(sine, sampleRate))).toBe('wav');
+    });
+
+    test('should detect MP3 with an ID3 tag', () => {
+      expect(detectFormat(Buffer.from('ID3\x04\x00'))).toBe('mp3');
+    });
+
+    test('should detect MP3 from the frame sync', () => {
+      expect(detectFormat(encodeSilentMp3(1))).toBe('mp3');
+    });
+
+    test('should return null for unknown or empty data', () => {
+      expect(detectFormat(Buffer.from('OggS\x00\x02'))).toBeNull();
+      expect(detectFormat(Buffer.alloc(0))).toBeNull();
+    });
+  });
+
+  describe('decodeWav', () => {
+    test('should decode 16-bit PCM', () => {
+      const result = decodeWav(encodeWav(sine, sampleRate));
+
+      expect(result.sampleRate).toBe(sampleRate);
+      expect(result.channels).toBe(1);
+      expect(result.samples.length).toBe(sine.length);
+      expect(result.duration).toBeCloseTo(0.1);
+      expect(result.samples[20]).toBeCloseTo(sine[20], 3);
+    });
+
+    test.each([8, 24, 32])('should decode %i-bit PCM', (bitsPerSample) => {
+      const result = decodeWav(encodeWav(sine, sampleRate, { bitsPerSample }));
+
+      expect(result.samples.length).toBe(sine.length);
+      expect(result.samples[20]).toBeCloseTo(sine[20], 1);
+    });
+
+    test('should decode 32-bit float', () => {
+      const result = decodeWav(encodeWav(sine, sampleRate, { bitsPerSample: 32, float: true }));
+      expect(result.samples[20]).toBeCloseTo(sine[20], 5);
+    });
+
+    test('should mix stereo down to mono', () => {
+      const result = decodeWav(encodeWav(sine, sampleRate, { channels: 2 }));
+
+      expect(result.channels).toBe(2);
+      expect(result.samples.length).toBe(sine.length);
+      expect(result.samples[20]).toBeCloseTo(sine[20], 3);
+    });
+
+    test('should read the sub-format of WAVE_FORMAT_EXTENSIBLE files', () => {
+      const plain = encodeWav(sine, sampleRate);
+      const fmt = Buffer.alloc(8 + 40);
+      fmt.write('fmt ', 0, 'ascii');
+      fmt.writeUInt32LE(40, 4);
+      plain.copy(fmt, 8, 20, 36);
+      fmt.writeUInt16LE(0xfffe, 8);
+      fmt.writeUInt16LE(1, 8 + 24); // PCM sub-format
+
+      const extensible = Buffer.concat([plain.subarray(0, 12), fmt, plain.subarray(36)]);
+      const result = decodeWav(extensible);
+
+      expect(result.samples[20]).toBeCloseTo(sine[20], 3);
+    });
+
+    test('should skip unknown chunks, including odd-sized ones', () => {
+      const plain = encodeWav(sine, sampleRate);
+      const list = Buffer.alloc(8 + 3 + 1); // 3 bytes of data + pad byte
+      list.write('LIST', 0, 'ascii');
+      list.writeUInt32LE(3, 4);
+
+      const withList = Buffer.concat([plain.subarray(0, 12), list, plain.subarray(12)]);
+      expect(decodeWav(withList).samples.length).toBe(sine.length);
+    });
+
+    test('should throw for non-WAV data', () => {
+      expect(() => decodeWav(Buffer.from('not audio at all'))).toThrow('Not a WAV file');
+    });
+
+    test('should throw when the fmt chunk is missing', () => {
+      const wav = encodeWav(sine, sampleRate);
+      const noFmt = Buffer.concat([wav.subarray(0, 12), wav.subarray(36)]);
+      expect(() => decodeWav(noFmt)).toThrow('no fmt chunk');
+    });
+
+    test('should throw when the data chunk is missing', () => {
+      const wav = encodeWav(sine, sampleRate);
+      expect(() => decodeWav(wav.subarray(0, 36))).toThrow('no data chunk');
+    });
+
+    test('should throw for unsupported encodings', () => {
+      const wav = encodeWav(sine, sampleRate);
+      expect(() => decodeWav(withFormat(wav, { audioFormat: 2 }))).toThrow('Unsupported WAV encoding');
+      expect(() => decodeWav(withFormat(wav, { bitsPerSample: 12 }))).toThrow('Unsupported WAV encoding');
+    });
+  });
+
+  describe('decodeMp3', () => {
+    test('should decode mono frames', () => {
+      const result = decodeMp3(encodeSilentMp3(20));
+
+      expect(result.sampleRate).toBe(44100);
+      expect(result.channels).toBe(1);
+      expect(result.samples.length).toBe(20 * 1152);
+      expect(result.samples.every(s => s === 0)).toBe(true);
+    });
+
+    test('should mix stereo down to mono', () => {
+      const result = decodeMp3(encodeSilentMp3(10, { stereo: true }));
+
+      expect(result.channels).toBe(2);
+      expect(result.samples.length).toBe(10 * 1152);
+    });
+
+    test('should throw when no frame can be decoded', () => {
+      expect(() => decodeMp3(Buffer.from('ID3'))).toThrow('Could not decode MP3 file');
+    });
+  });
+
+  describe('decodeAudio', () => {
+    test('should dispatch on the detected format', () => {
+      expect(decodeAudio(encodeWav(sine, sampleRate)).sampleRate).toBe(sampleRate);
+      expect(decodeAudio(encodeSilentMp3(2)).sampleRate).toBe(44100);
+    });
+
+    test('should throw for unsupported formats', () => {
+      expect(() => decodeAudio(Buffer.from('fLaC\x00\x00'))).toThrow('Unsupported audio format');
+    });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Tests for candidateScorer.js
+ * Ranking MusicBrainz search results against a parsed title
+ */
+
+import {
+  versionMarkers,
+  releaseQuality,
+  artistCredit,
+  scoreCandidate,
+  rankCandidates
+} from '../../../utils/candidateScorer.js';
+
+const query = { artist: 'Daft Punk', song: 'One More Time' };
+
+function recording(overrides = {}) {
+  return {
+    id: 'rec',
+    title: 'One More Time',
+    'artist-credit': [{ name: 'Daft Punk' }],
+    score: 100,
+    releases: [{ status: 'Official', 'release-group': { 'primary-type': 'Album', 'secondary-types': [] } }],
+    ...overrides
+  };
+}
+
+describe('Candidate Scorer', () => {
+  describe('versionMarkers', () => {
+    test('should find whole-word version markers', () => {
+      expect(versionMarkers('One More Time (Live at Wembley)')).toEqual(['live']);
+      expect(versionMarkers('Song - Karaoke Instrumental')).toEqual(['karaoke', 'instrumental']);
+      expect(versionMarkers('Song (sped up)')).toEqual(['sped up']);
+    });
+
+    test('should not match markers inside other words', () => {
+      expect(versionMarkers('Deliver Me')).toEqual([]);
+      expect(versionMarkers('Remixed Feelings')).toEqual([]);
+      expect(versionMarkers('')).toEqual([]);
+    });
+  });
+
+  describe('releaseQuality', () => {
+    test('should rate official studio releases highest', () => {
+      expect(releaseQuality(recording())).toBe(1);
+    });
+
+    test('should rate bootlegs and live or karaoke releases lower', () => {
+      expect(releaseQuality(recording({ releases: [{ status: 'Bootleg' }] }))).toBe(0.3);
+      expect(releaseQuality(recording({
+        releases: [{ status: 'Official', 'release-group': { 'secondary-types': ['Live'] } }]
+      }))).toBe(0.5);
+      expect(releaseQuality(recording({ releases: [{}] }))).toBe(0.6);
+    });
+
+    test('should use the best of several releases', () => {
+      expect(releaseQuality(recording({
+        releases: [{ status: 'Bootleg' }, { status: 'Official' }]
+      }))).toBe(1);
+    });
+
+    test('should be neutral without release info', () => {
+      expect(releaseQuality(recording({ releases: undefined }))).toBe(0.5);
+    });
+  });
+
+  describe('artistCredit', () => {
+    test('should join every credited artist', () => {
+      expect(artistCredit(recording({
+        'artist-credit': [{ name: 'Daft Punk', joinphrase: ' feat. ' }, { name: 'Romanthony' }]
+      }))).toBe('Daft Punk feat. Romanthony');
+      expect(artistCredit({})).toBe('');
+    });
+  });
+
+  describe('scoreCandidate', () => {
+    test('should score an exact official match near 1', () => {
+      expect(scoreCandidate(query, recording())).toBe(1);
+    });
+
+    test('should penalize version markers the query did not ask for', () => {
+      const live = recording({ disambiguation: 'live, 2007-06-14: Wembley' });
+
+      expect(scoreCandidate(query, live)).toBeLessThan(scoreCandidate(query, recording()));
+      expect(scoreCandidate({ ...query, song: 'One More Time (Live)' }, live))
+        .toBeGreaterThan(scoreCandidate(query, live));
+    });
+
+    test('should not penalize versions the video is tagged with', () => {
+      const remix = recording({ title: 'One More Time (Romanthony Remix)' });
+
+      expect(scoreCandidate({ ...query, versions: ['remix'] }, remix))
+        .toBeGreaterThan(scoreCandidate(query, remix));
+    });
+
+    test('should not hold featured artists against the main artist', () => {
+      const featuring = recording({
+        'artist-credit': [{ name: 'Daft Punk', joinphrase: ' feat. ' }, { name: 'Romanthony' }]
+      });
+
+      expect(scoreCandidate(query, featuring)).toBe(1);
+    });
+
+    test('should weigh in the MusicBrainz score', () => {
+      expect(scoreCandidate(query, recording({ score: 60 }))).toBeLessThan(1);
+      expect(scoreCandidate(query, recording({ score: undefined }))).toBeLessThan(1);
+    });
+
+    test('should stay within 0 and 1', () => {
+      const bad = recording({
+        title: 'Something Else (Karaoke Instrumental Cover)',
+        'artist-credit': [{ name: 'Sing Along Stars' }],
+        score: 0,
+        releases: [{ status: 'Bootleg' }]
+      });
+
+      expect(scoreCandidate(query, bad)).toBe(0);
+    });
+  });
+
+  describe('rankCandidates', () => {
+    test('should put the official recording ahead of a higher-ranked karaoke one', () => {
+      const ranked = rankCandidates(query, [
+        recording({ id: 'karaoke', title: 'One More Time (Karaoke Version)', releases: [{ status: 'Official', 'release-group': { 'secondary-types': ['Compilation'] } }] }),
+        recording({ id: 'official', score: 95 })
+      ]);
+
+      expect(ranked.map(c => c.recording.id)).toEqual(['official', 'karaoke']);
+      expect(ranked[0].matchScore).toBeGreaterThan(ranked[1].matchScore);
+    });
+
+    test('should keep MusicBrainz order on ties', () => {
+      const ranked = rankCandidates(query, [recording({ id: 'a' }), recording({ id: 'b' })]);
+
+      expect(ranked.map(c => c.recording.id)).toEqual(['a', 'b']);
+    });
+  });
+});
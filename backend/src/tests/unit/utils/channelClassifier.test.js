@@ -0,0 +1,51 @@
+/**
+ * Tests for channelClassifier.js
+ * Topic, VEVO, label and lyric channels
+ */
+
+import { classifyChannel, CHANNEL_TYPES } from '../../../utils/channelClassifier.js';
+
+describe('Channel Classifier', () => {
+  test.each([
+    ['The Weeknd - Topic', 'topic', 'The Weeknd'],
+    ['米津玄師 - Topic', 'topic', '米津玄師'],
+    ['Various Artists - Topic', 'label', null],
+    ['Vevo', 'label', null],
+    ['Monstercat Uncaged', 'label', null],
+    ["Spinnin' Records", 'label', null],
+    ['Trap Nation', 'label', null],
+    ['HYBE LABELS', 'label', null],
+    ['Big Beat Records', 'label', null],
+    ['7clouds', 'lyrics', null],
+    ['Lyrics Hub', 'lyrics', null],
+    ['SyrebralVibes', 'lyrics', null],
+    ['Chill Vibes', 'lyrics', null],
+    ['Rick Astley', 'other', 'Rick Astley'],
+    ['Rick Astley Official', 'other', 'Rick Astley'],
+    ['Kenshi Yonezu Official Channel', 'other', 'Kenshi Yonezu'],
+    ['LiSA Official YouTube Channel', 'other', 'LiSA'],
+    ['Artist Music', 'other', 'Artist'],
+    ['Music', 'other', 'Music']
+  ])('should classify %s', (channelTitle, type, artist) => {
+    expect(classifyChannel(channelTitle)).toEqual({ type, artist, alternatives: [] });
+  });
+
+  test.each([
+    ['TaylorSwiftVEVO', 'Taylor Swift', ['TaylorSwift']],
+    ['OneRepublicVEVO', 'One Republic', ['OneRepublic']],
+    ['AdeleVEVO', 'Adele', []]
+  ])('should split %s and keep the name as written', (channelTitle, artist, alternatives) => {
+    expect(classifyChannel(channelTitle)).toEqual({ type: 'vevo', artist, alternatives });
+  });
+
+  test('should handle no channel', () => {
+    expect(classifyChannel('')).toEqual({ type: 'other', artist: null, alternatives: [] });
+    expect(classifyChannel(null)).toEqual({ type: 'other', artist: null, alternatives: [] });
+  });
+
+  test('should only name known types', () => {
+    for (const channelTitle of ['A - Topic', 'AVEVO', 'Monstercat', '7clouds', 'A']) {
+      expect(CHANNEL_TYPES).toContain(classifyChannel(channelTitle).type);
+    }
+  });
+});
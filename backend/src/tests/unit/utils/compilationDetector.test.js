@@ -0,0 +1,44 @@
+/**
+ * Tests for compilationDetector.js
+ * Mixes, compilations and full albums
+ */
+
+import { detectCompilation } from '../../../utils/compilationDetector.js';
+
+const chapters = [0, 200, 410].map((start, i) => ({ start, title: `Song ${i + 1}` }));
+
+describe('Compilation Detector', () => {
+  test('should flag a timestamped tracklist', () => {
+    expect(detectCompilation({ title: 'Summer vibes', durationSeconds: 640, chapters })).toEqual({ reason: 'chapters', tracks: 3 });
+  });
+
+  test('should flag titles that say so', () => {
+    for (const title of ['Daft Punk - Discovery (Full Album)', 'ABBA Greatest Hits', 'Best of Queen', 'Eurobeat Megamix', '30 Songs to Study To', '作業用BGM']) {
+      expect(detectCompilation({ title, durationSeconds: 240 })).toEqual({ reason: 'title', tracks: null });
+    }
+  });
+
+  test('should flag mixes, sets and loops only when long', () => {
+    expect(detectCompilation({ title: 'Chill House Mix 2024', durationSeconds: 3600 })).toMatchObject({ reason: 'title' });
+    expect(detectCompilation({ title: 'Top 20 Hits of the 80s', durationSeconds: 4800 })).toMatchObject({ reason: 'title' });
+    expect(detectCompilation({ title: 'Song (Radio Mix)', durationSeconds: 210 })).toBeNull();
+    expect(detectCompilation({ title: 'Artist - 24 Hours', durationSeconds: 230 })).toBeNull();
+    expect(detectCompilation({ title: 'Chill House Mix 2024' })).toBeNull();
+  });
+
+  test('should flag very long videos', () => {
+    expect(detectCompilation({ title: 'Rain sounds for sleeping', durationSeconds: 7200, chapters: [] })).toEqual({ reason: 'duration', tracks: null });
+  });
+
+  test('should not flag songs', () => {
+    expect(detectCompilation({ title: 'Foo Fighters - Best of You', durationSeconds: 256 })).toBeNull();
+    expect(detectCompilation({ title: 'Adele - Hello', durationSeconds: 366, chapters: chapters.slice(0, 2) })).toBeNull();
+    expect(detectCompilation({})).toBeNull();
+  });
+
+  test('should trust "Provided to YouTube" metadata for a long track', () => {
+    const musicMetadata = { artist: 'Pink Floyd', song: 'Echoes' };
+    expect(detectCompilation({ title: 'Echoes', durationSeconds: 1411, musicMetadata })).toBeNull();
+    expect(detectCompilation({ title: 'Live Set', durationSeconds: 1411, musicMetadata, chapters })).toMatchObject({ reason: 'chapters' });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Tests for descriptionParser.js
+ * "Provided to YouTube by" blocks, "Artist: X" lines and tracklists
+ */
+
+import { parseMusicDescription, parseChapters } from '../../../utils/descriptionParser.js';
+
+const provided = [
+  'Provided to YouTube by Universal Music Group',
+  '',
+  'Blinding Lights · The Weeknd',
+  '',
+  'After Hours',
+  '',
+  '℗ 2020 The Weeknd XO, Inc., manufactured and marketed by Republic Records',
+  '',
+  'Released on: 2020-03-20',
+  '',
+  'Producer: Max Martin',
+  '',
+  'Auto-generated by YouTube.'
+].join('\n');
+
+describe('Description Parser', () => {
+  describe('"Provided to YouTube by" blocks', () => {
+    test('should read song, artist, album, label and release date', () => {
+      expect(parseMusicDescription(provided)).toEqual({
+        artist: 'The Weeknd',
+        song: 'Blinding Lights',
+        featured: [],
+        album: 'After Hours',
+        label: 'Universal Music Group',
+        releaseDate: '2020-03-20',
+        year: 2020,
+        confidence: 0.95,
+        source: 'provided'
+      });
+    });
+
+    test('should take later credits as featured artists', () => {
+      const description = 'Provided to YouTube by Columbia\r\n\r\nGet Lucky · Daft Punk · Pharrell Williams · Nile Rodgers\r\n\r\nRandom Access Memories';
+      expect(parseMusicDescription(description)).toMatchObject({
+        artist: 'Daft Punk',
+        song: 'Get Lucky',
+        featured: ['Pharrell Williams', 'Nile Rodgers'],
+        album: 'Random Access Memories',
+        releaseDate: null,
+        year: null
+      });
+    });
+
+    test('should fall back to the ℗ year and do without an album', () => {
+      const description = 'Provided to YouTube by Sony Music\n\nYellow · Coldplay\n\n℗ 2000 Parlophone Records Ltd';
+      expect(parseMusicDescription(description)).toMatchObject({ album: null, releaseDate: '2000', year: 2000 });
+    });
+
+    test('should read blocks after other text, in any script', () => {
+      const description = 'Stream now!\n\nProvided to YouTube by Sony Music Labels Inc.\n\n夜に駆ける · YOASOBI\n\n夜に駆ける\n\nReleased on: 2019-12-15';
+      expect(parseMusicDescription(description)).toMatchObject({ artist: 'YOASOBI', song: '夜に駆ける', year: 2019 });
+    });
+
+    test('should ignore a block without song and artist', () => {
+      expect(parseMusicDescription('Provided to YouTube by Someone\n\nJust a line')).toBeNull();
+    });
+  });
+
+  describe('"Artist: X" lines', () => {
+    test('should read artist, song, album, label and release', () => {
+      const description = 'Out now!\nArtist: Tame Impala\nSong: The Less I Know the Better\nAlbum: Currents\nLabel: Modular\nReleased: 2015';
+      expect(parseMusicDescription(description)).toEqual({
+        artist: 'Tame Impala',
+        song: 'The Less I Know the Better',
+        featured: [],
+        album: 'Currents',
+        label: 'Modular',
+        releaseDate: '2015',
+        year: 2015,
+        confidence: 0.85,
+        source: 'tagged'
+      });
+    });
+
+    test('should keep the first of repeated lines', () => {
+      const description = 'Title: Dreams\nPerformed by: Fleetwood Mac\nTitle: Rumours';
+      expect(parseMusicDescription(description)).toMatchObject({ artist: 'Fleetwood Mac', song: 'Dreams', album: null, year: null });
+    });
+
+    test('should need both artist and song', () => {
+      expect(parseMusicDescription('Artist: Adele\nSubscribe for more')).toBeNull();
+    });
+  });
+
+  test('should return null without a description', () => {
+    expect(parseMusicDescription('')).toBeNull();
+    expect(parseMusicDescription(undefined)).toBeNull();
+    expect(parseMusicDescription('Official video for my new single')).toBeNull();
+  });
+
+  describe('parseChapters', () => {
+    test('should read timestamps before or after the title, with or without brackets and numbers', () => {
+      const description = [
+        'Tracklist:',
+        '00:00 - Intro',
+        '1. Daft Punk - One More Time 3:45',
+        '[1:02:03] Adele – Hello',
+        '#4) Toto | 1:10:00'
+      ].join('\n');
+
+      expect(parseChapters(description)).toEqual([
+        { start: 0, title: 'Intro' },
+        { start: 225, title: 'Daft Punk - One More Time' },
+        { start: 3723, title: 'Adele – Hello' },
+        { start: 4200, title: 'Toto' }
+      ]);
+    });
+
+    test('should need two or more timestamps in order', () => {
+      expect(parseChapters('The drop at 2:31 is insane')).toEqual([]);
+      expect(parseChapters('3:00 Song A\n1:00 Song B')).toEqual([]);
+      expect(parseChapters('Ratio 16:9 and 12:30pm')).toEqual([]);
+      expect(parseChapters(null)).toEqual([]);
+    });
+  });
+});
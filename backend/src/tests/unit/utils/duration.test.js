@@ -0,0 +1,55 @@
+/**
+ * Tests for duration.js
+ * ISO-8601 durations and video/recording length agreement
+ */
+
+import { parseIsoDuration, durationAgreement } from '../../../utils/duration.js';
+
+describe('Duration', () => {
+  describe('parseIsoDuration', () => {
+    test.each([
+      ['PT3M33S', 213],
+      ['PT1H2M3S', 3723],
+      ['PT45S', 45],
+      ['PT10M', 600],
+      ['PT4M13.6S', 254],
+      ['P1DT2H', 93600],
+      ['P1W', 604800],
+      ['P0D', 0]
+    ])('should parse %s', (duration, seconds) => {
+      expect(parseIsoDuration(duration)).toBe(seconds);
+    });
+
+    test.each([undefined, null, '', 'P', 'PT', '3:33', 'PT3X', 213])('should reject %p', (duration) => {
+      expect(parseIsoDuration(duration)).toBeNull();
+    });
+  });
+
+  describe('durationAgreement', () => {
+    test('should fully agree within 20 seconds or 10%', () => {
+      expect(durationAgreement(213, 200000)).toBe(1);
+      expect(durationAgreement(185, 200000)).toBe(1);
+      expect(durationAgreement(600, 550000)).toBe(1);
+    });
+
+    test('should fall as the lengths part', () => {
+      const close = durationAgreement(260, 200000);
+      const far = durationAgreement(330, 200000);
+
+      expect(close).toBeLessThan(1);
+      expect(far).toBeLessThan(close);
+      expect(far).toBeGreaterThan(0);
+    });
+
+    test('should not agree at all for a mix matched to a single', () => {
+      expect(durationAgreement(3600, 200000)).toBe(0);
+      expect(durationAgreement(60, 200000)).toBe(0);
+    });
+
+    test('should be unknown without both lengths', () => {
+      expect(durationAgreement(null, 200000)).toBeNull();
+      expect(durationAgreement(213, undefined)).toBeNull();
+      expect(durationAgreement(0, 200000)).toBeNull();
+    });
+  });
+});
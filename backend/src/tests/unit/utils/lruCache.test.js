@@ -0,0 +1,134 @@
+/**
+ * Tests for lruCache.js
+ */
+
+import { jest } from '@jest/globals';
+import { LruCache } from '../../../utils/lruCache.js';
+
+describe('LruCache', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('get / set', () => {
+    test('should store and return values', () => {
+      const cache = new LruCache();
+
+      expect(cache.set('a', { x: 1 })).toBe(true);
+      expect(cache.get('a')).toEqual({ x: 1 });
+      expect(cache.get('b')).toBeUndefined();
+      expect(cache.has('a')).toBe(true);
+      expect(cache.has('b')).toBe(false);
+      expect(cache.size).toBe(1);
+    });
+
+    test('should replace values without double-counting their size', () => {
+      const cache = new LruCache();
+      cache.set('a', 'x'.repeat(10));
+      const bytes = cache.bytes;
+
+      cache.set('a', 'y'.repeat(10));
+
+      expect(cache.bytes).toBe(bytes);
+      expect(cache.get('a')).toBe('y'.repeat(10));
+    });
+
+    test('should estimate sizes even for values JSON can\'t represent', () => {
+      const cache = new LruCache();
+      cache.set('a', undefined);
+
+      expect(cache.bytes).toBe(2);
+    });
+  });
+
+  describe('limits', () => {
+    test('should evict the least recently used entry past maxEntries', () => {
+      const onEvict = jest.fn();
+      const cache = new LruCache({ maxEntries: 2, onEvict });
+
+      cache.set('a', 1);
+      cache.set('b', 2);
+      cache.get('a'); // a is now more recent than b
+      cache.set('c', 3);
+
+      expect(cache.keys()).toEqual(['a', 'c']);
+      expect(onEvict).toHaveBeenCalledWith('b', 'size');
+    });
+
+    test('should evict until under maxBytes', () => {
+      const onEvict = jest.fn();
+      const cache = new LruCache({ maxBytes: 100, onEvict });
+
+      cache.set('a', 'x'.repeat(20)); // (1 + 22) * 2 = 46 bytes
+      cache.set('b', 'x'.repeat(20));
+      cache.set('c', 'x'.repeat(20));
+
+      expect(cache.keys()).toEqual(['b', 'c']);
+      expect(cache.bytes).toBeLessThanOrEqual(100);
+      expect(onEvict).toHaveBeenCalledTimes(1);
+    });
+
+    test('should refuse values larger than maxBytes', () => {
+      const cache = new LruCache({ maxBytes: 10 });
+      cache.set('a', 'x'.repeat(100));
+
+      expect(cache.set('a', 'x'.repeat(100))).toBe(false);
+      expect(cache.size).toBe(0);
+      expect(cache.bytes).toBe(0);
+    });
+  });
+
+  describe('expiry', () => {
+    test('should expire entries after their TTL', () => {
+      jest.useFakeTimers({ now: 0 });
+      const onEvict = jest.fn();
+      const cache = new LruCache({ onEvict });
+
+      cache.set('a', 1, 1);
+      cache.set('b', 2); // No expiry
+
+      jest.setSystemTime(1001);
+
+      expect(cache.has('a')).toBe(false);
+      expect(cache.get('a')).toBeUndefined();
+      expect(cache.get('b')).toBe(2);
+      expect(onEvict).toHaveBeenCalledWith('a', 'expired');
+    });
+
+    test('should purge every expired entry at once', () => {
+      jest.useFakeTimers({ now: 0 });
+      const cache = new LruCache();
+
+      cache.set('a', 1, 1);
+      cache.set('b', 2, 1);
+      cache.set('c', 3, 10);
+
+      jest.setSystemTime(2000);
+
+      expect(cache.purgeExpired()).toBe(2);
+      expect(cache.keys()).toEqual(['c']);
+    });
+  });
+
+  describe('delete / clear', () => {
+    test('should delete entries and report whether one existed', () => {
+      const cache = new LruCache();
+      cache.set('a', 1);
+
+      expect(cache.delete('a')).toBe(true);
+      expect(cache.delete('a')).toBe(false);
+      expect(cache.bytes).toBe(0);
+    });
+
+    test('should clear everything', () => {
+      const cache = new LruCache();
+      cache.set('a', 1);
+      cache.set('b', 2);
+
+      cache.clear();
+
+      expect(cache.size).toBe(0);
+      expect(cache.bytes).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Tests for singleFlight.js
+ */
+
+import { SingleFlight } from '../../../utils/singleFlight.js';
+
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+describe('SingleFlight', () => {
+  test('should share one in-flight call between concurrent callers', async () => {
+    const flights = new SingleFlight();
+    const work = deferred();
+    let runs = 0;
+    const fn = () => {
+      runs++;
+      return work.promise;
+    };
+
+    const first = flights.run('a', fn);
+    const second = flights.run('a', fn);
+    work.resolve({ id: 1 });
+
+    expect(await first).toEqual({ id: 1 });
+    expect(await second).toBe(await first);
+    expect(runs).toBe(1);
+    expect(flights.getStats()).toEqual({ calls: 2, executions: 1, coalesced: 1, inFlight: 0 });
+  });
+
+  test('should run different keys separately', async () => {
+    const flights = new SingleFlight();
+
+    const results = await Promise.all([
+      flights.run('a', async () => 'a'),
+      flights.run('b', async () => 'b')
+    ]);
+
+    expect(results).toEqual(['a', 'b']);
+    expect(flights.getStats().coalesced).toBe(0);
+  });
+
+  test('should run again once the previous call settled', async () => {
+    const flights = new SingleFlight();
+    let runs = 0;
+
+    await flights.run('a', async () => ++runs);
+    await flights.run('a', async () => ++runs);
+
+    expect(runs).toBe(2);
+  });
+
+  test('should pass errors to every waiting caller and forget the key', async () => {
+    const flights = new SingleFlight();
+    const work = deferred();
+
+    const first = flights.run('a', () => work.promise);
+    const second = flights.run('a', () => work.promise);
+    expect(flights.getStats().inFlight).toBe(1);
+    work.reject(new Error('lookup failed'));
+
+    await expect(first).rejects.toThrow('lookup failed');
+    await expect(second).rejects.toThrow('lookup failed');
+    expect(flights.getStats().inFlight).toBe(0);
+    await expect(flights.run('a', async () => 'retried')).resolves.toBe('retried');
+  });
+
+  test('should turn synchronous throws into rejections', async () => {
+    const flights = new SingleFlight();
+
+    await expect(flights.run('a', () => { throw new Error('bad'); })).rejects.toThrow('bad');
+  });
+
+  test('should reset counters', async () => {
+    const flights = new SingleFlight();
+    await flights.run('a', async () => 1);
+
+    flights.resetStats();
+
+    expect(flights.getStats()).toEqual({ calls: 0, executions: 0, coalesced: 0, inFlight: 0 });
+  });
+});
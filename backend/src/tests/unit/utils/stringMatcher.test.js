@@ -69,6 +69,28 @@ describe('String Matcher', () => {
     });
   });
 
+  describe('similarityRatio with Unicode', () => {
+    test('should ignore diacritics and full-width forms', () => {
+      expect(similarityRatio('Beyoncé', 'Beyonce')).toBe(1.0);
+      expect(similarityRatio('ＹＯＡＳＯＢＩ', 'yoasobi')).toBe(1.0);
+    });
+
+    test('should compare across scripts by transliteration', () => {
+      expect(similarityRatio('ヨルシカ', 'Yorushika')).toBe(1.0);
+      expect(similarityRatio('Кино', 'Kino')).toBe(1.0);
+      expect(similarityRatio('방탄소년단', 'Bangtan Sonyeondan')).toBe(1.0);
+    });
+
+    test('should count characters outside the BMP once', () => {
+      expect(similarityRatio('𠮷野家', '吉野家')).toBeCloseTo(2 / 3, 5);
+    });
+
+    test('should not match strings with nothing to transliterate', () => {
+      expect(similarityRatio('ー', '-')).toBe(0);
+      expect(similarityRatio('米津玄師', 'Kenshi Yonezu')).toBe(0);
+    });
+  });
+
   describe('fuzzyMatch', () => {
     test('should match identical strings', () => {
       expect(fuzzyMatch('hello', 'hello')).toBe(true);
@@ -251,6 +273,12 @@ describe('String Matcher', () => {
       expect(output).toBe('rick astley never gonna give you up official video');
     });
 
+    test('should keep letters of every script and fold accents', () => {
+      expect(normalizeString('米津玄師「Lemon」')).toBe('米津玄師 lemon');
+      expect(normalizeString('Beyoncé — Halo')).toBe('beyonce halo');
+      expect(normalizeString('ＹＯＡＳＯＢＩ｜群青')).toBe('yoasobi 群青');
+    });
+
     test('should preserve alphanumeric characters', () => {
       expect(normalizeString('Test123')).toBe('test123');
       expect(normalizeString('ABC 123 XYZ')).toBe('abc 123 xyz');
@@ -6,8 +6,12 @@
 import {
   parseVideoTitle,
   extractPlaylistId,
-  extractVideoId
+  extractVideoId,
+  VERSION_TAGS,
+  prepareTitle
 } from '../../../utils/titleParser.js';
+import { trainTagger, tokenizeTitle, alignLabels } from '../../../utils/titleTagger.js';
+import { MULTILINGUAL_TITLES } from '../../helpers/titleCorpus.js';
 
 describe('Title Parser', () => {
   describe('parseVideoTitle', () => {
@@ -135,7 +139,16 @@ describe('Title Parser', () => {
 
       test('should clean VEVO from channel name', () => {
         const result = parseVideoTitle('Song Title', 'RickAstleyVEVO');
-        expect(result.artist).toBe('RickAstley'); // VEVO removed, not lowercased
+        expect(result.artist).toBe('Rick Astley'); // VEVO removed and words split, not lowercased
+        expect(result.confidence).toBe(0.5);
+      });
+
+      test('should keep a split VEVO name as written to search as well', () => {
+        expect(parseVideoTitle('Counting Stars', 'OneRepublicVEVO')).toMatchObject({
+          artist: 'One Republic',
+          artistAlternatives: ['OneRepublic']
+        });
+        expect(parseVideoTitle('Hello', 'AdeleVEVO').artistAlternatives).toEqual([]);
       });
 
       test('should clean "Official" from channel name', () => {
@@ -186,10 +199,271 @@ describe('Title Parser', () => {
         });
       });
 
-      test('should only remove suffix at the end', () => {
-        // Only (4K) is at the end and gets removed, others stay
+      test('should remove every suffix, not just the last', () => {
         const result = parseVideoTitle('Artist - Song (Official Video) (HD) (4K)');
-        expect(result.song).toBe('song (official video) (hd)');
+        expect(result.song).toBe('song');
+      });
+
+      test('should remove noise anywhere in the title', () => {
+        const result = parseVideoTitle('Artist [Official Audio] - Song (Remastered 2011)');
+        expect(result.artist).toBe('artist');
+        expect(result.song).toBe('song');
+        expect(result.versions).toEqual([]);
+      });
+
+      test('should keep brackets that are part of the song', () => {
+        const result = parseVideoTitle('The Rolling Stones - (I Can\'t Get No) Satisfaction');
+        expect(result.song).toBe('(i can\'t get no) satisfaction');
+      });
+    });
+
+    describe('Featured artists', () => {
+      test('should take featured artists out of brackets', () => {
+        const result = parseVideoTitle('Artist - Song (feat. X)');
+        expect(result.song).toBe('song');
+        expect(result.featured).toEqual(['x']);
+      });
+
+      test('should split featured artists off the artist', () => {
+        const result = parseVideoTitle('Daft Punk ft. Pharrell Williams & Nile Rodgers - Get Lucky');
+        expect(result.artist).toBe('daft punk');
+        expect(result.artists).toEqual(['daft punk']);
+        expect(result.featured).toEqual(['pharrell williams', 'nile rodgers']);
+      });
+
+      test('should split featured artists off the song', () => {
+        const result = parseVideoTitle('Song featuring X, Y by Artist');
+        expect(result.artist).toBe('artist');
+        expect(result.song).toBe('song');
+        expect(result.featured).toEqual(['x', 'y']);
+      });
+
+      test('should read "with" as featuring only in brackets', () => {
+        expect(parseVideoTitle('Artist - Song [with X]').featured).toEqual(['x']);
+        expect(parseVideoTitle('Artist - Dance With Me').song).toBe('dance with me');
+      });
+
+      test('should list each primary artist', () => {
+        const result = parseVideoTitle('A, B & C x D - Song');
+        expect(result.artist).toBe('a, b & c x d');
+        expect(result.artists).toEqual(['a', 'b', 'c', 'd']);
+      });
+    });
+
+    describe('Versions', () => {
+      test('should parse featured artists, remix and remixer together', () => {
+        expect(parseVideoTitle('Artist - Song (feat. X) [Y Remix]')).toEqual({
+          artist: 'artist',
+          song: 'song',
+          confidence: expect.any(Number),
+          artists: ['artist'],
+          featured: ['x'],
+          versions: ['remix'],
+          remixer: 'y',
+          aliases: [],
+          channelType: 'other',
+          album: null,
+          source: 'title',
+          artistAlternatives: []
+        });
+      });
+
+      test('should not take generic mixes for remixers', () => {
+        const result = parseVideoTitle('Artist - Song (Extended Mix)');
+        expect(result.versions).toEqual(['extended']);
+        expect(result.remixer).toBeNull();
+        expect(parseVideoTitle('Artist - Song (Y\'s Edit)')).toMatchObject({ versions: ['remix'], remixer: 'y' });
+      });
+
+      test('should tag each version', () => {
+        const titles = {
+          live: 'Artist - Song (Live at Wembley 1986)',
+          acoustic: 'Artist - Song [Unplugged]',
+          'sped up': 'Artist - Song (Sped Up Version)',
+          nightcore: 'Artist - Song [Nightcore]',
+          extended: 'Artist - Song (Extended)',
+          cover: 'Artist - Song (Cover)'
+        };
+
+        for (const [tag, title] of Object.entries(titles)) {
+          expect(parseVideoTitle(title)).toMatchObject({ song: 'song', versions: [tag] });
+        }
+        expect(Object.keys(VERSION_TAGS)).toEqual(expect.arrayContaining(Object.keys(titles)));
+      });
+
+      test('should tag slowed + reverb in brackets or bare', () => {
+        for (const title of ['Artist - Song (slowed + reverb)', 'Artist - Song slowed + reverb', 'Artist - Song - Slowed & Reverb']) {
+          expect(parseVideoTitle(title)).toMatchObject({ artist: 'artist', song: 'song', versions: ['slowed', 'reverb'] });
+        }
+      });
+
+      test('should only drop trailing dash parts after artist and song', () => {
+        expect(parseVideoTitle('Artist - Song - Live')).toMatchObject({ song: 'song', versions: ['live'] });
+        expect(parseVideoTitle('Artist - Song - Part Two').song).toBe('song - part two');
+      });
+
+      test('should list versions in a fixed order', () => {
+        expect(parseVideoTitle('Artist - Song (Acoustic) [Live] (Cover)').versions).toEqual(['live', 'acoustic', 'cover']);
+      });
+
+      test('should have no structure for an empty title', () => {
+        expect(parseVideoTitle('')).toMatchObject({ artists: [], featured: [], versions: [], remixer: null });
+      });
+    });
+
+    describe('Multilingual titles', () => {
+      test.each(MULTILINGUAL_TITLES)('should parse $title', ({ title, channelTitle, artist, song, versions = [], aliases = [] }) => {
+        expect(parseVideoTitle(title, channelTitle)).toMatchObject({ artist, song, versions, aliases });
+      });
+
+      test('should read full-width punctuation and dashes as separators', () => {
+        expect(parseVideoTitle('Artist － Song')).toMatchObject({ artist: 'artist', song: 'song' });
+        expect(parseVideoTitle('Artist—Song')).toMatchObject({ artist: 'artist', song: 'song' });
+        expect(parseVideoTitle('Ａｒｔｉｓｔ：Ｓｏｎｇ（Ｌｉｖｅ）')).toMatchObject({ artist: 'artist', song: 'song', versions: ['live'] });
+      });
+
+      test('should keep 【】 tags out of the song', () => {
+        expect(parseVideoTitle('Artist - Song【Official MV】').song).toBe('song');
+        expect(parseVideoTitle('Artist - Song【中文字幕】').song).toBe('song');
+        expect(parseVideoTitle('Artist - Song【Something】').song).toBe('song【something】');
+      });
+
+      test('should not take plain quotes inside a song for the song', () => {
+        expect(parseVideoTitle("Artist - Song 'Quoted' Part").song).toBe("song 'quoted' part");
+      });
+
+      test('should read "Artist / Song" unless the channel is on the right', () => {
+        expect(parseVideoTitle('Artist / Song')).toMatchObject({ artist: 'artist', song: 'song' });
+        expect(parseVideoTitle('Song / Artist', 'Artist')).toMatchObject({ artist: 'artist', song: 'song' });
+        expect(parseVideoTitle('AC/DC: Thunderstruck').artist).toBe('ac/dc');
+      });
+
+      test('should boost confidence when an alias matches the channel', () => {
+        const withAlias = parseVideoTitle('米津玄師 Kenshi Yonezu - Lemon', 'Kenshi Yonezu');
+        const without = parseVideoTitle('米津玄師 - Lemon', 'Kenshi Yonezu');
+        expect(withAlias.confidence).toBeGreaterThan(without.confidence);
+      });
+
+      test('should only split off names in another script', () => {
+        expect(parseVideoTitle('Artist - Song (Part 2)').song).toBe('song (part 2)');
+        expect(parseVideoTitle('Artist - 夜に駆ける 2').aliases).toEqual([]);
+      });
+    });
+
+    describe('Channel types', () => {
+      test('should take the artist from a Topic channel and the whole title as the song', () => {
+        expect(parseVideoTitle('Blinding Lights', 'The Weeknd - Topic')).toMatchObject({
+          artist: 'The Weeknd',
+          song: 'blinding lights',
+          confidence: 0.9,
+          channelType: 'topic'
+        });
+        expect(parseVideoTitle('Get Lucky (feat. Pharrell Williams) - Radio Edit', 'Daft Punk - Topic')).toMatchObject({
+          artist: 'Daft Punk',
+          song: 'get lucky',
+          featured: ['pharrell williams']
+        });
+      });
+
+      test('should strip trailing versions from Topic titles', () => {
+        expect(parseVideoTitle('Here Comes the Sun - Remastered 2009', 'The Beatles - Topic')).toMatchObject({ song: 'here comes the sun' });
+        expect(parseVideoTitle('Heroes - Live', 'David Bowie - Topic')).toMatchObject({ song: 'heroes', versions: ['live'] });
+        expect(parseVideoTitle('Hey Ya - Part 2', 'OutKast - Topic').song).toBe('hey ya - part 2');
+      });
+
+      test('should never take a label or lyric channel for the artist', () => {
+        expect(parseVideoTitle('Some Song', 'Monstercat')).toMatchObject({ artist: null, confidence: 0.3, channelType: 'label' });
+        expect(parseVideoTitle('Some Song', '7clouds')).toMatchObject({ artist: null, channelType: 'lyrics' });
+        expect(parseVideoTitle('Some Song', 'Various Artists - Topic')).toMatchObject({ artist: null, channelType: 'label' });
+      });
+
+      test('should adjust pattern confidence by channel type', () => {
+        const plain = parseVideoTitle('Pegboard Nerds - Hero', 'Some Channel').confidence;
+        expect(parseVideoTitle('Pegboard Nerds - Hero', 'Monstercat').confidence).toBeCloseTo(plain + 0.1);
+        expect(parseVideoTitle('Pegboard Nerds - Hero', 'Sad Songs').confidence).toBeCloseTo(plain - 0.1);
+      });
+
+      test('should match the artist against a VEVO channel written as one word', () => {
+        const result = parseVideoTitle('Taylor Swift - Style', 'TaylorSwiftVEVO');
+        expect(result.channelType).toBe('vevo');
+        expect(result.confidence).toBeGreaterThan(parseVideoTitle('Taylor Swift - Style', 'Pop Picks').confidence);
+      });
+
+      test('should match the artist against a VEVO channel name that isn\'t two words', () => {
+        const result = parseVideoTitle('McFly - Star Girl', 'McFlyVEVO');
+        expect(result.confidence).toBeGreaterThan(parseVideoTitle('McFly - Star Girl', 'Pop Picks').confidence);
+      });
+
+      test('should not read "Song / Artist" from a label channel', () => {
+        expect(parseVideoTitle('Song / Label', 'Label Records')).toMatchObject({ artist: 'song', song: 'label' });
+      });
+    });
+
+    describe('Description metadata', () => {
+      const metadata = { artist: 'Daft Punk', song: 'Get Lucky - Radio Edit', featured: ['Pharrell Williams'], album: 'Random Access Memories', confidence: 0.95 };
+
+      test('should take artist and song from the description over the title', () => {
+        expect(parseVideoTitle('GET LUCKY!!! (full song)', 'Fan Uploads', null, metadata)).toMatchObject({
+          artist: 'daft punk',
+          song: 'get lucky',
+          confidence: 0.95,
+          featured: ['pharrell williams'],
+          album: 'Random Access Memories',
+          source: 'description'
+        });
+      });
+
+      test('should keep version tags from both title and description', () => {
+        const live = { artist: 'David Bowie', song: 'Heroes (Live)' };
+        expect(parseVideoTitle('Heroes [Remix by Y]', '', null, live)).toMatchObject({
+          song: 'heroes',
+          versions: ['remix', 'live'],
+          featured: [],
+          album: null
+        });
+      });
+
+      test('should parse the title when the description lacks artist or song', () => {
+        expect(parseVideoTitle('Adele - Hello', '', null, { artist: 'Adele', song: null })).toMatchObject({
+          artist: 'adele',
+          song: 'hello',
+          source: 'title'
+        });
+      });
+    });
+
+    describe('Learned tagger', () => {
+      // "Song - Artist" whenever the channel is the artist
+      const examples = [
+        ['creep - radiohead', 'Radiohead', 'radiohead', 'creep'],
+        ['yellow - coldplay', 'Coldplay', 'coldplay', 'yellow'],
+        ['wake me up - avicii', 'Avicii', 'avicii', 'wake me up'],
+        ['dreams - fleetwood mac', 'Fleetwood Mac', 'fleetwood mac', 'dreams'],
+        ['adele - hello', 'Lyrics Hub', 'adele', 'hello'],
+        ['toto - africa', 'Music Box', 'toto', 'africa'],
+        ['lorde - royals', 'Pop Picks', 'lorde', 'royals']
+      ].map(([text, channelTitle, artist, song]) => ({
+        text,
+        channelTitle,
+        labels: alignLabels(text, tokenizeTitle(text), { artist, song })
+      }));
+      const model = trainTagger(examples);
+
+      test('should read artist and song with a model', () => {
+        const result = parseVideoTitle('Holocene - Bon Iver (Official Video)', 'Bon Iver', model);
+        expect(result).toMatchObject({ artist: 'bon iver', song: 'holocene' });
+        expect(result.confidence).toBeGreaterThanOrEqual(0.75);
+        expect(parseVideoTitle('Holocene - Bon Iver (Official Video)', 'Bon Iver').artist).toBe('holocene');
+      });
+
+      test('should fall back to the patterns when the model finds no artist', () => {
+        const empty = trainTagger([]);
+        expect(parseVideoTitle('Adele - Hello', '', empty)).toMatchObject({ artist: 'adele', song: 'hello' });
+      });
+
+      test('should prepare titles the way the tagger was trained on', () => {
+        expect(prepareTitle('Artist — Song (feat. X) [Official Video]')).toMatchObject({ text: 'artist - song', featured: ['x'] });
+        expect(prepareTitle(null).text).toBe('');
       });
     });
 
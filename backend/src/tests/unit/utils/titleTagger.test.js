@@ -0,0 +1,145 @@
+/**
+ * Tests for titleTagger.js
+ * Tokens, label alignment and the averaged perceptron tagger
+ */
+
+import {
+  tokenizeTitle,
+  alignLabels,
+  trainTagger,
+  tagTitle,
+  TAGGER_VERSION,
+  LABELS
+} from '../../../utils/titleTagger.js';
+
+// "artist - song", "song - artist" (the channel is the artist) and "song by artist" titles
+const titles = [
+  ['daft punk - one more time', 'Some Channel', 'daft punk', 'one more time'],
+  ['adele - hello', 'Lyrics Hub', 'adele', 'hello'],
+  ['queen - bohemian rhapsody', 'Queen Official', 'queen', 'bohemian rhapsody'],
+  ['toto - africa', 'Music Box', 'toto', 'africa'],
+  ['the weeknd - blinding lights', 'Vibe Music', 'the weeknd', 'blinding lights'],
+  ['lorde - royals', 'LordeVEVO', 'lorde', 'royals'],
+  ['tame impala - the less i know the better', 'Indie Picks', 'tame impala', 'the less i know the better'],
+  ['fleetwood mac - dreams', 'Fleetwood Mac', 'fleetwood mac', 'dreams'],
+  ['lewis capaldi - someone you loved', '7clouds', 'lewis capaldi', 'someone you loved'],
+  ['creep - radiohead', 'RadioheadVEVO', 'radiohead', 'creep'],
+  ['yellow - coldplay', 'Coldplay', 'coldplay', 'yellow'],
+  ['hallelujah by jeff buckley', '', 'jeff buckley', 'hallelujah'],
+  ['wake me up - avicii', 'Avicii', 'avicii', 'wake me up'],
+  ['dancing queen by abba', '', 'abba', 'dancing queen'],
+  ['never gonna give you up by rick astley', '', 'rick astley', 'never gonna give you up'],
+  ['stand by me by ben e. king', 'Oldies', 'ben e. king', 'stand by me']
+];
+
+function labeled(rows) {
+  return rows.map(([text, channelTitle, artist, song]) => ({
+    text,
+    channelTitle,
+    labels: alignLabels(text, tokenizeTitle(text), { artist, song })
+  }));
+}
+
+describe('Title Tagger', () => {
+  describe('tokenizeTitle', () => {
+    test('should split words and punctuation with their positions', () => {
+      expect(tokenizeTitle('a-ha - take on me')).toEqual([
+        { text: 'a-ha', start: 0, end: 4 },
+        { text: '-', start: 5, end: 6 },
+        { text: 'take', start: 7, end: 11 },
+        { text: 'on', start: 12, end: 14 },
+        { text: 'me', start: 15, end: 17 }
+      ]);
+    });
+
+    test('should keep apostrophes, dots and ampersands inside words', () => {
+      expect(tokenizeTitle("guns n' roses | ben e. king, r&b").map(t => t.text))
+        .toEqual(['guns', "n'", 'roses', '|', 'ben', 'e.', 'king', ',', 'r&b']);
+    });
+
+    test('should keep runs of other scripts together', () => {
+      expect(tokenizeTitle('米津玄師 - 感電').map(t => t.text)).toEqual(['米津玄師', '-', '感電']);
+      expect(tokenizeTitle(null)).toEqual([]);
+    });
+  });
+
+  describe('alignLabels', () => {
+    test('should label the words matching artist and song', () => {
+      const text = 'earth, wind & fire - september';
+      expect(alignLabels(text, tokenizeTitle(text), { artist: 'Earth, Wind & Fire', song: 'September' }))
+        .toEqual(['artist', 'artist', 'artist', 'artist', 'artist', 'other', 'song']);
+    });
+
+    test('should tolerate small differences and keep the two apart', () => {
+      const text = 'queen - queen of the night';
+      expect(alignLabels(text, tokenizeTitle(text), { artist: 'Queen', song: 'Queen of the Night' }))
+        .toEqual(['artist', 'other', 'song', 'song', 'song', 'song']);
+    });
+
+    test('should label only what is found', () => {
+      const text = 'one more time';
+      expect(alignLabels(text, tokenizeTitle(text), { artist: 'Daft Punk', song: 'One More Time' }))
+        .toEqual(['song', 'song', 'song']);
+      expect(alignLabels(text, tokenizeTitle(text), { artist: 'Adele', song: null })).toBeNull();
+    });
+  });
+
+  describe('trainTagger', () => {
+    test('should produce a versioned model of averaged weights', () => {
+      const model = trainTagger(labeled(titles), { epochs: 5 });
+
+      expect(model).toMatchObject({ version: TAGGER_VERSION, labels: LABELS, examples: titles.length, trainedAt: expect.any(String) });
+      expect(Object.keys(model.weights).length).toBeGreaterThan(0);
+      for (const weights of Object.values(model.weights)) {
+        expect(Object.values(weights)).not.toContain(0);
+      }
+    });
+
+    test('should train the same model twice', () => {
+      const first = trainTagger(labeled(titles));
+      const second = trainTagger(labeled(titles));
+      expect(second.weights).toEqual(first.weights);
+    });
+
+    test('should make an empty model without examples', () => {
+      expect(trainTagger([]).weights).toEqual({});
+    });
+  });
+
+  describe('tagTitle', () => {
+    const model = trainTagger(labeled(titles));
+
+    test('should read artist and song from a seen layout', () => {
+      expect(tagTitle(model, 'massive attack - teardrop', 'Electronic Gems')).toMatchObject({
+        artist: 'massive attack',
+        song: 'teardrop',
+        labels: ['artist', 'artist', 'other', 'song']
+      });
+    });
+
+    test('should use the channel to read "song - artist"', () => {
+      expect(tagTitle(model, 'holocene - bon iver', 'Bon Iver')).toMatchObject({ artist: 'bon iver', song: 'holocene' });
+    });
+
+    test('should read "song by artist"', () => {
+      expect(tagTitle(model, 'clair de lune by claude debussy')).toMatchObject({ artist: 'claude debussy', song: 'clair de lune' });
+    });
+
+    test('should report confidence between 0 and 1', () => {
+      const { confidence } = tagTitle(model, 'adele - hello', 'Lyrics Hub');
+      expect(confidence).toBeGreaterThan(0.5);
+      expect(confidence).toBeLessThanOrEqual(1);
+      expect(tagTitle(model, '')).toEqual({ artist: null, song: null, confidence: 0, labels: [] });
+    });
+
+    test('should handle brackets, numbers and any script', () => {
+      const result = tagTitle(model, '[house] 2 アイドル 방탄 кино ελλάδα - "σ"');
+      expect(result.labels).toHaveLength(12);
+      expect(result.confidence).toBeGreaterThan(0);
+    });
+
+    test('should find nothing with an empty model', () => {
+      expect(tagTitle(trainTagger([]), 'adele - hello')).toMatchObject({ artist: 'adele - hello', song: null });
+    });
+  });
+});
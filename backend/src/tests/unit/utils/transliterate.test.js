@@ -0,0 +1,94 @@
+/**
+ * Tests for transliterate.js
+ * Diacritic folding and romanization for cross-script name matching
+ */
+
+import { foldDiacritics, transliterate, hasNonLatinLetters } from '../../../utils/transliterate.js';
+
+describe('Transliterate', () => {
+  describe('foldDiacritics', () => {
+    test('should fold accents and keep case', () => {
+      expect(foldDiacritics('Beyoncé')).toBe('Beyonce');
+      expect(foldDiacritics('Mötley Crüe')).toBe('Motley Crue');
+      expect(foldDiacritics('Sigur Rós - Hoppípolla')).toBe('Sigur Ros - Hoppipolla');
+    });
+
+    test('should spell out letters without a decomposition', () => {
+      expect(foldDiacritics('Straße')).toBe('Strasse');
+      expect(foldDiacritics('Ølafur Arnalds')).toBe('Olafur Arnalds');
+      expect(foldDiacritics('Łódź')).toBe('Lodz');
+      expect(foldDiacritics('Æther')).toBe('AEther');
+    });
+
+    test('should fold Greek and Cyrillic accents', () => {
+      // Final sigma folds too, so word endings compare equal
+      expect(foldDiacritics('Μίκης')).toBe('Μικησ');
+      expect(foldDiacritics('Йёлка')).toBe('Иелка');
+    });
+
+    test('should keep dakuten and Hangul intact', () => {
+      expect(foldDiacritics('ガガ')).toBe('ガガ');
+      expect(foldDiacritics('방탄소년단')).toBe('방탄소년단');
+    });
+
+    test('should return empty string for empty input', () => {
+      expect(foldDiacritics('')).toBe('');
+      expect(foldDiacritics(null)).toBe('');
+    });
+  });
+
+  describe('transliterate', () => {
+    test('should romanize Cyrillic and Greek', () => {
+      expect(transliterate('Кино')).toBe('kino');
+      expect(transliterate('Земфира')).toBe('zemfira');
+      expect(transliterate('Щедрик')).toBe('shchedrik');
+      expect(transliterate('Μίκης Θεοδωράκης')).toBe('mikis theodorakis');
+    });
+
+    test('should romanize Hangul syllables', () => {
+      expect(transliterate('아이유')).toBe('aiyu');
+      expect(transliterate('방탄소년단')).toBe('bangtansonyeondan');
+      expect(transliterate('블루밍')).toBe('beulluming');
+    });
+
+    test('should romanize hiragana and katakana in Hepburn', () => {
+      expect(transliterate('ヨルシカ')).toBe('yorushika');
+      expect(transliterate('きゃりーぱみゅぱみゅ')).toBe('kyaripamyupamyu');
+      expect(transliterate('しゅ じゃ ちょ')).toBe('shu ja cho');
+    });
+
+    test('should double the consonant after a small tsu', () => {
+      expect(transliterate('きって')).toBe('kitte');
+      expect(transliterate('まっちゃ')).toBe('matcha');
+      expect(transliterate('っ')).toBe('');
+    });
+
+    test('should merge small vowels into the syllable before', () => {
+      expect(transliterate('ファンタジー')).toBe('fantaji');
+      expect(transliterate('ティーン')).toBe('tin');
+      expect(transliterate('ぁ')).toBe('a');
+    });
+
+    test('should fold case, width and accents of Latin text', () => {
+      expect(transliterate('ＹＯＡＳＯＢＩ')).toBe('yoasobi');
+      expect(transliterate('Beyoncé')).toBe('beyonce');
+    });
+
+    test('should leave Han characters as they are', () => {
+      expect(transliterate('米津玄師')).toBe('米津玄師');
+    });
+
+    test('should return empty string for empty input', () => {
+      expect(transliterate(null)).toBe('');
+    });
+  });
+
+  describe('hasNonLatinLetters', () => {
+    test('should tell Latin from other scripts', () => {
+      expect(hasNonLatinLetters('Beyoncé 2000!')).toBe(false);
+      expect(hasNonLatinLetters('IU 아이유')).toBe(true);
+      expect(hasNonLatinLetters('Кино')).toBe(true);
+      expect(hasNonLatinLetters(null)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Pure JS audio decoding (WAV and MP3) to mono Float32 samples
+ */
+
+import Mp3 from 'js-mp3';
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+/**
+ * Detect the container format from the first bytes of a file
+ *
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} 'wav', 'mp3' or null if unrecognized
+ */
+export function detectFormat(buffer) {
+  if (buffer.length >= 12 &&
+      buffer.toString('ascii', 0, 4) === 'RIFF' &&
+      buffer.toString('ascii', 8, 12) === 'WAVE') {
+    return 'wav';
+  }
+
+  // ID3 tag or bare MPEG frame sync
+  if (buffer.length >= 3 && buffer.toString('ascii', 0, 3) === 'ID3') {
+    return 'mp3';
+  }
+  if (buffer.length >= 2 && buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0) {
+    return 'mp3';
+  }
+
+  return null;
+}
+
+/**
+ * Decode a WAV file (8/16/24/32-bit PCM or 32-bit float)
+ *
+ * @param {Buffer} buffer - WAV file contents
+ * @returns {Object} { sampleRate, channels, duration, samples } (samples are mono, -1 to 1)
+ * @throws {Error} If the file is malformed or uses an unsupported encoding
+ */
+export function decodeWav(buffer) {
+  if (detectFormat(buffer) !== 'wav') {
+    throw new Error('Not a WAV file');
+  }
+
+  let format = null;
+  let data = null;
+  let offset = 12;
+
+  // Walk the chunk list; chunks are word-aligned
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const start = offset + 8;
+
+    if (id === 'fmt ') {
+      let audioFormat = buffer.readUInt16LE(start);
+      if (audioFormat === WAVE_FORMAT_EXTENSIBLE && size >= 26) {
+        audioFormat = buffer.readUInt16LE(start + 24); // First two bytes of the sub-format GUID
+      }
+      format = {
+        audioFormat,
+        channels: buffer.readUInt16LE(start + 2),
+        sampleRate: buffer.readUInt32LE(start + 4),
+        bitsPerSample: buffer.readUInt16LE(start + 14)
+      };
+    } else if (id === 'data') {
+      data = buffer.subarray(start, Math.min(start + size, buffer.length));
+    }
+
+    offset = start + size + (size % 2);
+  }
+
+  if (!format) {
+    throw new Error('WAV file has no fmt chunk');
+  }
+  if (!data) {
+    throw new Error('WAV file has no data chunk');
+  }
+
+  const { audioFormat, channels, sampleRate, bitsPerSample } = format;
+  const readSample = getSampleReader(audioFormat, bitsPerSample);
+  if (!readSample) {
+    throw new Error(`Unsupported WAV encoding (format ${audioFormat}, ${bitsPerSample}-bit)`);
+  }
+
+  const bytesPerSample = bitsPerSample / 8;
+  const frameCount = Math.floor(data.length / (bytesPerSample * channels));
+  const samples = new Float32Array(frameCount);
+
+  for (let i = 0; i < frameCount; i++) {
+    let sum = 0;
+    for (let ch = 0; ch < channels; ch++) {
+      sum += readSample(data, (i * channels + ch) * bytesPerSample);
+    }
+    samples[i] = sum / channels;
+  }
+
+  return { sampleRate, channels, duration: frameCount / sampleRate, samples };
+}
+
+/**
+ * Decode an MPEG-1 Layer III file
+ *
+ * @param {Buffer} buffer - MP3 file contents
+ * @returns {Object} { sampleRate, channels, duration, samples } (samples are mono, -1 to 1)
+ * @throws {Error} If no MP3 frames could be decoded
+ */
+export function decodeMp3(buffer) {
+  const arrayBuffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+  const decoder = Mp3.newDecoder(arrayBuffer);
+
+  if (!decoder) {
+    throw new Error('Could not decode MP3 file');
+  }
+
+  const channels = decoder.frame.header.numberOfChannels();
+
+  // The decoder concatenates every frame into one buffer (quadratic on long
+  // files), so collect frames ourselves and reset its buffer as we go
+  const chunks = [];
+  let byteLength = 0;
+  do {
+    if (decoder.buf) {
+      chunks.push(new Int16Array(decoder.buf));
+      byteLength += decoder.buf.byteLength;
+      decoder.buf = null;
+    }
+  } while (!decoder.readFrame().err);
+
+  const frameCount = Math.floor(byteLength / (2 * channels));
+  const samples = new Float32Array(frameCount);
+
+  let i = 0;
+  for (const chunk of chunks) {
+    for (let j = 0; j + channels <= chunk.length && i < frameCount; j += channels) {
+      let sum = 0;
+      for (let ch = 0; ch < channels; ch++) {
+        sum += chunk[j + ch];
+      }
+      samples[i++] = sum / channels / 32768;
+    }
+  }
+
+  return {
+    sampleRate: decoder.sampleRate,
+    channels,
+    duration: frameCount / decoder.sampleRate,
+    samples
+  };
+}
+
+/**
+ * Decode a WAV or MP3 file, detecting the format from its contents
+ *
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} { sampleRate, channels, duration, samples }
+ * @throws {Error} If the format is not supported
+ */
+export function decodeAudio(buffer) {
+  const format = detectFormat(buffer);
+
+  if (format === 'wav') {
+    return decodeWav(buffer);
+  }
+  if (format === 'mp3') {
+    return decodeMp3(buffer);
+  }
+
+  throw new Error('Unsupported audio format (expected WAV or MP3)');
+}
+
+/**
+ * Get a function reading one sample (-1 to 1) at a byte offset
+ */
+function getSampleReader(audioFormat, bitsPerSample) {
+  if (audioFormat === WAVE_FORMAT_IEEE_FLOAT && bitsPerSample === 32) {
+    return (data, offset) => data.readFloatLE(offset);
+  }
+
+  if (audioFormat !== WAVE_FORMAT_PCM) {
+    return null;
+  }
+
+  switch (bitsPerSample) {
+    case 8:
+      return (data, offset) => (data[offset] - 128) / 128; // 8-bit WAV is unsigned
+    case 16:
+      return (data, offset) => data.readInt16LE(offset) / 32768;
+    case 24:
+      return (data, offset) => data.readIntLE(offset, 3) / 8388608;
+    case 32:
+      return (data, offset) => data.readInt32LE(offset) / 2147483648;
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * Ranks MusicBrainz recording search results against a parsed video title
+ *
+ * Each candidate gets a matchScore (0 to 1) from:
+ * - how closely its artist credit and title match the query (stringMatcher)
+ * - MusicBrainz's own search score
+ * - its releases: official studio releases beat bootlegs, live albums and
+ *   karaoke/compilation-only appearances
+ * - version markers (live, karaoke, remix, ...) in its title or
+ *   disambiguation that the query didn't ask for, in its song or versions
+ */
+
+import { calculateMatchScore, normalizeString } from './stringMatcher.js';
+
+const WEIGHTS = {
+  text: 0.55,
+  musicBrainz: 0.25,
+  release: 0.2
+};
+
+// Penalty per version marker the query didn't ask for
+const VERSION_PENALTY = 0.15;
+
+const VERSION_MARKERS = [
+  'live', 'karaoke', 'instrumental', 'cover', 'demo', 'acoustic',
+  'remix', 'mix', 'reprise', 'rehearsal', 'tribute', 'sped up', 'slowed'
+];
+
+// Release-group secondary types that usually aren't the song people mean
+const UNWANTED_RELEASE_TYPES = ['live', 'karaoke', 'compilation', 'dj-mix', 'mixtape/street', 'remix', 'demo'];
+
+/**
+ * Find the version markers in a title or disambiguation
+ *
+ * @param {string} text - e.g. 'One More Time (live at Wembley)'
+ * @returns {Array} Markers found, e.g. ['live']
+ */
+export function versionMarkers(text) {
+  const normalized = ` ${normalizeString(text)} `;
+  return VERSION_MARKERS.filter(marker => normalized.includes(` ${marker} `));
+}
+
+/**
+ * Rate a recording's releases (0 to 1)
+ * No release info is treated as neutral (0.5)
+ *
+ * @param {Object} recording - MusicBrainz search result
+ * @returns {number} 1 for an official studio release, lower for bootleg,
+ *   promotional or live/karaoke/compilation-only appearances
+ */
+export function releaseQuality(recording) {
+  const releases = recording.releases || [];
+  if (releases.length === 0) {
+    return 0.5;
+  }
+
+  return Math.max(...releases.map(release => {
+    const status = (release.status || '').toLowerCase();
+    const secondaryTypes = (release['release-group']?.['secondary-types'] || []).map(t => t.toLowerCase());
+
+    let quality = status === 'official' ? 1 : status === '' ? 0.6 : 0.3;
+    if (secondaryTypes.some(type => UNWANTED_RELEASE_TYPES.includes(type))) {
+      quality *= 0.5;
+    }
+    return quality;
+  }));
+}
+
+/**
+ * Full artist credit, e.g. 'Daft Punk feat. Romanthony'
+ */
+export function artistCredit(recording) {
+  const credit = recording['artist-credit'] || [];
+  return credit.map(c => `${c.name}${c.joinphrase || ''}`).join('').trim();
+}
+
+/**
+ * Score one recording against the query
+ *
+ * @param {Object} query - { artist, song, versions } parsed from the video title
+ * @param {Object} recording - MusicBrainz search result
+ * @returns {number} matchScore from 0 to 1 (3 decimals)
+ */
+export function scoreCandidate(query, recording) {
+  const credit = artistCredit(recording);
+  const text = Math.max(
+    calculateMatchScore(
+      { artist: normalizeString(query.artist), song: normalizeString(query.song) },
+      { artist: normalizeString(credit), song: normalizeString(recording.title) }
+    ),
+    // A featured artist in the credit shouldn't count against the main one
+    calculateMatchScore(
+      { artist: normalizeString(query.artist), song: normalizeString(query.song) },
+      { artist: normalizeString(recording['artist-credit']?.[0]?.name), song: normalizeString(recording.title) }
+    )
+  );
+
+  const musicBrainz = (recording.score ?? 50) / 100;
+
+  const wanted = [...versionMarkers(query.song), ...(query.versions || [])];
+  const unwanted = versionMarkers(`${recording.title} ${recording.disambiguation || ''}`)
+    .filter(marker => !wanted.includes(marker));
+
+  const score = WEIGHTS.text * text +
+    WEIGHTS.musicBrainz * musicBrainz +
+    WEIGHTS.release * releaseQuality(recording) -
+    VERSION_PENALTY * unwanted.length;
+
+  return Math.round(Math.min(1, Math.max(0, score)) * 1000) / 1000;
+}
+
+/**
+ * Rank recordings best first
+ * Ties keep MusicBrainz's order
+ *
+ * @param {Object} query - { artist, song, versions }
+ * @param {Array} recordings - MusicBrainz search results
+ * @returns {Array} [{ recording, matchScore }] sorted by matchScore
+ */
+export function rankCandidates(query, recordings) {
+  return recordings
+    .map((recording, index) => ({ recording, matchScore: scoreCandidate(query, recording), index }))
+    .sort((a, b) => b.matchScore - a.matchScore || a.index - b.index)
+    .map(({ recording, matchScore }) => ({ recording, matchScore }));
+}
@@ -0,0 +1,103 @@
+/**
+ * Classifies YouTube channels by what their name says about the artist
+ *
+ * - topic: "Artist - Topic", auto-generated by YouTube Music. Titles are the
+ *   song alone and the channel names the artist.
+ * - vevo: "ArtistVEVO". The channel is the artist. Run-together names are
+ *   split at case changes, which is wrong for names like "OneRepublic", so
+ *   the name as written is kept as an alternative.
+ * - label: record labels and compilation channels ("Monstercat", "Trap Nation",
+ *   "Various Artists - Topic"). They upload many artists, so the channel is
+ *   never the artist.
+ * - lyrics: lyric and edit uploads ("7clouds", "... Lyrics", "... Vibes").
+ *   Also never the artist.
+ * - other: anything else. The channel may be the artist, with "Official",
+ *   "Music" and the like dropped.
+ */
+
+export const CHANNEL_TYPES = ['topic', 'vevo', 'label', 'lyrics', 'other'];
+
+// Well-known label and compilation channels whose names don't say so
+const KNOWN_LABELS = [
+  'monstercat', 'monstercat uncaged', 'monstercat instinct', 'ncs', 'nocopyrightsounds',
+  'trap nation', 'chill nation', 'bass nation', 'house nation', 'rap nation', 'proximity',
+  'majestic casual', 'mrsuicidesheep', 'mr suicide sheep', 'suicidesheep', 'xkito music',
+  'chillhopmusic', 'chillhop music', 'lofi girl', 'the vibe guide', 'cloudkid', 'selected.',
+  'spinnin records', 'ultra music', 'armada music', 'revealed recordings', 'stmpd rcrds',
+  'musical freedom', 'hexagon', 'spinnin', 'defected', 'anjunabeats', 'anjunadeep',
+  'cercle', 'boiler room', 'colors', 'a colors show', 'tiny desk concerts', 'npr music',
+  'hybe labels', 'smtown', 'jyp entertainment', '1thek', '1thek (원더케이)', 'stone music entertainment',
+  'genie music', 'mnet k-pop', 'kbs kpop', 'kbs world tv', 'mbckpop', 'the k-pop',
+  'avex', 'sony music japan', 'toho animation', 'ponycanyon', 'lantis',
+  'vevo', 'various artists', 'now thats what i call music', 'ministry of sound'
+];
+
+// Words in a channel name that mark a label or compilation
+const LABEL_WORDS = /\b(records?|recordings|rcrds|entertainment|labels?|music group|compilations?|nation|hits|playlists?)\b/;
+
+// Lyric and edit upload channels
+const KNOWN_LYRICS = ['7clouds', 'taj tracks', 'dan music', 'syrebralvibes', 'unique vibes', 'cakes & eclairs', 'sad songs', 'rap city', 'lyrical lemonade'];
+const LYRICS_WORDS = /\b(lyrics?|letras?|vibes?|sped up|slowed|nightcore|8d audio)\b|歌詞|가사/;
+
+// Endings of artist channel names that aren't part of the name
+const ARTIST_SUFFIX = /\s*(?:-\s*)?(?:official(?: artist| youtube)?(?: channel)?|channel|music|tv)$/i;
+
+/**
+ * Split a run-together name at case changes: 'TaylorSwift' -> 'Taylor Swift'
+ * Names in one case ('ADELE', 'edsheeran') are left as they are
+ */
+function splitCamelCase(name) {
+  return name.replace(/(\p{Ll})(\p{Lu})/gu, '$1 $2');
+}
+
+/**
+ * Drop endings like "Official" or "Music", unless nothing would be left
+ */
+function stripArtistSuffix(name) {
+  let stripped = name;
+  while (ARTIST_SUFFIX.test(stripped) && stripped.replace(ARTIST_SUFFIX, '')) {
+    stripped = stripped.replace(ARTIST_SUFFIX, '');
+  }
+  return stripped.trim();
+}
+
+/**
+ * Classify a channel
+ *
+ * @param {string} channelTitle - YouTube channel name
+ * @returns {Object} { type: one of CHANNEL_TYPES, artist: the artist the
+ *   channel stands for (null for labels, lyric channels and no channel),
+ *   alternatives: other spellings of that artist }
+ */
+export function classifyChannel(channelTitle) {
+  const name = (channelTitle || '').normalize('NFKC').trim().replace(/\s+/g, ' ');
+  const lower = name.toLowerCase().replace(/[’']/g, '');
+
+  if (!name) {
+    return { type: 'other', artist: null, alternatives: [] };
+  }
+
+  const topic = name.match(/^(.+?)\s+-\s+topic$/i);
+  if (topic) {
+    return KNOWN_LABELS.includes(topic[1].toLowerCase())
+      ? { type: 'label', artist: null, alternatives: [] }
+      : { type: 'topic', artist: topic[1].trim(), alternatives: [] };
+  }
+
+  if (KNOWN_LABELS.includes(lower) || LABEL_WORDS.test(lower)) {
+    return { type: 'label', artist: null, alternatives: [] };
+  }
+
+  const vevo = name.match(/^(.+?)\s*vevo$/i);
+  if (vevo) {
+    const written = vevo[1].trim();
+    const split = splitCamelCase(written);
+    return { type: 'vevo', artist: split, alternatives: split === written ? [] : [written] };
+  }
+
+  if (KNOWN_LYRICS.includes(lower) || LYRICS_WORDS.test(lower)) {
+    return { type: 'lyrics', artist: null, alternatives: [] };
+  }
+
+  return { type: 'other', artist: stripArtistSuffix(name), alternatives: [] };
+}
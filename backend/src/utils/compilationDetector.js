@@ -0,0 +1,55 @@
+/**
+ * Detects videos that hold many songs: mixes, compilations, full albums,
+ * DJ sets and hour-long loops
+ *
+ * Such videos can't be matched to one recording, so they're flagged
+ * instead of scored as a song. The signs, strongest first:
+ * - a timestamped tracklist in the description (see descriptionParser.js)
+ * - a title that says so ("Full Album", "Greatest Hits", "Megamix", ...)
+ * - "mix", "medley", "1 hour" and the like in the title of a long video
+ * - a very long video
+ * Videos with "Provided to YouTube by" metadata are single tracks, however long.
+ */
+
+// Titles that always mean many songs ("Best of You" is one)
+const COMPILATION_TITLE = /\b(full album|best of(?! (?:you|me|us|my|both)\b)|greatest hits|compilation|playlist|megamix|non-?stop|dj set|\d+\s*songs)\b|메들리|作業用|メドレー/;
+
+// Titles that mean many songs only in a long video ("Radio Mix" and "24 Hours" are one song)
+const LONG_MIX_TITLE = /\b(mix|set|medley|mixtape|session|top \d+|\d+\s*hours?)\b/;
+
+const MIN_CHAPTERS = 3;
+const LONG_MIX_SECONDS = 10 * 60;
+const LONG_VIDEO_SECONDS = 20 * 60;
+
+/**
+ * Whether a video holds many songs
+ *
+ * @param {Object} video - { title, durationSeconds, chapters, musicMetadata }
+ * @returns {Object|null} { reason: 'chapters'|'title'|'duration', tracks:
+ *   number of chapters or null }, or null for a single song
+ */
+export function detectCompilation(video) {
+  const chapters = video.chapters || [];
+  const tracks = chapters.length || null;
+
+  if (chapters.length >= MIN_CHAPTERS) {
+    return { reason: 'chapters', tracks };
+  }
+
+  if (video.musicMetadata) {
+    return null;
+  }
+
+  const title = (video.title || '').normalize('NFKC').toLowerCase();
+  const duration = video.durationSeconds || 0;
+
+  if (COMPILATION_TITLE.test(title) || (LONG_MIX_TITLE.test(title) && duration >= LONG_MIX_SECONDS)) {
+    return { reason: 'title', tracks };
+  }
+
+  if (duration >= LONG_VIDEO_SECONDS) {
+    return { reason: 'duration', tracks };
+  }
+
+  return null;
+}
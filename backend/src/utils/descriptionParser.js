@@ -0,0 +1,172 @@
+/**
+ * Reads music metadata from YouTube video descriptions
+ *
+ * Videos auto-generated from label deliveries (Topic channels, YouTube Music)
+ * have a fixed description block:
+ *
+ *   Provided to YouTube by Universal Music Group
+ *
+ *   Blinding Lights · The Weeknd
+ *
+ *   After Hours
+ *
+ *   ℗ 2020 The Weeknd XO, Inc.
+ *
+ *   Released on: 2020-03-20
+ *
+ * Some uploaders write "Artist: X", "Song: Y", "Album: Z" lines instead.
+ * Both name artist and song more reliably than the title does.
+ *
+ * Mixes and full albums list their tracks with timestamps ("0:00 Intro",
+ * "3:45 Artist - Song"), which parseChapters reads.
+ */
+
+// "1:02:03" or "2:03", with optional brackets, at the start or end of a line
+const TIMESTAMP = /(?:^|\s)[[(]?((?:\d{1,2}:)?\d{1,2}:\d{2})[\])]?(?=\s|$)/;
+
+// Confidence of each kind of block, above what title patterns reach
+const CONFIDENCE = { provided: 0.95, tagged: 0.85 };
+
+const PROVIDED_BY = /^provided to youtube by\s+(.+)$/i;
+const RELEASED_ON = /^released on:/i;
+const PHONOGRAM = /^[℗©]/;
+
+// "Key: value" lines, by the field they fill
+const TAGGED_FIELDS = {
+  artist: /^(?:artist|artists|performed by|performer)\s*:\s*(.+)$/i,
+  song: /^(?:song|title|track|song title)\s*:\s*(.+)$/i,
+  album: /^(?:album|ep|from the album)\s*:\s*(.+)$/i,
+  label: /^(?:label|record label)\s*:\s*(.+)$/i,
+  releaseDate: /^(?:released?|release date|released on)\s*:\s*(.+)$/i
+};
+
+/**
+ * The release date and year from "2020-03-20" or "2020"
+ */
+function releaseFields(text) {
+  const match = text?.match(/\b(\d{4})(?:-\d{2}-\d{2})?\b/);
+  if (!match) {
+    return { releaseDate: null, year: null };
+  }
+  return { releaseDate: match[0], year: Number(match[1]) };
+}
+
+/**
+ * Read a "Provided to YouTube by" block
+ */
+function parseProvidedBlock(lines) {
+  const start = lines.findIndex(line => PROVIDED_BY.test(line));
+  if (start === -1) {
+    return null;
+  }
+
+  const label = lines[start].match(PROVIDED_BY)[1].trim();
+  const rest = lines.slice(start + 1).filter(Boolean);
+
+  // "Song · Artist · Artist"
+  const credits = rest[0]?.split(/\s+·\s+/).map(part => part.trim()).filter(Boolean) || [];
+  if (credits.length < 2) {
+    return null;
+  }
+
+  const [song, artist, ...featured] = credits;
+
+  // The album is the line after the credits, unless the block skips it
+  const album = rest[1] && !PHONOGRAM.test(rest[1]) && !RELEASED_ON.test(rest[1]) ? rest[1] : null;
+  // The release date, else the ℗ year
+  const released = rest.find(line => RELEASED_ON.test(line)) || rest.find(line => PHONOGRAM.test(line));
+
+  return {
+    artist,
+    song,
+    featured,
+    album,
+    label,
+    ...releaseFields(released),
+    confidence: CONFIDENCE.provided,
+    source: 'provided'
+  };
+}
+
+/**
+ * Read "Artist: X" / "Song: Y" lines
+ */
+function parseTaggedLines(lines) {
+  const fields = {};
+
+  for (const line of lines) {
+    for (const [field, pattern] of Object.entries(TAGGED_FIELDS)) {
+      const match = line.match(pattern);
+      if (match && !fields[field]) {
+        fields[field] = match[1].trim();
+      }
+    }
+  }
+
+  if (!fields.artist || !fields.song) {
+    return null;
+  }
+
+  return {
+    artist: fields.artist,
+    song: fields.song,
+    featured: [],
+    album: fields.album || null,
+    label: fields.label || null,
+    ...releaseFields(fields.releaseDate),
+    confidence: CONFIDENCE.tagged,
+    source: 'tagged'
+  };
+}
+
+/**
+ * Read the music metadata in a video description
+ *
+ * @param {string} description - YouTube video description
+ * @returns {Object|null} { artist, song, featured, album, label, releaseDate,
+ *   year, confidence, source: 'provided'|'tagged' }, or null if the
+ *   description names no artist and song
+ */
+export function parseMusicDescription(description) {
+  if (!description) {
+    return null;
+  }
+
+  const lines = description.normalize('NFKC').split(/\r?\n/).map(line => line.trim());
+  return parseProvidedBlock(lines) || parseTaggedLines(lines);
+}
+
+/**
+ * Seconds in a "1:02:03" or "2:03" timestamp
+ */
+function timestampSeconds(timestamp) {
+  return timestamp.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+/**
+ * Read the timestamped tracklist in a video description
+ * Only lists of two or more timestamps in ascending order count, so a lone
+ * "the drop at 2:31" isn't a chapter
+ *
+ * @param {string} description - YouTube video description
+ * @returns {Array} [{ start: seconds, title }] in order, empty if there's no tracklist
+ */
+export function parseChapters(description) {
+  const chapters = [];
+
+  for (const line of (description || '').normalize('NFKC').split(/\r?\n/)) {
+    const match = line.match(TIMESTAMP);
+    if (!match) {
+      continue;
+    }
+
+    // Without the timestamp, track number ("1.", "01)") and separators around them
+    const title = `${line.slice(0, match.index)} ${line.slice(match.index + match[0].length)}`
+      .replace(/^\s*#?\d{1,3}[.)]\s+/, '')
+      .replace(/^[\s\-–—|:•·]+|[\s\-–—|:•·]+$/g, '');
+    chapters.push({ start: timestampSeconds(match[1]), title });
+  }
+
+  const ascending = chapters.every((chapter, i) => i === 0 || chapter.start > chapters[i - 1].start);
+  return chapters.length >= 2 && ascending ? chapters : [];
+}
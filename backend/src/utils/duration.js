@@ -0,0 +1,59 @@
+/**
+ * Video and recording durations
+ *
+ * - parseIsoDuration: YouTube's ISO-8601 durations ('PT3M33S') in seconds
+ * - durationAgreement: how well a video's length fits a recording's. Music
+ *   videos run a little long (intros, outros, skits), so small differences
+ *   don't count.
+ */
+
+const ISO_DURATION = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/;
+
+// Differences up to this many seconds, or this share of the recording, fully agree
+const TOLERANCE_SECONDS = 20;
+const TOLERANCE_RATIO = 0.1;
+
+// At this length ratio (shorter / longer) or below, they don't agree at all
+const MIN_RATIO = 0.5;
+
+/**
+ * Parse an ISO-8601 duration
+ *
+ * @param {string} duration - e.g. 'PT1H2M3S', 'P1DT2H' (YouTube uses 'P0D' for live streams)
+ * @returns {number|null} Seconds, or null if it isn't a duration
+ */
+export function parseIsoDuration(duration) {
+  const match = typeof duration === 'string' && duration !== 'P' && !duration.endsWith('T')
+    ? duration.match(ISO_DURATION)
+    : null;
+  if (!match) {
+    return null;
+  }
+
+  const [weeks, days, hours, minutes, seconds] = match.slice(1).map(part => Number(part || 0));
+  return Math.round(((weeks * 7 + days) * 24 + hours) * 3600 + minutes * 60 + seconds);
+}
+
+/**
+ * How well a video's length agrees with a recording's
+ *
+ * @param {number} videoSeconds - Video duration in seconds
+ * @param {number} recordingMs - Recording length in milliseconds (as MusicBrainz gives it)
+ * @returns {number|null} 1 when they fit, falling to 0 as the shorter gets to
+ *   half the longer; null if either is unknown
+ */
+export function durationAgreement(videoSeconds, recordingMs) {
+  if (!(videoSeconds > 0) || !(recordingMs > 0)) {
+    return null;
+  }
+
+  const recordingSeconds = recordingMs / 1000;
+  const difference = Math.abs(videoSeconds - recordingSeconds);
+  if (difference <= Math.max(TOLERANCE_SECONDS, recordingSeconds * TOLERANCE_RATIO)) {
+    return 1;
+  }
+
+  const ratio = Math.min(videoSeconds, recordingSeconds) / Math.max(videoSeconds, recordingSeconds);
+  const agreement = (ratio - MIN_RATIO) / (1 - TOLERANCE_RATIO - MIN_RATIO);
+  return Math.round(Math.max(0, Math.min(1, agreement)) * 1000) / 1000;
+}
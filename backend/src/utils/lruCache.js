@@ -0,0 +1,159 @@
+/**
+ * Bounded least-recently-used cache with per-entry TTLs
+ *
+ * Holds at most `maxEntries` entries and roughly `maxBytes` bytes (sizes are
+ * estimated from each value's JSON form). When either limit is exceeded the
+ * least recently read or written entries are evicted first.
+ */
+
+export class LruCache {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxEntries - Max number of entries (0 = unlimited)
+   * @param {number} options.maxBytes - Max estimated total size in bytes (0 = unlimited)
+   * @param {Function} options.onEvict - Called with (key, reason) when an entry is
+   *   dropped to make room ('size') or because it expired ('expired')
+   */
+  constructor({ maxEntries = 0, maxBytes = 0, onEvict = null } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.onEvict = onEvict;
+    this.entries = new Map(); // key -> { value, expiresAt, bytes }, oldest first
+    this.bytes = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Get a value, marking it as recently used
+   *
+   * @param {string} key - Cache key
+   * @returns {*} Value, or undefined if missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    if (this.isExpired(entry)) {
+      this.remove(key, 'expired');
+      return undefined;
+    }
+
+    // Re-insert to move the entry to the most recently used end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Check for a live entry without marking it as used
+   */
+  has(key) {
+    const entry = this.entries.get(key);
+    return Boolean(entry) && !this.isExpired(entry);
+  }
+
+  /**
+   * Store a value, evicting old entries if a limit is exceeded
+   * Values larger than maxBytes on their own aren't stored at all.
+   *
+   * @param {string} key - Cache key
+   * @param {*} value - JSON-serializable value
+   * @param {number} ttlSeconds - Time to live (0 = no expiry)
+   * @returns {boolean} Whether the value was stored
+   */
+  set(key, value, ttlSeconds = 0) {
+    const bytes = estimateBytes(key, value);
+    this.delete(key);
+
+    if (this.maxBytes > 0 && bytes > this.maxBytes) {
+      return false;
+    }
+
+    this.entries.set(key, {
+      value,
+      expiresAt: ttlSeconds > 0 ? Date.now() + ttlSeconds * 1000 : 0,
+      bytes
+    });
+    this.bytes += bytes;
+
+    while (this.isOverLimit()) {
+      this.remove(this.entries.keys().next().value, 'size');
+    }
+    return true;
+  }
+
+  /**
+   * Remove an entry
+   *
+   * @returns {boolean} True if an entry was removed
+   */
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return false;
+    }
+
+    this.entries.delete(key);
+    this.bytes -= entry.bytes;
+    return true;
+  }
+
+  /**
+   * All keys, oldest first (expired entries included until purged)
+   */
+  keys() {
+    return Array.from(this.entries.keys());
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  /**
+   * Drop every expired entry
+   *
+   * @returns {number} Number of entries dropped
+   */
+  purgeExpired() {
+    let purged = 0;
+    for (const [key, entry] of Array.from(this.entries)) {
+      if (this.isExpired(entry)) {
+        this.remove(key, 'expired');
+        purged++;
+      }
+    }
+    return purged;
+  }
+
+  // Private helpers
+
+  isExpired(entry) {
+    return entry.expiresAt > 0 && Date.now() > entry.expiresAt;
+  }
+
+  isOverLimit() {
+    return (this.maxEntries > 0 && this.entries.size > this.maxEntries) ||
+      (this.maxBytes > 0 && this.bytes > this.maxBytes);
+  }
+
+  remove(key, reason) {
+    this.delete(key);
+    if (this.onEvict) {
+      this.onEvict(key, reason);
+    }
+  }
+}
+
+/**
+ * Rough in-memory footprint of an entry: its key and JSON form as UTF-16
+ */
+function estimateBytes(key, value) {
+  const json = JSON.stringify(value) ?? '';
+  return (key.length + json.length) * 2;
+}
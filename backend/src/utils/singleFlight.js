@@ -0,0 +1,60 @@
+/**
+ * Single-flight request coalescing
+ *
+ * Concurrent calls for the same key share one in-flight promise instead of
+ * each doing the work: the first caller runs the function, callers arriving
+ * before it settles get the same result (or error). Once it settles the key
+ * is forgotten, so later calls run again (caching is the caller's job).
+ *
+ * Coalesced callers receive the same object, so results must not be mutated.
+ */
+
+export class SingleFlight {
+  constructor() {
+    this.inFlight = new Map(); // key -> promise
+    this.calls = 0;
+    this.executions = 0;
+  }
+
+  /**
+   * Run fn for a key unless a call for that key is already in flight
+   *
+   * @param {string} key - Identifies identical work
+   * @param {Function} fn - Async function doing the work
+   * @returns {Promise<*>} fn's result, shared with concurrent callers
+   */
+  run(key, fn) {
+    this.calls++;
+
+    const pending = this.inFlight.get(key);
+    if (pending) {
+      return pending;
+    }
+
+    this.executions++;
+    const promise = Promise.resolve()
+      .then(fn)
+      .finally(() => this.inFlight.delete(key));
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Counters since creation (or the last reset)
+   *
+   * @returns {Object} { calls, executions, coalesced, inFlight }
+   */
+  getStats() {
+    return {
+      calls: this.calls,
+      executions: this.executions,
+      coalesced: this.calls - this.executions,
+      inFlight: this.inFlight.size
+    };
+  }
+
+  resetStats() {
+    this.calls = 0;
+    this.executions = 0;
+  }
+}
@@ -1,12 +1,19 @@
 /**
  * Fuzzy string matching utilities using various similarity algorithms
+ * Strings are compared Unicode-aware: NFKC, case and diacritics folded, and
+ * across scripts via transliteration ('ヨルシカ' matches 'Yorushika')
  */
 
+import { foldDiacritics, transliterate, hasNonLatinLetters } from './transliterate.js';
+
 /**
  * Calculate Levenshtein distance between two strings
  * (minimum number of edits to transform one string into another)
  */
-function levenshteinDistance(str1, str2) {
+function levenshteinDistance(a, b) {
+  // By code point, so characters outside the BMP count once
+  const str1 = [...a];
+  const str2 = [...b];
   const matrix = [];
 
   for (let i = 0; i <= str2.length; i++) {
@@ -19,7 +26,7 @@ function levenshteinDistance(str1, str2) {
 
   for (let i = 1; i <= str2.length; i++) {
     for (let j = 1; j <= str1.length; j++) {
-      if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
+      if (str2[i - 1] === str1[j - 1]) {
         matrix[i][j] = matrix[i - 1][j - 1];
       } else {
         matrix[i][j] = Math.min(
@@ -34,23 +41,40 @@ function levenshteinDistance(str1, str2) {
   return matrix[str2.length][str1.length];
 }
 
+/**
+ * Ratio of two strings by normalized Levenshtein distance (0 to 1)
+ */
+function ratio(s1, s2) {
+  if (s1 === s2) return 1.0;
+
+  const maxLength = Math.max([...s1].length, [...s2].length);
+  if (maxLength === 0) return 1.0;
+
+  return 1 - (levenshteinDistance(s1, s2) / maxLength);
+}
+
 /**
  * Calculate similarity ratio between two strings (0 to 1)
- * Uses normalized Levenshtein distance
+ * Uses normalized Levenshtein distance, ignoring case, diacritics and
+ * full-width forms. When either string has non-Latin letters, their
+ * transliterations are compared too and the better ratio wins.
  */
 export function similarityRatio(str1, str2) {
   if (!str1 || !str2) return 0;
 
-  const s1 = str1.toLowerCase().trim();
-  const s2 = str2.toLowerCase().trim();
+  const fold = str => foldDiacritics(str.normalize('NFKC').toLowerCase()).trim();
+  const direct = ratio(fold(str1), fold(str2));
 
-  if (s1 === s2) return 1.0;
+  if (direct === 1 || !(hasNonLatinLetters(str1) || hasNonLatinLetters(str2))) {
+    return direct;
+  }
 
-  const maxLength = Math.max(s1.length, s2.length);
-  if (maxLength === 0) return 1.0;
+  // Romanizations differ in spacing and punctuation ('아이유' vs 'I.U.'), so only letters count
+  const latin1 = transliterate(str1).replace(/[^\p{L}\p{N}]/gu, '');
+  const latin2 = transliterate(str2).replace(/[^\p{L}\p{N}]/gu, '');
+  if (!latin1 || !latin2) return direct;
 
-  const distance = levenshteinDistance(s1, s2);
-  return 1 - (distance / maxLength);
+  return Math.max(direct, ratio(latin1, latin2));
 }
 
 /**
@@ -119,14 +143,14 @@ export function calculateMatchScore(query, candidate) {
 
 /**
  * Normalize string for comparison
- * Removes special characters, extra spaces, and converts to lowercase
+ * Removes special characters, diacritics, extra spaces, and converts to lowercase.
+ * Letters of every script are kept: '米津玄師' stays, 'Beyoncé' becomes 'beyonce'
  */
 export function normalizeString(str) {
   if (!str) return '';
 
-  return str
-    .toLowerCase()
-    .replace(/[^\w\s]/g, ' ')  // Replace special chars with space
+  return foldDiacritics(str.normalize('NFKC').toLowerCase())
+    .replace(/[^\p{L}\p{N}_\s]/gu, ' ')  // Replace special chars with space
     .replace(/\s+/g, ' ')       // Collapse multiple spaces
     .trim();
 }
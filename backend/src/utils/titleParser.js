@@ -1,52 +1,267 @@
 /**
  * Parses YouTube video titles to extract artist and song name
  * Handles common formats like "Artist - Song", "Song by Artist", etc.
+ *
+ * Bracketed parts and trailing " - ..." parts are sorted out of the song:
+ * - featured artists: "(feat. X)", "ft. X", "[with X]"
+ * - version tags: "(Live)", "[Y Remix]", "slowed + reverb", ... (see VERSION_TAGS)
+ * - noise: "(Official Video)", "[HD]", "(Remastered 2011)", ...
+ * Anything else, e.g. "(I Can't Get No) Satisfaction", stays in the song.
+ *
+ * Titles are NFKC-normalized first, so full-width punctuation and en/em dashes
+ * work as separators. Songs in CJK quotes (「」『』《》〈〉, or 【】 when nothing
+ * else separates artist and song) are taken as the song. Names repeated in
+ * another script, "IU(아이유)" or "米津玄師 Kenshi Yonezu", keep the first
+ * and list the other under aliases.
+ *
+ * The channel decides how far it's trusted (see channelClassifier.js): an
+ * "Artist - Topic" channel gives the artist and leaves the title as the song,
+ * and label and lyric channels are never taken for the artist.
+ *
+ * Music metadata from the video's description (see descriptionParser.js),
+ * when there is any, comes before all of these.
+ */
+
+import { hasNonLatinLetters } from './transliterate.js';
+import { tagTitle } from './titleTagger.js';
+import { classifyChannel } from './channelClassifier.js';
+
+// Lowest tagger confidence at which its artist and song are used (see titleTagger.js)
+const MODEL_MIN_CONFIDENCE = 0.75;
+
+// Added to the confidence of a pattern match by channel type. Labels title
+// their uploads consistently; lyric channels often swap artist and song
+const CHANNEL_CONFIDENCE = { label: 0.1, lyrics: -0.1 };
+
+// Confidence of "Artist - Topic" parses and of the channel as artist when no pattern matches
+const TOPIC_CONFIDENCE = 0.9;
+const CHANNEL_ARTIST_CONFIDENCE = { vevo: 0.5, other: 0.4 };
+
+/**
+ * Version tags, each with the words that mark it
+ * In this order in parse results
  */
+export const VERSION_TAGS = {
+  remix: /\b(remix|rmx|rework|bootleg|flip|vip)\b|リミックス|리믹스/,
+  live: /\b(live|en vivo|ao vivo|en directo)\b|ライブ|라이브/,
+  acoustic: /\b(acoustic|unplugged)\b|アコースティック|어쿠스틱/,
+  slowed: /\bslowed\b/,
+  reverb: /\breverb\b/,
+  'sped up': /\b(sped|speed)\s*up\b/,
+  nightcore: /\bnightcore\b/,
+  extended: /\bextended\b/,
+  cover: /\bcover\b|歌ってみた|カバー|커버|翻唱/
+};
+
+// Bracketed or trailing parts that carry nothing about the song
+const NOISE = /\b(official|video|audio|lyrics?|lyric video|visuali[sz]er|music video|music clip|mv|m\/v|pv|teaser|hd|hq|4k|explicit|clean|radio edit|remaster(ed)?|single|version|edit)\b/;
+// The same in Japanese, Chinese and Korean, which have no word boundaries
+const CJK_NOISE = /公式|歌詞|字幕|中字|完整版|高音質|高画質|官方|뮤직비디오|가사/;
 
-const COMMON_SUFFIXES = [
-  '(official video)',
-  '(official music video)',
-  '(official audio)',
-  '(lyric video)',
-  '(lyrics)',
-  '[official video]',
-  '[official music video]',
-  '[official audio]',
-  '(music video)',
-  '(audio)',
-  '(hd)',
-  '(4k)',
-  '(explicit)',
-  '(clean)',
-  '(radio edit)',
-  '(extended)',
-  '(remix)',
-  '(remastered)'
-];
-
-/**
- * Clean title by removing common suffixes and extra whitespace
+// Quotes around the song, e.g. 'YOASOBI「夜に駆ける」', "BTS 'Dynamite'"
+// Group 1 is a CJK quote, group 2 a bracket or quote that may also hold tags
+const QUOTED = /[「『《〈]([^」』》〉]+)[」』》〉]|【([^】]+)】|(?<=^|\s)['‘“"]([^'‘’“”"]+)['’”"](?=\s|$)/g;
+const SEPARATOR = /\s[-/]\s|[|:]/;
+
+// "Y Remix", "Y's Mix", "Y Edit" - Y is the remixer unless it's one of GENERIC_MIXES
+const REMIXER = /^(.+?)(?:'s)?\s+(?:remix|rmx|rework|bootleg|flip|vip|mix|edit)$/;
+const GENERIC_MIXES = /^(official|original|extended|radio|club|instrumental|dub|album|single|the|a)\b/;
+
+// "feat. X", "ft. X", "featuring X" (and "with X" inside brackets)
+const FEATURING = /(?:^|\s)(?:feat\.?|ft\.?|featuring)\s+(.+)$/;
+const BRACKETED_FEATURING = /^(?:feat\.?|ft\.?|featuring|with)\s+(.+)$/;
+
+// Version words left unbracketed at the end of a title, e.g. "Song slowed + reverb"
+const TRAILING_VERSION = /\s+(slowed\s*(?:\+|&|and)\s*reverb|slowed(?: down)?|(?:sped|speed) up|nightcore)$/;
+
+/**
+ * Clean title: NFKC, lowercase, dashes to '-', collapse whitespace
+ * "Artist _ Song" (common on Korean channels) becomes "Artist - Song"
  */
 function cleanTitle(title) {
-  let cleaned = title.toLowerCase();
+  return title
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[‐‑‒–—―−]/g, '-')
+    .replace(/\s+_\s+/g, ' - ')
+    .trim()
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Turn a quoted song into "artist - song": 'artist「song」rest' becomes
+ * 'artist - song - rest' and '「song」artist' becomes 'artist - song'
+ * 【】 and plain quotes only count when nothing before them separates
+ * artist and song already and they don't hold a tag like 【MV】
+ */
+function unquoteSong(text) {
+  for (const match of text.matchAll(QUOTED)) {
+    const song = (match[1] ?? match[2] ?? match[3]).trim();
+    const before = text.slice(0, match.index).replace(/[\s|:-]+$/, '').trim();
+    const after = text.slice(match.index + match[0].length).replace(/^[\s|:-]+|[\s|:-]+$/g, '').trim();
+
+    if (match[1] === undefined && (SEPARATOR.test(before) || classifyPart(song).kind !== 'song')) {
+      continue;
+    }
+
+    if (before) {
+      return [before, song, after].filter(Boolean).join(' - ');
+    }
+    return after ? `${after} - ${song}` : song;
+  }
+
+  return text;
+}
+
+/**
+ * Whether text has letters and all of them are Latin
+ */
+function isLatin(text) {
+  return /\p{L}/u.test(text) && !hasNonLatinLetters(text);
+}
+
+/**
+ * Split a name written in two scripts: '米津玄師 kenshi yonezu' -> ['米津玄師', 'kenshi yonezu']
+ * Words without letters stay with the words before them
+ *
+ * @returns {Array} Runs of words in one script
+ */
+function splitScripts(text) {
+  const runs = [];
+  for (const word of text.split(' ')) {
+    const last = runs[runs.length - 1];
+    const latin = /\p{L}/u.test(word) ? isLatin(word) : last?.latin;
+    if (last && last.latin === latin) {
+      last.words.push(word);
+    } else {
+      runs.push({ latin, words: [word] });
+    }
+  }
+  return runs.map(run => run.words.join(' '));
+}
+
+/**
+ * Whether a name matches the channel's artist, under any of its spellings
+ * (partial match)
+ */
+function matchesChannel(name, channelArtists) {
+  if (!name) return false;
+
+  const nameLower = name.toLowerCase();
+  return channelArtists.some(channelArtist => {
+    const channelLower = channelArtist.toLowerCase();
+    return channelLower.includes(nameLower) || nameLower.includes(channelLower);
+  });
+}
+
+/**
+ * Sort one bracketed or trailing part of a title
+ *
+ * @param {string} part - e.g. 'feat. x', 'y remix', 'official video'
+ * @returns {Object} { kind: 'featured'|'version'|'noise'|'song', featured, versions, remixer }
+ */
+function classifyPart(part) {
+  const featuring = part.match(BRACKETED_FEATURING);
+  if (featuring) {
+    return { kind: 'featured', featured: splitArtists(featuring[1]) };
+  }
+
+  const remixer = part.match(REMIXER);
+  const versions = Object.keys(VERSION_TAGS).filter(tag => VERSION_TAGS[tag].test(part));
+  if (remixer && !GENERIC_MIXES.test(remixer[1]) && !versions.includes('remix')) {
+    versions.unshift('remix');
+  }
+  if (versions.length > 0) {
+    return {
+      kind: 'version',
+      versions,
+      remixer: remixer && !GENERIC_MIXES.test(remixer[1]) ? remixer[1].trim() : null
+    };
+  }
+
+  return { kind: NOISE.test(part) || CJK_NOISE.test(part) ? 'noise' : 'song' };
+}
+
+/**
+ * Split an artist credit into names: "a, b & c" -> ['a', 'b', 'c']
+ */
+function splitArtists(credit) {
+  return credit
+    .split(/\s*(?:,|&|\band\b|\s+x\s+|×|\s+vs\.?\s+)\s*/)
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Take featured artists, version tags and noise out of a title
+ *
+ * @param {string} text - Cleaned title
+ * @param {boolean} songOnly - Whether the title is the song alone, so trailing
+ *   " - part"s may be taken down to the first
+ * @returns {Object} { text, featured, versions, remixer, aliases } - text without them
+ */
+function extractTags(text, songOnly = false) {
+  const tags = { featured: [], versions: [], remixer: null, aliases: [] };
+
+  const take = (part) => {
+    const result = classifyPart(part.trim());
+    if (result.kind === 'featured') tags.featured.push(...result.featured);
+    if (result.kind === 'version') {
+      tags.versions.push(...result.versions);
+      tags.remixer = tags.remixer || result.remixer;
+    }
+    return result.kind !== 'song';
+  };
+
+  // The same name in another script right after a word: 'iu(아이유)', '夜に駆ける (yoru ni kakeru)'
+  const takeAlias = (part, before) => {
+    const word = before.trim().split(' ').pop();
+    if (!/\p{L}/u.test(part) || !/\p{L}/u.test(word) || isLatin(part) === isLatin(word)) {
+      return false;
+    }
+    tags.aliases.push(part.trim());
+    return true;
+  };
 
-  // Remove common suffixes
-  for (const suffix of COMMON_SUFFIXES) {
-    const regex = new RegExp(suffix.replace(/[()[\]]/g, '\\$&') + '\\s*$', 'gi');
-    cleaned = cleaned.replace(regex, '');
+  // Bracketed parts anywhere
+  let remaining = text.replace(/\s*[([【]([^)\]】]*)[)\]】]/g, (match, part, offset, whole) => (
+    take(part) || takeAlias(part, whole.slice(0, offset)) ? ' ' : match
+  ));
+
+  // Trailing " - part"s after "artist - song" (or "song"), as long as they aren't part of the song
+  let trailing;
+  while ((trailing = remaining.match(/^(.*\S)\s+-\s+([^-]+)$/)) && (songOnly || trailing[1].includes(' - ')) && take(trailing[2])) {
+    remaining = trailing[1];
+  }
+
+  // Unbracketed version words at the very end
+  const versionWords = remaining.match(TRAILING_VERSION);
+  if (versionWords) {
+    take(versionWords[1]);
+    remaining = remaining.slice(0, versionWords.index);
   }
 
-  // Remove extra whitespace
-  cleaned = cleaned.trim().replace(/\s+/g, ' ');
+  return { text: remaining.trim().replace(/\s+/g, ' '), ...tags };
+}
 
-  return cleaned;
+/**
+ * Split unbracketed "feat. X" off an artist or song
+ *
+ * @returns {Object} { main, featured }
+ */
+function splitFeaturing(text) {
+  const match = text?.match(FEATURING);
+  if (!match) {
+    return { main: text, featured: [] };
+  }
+  return { main: text.slice(0, match.index).trim(), featured: splitArtists(match[1]) };
 }
 
 /**
  * Calculate confidence score for parsed result
  * Higher confidence = more likely to be correct
  */
-function calculateConfidence(artist, song, channelTitle) {
+function calculateConfidence(artist, song, channelArtists, aliases = []) {
   let confidence = 0.5; // Base confidence
 
   // Boost confidence if artist and song are different
@@ -54,13 +269,9 @@ function calculateConfidence(artist, song, channelTitle) {
     confidence += 0.2;
   }
 
-  // Boost confidence if artist matches channel name (partial match)
-  if (artist && channelTitle) {
-    const artistLower = artist.toLowerCase();
-    const channelLower = channelTitle.toLowerCase();
-    if (channelLower.includes(artistLower) || artistLower.includes(channelLower)) {
-      confidence += 0.2;
-    }
+  // Boost confidence if artist (or one of its other names) matches channel name
+  if ([artist, ...aliases].some(name => matchesChannel(name, channelArtists))) {
+    confidence += 0.2;
   }
 
   // Boost confidence if both artist and song are present and reasonable length
@@ -71,76 +282,158 @@ function calculateConfidence(artist, song, channelTitle) {
   return Math.min(confidence, 1.0);
 }
 
+/**
+ * Clean a title and take its tags out, leaving artist, song and separators
+ * This is what the patterns below and the learned tagger read
+ *
+ * @param {string} title - YouTube video title
+ * @param {boolean} songOnly - Whether the title is the song alone (Topic channels)
+ * @returns {Object} { text, featured, versions, remixer, aliases }
+ */
+export function prepareTitle(title, songOnly = false) {
+  return extractTags(unquoteSong(cleanTitle(title || '')), songOnly);
+}
+
 /**
  * Parse video title to extract artist and song name
+ * Music metadata from the description wins when it names both. Otherwise,
+ * with a model, the learned tagger reads artist and song when it's confident
+ * enough; the patterns below are the fallback
  *
  * @param {string} title - YouTube video title
  * @param {string} channelTitle - YouTube channel name (optional, used as hint)
- * @returns {Object} { artist, song, confidence }
+ * @param {Object} model - Title tagger model (optional, see titleTagger.js)
+ * @param {Object} metadata - From parseMusicDescription (optional, see descriptionParser.js)
+ * @returns {Object} {
+ *   artist, song, confidence,
+ *   artists: primary artist names, featured: featured artist names,
+ *   versions: version tags (see VERSION_TAGS), remixer,
+ *   aliases: names of the artist or song in another script,
+ *   channelType: what the channel is (see channelClassifier.js),
+ *   album: from the description, source: 'description' or 'title',
+ *   artistAlternatives: other spellings of an artist taken from the channel,
+ *     to search with when the artist finds nothing
+ * }
  */
-export function parseVideoTitle(title, channelTitle = '') {
+export function parseVideoTitle(title, channelTitle = '', model = null, metadata = null) {
+  const channel = classifyChannel(channelTitle);
+  const channelArtists = channel.artist ? [channel.artist, ...channel.alternatives] : [];
+
   if (!title) {
-    return { artist: null, song: null, confidence: 0 };
+    return {
+      artist: null, song: null, confidence: 0, artists: [], featured: [], versions: [], remixer: null, aliases: [],
+      channelType: channel.type, album: null, source: 'title', artistAlternatives: []
+    };
+  }
+
+  const tags = prepareTitle(title, channel.type === 'topic');
+  const cleaned = tags.text;
+
+  // Artist and song with featured artists and names in a second script split off
+  const result = (artist, song, confidence) => {
+    const artistCredit = splitFeaturing(artist);
+    const songCredit = splitFeaturing(song);
+    const [main = null, ...artistAliases] = artistCredit.main ? splitScripts(artistCredit.main) : [];
+    const [mainSong, ...songAliases] = songCredit.main ? splitScripts(songCredit.main) : [songCredit.main];
+    const aliases = [...tags.aliases, ...artistAliases, ...songAliases];
+
+    return {
+      artist: main,
+      song: mainSong,
+      confidence: confidence ?? patternConfidence(main, mainSong, aliases),
+      artists: main ? splitArtists(main) : [],
+      featured: [...new Set([...artistCredit.featured, ...songCredit.featured, ...tags.featured])],
+      versions: Object.keys(VERSION_TAGS).filter(tag => tags.versions.includes(tag)),
+      remixer: tags.remixer,
+      aliases,
+      channelType: channel.type,
+      album: null,
+      source: 'title',
+      artistAlternatives: []
+    };
+  };
+
+  const patternConfidence = (artist, song, aliases) => Math.max(0, Math.min(
+    calculateConfidence(artist, song, channelArtists, aliases) + (CHANNEL_CONFIDENCE[channel.type] || 0),
+    1.0
+  ));
+
+  // Description metadata: its song may still carry tags, e.g. "Song (feat. X) - Live"
+  if (metadata?.artist && metadata?.song) {
+    const songTags = prepareTitle(metadata.song, true);
+    tags.featured.push(...songTags.featured, ...(metadata.featured || []).map(name => cleanTitle(name)));
+    tags.versions.push(...songTags.versions);
+    tags.remixer = tags.remixer || songTags.remixer;
+    tags.aliases.push(...songTags.aliases);
+
+    return {
+      ...result(cleanTitle(metadata.artist), songTags.text, metadata.confidence),
+      album: metadata.album ?? null,
+      source: 'description'
+    };
   }
 
-  const cleaned = cleanTitle(title);
-  let artist = null;
-  let song = null;
+  // "Artist - Topic" channels: the title is the song
+  if (channel.type === 'topic') {
+    return result(channel.artist, cleaned, TOPIC_CONFIDENCE);
+  }
+
+  // Learned tagger, when it finds both
+  if (model) {
+    const tagged = tagTitle(model, cleaned, channelTitle);
+    if (tagged.artist && tagged.song && tagged.confidence >= MODEL_MIN_CONFIDENCE) {
+      return result(tagged.artist, tagged.song, tagged.confidence);
+    }
+  }
 
   // Pattern 1: "Artist - Song"
   const dashPattern = /^([^-]+)\s*-\s*(.+)$/;
   const dashMatch = cleaned.match(dashPattern);
   if (dashMatch) {
-    artist = dashMatch[1].trim();
-    song = dashMatch[2].trim();
-    const confidence = calculateConfidence(artist, song, channelTitle);
-    return { artist, song, confidence };
+    return result(dashMatch[1].trim(), dashMatch[2].trim());
+  }
+
+  // Pattern 2: "Artist / Song", or "Song / Artist" (common in Japan) when the channel says so
+  const slashPattern = /^(.+?)\s+\/\s+(.+)$/;
+  const slashMatch = cleaned.match(slashPattern);
+  if (slashMatch) {
+    const [left, right] = [slashMatch[1].trim(), slashMatch[2].trim()];
+    return matchesChannel(right, channelArtists) && !matchesChannel(left, channelArtists)
+      ? result(right, left)
+      : result(left, right);
   }
 
-  // Pattern 2: "Song by Artist"
+  // Pattern 3: "Song by Artist"
   const byPattern = /^(.+)\s+by\s+(.+)$/i;
   const byMatch = cleaned.match(byPattern);
   if (byMatch) {
-    song = byMatch[1].trim();
-    artist = byMatch[2].trim();
-    const confidence = calculateConfidence(artist, song, channelTitle);
-    return { artist, song, confidence };
+    return result(byMatch[2].trim(), byMatch[1].trim());
   }
 
-  // Pattern 3: "Artist: Song"
+  // Pattern 4: "Artist: Song"
   const colonPattern = /^([^:]+):\s*(.+)$/;
   const colonMatch = cleaned.match(colonPattern);
   if (colonMatch) {
-    artist = colonMatch[1].trim();
-    song = colonMatch[2].trim();
-    const confidence = calculateConfidence(artist, song, channelTitle);
-    return { artist, song, confidence };
+    return result(colonMatch[1].trim(), colonMatch[2].trim());
   }
 
-  // Pattern 4: "Artist | Song"
+  // Pattern 5: "Artist | Song"
   const pipePattern = /^([^|]+)\|\s*(.+)$/;
   const pipeMatch = cleaned.match(pipePattern);
   if (pipeMatch) {
-    artist = pipeMatch[1].trim();
-    song = pipeMatch[2].trim();
-    const confidence = calculateConfidence(artist, song, channelTitle);
-    return { artist, song, confidence };
+    return result(pipeMatch[1].trim(), pipeMatch[2].trim());
   }
 
-  // Fallback: Use channel as artist, title as song
-  if (channelTitle) {
-    // Clean up channel name (remove VEVO, Official, etc.)
-    artist = channelTitle
-      .replace(/vevo$/i, '')
-      .replace(/official$/i, '')
-      .replace(/music$/i, '')
-      .trim();
-    song = cleaned;
-    return { artist, song, confidence: 0.4 };
+  // Fallback: Use the channel's artist (VEVO, Official, etc. removed), title as song
+  if (channel.artist) {
+    return {
+      ...result(channel.artist, cleaned, CHANNEL_ARTIST_CONFIDENCE[channel.type]),
+      artistAlternatives: channel.alternatives
+    };
   }
 
   // Last resort: entire title is the song, no artist
-  return { artist: null, song: cleaned, confidence: 0.3 };
+  return result(null, cleaned, 0.3);
 }
 
 /**
@@ -0,0 +1,384 @@
+/**
+ * Learned title tagger - labels the words of a video title as artist, song
+ * or other with an averaged perceptron
+ *
+ * Works on titles already cleaned by the title parser (lowercase, tags such
+ * as "(Official Video)" removed, see prepareTitle in titleParser.js). Each
+ * word is labeled left to right from features of the word, its neighbours,
+ * its segment between separators, whether the channel name contains it and
+ * the labels before it.
+ *
+ * A model is plain JSON: { version, labels, weights: { feature: { label: weight } },
+ * trainedAt, examples }. Train one with `npm run title-model -- train`.
+ */
+
+import { normalizeString, similarityRatio } from './stringMatcher.js';
+
+/**
+ * Version of the model format and features
+ * Bump it when features change: older models are ignored
+ */
+export const TAGGER_VERSION = 1;
+
+export const LABELS = ['artist', 'song', 'other'];
+
+// Tokens between artist and song
+const SEPARATORS = new Set(['-', '|', ':', '/', '~', 'by']);
+
+// Brackets and quotes the title parser left in, e.g. "[house] artist - song"
+const OPENING = /^[([【「『《〈"'“‘]$/;
+const CLOSING = /^[)\]】」』》〉"'”’]$/;
+
+// Channel name words that aren't part of the artist
+const CHANNEL_NOISE = new Set(['vevo', 'official', 'music', 'topic', 'channel', 'records', 'tv']);
+
+// Lowest similarity at which a stretch of the title counts as the labeled artist or song
+const ALIGN_THRESHOLD = 0.8;
+
+/**
+ * Split a title into word and punctuation tokens
+ *
+ * @param {string} text - e.g. "daft punk - one more time"
+ * @returns {Array} Tokens { text, start, end }, end exclusive
+ */
+export function tokenizeTitle(text) {
+  return [...(text || '').matchAll(/[\p{L}\p{M}\p{N}]+(?:['’.&-][\p{L}\p{M}\p{N}]+)*['’.]?|[^\s\p{L}\p{M}\p{N}]/gu)]
+    .map(match => ({ text: match[0], start: match.index, end: match.index + match[0].length }));
+}
+
+/**
+ * Label tokens by where the known artist and song appear in the title
+ * The best matching stretch of words is taken for each (artist first)
+ *
+ * @param {string} text - Cleaned title
+ * @param {Array} tokens - tokenizeTitle(text)
+ * @param {Object} truth - { artist, song }
+ * @returns {Array|null} A label per token, or null if neither was found
+ */
+export function alignLabels(text, tokens, { artist, song }) {
+  const labels = tokens.map(() => 'other');
+  const artistSpan = bestSpan(text, tokens, artist, () => true);
+  const songSpan = bestSpan(text, tokens, song, (start, end) => (
+    !artistSpan || end <= artistSpan.start || start >= artistSpan.end
+  ));
+
+  if (!artistSpan && !songSpan) {
+    return null;
+  }
+
+  for (const [span, label] of [[artistSpan, 'artist'], [songSpan, 'song']]) {
+    if (!span) continue;
+    for (let i = span.start; i < span.end; i++) {
+      labels[i] = label;
+    }
+  }
+  return labels;
+}
+
+/**
+ * Token range [start, end) whose text is most similar to target
+ */
+function bestSpan(text, tokens, target, allowed) {
+  const wanted = normalizeString(target);
+  if (!wanted) return null;
+
+  let best = null;
+  for (let start = 0; start < tokens.length; start++) {
+    for (let end = start + 1; end <= tokens.length; end++) {
+      if (!isWord(tokens[start].text) || !isWord(tokens[end - 1].text) || !allowed(start, end)) continue;
+
+      const score = similarityRatio(normalizeString(text.slice(tokens[start].start, tokens[end - 1].end)), wanted);
+      if (score >= ALIGN_THRESHOLD && score > (best?.score ?? 0)) {
+        best = { start, end, score };
+      }
+    }
+  }
+  return best;
+}
+
+function isWord(text) {
+  return /[\p{L}\p{N}]/u.test(text);
+}
+
+/**
+ * A word without case, accents or inner punctuation: "a-ha" -> "aha"
+ */
+function wordKey(text) {
+  return normalizeString(text).replace(/\s/g, '');
+}
+
+/**
+ * Rough script or kind of a token
+ */
+function shapeOf(text) {
+  if (/^\p{N}+$/u.test(text)) return 'digit';
+  if (!isWord(text)) return 'punct';
+  if (/\p{Script=Han}/u.test(text)) return 'han';
+  if (/[\p{Script=Hiragana}\p{Script=Katakana}]/u.test(text)) return 'kana';
+  if (/\p{Script=Hangul}/u.test(text)) return 'hangul';
+  if (/\p{Script=Cyrillic}/u.test(text)) return 'cyrillic';
+  return /\p{Script=Latin}/u.test(text) ? 'latin' : 'letter';
+}
+
+/**
+ * What's known about a title before labeling: the segment (between
+ * separators) of each token, the separators around each segment, which
+ * tokens are in brackets and which segments share words with the channel
+ */
+function describeTitle(tokens, channelTitle) {
+  const channelWords = new Set(
+    tokenizeTitle((channelTitle || '').toLowerCase())
+      .map(token => wordKey(token.text).replace(/(.)vevo$/, '$1'))
+      .filter(word => word && !CHANNEL_NOISE.has(word))
+  );
+
+  const separators = ['<s>'];
+  const segments = tokens.map(token => {
+    if (SEPARATORS.has(token.text)) {
+      separators.push(token.text);
+      return separators.length - 2;
+    }
+    return separators.length - 1;
+  });
+  separators.push('</s>');
+
+  let depth = 0;
+  const bracketed = tokens.map(token => {
+    if (OPENING.test(token.text)) depth++;
+    const inside = depth > 0;
+    if (CLOSING.test(token.text)) depth = Math.max(0, depth - 1);
+    return inside;
+  });
+
+  const inChannel = tokens.map(token => channelWords.has(wordKey(token.text)));
+  const channelSegments = new Set(segments.filter((s, i) => inChannel[i]));
+
+  return { segments, segmentCount: separators.length - 1, separators, bracketed, inChannel, channelSegments };
+}
+
+/**
+ * Features of one token, given the labels before it
+ */
+function tokenFeatures(tokens, i, title, previous, beforePrevious) {
+  const word = tokens[i].text;
+  const segment = title.segments[i];
+  const features = [
+    'bias',
+    `w=${word}`,
+    `shape=${shapeOf(word)}`,
+    `p1=${tokens[i - 1]?.text ?? '<s>'}`,
+    `n1=${tokens[i + 1]?.text ?? '</s>'}`,
+    `seg=${Math.min(segment, 3)}/${Math.min(title.segmentCount, 4)}`,
+    `between=${title.separators[segment]}|${title.separators[segment + 1]}`,
+    `l1=${previous}`,
+    `l2=${beforePrevious}|${previous}`,
+    `l1w=${previous}|${word}`
+  ];
+
+  if (SEPARATORS.has(word)) features.push('separator');
+  if (title.bracketed[i]) features.push('bracketed');
+  if (title.inChannel[i]) features.push('channel');
+  if (title.channelSegments.has(segment)) features.push(`channelseg|seg=${Math.min(segment, 3)}`);
+  if (title.channelSegments.size > 0 && !title.channelSegments.has(segment)) features.push('otherseg');
+  if (segment === title.segmentCount - 1) features.push('lastseg');
+
+  return features;
+}
+
+/**
+ * Label tokens left to right, each from the labels chosen before it
+ *
+ * @param {Function} choose - (features, index) => label
+ */
+function decode(tokens, channelTitle, choose) {
+  const title = describeTitle(tokens, channelTitle);
+  const labels = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const features = tokenFeatures(tokens, i, title, labels[i - 1] ?? '<s>', labels[i - 2] ?? '<s>');
+    labels.push(choose(features, i));
+  }
+  return labels;
+}
+
+class AveragedPerceptron {
+  /**
+   * @param {Object} weights - { feature: { label: weight } }
+   */
+  constructor(weights = {}) {
+    this.weights = weights;
+    this.totals = {};
+    this.stamps = {};
+    this.updates = 0;
+  }
+
+  /**
+   * Score of each label for a token's features
+   */
+  scores(features) {
+    const scores = Object.fromEntries(LABELS.map(label => [label, 0]));
+    for (const feature of features) {
+      for (const [label, weight] of Object.entries(this.weights[feature] || {})) {
+        scores[label] += weight;
+      }
+    }
+    return scores;
+  }
+
+  /**
+   * Best label for a token's features (earlier labels win ties)
+   */
+  predict(features) {
+    return bestLabel(this.scores(features));
+  }
+
+  /**
+   * Move weights towards the true label and away from the guess
+   */
+  update(truth, guess, features) {
+    this.updates++;
+    if (truth === guess) return;
+
+    for (const feature of features) {
+      this.nudge(feature, truth, 1);
+      this.nudge(feature, guess, -1);
+    }
+  }
+
+  nudge(feature, label, delta) {
+    const key = `${feature}\u0000${label}`;
+    const weights = (this.weights[feature] ||= {});
+    const weight = weights[label] || 0;
+
+    this.totals[key] = (this.totals[key] || 0) + (this.updates - (this.stamps[key] || 0)) * weight;
+    this.stamps[key] = this.updates;
+    weights[label] = weight + delta;
+  }
+
+  /**
+   * Replace weights by their average over every update, dropping zeros
+   *
+   * @returns {Object} Averaged weights
+   */
+  average() {
+    const averaged = {};
+    for (const [feature, weights] of Object.entries(this.weights)) {
+      for (const [label, weight] of Object.entries(weights)) {
+        const key = `${feature}\u0000${label}`;
+        const total = (this.totals[key] || 0) + (this.updates - (this.stamps[key] || 0)) * weight;
+        const value = Math.round((total / this.updates) * 1000) / 1000;
+        if (value !== 0) {
+          (averaged[feature] ||= {})[label] = value;
+        }
+      }
+    }
+    this.weights = averaged;
+    return averaged;
+  }
+}
+
+/**
+ * Train a tagger model
+ *
+ * @param {Array} examples - { text (cleaned title), channelTitle, labels (one per token) }
+ * @param {Object} options - { epochs: passes over the examples (default 10) }
+ * @returns {Object} Model
+ */
+export function trainTagger(examples, { epochs = 10 } = {}) {
+  const perceptron = new AveragedPerceptron();
+  const prepared = examples.map(example => ({ ...example, tokens: tokenizeTitle(example.text) }));
+  const random = seededRandom(1);
+
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    for (const example of shuffle(prepared, random)) {
+      decode(example.tokens, example.channelTitle, (features, i) => {
+        const guess = perceptron.predict(features);
+        perceptron.update(example.labels[i], guess, features);
+        return guess;
+      });
+    }
+  }
+
+  return {
+    version: TAGGER_VERSION,
+    labels: LABELS,
+    weights: perceptron.updates > 0 ? perceptron.average() : {},
+    trainedAt: new Date().toISOString(),
+    examples: examples.length
+  };
+}
+
+/**
+ * Label a cleaned title with a model
+ *
+ * @param {Object} model - From trainTagger
+ * @param {string} text - Cleaned title
+ * @param {string} channelTitle - YouTube channel name (optional)
+ * @returns {Object} { artist, song, confidence, labels }: artist and song
+ *   are the first run of words with that label (or null); confidence is the
+ *   mean probability of the chosen labels (0 to 1)
+ */
+export function tagTitle(model, text, channelTitle = '') {
+  const perceptron = new AveragedPerceptron(model.weights);
+  const tokens = tokenizeTitle(text);
+  let certainty = 0;
+
+  const labels = decode(tokens, channelTitle, features => {
+    const scores = perceptron.scores(features);
+    const label = bestLabel(scores);
+    certainty += probability(scores, label);
+    return label;
+  });
+
+  return {
+    artist: firstRun(text, tokens, labels, 'artist'),
+    song: firstRun(text, tokens, labels, 'song'),
+    confidence: tokens.length > 0 ? Math.round((certainty / tokens.length) * 100) / 100 : 0,
+    labels
+  };
+}
+
+function bestLabel(scores) {
+  return LABELS.reduce((best, label) => (scores[label] > scores[best] ? label : best));
+}
+
+/**
+ * Softmax probability of one label
+ */
+function probability(scores, label) {
+  const max = Math.max(...Object.values(scores));
+  const sum = Object.values(scores).reduce((total, score) => total + Math.exp(score - max), 0);
+  return Math.exp(scores[label] - max) / sum;
+}
+
+/**
+ * Text of the first run of tokens with a label
+ */
+function firstRun(text, tokens, labels, label) {
+  const start = labels.indexOf(label);
+  if (start === -1) return null;
+
+  let end = start;
+  while (labels[end + 1] === label) end++;
+  return text.slice(tokens[start].start, tokens[end].end);
+}
+
+function shuffle(items, random) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Deterministic random numbers, so training is reproducible
+ */
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
@@ -0,0 +1,143 @@
+/**
+ * Unicode folding and transliteration for comparing names across scripts
+ *
+ * - foldDiacritics: 'Beyoncé' -> 'Beyonce', 'Straße' -> 'Strasse'
+ *   (Latin, Greek and Cyrillic only: Japanese dakuten and Hangul are kept)
+ * - transliterate: Latin rendering of Cyrillic, Greek, kana and Hangul,
+ *   e.g. 'ヨルシカ' -> 'yorushika', '아이유' -> 'aiyu', 'Кино' -> 'kino'.
+ *   Han characters have no reading without a dictionary and are left as is.
+ */
+
+// Letters that don't decompose into a base letter and a mark
+const SPECIAL_LETTERS = {
+  ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', ł: 'l', đ: 'd', ð: 'd', þ: 'th', ı: 'i', ς: 'σ',
+  Æ: 'AE', Œ: 'OE', Ø: 'O', Ł: 'L', Đ: 'D', Ð: 'D', Þ: 'TH'
+};
+
+const CYRILLIC = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ж: 'zh', з: 'z', и: 'i', к: 'k',
+  л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f',
+  х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu',
+  я: 'ya', і: 'i', є: 'ye', ґ: 'g'
+};
+
+const GREEK = {
+  α: 'a', β: 'v', γ: 'g', δ: 'd', ε: 'e', ζ: 'z', η: 'i', θ: 'th', ι: 'i', κ: 'k',
+  λ: 'l', μ: 'm', ν: 'n', ξ: 'x', ο: 'o', π: 'p', ρ: 'r', σ: 's', τ: 't', υ: 'y',
+  φ: 'f', χ: 'ch', ψ: 'ps', ω: 'o'
+};
+
+// Hepburn romaji by hiragana (katakana is shifted onto hiragana first)
+const KANA = {
+  あ: 'a', い: 'i', う: 'u', え: 'e', お: 'o',
+  か: 'ka', き: 'ki', く: 'ku', け: 'ke', こ: 'ko', が: 'ga', ぎ: 'gi', ぐ: 'gu', げ: 'ge', ご: 'go',
+  さ: 'sa', し: 'shi', す: 'su', せ: 'se', そ: 'so', ざ: 'za', じ: 'ji', ず: 'zu', ぜ: 'ze', ぞ: 'zo',
+  た: 'ta', ち: 'chi', つ: 'tsu', て: 'te', と: 'to', だ: 'da', ぢ: 'ji', づ: 'zu', で: 'de', ど: 'do',
+  な: 'na', に: 'ni', ぬ: 'nu', ね: 'ne', の: 'no',
+  は: 'ha', ひ: 'hi', ふ: 'fu', へ: 'he', ほ: 'ho', ば: 'ba', び: 'bi', ぶ: 'bu', べ: 'be', ぼ: 'bo',
+  ぱ: 'pa', ぴ: 'pi', ぷ: 'pu', ぺ: 'pe', ぽ: 'po',
+  ま: 'ma', み: 'mi', む: 'mu', め: 'me', も: 'mo',
+  や: 'ya', ゆ: 'yu', よ: 'yo',
+  ら: 'ra', り: 'ri', る: 'ru', れ: 're', ろ: 'ro',
+  わ: 'wa', ゐ: 'i', ゑ: 'e', を: 'o', ん: 'n', ゔ: 'vu'
+};
+
+// Small kana that combine with the syllable before them
+const SMALL_Y = { ゃ: 'ya', ゅ: 'yu', ょ: 'yo' };
+const SMALL_VOWELS = { ぁ: 'a', ぃ: 'i', ぅ: 'u', ぇ: 'e', ぉ: 'o' };
+
+// Revised Romanization of Hangul jamo (initial, medial, final)
+const HANGUL_INITIALS = ['g', 'kk', 'n', 'd', 'tt', 'r', 'm', 'b', 'pp', 's', 'ss', '', 'j', 'jj', 'ch', 'k', 't', 'p', 'h'];
+const HANGUL_MEDIALS = ['a', 'ae', 'ya', 'yae', 'eo', 'e', 'yeo', 'ye', 'o', 'wa', 'wae', 'oe', 'yo', 'u', 'wo', 'we', 'wi', 'yu', 'eu', 'ui', 'i'];
+const HANGUL_FINALS = ['', 'k', 'k', 'k', 'n', 'n', 'n', 't', 'l', 'k', 'm', 'l', 'l', 'l', 'p', 'l', 'm', 'p', 'p', 't', 't', 'ng', 't', 't', 'k', 't', 'p', 't'];
+
+/**
+ * Fold diacritics and special letters to their base letters
+ * Only for Latin, Greek and Cyrillic, where marks are accents rather than
+ * part of the letter
+ *
+ * @param {string} text - e.g. 'Beyoncé'
+ * @returns {string} e.g. 'Beyonce' (case is kept)
+ */
+export function foldDiacritics(text) {
+  if (!text) return '';
+
+  return text
+    .normalize('NFD')
+    .replace(/([\p{Script=Latin}\p{Script=Greek}\p{Script=Cyrillic}])\p{M}+/gu, '$1')
+    .normalize('NFC')
+    .replace(/[ßæœøłđðþıςÆŒØŁĐÐÞ]/g, letter => SPECIAL_LETTERS[letter]);
+}
+
+/**
+ * Render text in Latin letters
+ *
+ * @param {string} text - Any script
+ * @returns {string} Lowercase, diacritics folded, Cyrillic/Greek/kana/Hangul romanized
+ */
+export function transliterate(text) {
+  const chars = [...foldDiacritics(String(text ?? '').normalize('NFKC').toLowerCase())];
+  let result = '';
+
+  for (let i = 0; i < chars.length; i++) {
+    const char = toHiragana(chars[i]);
+
+    if (CYRILLIC[char] !== undefined) {
+      result += CYRILLIC[char];
+    } else if (GREEK[char] !== undefined) {
+      result += GREEK[char];
+    } else if (isHangulSyllable(char)) {
+      // ㄹ after ㄹ is 'l': 블루밍 -> beulluming
+      const syllable = romanizeHangul(char);
+      result += result.endsWith('l') && syllable.startsWith('r') ? `l${syllable.slice(1)}` : syllable;
+    } else if (char === 'っ') {
+      // Sokuon doubles the next consonant: きって -> kitte, まっちゃ -> matcha
+      const next = KANA[toHiragana(chars[i + 1] || '')] || '';
+      result += next.startsWith('ch') ? 't' : next.charAt(0);
+    } else if (SMALL_Y[char]) {
+      // きゃ -> kya, しゃ -> sha, じゃ -> ja
+      result = result.replace(/(sh|ch|j)?i$/, (match, palatal) => (palatal ? palatal + SMALL_Y[char].slice(1) : SMALL_Y[char]));
+    } else if (SMALL_VOWELS[char]) {
+      // ファ -> fa, ティ -> ti: the small vowel replaces the one before it
+      result = /[aiueo]$/.test(result) ? result.slice(0, -1) + SMALL_VOWELS[char] : result + SMALL_VOWELS[char];
+    } else if (char === 'ー') {
+      // Long vowel mark: loanwords are usually romanized without it
+    } else {
+      result += KANA[char] ?? char;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Whether text has letters outside the Latin script
+ */
+export function hasNonLatinLetters(text) {
+  return /(?!\p{Script=Latin})\p{L}/u.test(text || '');
+}
+
+/**
+ * Katakana to the matching hiragana (other characters unchanged)
+ */
+function toHiragana(char) {
+  const code = char.codePointAt(0);
+  return code >= 0x30A1 && code <= 0x30F6 ? String.fromCodePoint(code - 0x60) : char;
+}
+
+function isHangulSyllable(char) {
+  const code = char.codePointAt(0);
+  return code >= 0xAC00 && code <= 0xD7A3;
+}
+
+/**
+ * One Hangul syllable in Revised Romanization, e.g. '방' -> 'bang'
+ */
+function romanizeHangul(char) {
+  const index = char.codePointAt(0) - 0xAC00;
+  const initial = Math.floor(index / 588);
+  const medial = Math.floor((index % 588) / 28);
+  const final = index % 28;
+
+  return HANGUL_INITIALS[initial] + HANGUL_MEDIALS[medial] + HANGUL_FINALS[final];
+}
@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import PlaylistInput from './components/PlaylistInput/PlaylistInput';
 import FeelsMeter from './components/FeelsMeter/FeelsMeter';
+import FeelsPad from './components/FeelsMeter/FeelsPad';
 import VideoPlayer from './components/VideoPlayer/VideoPlayer';
 import PlaylistPanel from './components/PlaylistPanel/PlaylistPanel';
 import AnalysisLoader from './components/AnalysisLoader/AnalysisLoader';
@@ -18,6 +19,8 @@ function App() {
     analyzedVideos,
     analysisProgress,
     analyzePlaylist,
+    saveOverride,
+    revertOverride,
     clearCache
   } = usePlaylistAnalysis();
 
@@ -31,14 +34,19 @@ function App() {
 
   const handleVideoChange = (video) => {
     if (video && playVideo) {
-      playVideo(video.videoId);
+      playVideo(video.videoId, video.startSeconds);
     }
   };
 
   const {
+    mode,
+    setMode,
     sliderValue,
+    padValue,
     currentVideo,
+    entries,
     handleSliderChange,
+    handlePadChange,
     selectVideo
   } = useFeelsSelection(analyzedVideos, handleVideoChange);
 
@@ -79,10 +87,35 @@ function App() {
 
           <main className="app-main">
             <div className="meter-section">
-              <FeelsMeter
-                value={sliderValue}
-                onChange={handleSliderChange}
-              />
+              <div className="mode-toggle">
+                <button
+                  className={mode === '1d' ? 'active' : ''}
+                  onClick={() => setMode('1d')}
+                >
+                  Meter
+                </button>
+                <button
+                  className={mode === '2d' ? 'active' : ''}
+                  onClick={() => setMode('2d')}
+                >
+                  Mood Pad
+                </button>
+              </div>
+
+              {mode === '2d' ? (
+                <FeelsPad
+                  value={padValue}
+                  onChange={handlePadChange}
+                  videos={entries}
+                  currentVideoId={currentVideo?.videoId}
+                  currentStartSeconds={currentVideo?.startSeconds}
+                />
+              ) : (
+                <FeelsMeter
+                  value={sliderValue}
+                  onChange={handleSliderChange}
+                />
+              )}
             </div>
 
             <div className="player-section">
@@ -98,7 +131,10 @@ function App() {
               <PlaylistPanel
                 videos={analyzedVideos}
                 currentVideoId={currentVideo?.videoId}
+                currentStartSeconds={currentVideo?.startSeconds}
                 onVideoSelect={selectVideo}
+                onSaveOverride={saveOverride}
+                onRevertOverride={revertOverride}
                 playlistTitle={playlist?.title}
               />
             </div>
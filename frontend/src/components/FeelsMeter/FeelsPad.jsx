@@ -0,0 +1,139 @@
+import React, { useState, useRef, useEffect } from 'react';
+import './FeelsPad.css';
+
+/**
+ * 2D mood pad: x = positivity (sad → happy), y = feels (chill → intense)
+ */
+function FeelsPad({ value, onChange, videos = [], currentVideoId, currentStartSeconds }) {
+  const [isDragging, setIsDragging] = useState(false);
+  const padRef = useRef(null);
+
+  const getMoodLabel = ({ feels, positivity }) => {
+    if (feels >= 50) return positivity >= 50 ? 'Euphoric' : 'Tense';
+    return positivity >= 50 ? 'Serene' : 'Melancholy';
+  };
+
+  const getColor = ({ feels, positivity }) => {
+    if (feels >= 50) return positivity >= 50 ? '#F57C00' : '#E74C3C';
+    return positivity >= 50 ? '#50C878' : '#4A90E2';
+  };
+
+  const handleMouseDown = (e) => {
+    setIsDragging(true);
+    updateValue(e);
+  };
+
+  const handleMouseMove = (e) => {
+    if (isDragging) {
+      updateValue(e);
+    }
+  };
+
+  const handleMouseUp = () => {
+    setIsDragging(false);
+  };
+
+  const handleTouchStart = (e) => {
+    setIsDragging(true);
+    updateValue(e.touches[0]);
+  };
+
+  const handleTouchMove = (e) => {
+    if (isDragging) {
+      updateValue(e.touches[0]);
+    }
+  };
+
+  const handleTouchEnd = () => {
+    setIsDragging(false);
+  };
+
+  const updateValue = (e) => {
+    if (!padRef.current) return;
+
+    const rect = padRef.current.getBoundingClientRect();
+    const x = (e.clientX - rect.left) / rect.width;
+    const y = 1 - ((e.clientY - rect.top) / rect.height); // Invert: top = 100, bottom = 0
+    const toScore = (fraction) => Math.max(0, Math.min(100, Math.round(fraction * 100)));
+
+    onChange({ feels: toScore(y), positivity: toScore(x) });
+  };
+
+  useEffect(() => {
+    if (isDragging) {
+      document.addEventListener('mousemove', handleMouseMove);
+      document.addEventListener('mouseup', handleMouseUp);
+      document.addEventListener('touchmove', handleTouchMove);
+      document.addEventListener('touchend', handleTouchEnd);
+
+      return () => {
+        document.removeEventListener('mousemove', handleMouseMove);
+        document.removeEventListener('mouseup', handleMouseUp);
+        document.removeEventListener('touchmove', handleTouchMove);
+        document.removeEventListener('touchend', handleTouchEnd);
+      };
+    }
+  }, [isDragging]);
+
+  return (
+    <div className="feels-pad">
+      <div className="meter-header">
+        <h2>Mood Pad</h2>
+        <div className="pad-values" style={{ color: getColor(value) }}>
+          <span title="Feels (energy)">⚡ {value.feels}</span>
+          <span title="Positivity">☀️ {value.positivity}</span>
+        </div>
+      </div>
+
+      <div className="pad-axis-label pad-axis-top">Intense</div>
+
+      <div className="pad-row">
+        <div className="pad-axis-label pad-axis-side">Sad</div>
+
+        <div
+          ref={padRef}
+          className="pad-area"
+          onMouseDown={handleMouseDown}
+          onTouchStart={handleTouchStart}
+        >
+          <span className="pad-quadrant pad-quadrant-tl">Tense</span>
+          <span className="pad-quadrant pad-quadrant-tr">Euphoric</span>
+          <span className="pad-quadrant pad-quadrant-bl">Melancholy</span>
+          <span className="pad-quadrant pad-quadrant-br">Serene</span>
+
+          {/* One dot per video, or per chapter of a mix (startSeconds) */}
+          {videos.map(video => (
+            <div
+              key={`${video.videoId}:${video.startSeconds ?? 0}`}
+              className={`pad-dot ${video.videoId === currentVideoId && (video.startSeconds ?? 0) === (currentStartSeconds ?? 0) ? 'current' : ''}`}
+              style={{
+                left: `${video.positivityScore ?? 50}%`,
+                bottom: `${video.feelsScore ?? 50}%`
+              }}
+              title={video.chapterTitle ? `${video.chapterTitle} (${video.title})` : video.title}
+            />
+          ))}
+
+          <div
+            className="pad-thumb"
+            style={{
+              left: `${value.positivity}%`,
+              bottom: `${value.feels}%`,
+              backgroundColor: getColor(value)
+            }}
+          />
+        </div>
+
+        <div className="pad-axis-label pad-axis-side">Happy</div>
+      </div>
+
+      <div className="pad-axis-label pad-axis-bottom">Chill</div>
+
+      <div className="mood-label" style={{ color: getColor(value) }}>
+        {getMoodLabel(value)}
+      </div>
+    </div>
+  );
+}
+
+export default FeelsPad;
@@ -2,9 +2,21 @@ import React, { useState, useMemo } from 'react';
 import VideoItem from './VideoItem';
 import './PlaylistPanel.css';
 
-function PlaylistPanel({ videos, currentVideoId, onVideoSelect, playlistTitle }) {
+// Decade a video's recording came out in, e.g. 1977 -> 1970
+const decadeOf = (video) => (video.year ? Math.floor(video.year / 10) * 10 : null);
+
+function PlaylistPanel({
+  videos,
+  currentVideoId,
+  currentStartSeconds,
+  onVideoSelect,
+  onSaveOverride,
+  onRevertOverride,
+  playlistTitle
+}) {
   const [sortOrder, setSortOrder] = useState('desc'); // 'asc' or 'desc'
   const [filterMatched, setFilterMatched] = useState('all'); // 'all', 'matched', 'unmatched'
+  const [filterDecade, setFilterDecade] = useState('all'); // 'all' or a decade, e.g. '1970'
 
   const sortedAndFilteredVideos = useMemo(() => {
     let filtered = [...videos];
@@ -16,6 +28,10 @@ function PlaylistPanel({ videos, currentVideoId, onVideoSelect, playlistTitle })
       filtered = filtered.filter(v => !v.matched);
     }
 
+    if (filterDecade !== 'all') {
+      filtered = filtered.filter(v => String(decadeOf(v)) === filterDecade);
+    }
+
     // Apply sort
     filtered.sort((a, b) => {
       const scoreA = a.feelsScore || 50;
@@ -24,7 +40,12 @@ function PlaylistPanel({ videos, currentVideoId, onVideoSelect, playlistTitle })
     });
 
     return filtered;
-  }, [videos, sortOrder, filterMatched]);
+  }, [videos, sortOrder, filterMatched, filterDecade]);
+
+  // Decades present in the playlist, oldest first
+  const decades = useMemo(() => (
+    [...new Set(videos.map(decadeOf).filter(Boolean))].sort((a, b) => a - b)
+  ), [videos]);
 
   const stats = useMemo(() => {
     const matched = videos.filter(v => v.matched).length;
@@ -65,6 +86,18 @@ function PlaylistPanel({ videos, currentVideoId, onVideoSelect, playlistTitle })
               <option value="unmatched">Unmatched Only</option>
             </select>
           </div>
+
+          {decades.length > 0 && (
+            <div className="control-group">
+              <label>Decade:</label>
+              <select value={filterDecade} onChange={(e) => setFilterDecade(e.target.value)}>
+                <option value="all">All Decades</option>
+                {decades.map(decade => (
+                  <option key={decade} value={String(decade)}>{decade}s</option>
+                ))}
+              </select>
+            </div>
+          )}
         </div>
       </div>
 
@@ -74,7 +107,11 @@ function PlaylistPanel({ videos, currentVideoId, onVideoSelect, playlistTitle })
             key={video.videoId}
             video={video}
             isPlaying={video.videoId === currentVideoId}
+            playingStart={video.videoId === currentVideoId ? currentStartSeconds : undefined}
             onClick={() => onVideoSelect(video)}
+            onChapterSelect={(chapter) => onVideoSelect(video, chapter)}
+            onSaveOverride={onSaveOverride}
+            onRevertOverride={onRevertOverride}
           />
         ))}
 
@@ -1,7 +1,22 @@
-import React from 'react';
+import React, { useState } from 'react';
 import './VideoItem.css';
 
-function VideoItem({ video, isPlaying, onClick }) {
+// A chapter start as "1:02:03" or "2:03"
+const formatTimestamp = (seconds) => {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(seconds % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
+function VideoItem({ video, isPlaying, playingStart, onClick, onChapterSelect, onSaveOverride, onRevertOverride }) {
+  const [editing, setEditing] = useState(false);
+  const [scoreInput, setScoreInput] = useState('');
+  const [recordingInput, setRecordingInput] = useState('');
+  const [tokenInput, setTokenInput] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [editError, setEditError] = useState(null);
+
   const getScoreColor = (score) => {
     if (score < 20) return '#4A90E2';
     if (score < 40) return '#50C878';
@@ -10,6 +25,45 @@ function VideoItem({ video, isPlaying, onClick }) {
     return '#E74C3C';
   };
 
+  const openEditor = (e) => {
+    e.stopPropagation();
+    setScoreInput(String(video.override?.feelsScore ?? video.feelsScore ?? ''));
+    setRecordingInput(video.override?.recordingId || '');
+    setEditError(null);
+    setEditing(true);
+  };
+
+  const runEdit = async (action) => {
+    setSaving(true);
+    setEditError(null);
+    try {
+      await action();
+      setEditing(false);
+    } catch (err) {
+      setEditError(err.response?.data?.message || err.message || 'Failed to save');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+
+    const override = {};
+    if (scoreInput.trim() !== '') {
+      override.feelsScore = Number(scoreInput);
+    }
+    if (recordingInput.trim() !== '') {
+      override.recordingId = recordingInput.trim();
+    }
+
+    runEdit(() => onSaveOverride(video, override, tokenInput.trim()));
+  };
+
+  const handleRevert = () => {
+    runEdit(() => onRevertOverride(video, tokenInput.trim()));
+  };
+
   return (
     <div
       className={`video-item ${isPlaying ? 'playing' : ''}`}
@@ -39,12 +93,141 @@ function VideoItem({ video, isPlaying, onClick }) {
           >
             {video.feelsScore}
           </span>
-          {!video.matched && (
+          {video.compilation ? (
+            <span
+              className="compilation-badge"
+              title={video.compilation.tracks ? `${video.compilation.tracks} tracks, not scored as one song` : 'Mix or compilation, not scored as one song'}
+            >
+              mix
+            </span>
+          ) : !video.matched && (
             <span className="unmatched-badge" title="No Spotify match">
               ?
             </span>
           )}
+          {video.featureDisagreement?.flagged && (
+            <span
+              className="disagreement-badge"
+              title={`Analysis sources disagree on ${video.featureDisagreement.disputed.join(', ')}`}
+            >
+              !
+            </span>
+          )}
+          {video.year && (
+            <span className="year-badge" title="First released">
+              {video.year}
+            </span>
+          )}
+          {video.override && (
+            <span className="edited-badge" title={video.override.note || 'Manually corrected'}>
+              edited
+            </span>
+          )}
+          {onSaveOverride && !editing && (
+            <button className="edit-button" onClick={openEditor} title="Correct this match">
+              ✎
+            </button>
+          )}
         </div>
+
+        {video.chapters?.length > 0 && (
+          <ol className="chapter-list" onClick={(e) => e.stopPropagation()}>
+            {video.chapters.map(chapter => (
+              <li key={chapter.start}>
+                <button
+                  type="button"
+                  className={`chapter-button ${isPlaying && (playingStart ?? 0) === chapter.start ? 'playing' : ''}`}
+                  onClick={() => onChapterSelect?.(chapter)}
+                  title={chapter.matched ? `${chapter.artist} – ${chapter.song}` : 'No match'}
+                >
+                  <span className="chapter-time">{formatTimestamp(chapter.start)}</span>
+                  <span className="chapter-title">{chapter.title}</span>
+                  {chapter.matched ? (
+                    <span
+                      className="chapter-score"
+                      style={{ backgroundColor: getScoreColor(chapter.feelsScore) }}
+                    >
+                      {chapter.feelsScore}
+                    </span>
+                  ) : (
+                    <span className="unmatched-badge">?</span>
+                  )}
+                </button>
+              </li>
+            ))}
+          </ol>
+        )}
+
+        {editing && (
+          <form
+            className="override-form"
+            onClick={(e) => e.stopPropagation()}
+            onSubmit={handleSave}
+          >
+            <label>
+              Feels score
+              <input
+                type="number"
+                min="0"
+                max="100"
+                value={scoreInput}
+                onChange={(e) => setScoreInput(e.target.value)}
+              />
+            </label>
+            <label>
+              MusicBrainz recording ID
+              <input
+                type="text"
+                placeholder="optional"
+                value={recordingInput}
+                onChange={(e) => setRecordingInput(e.target.value)}
+              />
+            </label>
+
+            {video.alternatives?.length > 0 && (
+              <div className="override-alternatives">
+                <span>Other matches</span>
+                {video.alternatives.map(alt => (
+                  <button
+                    key={alt.id}
+                    type="button"
+                    className={recordingInput === alt.id ? 'selected' : ''}
+                    onClick={() => setRecordingInput(alt.id)}
+                    title={`Match score ${Math.round(alt.matchScore * 100)}%`}
+                  >
+                    {alt.artist} – {alt.title}
+                    {alt.disambiguation && <em> ({alt.disambiguation})</em>}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            <label>
+              Admin token
+              <input
+                type="password"
+                placeholder="remembered for this session"
+                autoComplete="off"
+                value={tokenInput}
+                onChange={(e) => setTokenInput(e.target.value)}
+              />
+            </label>
+
+            {editError && <p className="override-error">{editError}</p>}
+
+            <div className="override-actions">
+              <button type="submit" disabled={saving}>Save</button>
+              {video.override && (
+                <button type="button" onClick={handleRevert} disabled={saving}>
+                  Revert
+                </button>
+              )}
+              <button type="button" onClick={() => setEditing(false)} disabled={saving}>
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
       </div>
     </div>
   );
@@ -40,7 +40,10 @@ function VideoPlayer({ videoId, currentVideo, onReady, onStateChange }) {
             <span className="playing-icon">▶</span>
             <span>Now Playing</span>
           </div>
-          <h3 className="video-title">{currentVideo.title}</h3>
+          <h3 className="video-title">{currentVideo.chapterTitle || currentVideo.title}</h3>
+          {currentVideo.chapterTitle && (
+            <p className="chapter-source">from {currentVideo.title}</p>
+          )}
           <p className="channel-name">{currentVideo.channelTitle}</p>
           <div className="video-stats">
             <span className="feels-badge" style={{
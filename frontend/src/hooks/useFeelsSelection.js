@@ -1,25 +1,80 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import useDebounce from './useDebounce';
 
+/**
+ * An entry for one chapter of a mix or full album: the video, scored as the
+ * chapter and starting at its timestamp
+ */
+function chapterEntry(video, chapter) {
+  return {
+    ...video,
+    feelsScore: chapter.feelsScore,
+    positivityScore: chapter.positivityScore,
+    startSeconds: chapter.start,
+    chapterTitle: chapter.title
+  };
+}
+
+/**
+ * The entries the meter picks from: each video, or each matched chapter of
+ * a mix (unmatched chapters have no scores to pick them by)
+ */
+function toEntries(videos) {
+  return (videos || []).flatMap(video => {
+    const matched = (video.chapters || []).filter(chapter => chapter.matched);
+    return matched.length > 0
+      ? matched.map(chapter => chapterEntry(video, chapter))
+      : [video];
+  });
+}
+
+/**
+ * Whether two entries are the same video at the same start
+ */
+function isSameEntry(a, b) {
+  return a.videoId === b.videoId && (a.startSeconds ?? 0) === (b.startSeconds ?? 0);
+}
+
 /**
  * Custom hook for managing feels meter selection logic
  * Handles debouncing and video selection based on feels score
+ *
+ * Two modes:
+ * - '1d': vertical meter, picks the video with the closest feels score
+ * - '2d': energy/positivity pad, picks the nearest video by Euclidean distance
+ *
+ * Mixes and full albums with matched chapters take part chapter by chapter,
+ * so the meter can jump to a timestamp within a video (entries carry
+ * startSeconds and chapterTitle)
  */
 function useFeelsSelection(videos, onVideoChange) {
+  const [mode, setMode] = useState('1d');
   const [sliderValue, setSliderValue] = useState(50);
+  const [padValue, setPadValue] = useState({ feels: 50, positivity: 50 });
   const [currentVideo, setCurrentVideo] = useState(null);
 
-  // Debounce slider changes to avoid choppy video switching
+  // Debounce slider/pad changes to avoid choppy video switching
   const debouncedFeelsValue = useDebounce(sliderValue, 300);
+  const debouncedPadValue = useDebounce(padValue, 300);
+
+  const entries = useMemo(() => toEntries(videos), [videos]);
+
+  // Meter position the current video was picked for; new entries alone
+  // (e.g. results streaming in) don't switch away from a playing video
+  // unless it's no longer listed (a different playlist was loaded)
+  const selectedFor = useRef(null);
+  const isListed = useCallback((video) => (
+    Boolean(video) && entries.some(entry => isSameEntry(entry, video))
+  ), [entries]);
 
   // Find video closest to target feels score
   const findClosestVideo = useCallback((targetScore) => {
-    if (!videos || videos.length === 0) return null;
+    if (entries.length === 0) return null;
 
-    let closest = videos[0];
-    let minDifference = Math.abs(videos[0].feelsScore - targetScore);
+    let closest = entries[0];
+    let minDifference = Math.abs(entries[0].feelsScore - targetScore);
 
-    for (const video of videos) {
+    for (const video of entries) {
       const difference = Math.abs(video.feelsScore - targetScore);
       if (difference < minDifference) {
         minDifference = difference;
@@ -28,11 +83,38 @@ function useFeelsSelection(videos, onVideoChange) {
     }
 
     return closest;
-  }, [videos]);
+  }, [entries]);
+
+  // Find video nearest to a point on the energy/positivity pad
+  const findClosestVideo2D = useCallback((target) => {
+    if (entries.length === 0) return null;
+
+    const distance = (video) => Math.hypot(
+      (video.feelsScore ?? 50) - target.feels,
+      (video.positivityScore ?? 50) - target.positivity
+    );
+
+    let closest = entries[0];
+    let minDistance = distance(entries[0]);
+
+    for (const video of entries) {
+      const d = distance(video);
+      if (d < minDistance) {
+        minDistance = d;
+        closest = video;
+      }
+    }
+
+    return closest;
+  }, [entries]);
 
   // When debounced feels value changes, select closest video
   useEffect(() => {
-    if (!videos || videos.length === 0) return;
+    if (mode !== '1d' || entries.length === 0) return;
+
+    const position = `1d:${debouncedFeelsValue}`;
+    if (selectedFor.current === position && isListed(currentVideo)) return;
+    selectedFor.current = position;
 
     const targetVideo = findClosestVideo(debouncedFeelsValue);
 
@@ -40,41 +122,72 @@ function useFeelsSelection(videos, onVideoChange) {
     // This prevents too frequent switching
     if (targetVideo && (!currentVideo ||
         Math.abs(targetVideo.feelsScore - currentVideo.feelsScore) >= 5 ||
-        targetVideo.videoId !== currentVideo.videoId)) {
+        !isSameEntry(targetVideo, currentVideo))) {
       setCurrentVideo(targetVideo);
       if (onVideoChange) {
         onVideoChange(targetVideo);
       }
     }
-  }, [debouncedFeelsValue, videos, findClosestVideo, onVideoChange]);
+  }, [mode, debouncedFeelsValue, entries, isListed, findClosestVideo, onVideoChange]);
 
-  // Set initial video when videos load
+  // When debounced pad position changes, select nearest video
   useEffect(() => {
-    if (videos && videos.length > 0 && !currentVideo) {
-      const initialVideo = findClosestVideo(sliderValue);
+    if (mode !== '2d' || entries.length === 0) return;
+
+    const position = `2d:${debouncedPadValue.feels},${debouncedPadValue.positivity}`;
+    if (selectedFor.current === position && isListed(currentVideo)) return;
+    selectedFor.current = position;
+
+    const targetVideo = findClosestVideo2D(debouncedPadValue);
+
+    if (targetVideo && (!currentVideo || !isSameEntry(targetVideo, currentVideo))) {
+      setCurrentVideo(targetVideo);
+      if (onVideoChange) {
+        onVideoChange(targetVideo);
+      }
+    }
+  }, [mode, debouncedPadValue, entries, isListed, findClosestVideo2D, onVideoChange]);
+
+  // Set initial video when entries load
+  useEffect(() => {
+    if (entries.length > 0 && !currentVideo) {
+      const initialVideo = mode === '2d'
+        ? findClosestVideo2D(padValue)
+        : findClosestVideo(sliderValue);
       setCurrentVideo(initialVideo);
       if (onVideoChange && initialVideo) {
         onVideoChange(initialVideo);
       }
     }
-  }, [videos, currentVideo, sliderValue, findClosestVideo, onVideoChange]);
+  }, [entries, currentVideo, mode, sliderValue, padValue, findClosestVideo, findClosestVideo2D, onVideoChange]);
 
   const handleSliderChange = useCallback((value) => {
     setSliderValue(value);
   }, []);
 
-  const selectVideo = useCallback((video) => {
-    setCurrentVideo(video);
-    setSliderValue(video.feelsScore);
+  const handlePadChange = useCallback((value) => {
+    setPadValue(value);
+  }, []);
+
+  const selectVideo = useCallback((video, chapter = null) => {
+    const entry = chapter ? chapterEntry(video, chapter) : video;
+    setCurrentVideo(entry);
+    setSliderValue(entry.feelsScore);
+    setPadValue({ feels: entry.feelsScore, positivity: entry.positivityScore ?? 50 });
     if (onVideoChange) {
-      onVideoChange(video);
+      onVideoChange(entry);
     }
   }, [onVideoChange]);
 
   return {
+    mode,
+    setMode,
     sliderValue,
+    padValue,
     currentVideo,
+    entries,
     handleSliderChange,
+    handlePadChange,
     selectVideo
   };
 }
@@ -1,5 +1,25 @@
 import { useState, useCallback } from 'react';
-import { fetchPlaylistInfo, analyzeVideos } from '../services/api';
+import {
+  fetchPlaylistInfo,
+  analyzeVideosStream,
+  analyzeSingleVideo,
+  setVideoOverride,
+  removeVideoOverride
+} from '../services/api';
+
+const ADMIN_TOKEN_KEY = 'feels_admin_token';
+
+/**
+ * The admin token for override edits: the one given, which is remembered
+ * for the browser session, or the remembered one
+ */
+function resolveAdminToken(token) {
+  if (token) {
+    sessionStorage.setItem(ADMIN_TOKEN_KEY, token);
+    return token;
+  }
+  return sessionStorage.getItem(ADMIN_TOKEN_KEY) || '';
+}
 
 /**
  * Custom hook for managing playlist analysis flow
@@ -31,9 +51,16 @@ function usePlaylistAnalysis() {
       setAnalyzing(true);
       setAnalysisProgress({ current: 0, total: playlistData.videos.length });
 
-      const analysisResult = await analyzeVideos(
+      // Stream results so the progress bar and playlist fill in live
+      const analysisResult = await analyzeVideosStream(
         playlistData.videos,
-        playlistData.playlistId
+        playlistData.playlistId,
+        {
+          onResult: ({ result, stats }) => {
+            setAnalyzedVideos(prev => [...prev, result]);
+            setAnalysisProgress({ current: stats.processed, total: stats.total });
+          }
+        }
       );
 
       console.log('Analysis complete:', analysisResult.stats);
@@ -91,6 +118,34 @@ function usePlaylistAnalysis() {
     return false;
   }, []);
 
+  // Re-analyze one video and merge the fresh result into the list
+  // Length, description metadata and chapters come from the playlist's copy of the video
+  const refreshVideo = useCallback(async (video) => {
+    const details = playlist?.videos.find(v => v.id === video.videoId);
+    const result = await analyzeSingleVideo({
+      id: video.videoId,
+      title: video.title,
+      channelTitle: video.channelTitle,
+      durationSeconds: details?.durationSeconds ?? null,
+      musicMetadata: details?.musicMetadata || null,
+      chapters: details?.chapters || []
+    });
+
+    setAnalyzedVideos(prev => prev.map(v => (
+      v.videoId === video.videoId ? { ...v, ...result } : v
+    )));
+  }, [playlist]);
+
+  const saveOverride = useCallback(async (video, override, adminToken) => {
+    await setVideoOverride(video.videoId, override, resolveAdminToken(adminToken));
+    await refreshVideo(video);
+  }, [refreshVideo]);
+
+  const revertOverride = useCallback(async (video, adminToken) => {
+    await removeVideoOverride(video.videoId, resolveAdminToken(adminToken));
+    await refreshVideo(video);
+  }, [refreshVideo]);
+
   const clearCache = useCallback(() => {
     setPlaylist(null);
     setAnalyzedVideos([]);
@@ -107,6 +162,8 @@ function usePlaylistAnalysis() {
     analysisProgress,
     analyzePlaylist,
     loadCachedPlaylist,
+    saveOverride,
+    revertOverride,
     clearCache
   };
 }
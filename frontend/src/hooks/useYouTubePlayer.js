@@ -18,9 +18,10 @@ function useYouTubePlayer() {
     setPlayerState(event.data);
   }, []);
 
-  const playVideo = useCallback((videoId) => {
+  // Start at startSeconds to play one chapter of a mix
+  const playVideo = useCallback((videoId, startSeconds = 0) => {
     if (playerRef.current) {
-      playerRef.current.loadVideoById(videoId);
+      playerRef.current.loadVideoById({ videoId, startSeconds });
     }
   }, []);
 
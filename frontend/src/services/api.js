@@ -24,19 +24,136 @@ export async function fetchPlaylistInfo(playlistUrl) {
 /**
  * Analyze videos and get feels scores
  */
-export async function analyzeVideos(videos, playlistId) {
+export async function analyzeVideos(videos, playlistId, profile) {
   const response = await api.post('/api/analyze/batch', {
     videos,
-    playlistId
+    playlistId,
+    profile
   });
   return response.data.data;
 }
 
+/**
+ * Analyze videos with live progress
+ * Consumes the Server-Sent Events stream from /api/analyze/batch/stream
+ * (POST, so EventSource can't be used - the stream is read via fetch)
+ *
+ * @param {Array} videos - Videos to analyze
+ * @param {string} playlistId - Playlist ID (for caching)
+ * @param {Object} options
+ * @param {string} options.profile - Feels weight profile (optional)
+ * @param {Function} options.onResult - Called with { index, result, stats } per video
+ * @param {AbortSignal} options.signal - Optional signal to cancel the stream
+ * @returns {Object} { results, errors, stats, profile, cached }
+ */
+export async function analyzeVideosStream(videos, playlistId, { profile, onResult, signal } = {}) {
+  const response = await fetch(`${API_BASE_URL}/api/analyze/batch/stream`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'text/event-stream'
+    },
+    body: JSON.stringify({ videos, playlistId, profile }),
+    signal
+  });
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.message || `Analysis failed (${response.status})`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const results = [];
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const { event, data } = parseServerSentEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+
+      if (event === 'result') {
+        results[data.index] = data.result;
+        if (onResult) {
+          onResult(data);
+        }
+      } else if (event === 'complete') {
+        return { results, ...data };
+      } else if (event === 'error') {
+        throw new Error(data.message);
+      }
+    }
+  }
+
+  throw new Error('Analysis stream ended unexpectedly');
+}
+
+/**
+ * Parse a single Server-Sent Event block into { event, data }
+ */
+function parseServerSentEvent(block) {
+  let event = 'message';
+  const dataLines = [];
+
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim());
+    }
+  }
+
+  return { event, data: dataLines.length ? JSON.parse(dataLines.join('\n')) : null };
+}
+
 /**
  * Analyze a single video
  */
-export async function analyzeSingleVideo(video) {
-  const response = await api.post('/api/analyze/single', video);
+export async function analyzeSingleVideo(video, profile) {
+  const response = await api.post('/api/analyze/single', { ...video, profile });
+  return response.data.data;
+}
+
+/**
+ * Set a manual override for a video
+ *
+ * @param {string} videoId - YouTube video ID
+ * @param {Object} override - { feelsScore, positivityScore, recordingId, note }
+ * @param {string} adminToken - The backend's ADMIN_TOKEN
+ */
+export async function setVideoOverride(videoId, override, adminToken) {
+  const response = await api.put(`/api/videos/${encodeURIComponent(videoId)}/override`, override, {
+    headers: adminHeaders(adminToken)
+  });
+  return response.data.data;
+}
+
+/**
+ * Remove a video's manual override
+ */
+export async function removeVideoOverride(videoId, adminToken) {
+  const response = await api.delete(`/api/videos/${encodeURIComponent(videoId)}/override`, {
+    headers: adminHeaders(adminToken)
+  });
+  return response.data.data;
+}
+
+function adminHeaders(adminToken) {
+  return adminToken ? { Authorization: `Bearer ${adminToken}` } : {};
+}
+
+/**
+ * List available feels weight profiles
+ */
+export async function fetchProfiles() {
+  const response = await api.get('/api/analyze/profiles');
   return response.data.data;
 }
 